@@ -0,0 +1,198 @@
+import { WebSocketServer } from 'ws';
+import { NETWORK } from '../src/constants/network.js';
+
+/**
+ * Relay server for online matches
+ *
+ * The relay never runs the game. It pairs two browsers in a room and passes
+ * their messages to each other untouched; both run the same deterministic
+ * simulation from the same inputs.
+ *
+ * Protocol (JSON messages with a `type`):
+ * - host               → hosted { code }           Opens a room
+ * - join { code }      → joined { code }           Joins a room as player 2
+ *                        (the host gets peerJoined)
+ * - anything else      → forwarded to the other player in the room
+ * - errors             → error { message }
+ * When either player disconnects the other gets peerLeft. A host leaving
+ * closes the room; a guest leaving frees the seat for someone else.
+ *
+ * Run with `npm run relay` (port from RELAY_PORT, default NETWORK.relayPort).
+ */
+
+const port = Number(process.env.RELAY_PORT) || NETWORK.relayPort;
+
+// Room code -> { host, guest }
+const rooms = new Map();
+
+/**
+ * Sends a message to a socket if it's still open
+ * @param {WebSocket} socket
+ * @param {Object} message
+ */
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Creates a room code nobody is using
+ * @returns {string}
+ */
+function createRoomCode() {
+  const alphabet = NETWORK.roomCodeAlphabet;
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < NETWORK.roomCodeLength; i++) {
+      code += alphabet[Math.floor(Math.random() * alphabet.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Gets the other player in a socket's room
+ * @param {WebSocket} socket
+ * @returns {WebSocket|null}
+ */
+function getPeer(socket) {
+  const room = rooms.get(socket.roomCode);
+  if (!room) return null;
+  return room.host === socket ? room.guest : room.host;
+}
+
+/**
+ * Opens a room with the socket as host
+ * @param {WebSocket} socket
+ */
+function hostRoom(socket) {
+  if (socket.roomCode) {
+    send(socket, { type: 'error', message: 'Already in a room' });
+    return;
+  }
+
+  const code = createRoomCode();
+  rooms.set(code, { host: socket, guest: null });
+  socket.roomCode = code;
+
+  send(socket, { type: 'hosted', code });
+  console.log(`[relay] Room ${code} opened (${rooms.size} open)`);
+}
+
+/**
+ * Seats the socket as guest in a room
+ * @param {WebSocket} socket
+ * @param {string} code - Room code
+ */
+function joinRoom(socket, code) {
+  const room = rooms.get(String(code).toUpperCase());
+
+  if (socket.roomCode) {
+    send(socket, { type: 'error', message: 'Already in a room' });
+  } else if (!room) {
+    send(socket, { type: 'error', message: 'Room not found' });
+  } else if (room.guest) {
+    send(socket, { type: 'error', message: 'Room is full' });
+  } else {
+    room.guest = socket;
+    socket.roomCode = String(code).toUpperCase();
+
+    send(socket, { type: 'joined', code: socket.roomCode });
+    send(room.host, { type: 'peerJoined' });
+    console.log(`[relay] Room ${socket.roomCode} guest joined`);
+  }
+}
+
+/**
+ * Removes a socket from its room and tells the other player
+ * @param {WebSocket} socket
+ */
+function leaveRoom(socket) {
+  const code = socket.roomCode;
+  const room = rooms.get(code);
+  if (!room) return;
+
+  send(getPeer(socket), { type: 'peerLeft' });
+
+  if (room.host === socket) {
+    if (room.guest) room.guest.roomCode = null;
+    rooms.delete(code);
+    console.log(`[relay] Room ${code} closed (${rooms.size} open)`);
+  } else {
+    room.guest = null;
+    console.log(`[relay] Room ${code} guest left`);
+  }
+  socket.roomCode = null;
+}
+
+/**
+ * Handles one message from a client
+ * @param {WebSocket} socket
+ * @param {string} data - Raw message
+ */
+function handleMessage(socket, data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch {
+    send(socket, { type: 'error', message: 'Malformed message' });
+    return;
+  }
+
+  if (!message || typeof message !== 'object') {
+    send(socket, { type: 'error', message: 'Malformed message' });
+    return;
+  }
+
+  switch (message.type) {
+    case 'host':
+      hostRoom(socket);
+      break;
+
+    case 'join':
+      joinRoom(socket, message.code);
+      break;
+
+    default: {
+      // Game traffic - pass it straight through (the raw text, no re-encoding)
+      const peer = getPeer(socket);
+      if (peer && peer.readyState === peer.OPEN) {
+        peer.send(data);
+      }
+    }
+  }
+}
+
+const server = new WebSocketServer({ port, maxPayload: NETWORK.maxMessageBytes });
+
+server.on('connection', (socket) => {
+  socket.roomCode = null;
+  socket.isAlive = true;
+
+  socket.on('pong', () => {
+    socket.isAlive = true;
+  });
+  socket.on('message', (data, isBinary) => {
+    if (!isBinary) handleMessage(socket, data.toString());
+  });
+  socket.on('close', () => leaveRoom(socket));
+  socket.on('error', (error) => console.warn('[relay] Socket error:', error.message));
+});
+
+// Drop sockets that stopped answering (closed laptops, lost Wi-Fi)
+const heartbeat = setInterval(() => {
+  server.clients.forEach((socket) => {
+    if (!socket.isAlive) {
+      socket.terminate();
+      return;
+    }
+    socket.isAlive = false;
+    socket.ping();
+  });
+}, NETWORK.heartbeatInterval);
+
+server.on('close', () => clearInterval(heartbeat));
+
+console.log(`[relay] Listening on ws://localhost:${port}`);
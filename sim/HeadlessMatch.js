@@ -0,0 +1,161 @@
+import HeadlessScene from './HeadlessScene.js';
+import Player from '../src/entities/Player.js';
+import PhysicsSystem from '../src/systems/PhysicsSystem.js';
+import InputSystem from '../src/systems/InputSystem.js';
+import CombatSystem from '../src/systems/CombatSystem.js';
+import ActionSystem from '../src/systems/ActionSystem.js';
+import RoundSystem from '../src/systems/RoundSystem.js';
+import ArenaSystem from '../src/systems/ArenaSystem.js';
+import MatchStatsSystem from '../src/systems/MatchStatsSystem.js';
+import MatchSystem from '../src/systems/MatchSystem.js';
+import CpuController from '../src/controllers/CpuController.js';
+import MashController from '../src/controllers/MashController.js';
+import { COMBAT, MATCH } from '../src/constants/gameBalance.js';
+import { random } from '../src/utils/random.js';
+
+/**
+ * Rounds a match may run before it's called a draw (repeated time-out draws)
+ */
+const MAX_ROUNDS = 9;
+
+/**
+ * HeadlessMatch - One match run to the end without rendering
+ *
+ * Sets up the same systems as GameScene and runs the same MatchSystem step
+ * and round flow (intros, KOs, ring-outs, stock respawns, time outs), minus
+ * the camera, HUD and the rest of the presentation. The match stops as soon
+ * as it's decided.
+ *
+ * Controllers (per player): 'easy' | 'normal' | 'hard' CPU, or 'mash' for
+ * random buttons.
+ */
+export default class HeadlessMatch extends HeadlessScene {
+  /**
+   * @param {Object} options
+   * @param {Object} options.player1Character - Character config
+   * @param {Object} options.player2Character - Character config
+   * @param {Object} options.arena - Arena config
+   * @param {string[]} [options.controllers] - Controller per player, e.g. ['normal', 'hard']
+   * @param {Object} [options.rules] - { roundTime, roundsToWin, stocks } (stocks > 0 = stock match)
+   * @param {number} [options.seed] - Seed for everything random in the match
+   */
+  constructor(options) {
+    super(options.arena);
+
+    this.player1Character = options.player1Character;
+    this.player2Character = options.player2Character;
+    this.controllerTypes = options.controllers || ['normal', 'normal'];
+    this.matchRules = {
+      roundTime: MATCH.roundTime,
+      roundsToWin: MATCH.roundsToWin,
+      stocks: 0,
+      ...options.rules,
+    };
+    this.seed = random.setSeed(options.seed ?? 0);
+
+    this.players = [];
+
+    // Highest form each player reached
+    this.topForms = { 1: 0, 2: 0 };
+
+    this.initializeSystems();
+    this.createPlayers();
+  }
+
+  /**
+   * Creates the game systems in GameScene's order
+   */
+  initializeSystems() {
+    this.physicsSystem = new PhysicsSystem(this);
+    this.physicsSystem.setupWorld();
+
+    this.inputSystem = new InputSystem(this);
+
+    const isStock = this.matchRules.stocks > 0;
+    this.combatSystem = new CombatSystem(this, this.physicsSystem,
+      isStock ? { knockbackScaling: COMBAT.stockKnockbackScaling } : {});
+
+    this.actionSystem = new ActionSystem(this);
+
+    this.roundSystem = new RoundSystem(this, {
+      roundTime: this.matchRules.roundTime,
+      roundsToWin: this.matchRules.roundsToWin,
+      stocks: this.matchRules.stocks,
+    });
+
+    this.matchStats = new MatchStatsSystem(this);
+    this.matchSystem = new MatchSystem(this);
+
+    this.physicsSystem.createTerrain();
+    this.arenaSystem = new ArenaSystem(this);
+  }
+
+  /**
+   * Creates both fighters and their controllers
+   */
+  createPlayers() {
+    const { player1, player2 } = this.arena.spawnPoints;
+    const p1 = new Player(this, this.physicsSystem, 1, player1.x, player1.y, this.player1Character);
+    const p2 = new Player(this, this.physicsSystem, 2, player2.x, player2.y, this.player2Character);
+    this.players = [p1, p2];
+
+    this.players.forEach((player, index) => {
+      const opponent = this.players[1 - index];
+      this.inputSystem.registerPlayer(player.playerNumber, this.createController(this.controllerTypes[index], player, opponent));
+      this.combatSystem.registerPlayer(player);
+    });
+
+    this.events.on('playerTransformed', (playerNumber) => {
+      const player = this.players[playerNumber - 1];
+      this.topForms[playerNumber] = Math.max(this.topForms[playerNumber], player.formLevel);
+    });
+  }
+
+  /**
+   * @param {string} type - 'easy' | 'normal' | 'hard' | 'mash'
+   * @param {Player} player - Fighter it drives
+   * @param {Player} opponent
+   * @returns {CpuController|MashController}
+   */
+  createController(type, player, opponent) {
+    if (type === 'mash') {
+      return new MashController({ rng: () => random.next() });
+    }
+    return new CpuController(player, opponent, this.combatSystem, { difficulty: type });
+  }
+
+  /**
+   * Plays the match out
+   * @returns {Object} { winner (1, 2 or null for a draw), rounds, duration (ms fought), stats, topForms }
+   */
+  run() {
+    const { roundSystem } = this;
+    const isOver = () => roundSystem.matchWinner !== null ||
+      (roundSystem.currentRound >= MAX_ROUNDS && !roundSystem.isRoundActive);
+
+    this.matchSystem.beginRoundIntro();
+    while (!isOver()) {
+      this.step();
+    }
+
+    const summary = this.matchStats.getSummary();
+    const result = {
+      winner: roundSystem.matchWinner,
+      rounds: roundSystem.currentRound,
+      duration: summary.duration,
+      stats: summary.players,
+      topForms: this.topForms,
+    };
+
+    this.shutdown();
+    return result;
+  }
+
+  /**
+   * Reads the controllers and runs one gameplay step, like a live GameScene
+   */
+  step() {
+    this.inputSystem.update();
+    this.matchSystem.step();
+  }
+}
@@ -0,0 +1,186 @@
+import Phaser from 'phaser';
+
+const { Engine, Composite, Bodies, Body, Events: MatterEvents } = Phaser.Physics.Matter.Matter;
+
+/**
+ * Matter engine events re-emitted by the world, and the names Phaser gives them
+ */
+const COLLISION_EVENTS = {
+  collisionStart: 'collisionstart',
+  collisionActive: 'collisionactive',
+  collisionEnd: 'collisionend',
+};
+
+/**
+ * Creates a display object that accepts everything and shows nothing
+ * Every method call is a no-op that returns the object (so chains work);
+ * properties set on it read back, the rest default to an on-screen object.
+ * @param {Object} [config] - Starting properties ({ x, y } like Phaser's graphics config)
+ * @returns {Proxy}
+ */
+function createNullObject(config = {}) {
+  const properties = { x: 0, y: 0, alpha: 1, visible: true, active: true, ...config };
+
+  const object = new Proxy(properties, {
+    get: (target, key) => (key in target ? target[key] : () => object),
+  });
+  return object;
+}
+
+/**
+ * HeadlessWorld - Matter world without a Phaser scene
+ * Mirrors the bits of Phaser.Physics.Matter.World the game uses: the engine
+ * and its composite, gravity, step / pause / resume, add / remove and the
+ * collision events (emitted as (event, bodyA, bodyB) like Phaser does).
+ */
+class HeadlessWorld extends Phaser.Events.EventEmitter {
+  constructor() {
+    super();
+
+    this.engine = Engine.create({ enableSleeping: false });
+    this.localWorld = this.engine.world;
+    this.enabled = true;
+    this.autoUpdate = true;
+
+    this.setGravity(0, 1, 0.001);
+
+    Object.entries(COLLISION_EVENTS).forEach(([matterEvent, worldEvent]) => {
+      MatterEvents.on(this.engine, matterEvent, (event) => {
+        const lastPair = event.pairs[event.pairs.length - 1];
+        this.emit(worldEvent, event, lastPair?.bodyA, lastPair?.bodyB);
+      });
+    });
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [scale]
+   */
+  setGravity(x, y, scale) {
+    this.engine.gravity.x = x;
+    this.engine.gravity.y = y;
+    if (scale !== undefined) {
+      this.engine.gravity.scale = scale;
+    }
+    return this;
+  }
+
+  /**
+   * Advances the engine
+   * @param {number} delta - Milliseconds
+   */
+  step(delta) {
+    Engine.update(this.engine, delta);
+  }
+
+  pause() {
+    this.enabled = false;
+    return this;
+  }
+
+  resume() {
+    this.enabled = true;
+    return this;
+  }
+
+  /**
+   * @param {Object|Object[]} object - Body, composite or constraint
+   */
+  add(object) {
+    Composite.add(this.localWorld, object);
+    return this;
+  }
+
+  /**
+   * @param {Object|Object[]} object - Bodies, or objects with a body
+   * @param {boolean} [deep]
+   */
+  remove(object, deep) {
+    [].concat(object).forEach((entity) => {
+      Composite.remove(this.localWorld, entity.body ? entity.body : entity, deep);
+    });
+    return this;
+  }
+
+  shutdown() {
+    MatterEvents.off(this.engine);
+    Engine.clear(this.engine);
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * HeadlessScene - Stand-in for a Phaser scene under Node
+ *
+ * Gives the game's systems and entities what they read off their scene:
+ * Matter physics (scene.matter), the simulation time (scene.simTime), an
+ * event emitter, and display factories whose objects accept any call and
+ * draw nothing. Tweens are dropped, and the main camera just frames the
+ * whole arena.
+ */
+export default class HeadlessScene {
+  /**
+   * @param {Object} arena - Arena config (sizes the camera view)
+   */
+  constructor(arena) {
+    this.arena = arena;
+
+    const world = new HeadlessWorld();
+    const addBody = (body) => {
+      world.add(body);
+      return body;
+    };
+
+    this.matter = {
+      world,
+      body: Body,
+      add: {
+        rectangle: (x, y, width, height, options) => addBody(Bodies.rectangle(x, y, width, height, options)),
+        circle: (x, y, radius, options, maxSides) => addBody(Bodies.circle(x, y, radius, options, maxSides)),
+      },
+    };
+
+    this.simTime = 0;
+    this.events = new Phaser.Events.EventEmitter();
+
+    this.add = {
+      graphics: (config) => createNullObject(config),
+      rectangle: (x, y) => createNullObject({ x, y }),
+      circle: (x, y) => createNullObject({ x, y }),
+      text: (x, y) => createNullObject({ x, y }),
+    };
+
+    this.tweens = {
+      add: () => createNullObject(),
+      killTweensOf: () => {},
+    };
+
+    const view = { left: 0, top: 0, right: arena.width, bottom: arena.height, width: arena.width, height: arena.height };
+    this.cameras = {
+      main: {
+        worldView: view,
+        zoom: 1,
+        width: arena.width,
+        height: arena.height,
+        centerX: arena.width / 2,
+        centerY: arena.height / 2,
+      },
+    };
+
+    // No devices: InputSystem finds no gamepads, players are controller-driven
+    this.input = {};
+
+    this.uiCamera = null;
+    this.cameraSystem = null;
+    this.isResimulating = false;
+  }
+
+  /**
+   * Drops the physics world and everything listening
+   */
+  shutdown() {
+    this.events.removeAllListeners();
+    this.matter.world.shutdown();
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * Module resolve hook for the headless simulator
+ * The game's modules import 'phaser', whose browser build needs a window to
+ * load; under Node the import gets the headless subset in phaser.js instead.
+ */
+
+const HEADLESS_PHASER = new URL('./phaser.js', import.meta.url).href;
+
+/**
+ * @param {string} specifier - What the module asked to import
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Default resolver
+ */
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'phaser') {
+    return { url: HEADLESS_PHASER, shortCircuit: true };
+  }
+  return nextResolve(specifier, context);
+}
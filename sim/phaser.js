@@ -0,0 +1,37 @@
+import { createRequire } from 'node:module';
+
+/**
+ * Headless Phaser - the parts of Phaser the match logic uses, for Node
+ *
+ * The full build touches window and navigator as it loads, but the pieces
+ * gameplay actually reaches for (Matter, the event emitter, key codes and a
+ * couple of math helpers) are plain CommonJS in Phaser's source, so they're
+ * loaded from there. Rendering, scenes and input devices are left out; see
+ * HeadlessScene.js for what stands in for them.
+ */
+
+const require = createRequire(import.meta.url);
+
+const Phaser = {
+  Events: {
+    EventEmitter: require('phaser/src/events/EventEmitter.js'),
+  },
+  Input: {
+    Keyboard: {
+      KeyCodes: require('phaser/src/input/keyboard/keys/KeyCodes.js'),
+    },
+  },
+  Math: {
+    Clamp: require('phaser/src/math/Clamp.js'),
+    Distance: {
+      Between: require('phaser/src/math/distance/DistanceBetween.js'),
+    },
+  },
+  Physics: {
+    Matter: {
+      Matter: require('phaser/src/physics/matter-js/CustomMain.js'),
+    },
+  },
+};
+
+export default Phaser;
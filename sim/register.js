@@ -0,0 +1,7 @@
+import { register } from 'node:module';
+
+/**
+ * Registers the headless module hooks (see hooks.js)
+ * Loaded with `node --import ./sim/register.js` before the simulator runs.
+ */
+register('./hooks.js', import.meta.url);
@@ -0,0 +1,238 @@
+import HeadlessMatch from './HeadlessMatch.js';
+import { characters, getCharacterById } from '../src/characters/index.js';
+import { getArenaById, getDefaultArena } from '../src/arenas/index.js';
+import { CPU_PROFILES, MATCH } from '../src/constants/gameBalance.js';
+import { debug } from '../src/utils/debug.js';
+
+/**
+ * Balance simulator
+ *
+ * Plays every pairing of characters against each other headless, with CPU
+ * (or random-button) controllers on both sides, and prints:
+ * - a win-rate matrix (row character vs column character)
+ * - per character: win rate, average match length, damage per second and
+ *   how often they transform
+ * Each pairing alternates sides, so neither character always gets P1.
+ *
+ * Run with `npm run simulate -- [options]`:
+ *   --matches N        Matches per pairing (default 100)
+ *   --arena ID         Arena to fight on (default: the default arena)
+ *   --p1 / --p2 TYPE   Controller per side: easy, normal, hard or mash (default normal)
+ *   --mode MODE        rounds (best of 3) or stock (default rounds)
+ *   --characters IDS   Comma-separated character ids (default: all)
+ *   --seed N           First match seed (default 1); the same seed repeats a run
+ */
+
+const DEFAULTS = {
+  matches: 100,
+  arena: getDefaultArena().id,
+  p1: 'normal',
+  p2: 'normal',
+  mode: 'rounds',
+  characters: characters.map((character) => character.id).join(','),
+  seed: 1,
+};
+
+const CONTROLLERS = [...Object.keys(CPU_PROFILES), 'mash'];
+
+/**
+ * Reads --name value pairs from the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options over DEFAULTS
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in DEFAULTS) || argv[i + 1] === undefined) {
+      fail(`Unknown or incomplete option "${argv[i]}"`);
+    }
+    options[name] = typeof DEFAULTS[name] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+
+  return options;
+}
+
+/**
+ * Prints an error and exits
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`simulate: ${message}`);
+  process.exit(1);
+}
+
+/**
+ * Turns the options into match settings, checking each one
+ * @param {Object} options - Parsed options
+ * @returns {Object} { roster, arena, controllers, rules }
+ */
+function resolveOptions(options) {
+  if (!Number.isInteger(options.matches) || options.matches < 1) fail('--matches must be a whole number above 0');
+  if (!Number.isInteger(options.seed)) fail('--seed must be a whole number');
+
+  const roster = options.characters.split(',').map((id) => {
+    const character = getCharacterById(id.trim());
+    if (!character) fail(`Unknown character "${id}"`);
+    return character;
+  });
+  if (roster.length < 2) fail('Need at least two characters');
+
+  const arena = getArenaById(options.arena);
+  if (!arena) fail(`Unknown arena "${options.arena}"`);
+
+  const controllers = [options.p1, options.p2];
+  controllers.forEach((type) => {
+    if (!CONTROLLERS.includes(type)) fail(`Unknown controller "${type}" (${CONTROLLERS.join(', ')})`);
+  });
+
+  if (options.mode !== 'rounds' && options.mode !== 'stock') fail('--mode must be rounds or stock');
+  const rules = options.mode === 'stock' ? { stocks: MATCH.stocks } : {};
+
+  return { roster, arena, controllers, rules };
+}
+
+/**
+ * Creates an empty per-character tally
+ * @returns {Object}
+ */
+function createTally() {
+  return { matches: 0, wins: 0, fightTime: 0, damageDealt: 0, transformations: 0, transformedMatches: 0 };
+}
+
+/**
+ * Plays every pairing and tallies the results
+ * @param {Object} settings - From resolveOptions
+ * @param {number} matchesPerPairing
+ * @param {number} seed - First match seed
+ * @returns {Object} { tallies (id -> tally), versus (id -> id -> wins), totals }
+ */
+function runPairings({ roster, arena, controllers, rules }, matchesPerPairing, seed) {
+  const tallies = new Map(roster.map((character) => [character.id, createTally()]));
+  const versus = new Map(roster.map((character) => [character.id, new Map()]));
+  const totals = { matches: 0, draws: 0, fightTime: 0, sideWins: { 1: 0, 2: 0 } };
+  let nextSeed = seed;
+
+  roster.forEach((a, i) => {
+    roster.slice(i + 1).forEach((b) => {
+      const started = Date.now();
+      const wins = { [a.id]: 0, [b.id]: 0 };
+
+      for (let n = 0; n < matchesPerPairing; n++) {
+        // Alternate sides: a is player 1 on even matches
+        const sides = n % 2 === 0 ? [a, b] : [b, a];
+        const result = new HeadlessMatch({
+          player1Character: sides[0],
+          player2Character: sides[1],
+          arena,
+          controllers,
+          rules,
+          seed: nextSeed++,
+        }).run();
+
+        totals.matches++;
+        totals.fightTime += result.duration;
+        if (result.winner === null) {
+          totals.draws++;
+        } else {
+          totals.sideWins[result.winner]++;
+          wins[sides[result.winner - 1].id]++;
+        }
+
+        sides.forEach((character, index) => {
+          const playerNumber = index + 1;
+          const stats = result.stats[playerNumber];
+          const tally = tallies.get(character.id);
+
+          tally.matches++;
+          tally.fightTime += result.duration;
+          tally.damageDealt += stats.damageDealt;
+          tally.transformations += stats.transformations;
+          if (result.topForms[playerNumber] > 0) tally.transformedMatches++;
+          if (result.winner === playerNumber) tally.wins++;
+        });
+      }
+
+      versus.get(a.id).set(b.id, wins[a.id]);
+      versus.get(b.id).set(a.id, wins[b.id]);
+
+      const seconds = ((Date.now() - started) / 1000).toFixed(1);
+      console.log(`  ${a.name} vs ${b.name}: ${wins[a.id]}-${wins[b.id]} (${seconds}s)`);
+    });
+  });
+
+  return { tallies, versus, totals };
+}
+
+/**
+ * Formats a fraction as a percentage
+ * @param {number} part
+ * @param {number} whole
+ * @returns {string}
+ */
+function percent(part, whole) {
+  return whole > 0 ? `${((part / whole) * 100).toFixed(1)}%` : '-';
+}
+
+/**
+ * Prints rows as left-aligned columns
+ * @param {string[][]} rows - First row is the header
+ */
+function printTable(rows) {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => row[column].length)));
+  rows.forEach((row) => {
+    console.log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`);
+  });
+}
+
+/**
+ * Prints the win-rate matrix and per-character stats
+ * @param {Object[]} roster - Characters in table order
+ * @param {Object} results - From runPairings
+ * @param {number} matchesPerPairing
+ */
+function printReport(roster, { tallies, versus, totals }, matchesPerPairing) {
+  console.log('\nWin rate (row vs column):');
+  printTable([
+    ['', ...roster.map((character) => character.name)],
+    ...roster.map((row) => [
+      row.name,
+      ...roster.map((column) => (row === column ? '-' : percent(versus.get(row.id).get(column.id), matchesPerPairing))),
+    ]),
+  ]);
+
+  console.log('\nPer character:');
+  printTable([
+    ['', 'Matches', 'Win rate', 'Avg length', 'DPS', 'Transforms/match', 'Transformed'],
+    ...roster.map((character) => {
+      const tally = tallies.get(character.id);
+      const fightSeconds = tally.fightTime / 1000;
+      return [
+        character.name,
+        String(tally.matches),
+        percent(tally.wins, tally.matches),
+        `${(fightSeconds / tally.matches).toFixed(1)}s`,
+        (fightSeconds > 0 ? tally.damageDealt / fightSeconds : 0).toFixed(2),
+        (tally.transformations / tally.matches).toFixed(2),
+        percent(tally.transformedMatches, tally.matches),
+      ];
+    }),
+  ]);
+
+  const decided = totals.matches - totals.draws;
+  console.log(`\n${totals.matches} matches, ${totals.draws} draws, average length ${(totals.fightTime / 1000 / totals.matches).toFixed(1)}s`);
+  console.log(`Side wins: P1 ${percent(totals.sideWins[1], decided)}, P2 ${percent(totals.sideWins[2], decided)}`);
+}
+
+const options = parseArgs(process.argv.slice(2));
+const settings = resolveOptions(options);
+
+// Systems log every round and KO at info level
+debug.logLevel = 'warn';
+
+console.log(`Simulating ${settings.roster.length} characters on ${settings.arena.name}: ` +
+  `${options.matches} matches per pairing, ${options.mode} mode, ${options.p1} vs ${options.p2}, seed ${options.seed}`);
+
+const results = runPairings(settings, options.matches, options.seed);
+printReport(settings.roster, results, options.matches);
@@ -0,0 +1,189 @@
+/**
+ * Base Arena Configuration Schema
+ *
+ * Defines the structure and default values for all arena configs.
+ * Arena files pass their overrides to createArena().
+ *
+ * ARCHITECTURE NOTES:
+ * - Arena files contain DATA ONLY, no gameplay logic
+ * - GameScene keeps the selected arena on scene.arena; systems and entities
+ *   read dimensions, terrain and spawn points from there
+ * - PhysicsSystem turns ground, solids, slopes and platforms into static
+ *   bodies; landing is detected from contacts, so any shape works
+ * - Background layers are drawn by GameScene.createArenaBackground from the
+ *   layer list, so new looks need no new code unless they add a layer type
+ */
+
+import { ARENA } from '../constants/gameBalance.js';
+
+/**
+ * Base arena configuration with all default values
+ */
+export const BASE_ARENA = {
+  // ==================== IDENTITY ====================
+
+  /**
+   * Unique identifier for the arena (used internally)
+   * @type {string}
+   */
+  id: 'base',
+
+  /**
+   * Display name shown in stage select
+   * @type {string}
+   */
+  name: 'Base Arena',
+
+  /**
+   * Short description for stage select
+   * @type {string}
+   */
+  description: 'A plain arena',
+
+  // ==================== LAYOUT ====================
+
+  /**
+   * World size in pixels (walls sit at x = 0 and x = width)
+   * @type {number}
+   */
+  width: ARENA.width,
+  height: ARENA.height,
+
+  /**
+   * Main floor level - camera framing and projectile bounds are based on it
+   * @type {number}
+   */
+  groundY: ARENA.groundY,
+  groundHeight: ARENA.groundHeight,
+
+  /**
+   * Ground profile: solid floor segments
+   * x is the left edge, y the top surface. Leave null for one floor spanning
+   * the whole width at groundY.
+   * @type {Array<{x: number, y: number, width: number, height: number}>|null}
+   */
+  ground: null,
+
+  /**
+   * Extra solid blocks (ledges, pillars), x/y being the top-left corner
+   * Solid from every side, like the ground
+   * @type {Array<{x: number, y: number, width: number, height: number}>}
+   */
+  solids: [],
+
+  /**
+   * Ramps: solid slabs whose top surface runs from (x, leftY) to (x + width, rightY)
+   * Fighters walk up and down them like flat ground
+   * @type {Array<{x: number, width: number, leftY: number, rightY: number}>}
+   */
+  slopes: [],
+
+  /**
+   * One-way floating platforms, x/y being the left end of the top surface
+   * Fighters jump up through them, land on top, and drop through with down + jump
+   * @type {Array<{x: number, y: number, width: number}>}
+   */
+  platforms: [],
+
+  /**
+   * Where each player starts a round
+   * @type {{player1: {x: number, y: number}, player2: {x: number, y: number}}}
+   */
+  spawnPoints: ARENA.spawnPoints,
+
+  /**
+   * Out-of-bounds lines
+   * With ringOut, crossing any of them is a KO. Without it, falling past the
+   * bottom just sends a player back to their spawn.
+   * @type {{bottom: number, top: number, left: number, right: number}}
+   */
+  deathZone: ARENA.deathZone,
+
+  /**
+   * Whether the side walls and ceiling exist
+   * @type {boolean}
+   */
+  walls: true,
+
+  /**
+   * Ring-out rule: leaving through the death zone KOs the player
+   * Meant for arenas without walls
+   * @type {boolean}
+   */
+  ringOut: false,
+
+  // ==================== VISUALS ====================
+
+  /**
+   * Background description
+   * sky:       [top color, bottom color] gradient
+   * stars:     Number of stars in the sky layer
+   * layers:    Parallax layers, back to front. Each has a type ('mountains',
+   *            'spires', 'clouds', 'skyline'), color, alpha, scroll [x, y] and
+   *            type-specific shape values
+   * floor:     Colors for the ground segments
+   * particles: Colors of the floating particles (empty for none)
+   */
+  background: {
+    sky: [0x050510, 0x0a0a1a],
+    stars: 80,
+    layers: [
+      { type: 'mountains', color: 0x1a1a2e, alpha: 0.8, height: 300, peaks: 8, jaggedness: 0.6, scroll: [0.3, 0.4] },
+      { type: 'mountains', color: 0x2d2d44, alpha: 0.9, height: 200, peaks: 12, jaggedness: 0.4, scroll: [0.5, 0.6] },
+    ],
+    floor: {
+      color: 0x2d3436,
+      lineColor: 0x4a5568,
+      highlightColor: 0x718096,
+      stripeColor: 0x3d4d56,
+      dotColor: 0x4a5568,
+    },
+    particles: [0x4a90d9, 0x9b59b6, 0xf39c12, 0x2ecc71],
+  },
+
+  /**
+   * Color of the preview card in stage select
+   * @type {number}
+   */
+  accentColor: 0xffb300,
+
+  // ==================== PROPS ====================
+
+  /**
+   * Destructible buildings standing on the floor (behind the fighters)
+   * x is the left edge; hp is soaked up by ki blasts passing through and
+   * fighters knocked into them
+   * @type {Array<{x: number, width: number, height: number, color: number, hp: number}>}
+   */
+  buildings: [],
+};
+
+/**
+ * Creates an arena config from the base plus overrides
+ * Fills in the single full-width floor when no ground profile is given and
+ * works out the floor's outer edges (used by the CPU to stay on the stage)
+ * @param {Object} overrides - Arena-specific values
+ * @returns {Object} Complete arena config
+ */
+export function createArena(overrides) {
+  const merged = {
+    ...BASE_ARENA,
+    ...overrides,
+    background: { ...BASE_ARENA.background, ...overrides.background },
+  };
+
+  const ground = merged.ground || [
+    { x: 0, y: merged.groundY, width: merged.width, height: merged.groundHeight },
+  ];
+
+  return {
+    ...merged,
+    ground,
+    floorBounds: {
+      left: Math.min(...ground.map((segment) => segment.x)),
+      right: Math.max(...ground.map((segment) => segment.x + segment.width)),
+    },
+  };
+}
+
+export default BASE_ARENA;
@@ -0,0 +1,57 @@
+/**
+ * City Arena Configuration
+ *
+ * Layout: Long street lined with destructible buildings
+ * - Ki blasts that fly past chip at the buildings behind the fight
+ * - Heavy knockback into a building takes a big chunk out of it
+ */
+
+import { createArena } from './baseArena.js';
+
+const city = createArena({
+  // Identity
+  id: 'city',
+  name: 'City Ruins',
+  description: 'Buildings crumble as you fight',
+
+  // Layout - The longest arena
+  width: 3200,
+  groundY: 1000,
+  spawnPoints: {
+    player1: { x: 1200, y: 850 },
+    player2: { x: 2000, y: 850 },
+  },
+  deathZone: { bottom: 1500, top: -200, left: -100, right: 3300 },
+
+  // Visuals - Dusk skyline and asphalt
+  background: {
+    sky: [0x1b1035, 0x8a4a5a],
+    stars: 30,
+    layers: [
+      { type: 'skyline', color: 0x2a1f3d, alpha: 0.9, height: 420, count: 26, scroll: [0.3, 0.4] },
+      { type: 'skyline', color: 0x3a2b4d, alpha: 0.95, height: 300, count: 20, scroll: [0.55, 0.65] },
+    ],
+    floor: {
+      color: 0x2b2b30,
+      lineColor: 0x55555c,
+      highlightColor: 0xf1c40f,
+      stripeColor: 0x3a3a40,
+      dotColor: 0x1e1e22,
+    },
+    particles: [0xf39c12, 0xe74c3c],
+  },
+  accentColor: 0xb0608a,
+
+  // Props
+  buildings: [
+    { x: 150, width: 220, height: 420, color: 0x4a4a5a, hp: 80 },
+    { x: 520, width: 180, height: 300, color: 0x5a4a4a, hp: 60 },
+    { x: 820, width: 260, height: 480, color: 0x4a5a5a, hp: 100 },
+    { x: 1450, width: 300, height: 360, color: 0x55505a, hp: 90 },
+    { x: 2120, width: 260, height: 500, color: 0x4a5a5a, hp: 100 },
+    { x: 2500, width: 200, height: 320, color: 0x5a4a4a, hp: 60 },
+    { x: 2830, width: 230, height: 440, color: 0x4a4a5a, hp: 80 },
+  ],
+});
+
+export default city;
@@ -0,0 +1,59 @@
+/**
+ * Arenas Module
+ *
+ * Central export point for all arena configurations.
+ * Import arenas from here rather than individual files.
+ *
+ * Usage:
+ *   import { arenas, getArenaById } from './arenas/index.js';
+ *
+ *   // Get specific arena by id
+ *   const lookout = getArenaById('lookout');
+ */
+
+import wasteland from './wasteland.js';
+import lookout from './lookout.js';
+import city from './city.js';
+import { BASE_ARENA, createArena } from './baseArena.js';
+
+/**
+ * Array of all arenas
+ * Order determines display order in stage select
+ */
+export const arenas = [wasteland, lookout, city];
+
+/**
+ * Map of arena ID to config for quick lookup
+ */
+const arenaMap = new Map(arenas.map((arena) => [arena.id, arena]));
+
+/**
+ * Gets an arena configuration by ID
+ * @param {string} id - Arena ID (e.g., 'wasteland', 'city')
+ * @returns {Object|null} Arena config or null if not found
+ */
+export function getArenaById(id) {
+  return arenaMap.get(id) || null;
+}
+
+/**
+ * Gets the default arena (first in list)
+ * @returns {Object} Default arena config
+ */
+export function getDefaultArena() {
+  return arenas[0];
+}
+
+/**
+ * Picks an arena at random
+ * @returns {Object} Arena config
+ */
+export function getRandomArena() {
+  return arenas[Math.floor(Math.random() * arenas.length)];
+}
+
+// Export utilities
+export { BASE_ARENA, createArena };
+
+// Default export is the arenas array
+export default arenas;
@@ -0,0 +1,58 @@
+/**
+ * Kami's Lookout Arena Configuration
+ *
+ * Layout: One floating platform over an empty sky
+ * - No walls: fall or get knocked out of the death zone and it's a ring-out
+ * - Three one-way platforms above it in a triangle
+ * - Narrower than the other arenas, so fights stay close
+ */
+
+import { createArena } from './baseArena.js';
+
+const lookout = createArena({
+  // Identity
+  id: 'lookout',
+  name: "Kami's Lookout",
+  description: 'No walls - ring-outs count',
+
+  // Layout - 1400px platform centered in a 2400px wide sky
+  width: 2400,
+  groundY: 1000,
+  groundHeight: 60,
+  ground: [
+    { x: 500, y: 1000, width: 1400, height: 60 },
+  ],
+  spawnPoints: {
+    player1: { x: 900, y: 850 },
+    player2: { x: 1500, y: 850 },
+  },
+  deathZone: { bottom: 1400, top: -500, left: -300, right: 2700 },
+  walls: false,
+  ringOut: true,
+  platforms: [
+    { x: 640, y: 840, width: 240 },
+    { x: 1520, y: 840, width: 240 },
+    { x: 1060, y: 700, width: 280 },
+  ],
+
+  // Visuals - Bright daytime sky and white tiles
+  background: {
+    sky: [0x3a7bd5, 0xa8d8ff],
+    stars: 0,
+    layers: [
+      { type: 'clouds', color: 0xffffff, alpha: 0.35, count: 10, size: 220, top: 100, bottom: 700, scroll: [0.2, 0.3] },
+      { type: 'clouds', color: 0xffffff, alpha: 0.6, count: 14, size: 160, top: 900, bottom: 1300, scroll: [0.5, 0.6] },
+    ],
+    floor: {
+      color: 0xe8e4d8,
+      lineColor: 0xffffff,
+      highlightColor: 0xd4af37,
+      stripeColor: 0xc8c2b0,
+      dotColor: 0xb8b2a0,
+    },
+    particles: [],
+  },
+  accentColor: 0x5aa0e8,
+});
+
+export default lookout;
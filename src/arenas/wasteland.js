@@ -0,0 +1,61 @@
+/**
+ * Rocky Wasteland Arena Configuration
+ *
+ * Layout: Wide battlefield with walls on both sides
+ * - Extra width gives zoners room to work
+ * - Rock ledges reached by ramps at both walls, two floating ledges mid-stage
+ */
+
+import { createArena } from './baseArena.js';
+
+const wasteland = createArena({
+  // Identity
+  id: 'wasteland',
+  name: 'Rocky Wasteland',
+  description: 'Wide open badlands',
+
+  // Layout - 240px wider than the base arena
+  width: 2800,
+  groundY: 1000,
+  spawnPoints: {
+    player1: { x: 1000, y: 850 },
+    player2: { x: 1800, y: 850 },
+  },
+  deathZone: { bottom: 1500, top: -200, left: -100, right: 2900 },
+
+  // Terrain - mirrored left / right
+  solids: [
+    { x: 0, y: 880, width: 180, height: 120 },
+    { x: 2620, y: 880, width: 180, height: 120 },
+  ],
+  slopes: [
+    { x: 180, width: 320, leftY: 880, rightY: 1000 },
+    { x: 2300, width: 320, leftY: 1000, rightY: 880 },
+  ],
+  platforms: [
+    { x: 600, y: 800, width: 260 },
+    { x: 1940, y: 800, width: 260 },
+  ],
+
+  // Visuals - Dusty red rock under a dim sky
+  background: {
+    sky: [0x1a0f0a, 0x4a2a1a],
+    stars: 40,
+    layers: [
+      { type: 'mountains', color: 0x3d2418, alpha: 0.8, height: 320, peaks: 7, jaggedness: 0.7, scroll: [0.3, 0.4] },
+      { type: 'spires', color: 0x5a3322, alpha: 0.9, height: 380, count: 9, scroll: [0.5, 0.6] },
+      { type: 'mountains', color: 0x6b3d26, alpha: 0.9, height: 140, peaks: 14, jaggedness: 0.8, scroll: [0.7, 0.8] },
+    ],
+    floor: {
+      color: 0x5c3a28,
+      lineColor: 0x8a5a3c,
+      highlightColor: 0xb07850,
+      stripeColor: 0x6e4630,
+      dotColor: 0x3d2418,
+    },
+    particles: [0xc08050, 0x8a5a3c],
+  },
+  accentColor: 0xc0603a,
+});
+
+export default wasteland;
@@ -178,6 +178,58 @@ export const BASE_CHARACTER = {
    */
   projectileSizeMultiplier: 1.0,
 
+  // ==================== SIGNATURE MOVE ====================
+
+  /**
+   * Signature beam fired with DOWN + special, paid for from the Ki gauge
+   * Timings in milliseconds, speed in pixels per frame (60fps)
+   * {
+   *   name: string,          // Display name
+   *   shape: string,         // 'beam' | 'wave' | 'thin' | 'corkscrew' (hitbox and visuals)
+   *   kiCost: number,        // Ki spent on use
+   *   chargeTime: number,    // Startup before the beam fires (owner rooted)
+   *   duration: number,      // How long the beam stays out once fired
+   *   recovery: number,      // Rooted time after the beam ends
+   *   speed: number,         // How fast the head extends
+   *   width: number,         // Hitbox thickness ('wave' grows to 2x at full length)
+   *   maxLength: number,     // Maximum reach
+   *   damage: number,        // Damage per hit
+   *   hits: number,          // Maximum hits per use
+   *   hitInterval: number,   // Minimum time between hits
+   *   knockbackMultiplier: number, // Scales base knockback per hit
+   *   launch: number,        // Upward knockback component
+   *   pierce: boolean,       // Keeps extending through the target instead of stopping at it
+   *   color: number,         // Beam color
+   *   coreColor: number,     // Inner core color
+   * }
+   * @type {Object|null}
+   */
+  signatureMove: null,
+
+  // ==================== FORMS ====================
+
+  /**
+   * Transformations in power-up order (special at the threshold powers up,
+   * block + special drops back one form)
+   * Bonuses replace the base form's values; they don't stack between forms
+   * [{
+   *   name: string,                  // Display name (character select)
+   *   hudLabel: string,              // Short label shown on the HUD
+   *   kiThreshold: number,           // % of max Ki needed (and spent) to power up into this form
+   *   staminaDrain: number,          // Stamina per frame (60fps) while held - running dry drops a form
+   *   auraColor: number,             // Aura color while in this form
+   *   damageMultiplier: number,      // Outgoing damage
+   *   defenseMultiplier: number,     // Incoming damage (lower = tougher)
+   *   maxHealthBonus: number,        // Added to max health (and healed on power-up)
+   *   maxStaminaBonus: number,       // Added to max stamina (and restored on power-up)
+   *   staminaRegenMultiplier: number,
+   *   speedMultiplier: number,       // Ground and flight speed
+   *   flightDrainMultiplier: number, // Flight stamina drain
+   * }]
+   * @type {Array<Object>}
+   */
+  forms: [],
+
   // ==================== ENERGY ====================
 
   /**
@@ -206,6 +258,7 @@ export const BASE_CHARACTER = {
 
   // ==================== DISPLAY STATS (for UI) ====================
   // These are simplified 1-5 star ratings for the character select screen
+  // Calculated from the multipliers above by createCharacter(); only set these to override
 
   /**
    * Speed rating (1-5) for display purposes
@@ -283,15 +336,17 @@ function calculateDisplayStats(char) {
     attackRate: 0.2,
   });
 
-  // Power: attack damage, projectile effectiveness
+  // Power: attack damage, projectile effectiveness (speed, range, hitbox)
   const displayPower = calculateDisplayStat({
     damage: char.attackDamageMultiplier,
     projSpeed: char.projectileSpeedMultiplier,
+    projRange: char.projectileLifetimeMultiplier,
     projSize: char.projectileSizeMultiplier,
   }, {
-    damage: 0.5,
-    projSpeed: 0.25,
-    projSize: 0.25,
+    damage: 0.4,
+    projSpeed: 0.2,
+    projRange: 0.2,
+    projSize: 0.2,
   });
 
   // Durability: health, knockback resistance
@@ -48,16 +48,63 @@ const frieza = createCharacter({
   projectileLifetimeMultiplier: 1.4, // 40% longer range
   projectileSizeMultiplier: 0.9, // Slightly smaller but faster
 
+  // Signature - Death Beam: near-instant, very fast, thin and piercing, cheap
+  signatureMove: {
+    name: 'Death Beam',
+    shape: 'thin',
+    kiCost: 30,
+    chargeTime: 120,
+    duration: 250,
+    recovery: 200,
+    speed: 60,
+    width: 10,
+    maxLength: 2000,
+    damage: 12,
+    hits: 1,
+    hitInterval: 0,
+    knockbackMultiplier: 1.0,
+    launch: 0.1,
+    pierce: true,
+    color: 0xff4da6,
+    coreColor: 0xffffff,
+  },
+
+  // Forms - Final Form is nearly free to hold; Golden is a short, expensive burst
+  forms: [
+    {
+      name: 'Final Form',
+      hudLabel: 'FINAL',
+      kiThreshold: 50,
+      staminaDrain: 0.02,
+      auraColor: 0xce93d8,
+      damageMultiplier: 1.15,
+      defenseMultiplier: 0.9,
+      maxHealthBonus: 10,
+      maxStaminaBonus: 10,
+      staminaRegenMultiplier: 1.3,
+      speedMultiplier: 1.1,
+      flightDrainMultiplier: 0.9,
+    },
+    {
+      name: 'Golden Frieza',
+      hudLabel: 'GOLDEN',
+      kiThreshold: 100,
+      staminaDrain: 0.2,
+      auraColor: 0xffd700,
+      damageMultiplier: 1.6,
+      defenseMultiplier: 0.8,
+      maxHealthBonus: 25,
+      maxStaminaBonus: 25,
+      staminaRegenMultiplier: 1.6,
+      speedMultiplier: 1.3,
+      flightDrainMultiplier: 0.75,
+    },
+  ],
+
   // Energy - Fast recovery for zoning, very cheap projectiles
   energyRegenMultiplier: 1.2, // 20% faster regen
   energyRegenDelayMultiplier: 0.85, // 15% shorter delay
   attackEnergyCostMultiplier: 0.7, // 30% cheaper attacks - spam king for zoning
-
-  // Display Stats (1-5)
-  displaySpeed: 4,
-  displayPower: 2,
-  displayDurability: 1,
-  displayKi: 5,
 });
 
 export default frieza;
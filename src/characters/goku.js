@@ -48,16 +48,77 @@ const goku = createCharacter({
   projectileLifetimeMultiplier: 1.0,
   projectileSizeMultiplier: 1.0,
 
+  // Signature - Kamehameha: long charge, thick beam, big hit
+  signatureMove: {
+    name: 'Kamehameha',
+    shape: 'beam',
+    kiCost: 50,
+    chargeTime: 700,
+    duration: 700,
+    recovery: 300,
+    speed: 28,
+    width: 36,
+    maxLength: 1600,
+    damage: 22,
+    hits: 1,
+    hitInterval: 0,
+    knockbackMultiplier: 2.2,
+    launch: 0.3,
+    pierce: false,
+    color: 0x4fc3f7,
+    coreColor: 0xe1f5fe,
+  },
+
+  // Forms - SSJ is cheap to hold, SSJ3 hits hardest but burns stamina fast
+  forms: [
+    {
+      name: 'Super Saiyan',
+      hudLabel: 'SSJ',
+      kiThreshold: 60,
+      staminaDrain: 0.04,
+      auraColor: 0xffe14d,
+      damageMultiplier: 1.2,
+      defenseMultiplier: 0.9,
+      maxHealthBonus: 10,
+      maxStaminaBonus: 15,
+      staminaRegenMultiplier: 1.4,
+      speedMultiplier: 1.15,
+      flightDrainMultiplier: 0.85,
+    },
+    {
+      name: 'Super Saiyan 2',
+      hudLabel: 'SSJ2',
+      kiThreshold: 80,
+      staminaDrain: 0.09,
+      auraColor: 0xfff176,
+      damageMultiplier: 1.35,
+      defenseMultiplier: 0.85,
+      maxHealthBonus: 20,
+      maxStaminaBonus: 20,
+      staminaRegenMultiplier: 1.5,
+      speedMultiplier: 1.25,
+      flightDrainMultiplier: 0.8,
+    },
+    {
+      name: 'Super Saiyan 3',
+      hudLabel: 'SSJ3',
+      kiThreshold: 100,
+      staminaDrain: 0.18,
+      auraColor: 0xffd600,
+      damageMultiplier: 1.55,
+      defenseMultiplier: 0.8,
+      maxHealthBonus: 25,
+      maxStaminaBonus: 25,
+      staminaRegenMultiplier: 1.6,
+      speedMultiplier: 1.3,
+      flightDrainMultiplier: 0.75,
+    },
+  ],
+
   // Energy - Good regeneration, efficient attacks
   energyRegenMultiplier: 1.1, // 10% faster regen
   energyRegenDelayMultiplier: 0.9, // 10% shorter delay
   attackEnergyCostMultiplier: 0.85, // 15% cheaper attacks - can spam more
-
-  // Display Stats (1-5)
-  displaySpeed: 5,
-  displayPower: 3,
-  displayDurability: 2,
-  displayKi: 4,
 });
 
 export default goku;
@@ -48,16 +48,63 @@ const piccolo = createCharacter({
   projectileLifetimeMultiplier: 1.1, // 10% longer range
   projectileSizeMultiplier: 1.1, // 10% larger hitbox
 
+  // Signature - Special Beam Cannon: very long charge, drills through for several hits
+  signatureMove: {
+    name: 'Special Beam Cannon',
+    shape: 'corkscrew',
+    kiCost: 45,
+    chargeTime: 900,
+    duration: 700,
+    recovery: 300,
+    speed: 36,
+    width: 24,
+    maxLength: 1800,
+    damage: 8,
+    hits: 3,
+    hitInterval: 220, // Just longer than hit invincibility so every tick can land
+    knockbackMultiplier: 0.6,
+    launch: 0.15,
+    pierce: true,
+    color: 0xffeb3b,
+    coreColor: 0xfff59d,
+  },
+
+  // Forms - Defensive fusions that lean on health and damage reduction
+  forms: [
+    {
+      name: 'Nail Fusion',
+      hudLabel: 'NAIL',
+      kiThreshold: 60,
+      staminaDrain: 0.03,
+      auraColor: 0x66bb6a,
+      damageMultiplier: 1.1,
+      defenseMultiplier: 0.8,
+      maxHealthBonus: 20,
+      maxStaminaBonus: 15,
+      staminaRegenMultiplier: 1.5,
+      speedMultiplier: 1.1,
+      flightDrainMultiplier: 0.85,
+    },
+    {
+      name: 'Orange Piccolo',
+      hudLabel: 'ORANGE',
+      kiThreshold: 100,
+      staminaDrain: 0.15,
+      auraColor: 0xff9800,
+      damageMultiplier: 1.45,
+      defenseMultiplier: 0.75,
+      maxHealthBonus: 30,
+      maxStaminaBonus: 25,
+      staminaRegenMultiplier: 1.5,
+      speedMultiplier: 1.2,
+      flightDrainMultiplier: 0.8,
+    },
+  ],
+
   // Energy - Excellent regeneration, standard attack cost
   energyRegenMultiplier: 1.4, // 40% faster regen (best in game)
   energyRegenDelayMultiplier: 0.8, // 20% shorter delay
   attackEnergyCostMultiplier: 1.0, // Standard cost - relies on regen advantage
-
-  // Display Stats (1-5)
-  displaySpeed: 2,
-  displayPower: 4,
-  displayDurability: 4,
-  displayKi: 5,
 });
 
 export default piccolo;
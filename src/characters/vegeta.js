@@ -48,16 +48,63 @@ const vegeta = createCharacter({
   projectileLifetimeMultiplier: 1.0,
   projectileSizeMultiplier: 1.05, // Slightly larger projectiles
 
+  // Signature - Galick Gun: quick wave that widens as it travels, hard to jump over
+  signatureMove: {
+    name: 'Galick Gun',
+    shape: 'wave',
+    kiCost: 50,
+    chargeTime: 450,
+    duration: 600,
+    recovery: 350,
+    speed: 20,
+    width: 60,
+    maxLength: 1300,
+    damage: 18,
+    hits: 1,
+    hitInterval: 0,
+    knockbackMultiplier: 1.8,
+    launch: 0.2,
+    pierce: false,
+    color: 0xab47bc,
+    coreColor: 0xf3e5f5,
+  },
+
+  // Forms - Fewer, stronger steps than Goku
+  forms: [
+    {
+      name: 'Super Saiyan',
+      hudLabel: 'SSJ',
+      kiThreshold: 60,
+      staminaDrain: 0.05,
+      auraColor: 0xffd54f,
+      damageMultiplier: 1.25,
+      defenseMultiplier: 0.88,
+      maxHealthBonus: 10,
+      maxStaminaBonus: 15,
+      staminaRegenMultiplier: 1.3,
+      speedMultiplier: 1.15,
+      flightDrainMultiplier: 0.9,
+    },
+    {
+      name: 'Super Saiyan 2',
+      hudLabel: 'SSJ2',
+      kiThreshold: 90,
+      staminaDrain: 0.12,
+      auraColor: 0xffc107,
+      damageMultiplier: 1.45,
+      defenseMultiplier: 0.8,
+      maxHealthBonus: 20,
+      maxStaminaBonus: 20,
+      staminaRegenMultiplier: 1.4,
+      speedMultiplier: 1.2,
+      flightDrainMultiplier: 0.85,
+    },
+  ],
+
   // Energy - Standard regen, higher attack cost (power over volume)
   energyRegenMultiplier: 1.0,
   energyRegenDelayMultiplier: 1.0,
   attackEnergyCostMultiplier: 1.15, // 15% more expensive attacks - fewer but stronger
-
-  // Display Stats (1-5)
-  displaySpeed: 3,
-  displayPower: 3,
-  displayDurability: 5,
-  displayKi: 3,
 });
 
 export default vegeta;
@@ -3,7 +3,13 @@ import BootScene from '../scenes/BootScene.js';
 import MainMenuScene from '../scenes/MainMenuScene.js';
 import ModeSelectScene from '../scenes/ModeSelectScene.js';
 import CharacterSelectScene from '../scenes/CharacterSelectScene.js';
+import StageSelectScene from '../scenes/StageSelectScene.js';
+import OnlineLobbyScene from '../scenes/OnlineLobbyScene.js';
 import GameScene from '../scenes/GameScene.js';
+import ResultsScene from '../scenes/ResultsScene.js';
+import ArcadeScene from '../scenes/ArcadeScene.js';
+import ControlsScene from '../scenes/ControlsScene.js';
+import SettingsScene from '../scenes/SettingsScene.js';
 
 /**
  * Core Phaser game configuration
@@ -39,7 +45,7 @@ const gameConfig = {
     },
   },
 
-  scene: [BootScene, MainMenuScene, ModeSelectScene, CharacterSelectScene, GameScene],
+  scene: [BootScene, MainMenuScene, ModeSelectScene, CharacterSelectScene, StageSelectScene, OnlineLobbyScene, GameScene, ResultsScene, ArcadeScene, ControlsScene, SettingsScene],
 
   // Render settings
   render: {
@@ -52,7 +58,7 @@ const gameConfig = {
     keyboard: true,
     mouse: false,
     touch: false,
-    gamepad: false,
+    gamepad: true,
   },
 };
 
@@ -0,0 +1,133 @@
+/**
+ * Procedural sound definitions
+ * Everything is synthesized with Web Audio at runtime (see utils/audio.js),
+ * so there are no audio files to load.
+ */
+
+/**
+ * One-shot sound effects
+ * Each sound is a list of layers played together:
+ * type:     'tone' (oscillator) or 'noise' (white noise through a filter)
+ * wave:     Oscillator type for tones ('sine', 'square', 'sawtooth', 'triangle')
+ * from/to:  Pitch sweep in Hz (tones) or filter cutoff sweep in Hz (noise)
+ * filter:   Filter type for noise ('lowpass', 'highpass', 'bandpass')
+ * duration: Seconds
+ * volume:   Peak gain (0-1) before the SFX volume setting
+ * delay:    Optional start offset in seconds
+ */
+export const SOUNDS = {
+  menuMove: [
+    { type: 'tone', wave: 'square', from: 660, to: 660, duration: 0.05, volume: 0.08 },
+  ],
+  menuConfirm: [
+    { type: 'tone', wave: 'square', from: 520, to: 1040, duration: 0.12, volume: 0.1 },
+  ],
+  menuBack: [
+    { type: 'tone', wave: 'square', from: 440, to: 220, duration: 0.1, volume: 0.08 },
+  ],
+  jump: [
+    { type: 'tone', wave: 'sine', from: 280, to: 620, duration: 0.12, volume: 0.2 },
+  ],
+  land: [
+    { type: 'noise', filter: 'lowpass', from: 500, to: 150, duration: 0.09, volume: 0.35 },
+  ],
+  flightStart: [
+    { type: 'noise', filter: 'bandpass', from: 300, to: 1800, duration: 0.4, volume: 0.3 },
+    { type: 'tone', wave: 'triangle', from: 200, to: 400, duration: 0.3, volume: 0.1 },
+  ],
+  kiBlast: [
+    { type: 'tone', wave: 'sawtooth', from: 950, to: 300, duration: 0.18, volume: 0.12 },
+    { type: 'noise', filter: 'highpass', from: 3000, to: 1500, duration: 0.1, volume: 0.15 },
+  ],
+  punch: [
+    { type: 'noise', filter: 'lowpass', from: 1800, to: 400, duration: 0.08, volume: 0.4 },
+    { type: 'tone', wave: 'sine', from: 180, to: 90, duration: 0.08, volume: 0.3 },
+  ],
+  impact: [
+    { type: 'noise', filter: 'lowpass', from: 1400, to: 200, duration: 0.16, volume: 0.45 },
+    { type: 'tone', wave: 'sine', from: 140, to: 60, duration: 0.14, volume: 0.35 },
+  ],
+  heavyImpact: [
+    { type: 'noise', filter: 'lowpass', from: 2200, to: 120, duration: 0.3, volume: 0.6 },
+    { type: 'tone', wave: 'sine', from: 110, to: 40, duration: 0.3, volume: 0.5 },
+  ],
+  transform: [
+    { type: 'tone', wave: 'sawtooth', from: 110, to: 880, duration: 0.9, volume: 0.12 },
+    { type: 'tone', wave: 'square', from: 55, to: 440, duration: 0.9, volume: 0.06 },
+    { type: 'noise', filter: 'bandpass', from: 400, to: 4000, duration: 0.9, volume: 0.2 },
+    { type: 'noise', filter: 'lowpass', from: 3000, to: 100, duration: 0.5, volume: 0.5, delay: 0.85 },
+  ],
+  ko: [
+    { type: 'noise', filter: 'lowpass', from: 3000, to: 60, duration: 1.2, volume: 0.7 },
+    { type: 'tone', wave: 'sine', from: 160, to: 30, duration: 1.0, volume: 0.6 },
+  ],
+};
+
+/**
+ * Looping sounds (started and stopped by key)
+ * frequencies:     Detuned oscillators played together
+ * filterFrequency: Lowpass cutoff in Hz
+ * lfoRate:         Volume wobble speed in Hz
+ * lfoDepth:        Volume wobble amount (0-1 of volume)
+ */
+export const LOOPS = {
+  kiCharge: {
+    wave: 'sawtooth',
+    frequencies: [70, 73.5, 140],
+    filterFrequency: 700,
+    lfoRate: 7,
+    lfoDepth: 0.5,
+    volume: 0.1,
+  },
+};
+
+/**
+ * Music tracks, played as looping 16th-note step sequences
+ * tempo:  Beats per minute
+ * voices: Parts played together, each { wave, volume, notes } where notes are
+ *         MIDI note numbers per step (null = rest) and all parts share a length
+ */
+export const MUSIC_TRACKS = {
+  menu: {
+    tempo: 96,
+    voices: [
+      {
+        wave: 'triangle',
+        volume: 0.08,
+        notes: [
+          57, null, 60, null, 64, null, 60, null, 57, null, 60, null, 64, null, 67, null,
+          53, null, 57, null, 60, null, 57, null, 55, null, 59, null, 62, null, 59, null,
+        ],
+      },
+      {
+        wave: 'sine',
+        volume: 0.12,
+        notes: [
+          45, null, null, null, null, null, null, null, 45, null, null, null, null, null, null, null,
+          41, null, null, null, null, null, null, null, 43, null, null, null, null, null, null, null,
+        ],
+      },
+    ],
+  },
+  battle: {
+    tempo: 150,
+    voices: [
+      {
+        wave: 'square',
+        volume: 0.05,
+        notes: [
+          64, null, 67, 64, 71, null, 69, 67, 64, null, 67, 64, 62, null, 59, null,
+          64, null, 67, 64, 71, null, 72, 71, 69, null, 67, null, 66, null, 67, null,
+        ],
+      },
+      {
+        wave: 'sawtooth',
+        volume: 0.06,
+        notes: [
+          40, 40, 52, 40, 40, 52, 40, 50, 40, 40, 52, 40, 38, 38, 50, 38,
+          36, 36, 48, 36, 36, 48, 36, 47, 38, 38, 50, 38, 35, 35, 47, 35,
+        ],
+      },
+    ],
+  },
+};
@@ -1,8 +1,14 @@
 import Phaser from 'phaser';
+import { loadData, saveData, removeData } from '../utils/storage.js';
+import { logInfo, logWarn } from '../utils/debug.js';
 
 /**
  * Player control key bindings
  * All input mappings are centralized here for easy modification
+ *
+ * PLAYER_1_CONTROLS / PLAYER_2_CONTROLS are the defaults. Players can rebind
+ * them (ControlsScene); the user's bindings are saved to localStorage, loaded
+ * at boot, and returned by getPlayerControls.
  */
 
 export const PLAYER_1_CONTROLS = {
@@ -12,7 +18,8 @@ export const PLAYER_1_CONTROLS = {
   down: Phaser.Input.Keyboard.KeyCodes.S, // Used for flight thrust down
   jump: Phaser.Input.Keyboard.KeyCodes.W, // Jump (same as up - contextual)
   attack: Phaser.Input.Keyboard.KeyCodes.F,
-  special: Phaser.Input.Keyboard.KeyCodes.G, // Future: special attack
+  special: Phaser.Input.Keyboard.KeyCodes.G, // Charge Ki / transform / signature move (with down)
+  block: Phaser.Input.Keyboard.KeyCodes.H, // Hold to guard (grounded)
 };
 
 export const PLAYER_2_CONTROLS = {
@@ -22,7 +29,39 @@ export const PLAYER_2_CONTROLS = {
   down: Phaser.Input.Keyboard.KeyCodes.DOWN, // Used for flight thrust down
   jump: Phaser.Input.Keyboard.KeyCodes.UP, // Jump (same as up - contextual)
   attack: Phaser.Input.Keyboard.KeyCodes.L,
-  special: Phaser.Input.Keyboard.KeyCodes.K, // Future: special attack
+  special: Phaser.Input.Keyboard.KeyCodes.K, // Charge Ki / transform / signature move (with down)
+  block: Phaser.Input.Keyboard.KeyCodes.J, // Hold to guard (grounded)
+};
+
+/**
+ * Gamepad bindings (W3C standard mapping button indices)
+ * Shared by both players - each player reads their own assigned pad
+ */
+export const GAMEPAD_CONTROLS = {
+  jump: 0, // A / Cross
+  block: 1, // B / Circle - hold to guard (grounded)
+  attack: 2, // X / Square
+  special: 3, // Y / Triangle - charge Ki / transform (stick down + special: signature move)
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15,
+  stickDeadzone: 0.25, // Left stick values below this are ignored
+  stickDigitalThreshold: 0.5, // Stick past this counts as a held direction (jump, flight, down + special)
+};
+
+/**
+ * Gamepad menu bindings (button index -> menu action)
+ */
+export const GAMEPAD_MENU_CONTROLS = {
+  0: 'confirm', // A / Cross
+  1: 'back', // B / Circle
+  8: 'swap', // Select / Back - move this pad to the other player
+  9: 'start', // Start / Options
+  12: 'up',
+  13: 'down',
+  14: 'left',
+  15: 'right',
 };
 
 /**
@@ -46,12 +85,237 @@ export const DEBUG_CONTROLS = {
 };
 
 /**
- * Returns control config for a given player number
+ * Training mode controls
+ */
+export const TRAINING_CONTROLS = {
+  cycleDummyMode: Phaser.Input.Keyboard.KeyCodes.ONE,
+  toggleInfiniteHealth: Phaser.Input.Keyboard.KeyCodes.TWO,
+  toggleInfiniteStamina: Phaser.Input.Keyboard.KeyCodes.THREE,
+  toggleMaxKi: Phaser.Input.Keyboard.KeyCodes.FOUR,
+  toggleInstantKiReset: Phaser.Input.Keyboard.KeyCodes.FIVE,
+  resetPositions: Phaser.Input.Keyboard.KeyCodes.R,
+};
+
+/**
+ * Replay playback controls
+ * Only active while watching a replay, when nobody is playing - so they
+ * don't need to be kept out of the player bindings
+ */
+export const REPLAY_CONTROLS = {
+  togglePause: Phaser.Input.Keyboard.KeyCodes.SPACE,
+  stepFrame: Phaser.Input.Keyboard.KeyCodes.PERIOD, // One frame at a time while paused
+  slower: Phaser.Input.Keyboard.KeyCodes.MINUS,
+  faster: Phaser.Input.Keyboard.KeyCodes.PLUS, // The = / + key
+  save: Phaser.Input.Keyboard.KeyCodes.S,
+};
+
+/**
+ * Raw buttons a player holds, in bit order - what online play sends
+ * (edges are derived on arrival, like for any controller)
+ */
+export const INPUT_RAW_BUTTONS = ['left', 'right', 'up', 'down', 'jump', 'attack', 'special', 'block'];
+
+/**
+ * Input state fields recorded each frame for replays, in bit order
+ * (InputSystem snapshots also carry the analog axisX / axisY)
+ */
+export const INPUT_SNAPSHOT_BUTTONS = [
+  ...INPUT_RAW_BUTTONS,
+  'jumpPressed', 'attackPressed', 'specialPressed',
+];
+
+/**
+ * Actions players can rebind, in menu order
+ * Jump isn't listed: it always shares the up key (contextual jump / fly up)
+ */
+export const REBINDABLE_ACTIONS = [
+  { action: 'left', label: 'Move Left' },
+  { action: 'right', label: 'Move Right' },
+  { action: 'up', label: 'Jump / Fly Up' },
+  { action: 'down', label: 'Descend' },
+  { action: 'attack', label: 'Attack' },
+  { action: 'special', label: 'Charge Ki' },
+  { action: 'block', label: 'Block' },
+];
+
+/**
+ * Keys that can't be bound because menus, debug or training already use them
+ */
+export const RESERVED_KEYS = [
+  MENU_CONTROLS.confirm,
+  MENU_CONTROLS.back,
+  DEBUG_CONTROLS.toggleDebug,
+  DEBUG_CONTROLS.togglePhysicsDebug,
+  ...Object.values(TRAINING_CONTROLS),
+];
+
+const BINDINGS_STORAGE_KEY = 'controls';
+
+// Active bindings per player (defaults until loadControlBindings runs)
+const playerBindings = {
+  1: { ...PLAYER_1_CONTROLS },
+  2: { ...PLAYER_2_CONTROLS },
+};
+
+/**
+ * Gets the default bindings for a player
  * @param {number} playerNumber - 1 or 2
  * @returns {Object} Control configuration
  */
-export function getPlayerControls(playerNumber) {
+function getDefaultControls(playerNumber) {
   if (playerNumber === 1) return PLAYER_1_CONTROLS;
   if (playerNumber === 2) return PLAYER_2_CONTROLS;
   throw new Error(`Invalid player number: ${playerNumber}`);
 }
+
+/**
+ * Returns control config for a given player number
+ * These are the user's bindings (defaults if they never rebound anything)
+ * @param {number} playerNumber - 1 or 2
+ * @returns {Object} Control configuration
+ */
+export function getPlayerControls(playerNumber) {
+  getDefaultControls(playerNumber); // Validates the player number
+  return playerBindings[playerNumber];
+}
+
+/**
+ * Finds what a key is already used for
+ * @param {number} keyCode - Key to check
+ * @param {number} playerNumber - Player rebinding (their own slot is ignored)
+ * @param {string} action - Action being rebound
+ * @returns {Object|null} { reserved: true } or { playerNumber, action } of the clashing binding, null if free
+ */
+export function findBindingConflict(keyCode, playerNumber, action) {
+  if (RESERVED_KEYS.includes(keyCode)) {
+    return { reserved: true };
+  }
+
+  for (const otherPlayer of [1, 2]) {
+    for (const { action: otherAction } of REBINDABLE_ACTIONS) {
+      if (otherPlayer === playerNumber && otherAction === action) continue;
+      if (playerBindings[otherPlayer][otherAction] === keyCode) {
+        return { playerNumber: otherPlayer, action: otherAction };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebinds one action and saves the bindings
+ * Rejected if the key is reserved or used by either player
+ * @param {number} playerNumber - 1 or 2
+ * @param {string} action - Action from REBINDABLE_ACTIONS
+ * @param {number} keyCode - New key
+ * @returns {Object|null} The conflict that blocked the rebind, or null on success
+ */
+export function setPlayerBinding(playerNumber, action, keyCode) {
+  const conflict = findBindingConflict(keyCode, playerNumber, action);
+  if (conflict) return conflict;
+
+  const bindings = getPlayerControls(playerNumber);
+  bindings[action] = keyCode;
+  if (action === 'up') {
+    bindings.jump = keyCode; // Jump shares the up key
+  }
+
+  saveControlBindings();
+  logInfo(`Controls: Player ${playerNumber} ${action} bound to ${getKeyName(keyCode)}`);
+  return null;
+}
+
+/**
+ * Restores both players' default bindings and clears the saved ones
+ */
+export function resetControlBindings() {
+  playerBindings[1] = { ...PLAYER_1_CONTROLS };
+  playerBindings[2] = { ...PLAYER_2_CONTROLS };
+  removeData(BINDINGS_STORAGE_KEY);
+  logInfo('Controls: Bindings reset to defaults');
+}
+
+/**
+ * Saves both players' bindings to localStorage
+ */
+export function saveControlBindings() {
+  saveData(BINDINGS_STORAGE_KEY, playerBindings);
+}
+
+/**
+ * Loads saved bindings (called once at boot)
+ * Saved data that is malformed, uses reserved keys or binds one key twice
+ * is ignored and the defaults are kept
+ */
+export function loadControlBindings() {
+  const saved = loadData(BINDINGS_STORAGE_KEY);
+  if (!saved) return;
+
+  const loaded = {};
+  const usedKeys = new Set();
+
+  for (const playerNumber of [1, 2]) {
+    loaded[playerNumber] = { ...getDefaultControls(playerNumber) };
+
+    for (const { action } of REBINDABLE_ACTIONS) {
+      const keyCode = saved[playerNumber] ? saved[playerNumber][action] : undefined;
+      if (keyCode === undefined) {
+        // Not saved - keep the default
+      } else if (Number.isInteger(keyCode)) {
+        loaded[playerNumber][action] = keyCode;
+      } else {
+        logWarn(`Controls: Ignoring saved bindings (bad key for P${playerNumber} ${action})`);
+        return;
+      }
+
+      const key = loaded[playerNumber][action];
+      if (usedKeys.has(key) || RESERVED_KEYS.includes(key)) {
+        logWarn(`Controls: Ignoring saved bindings (${getKeyName(key)} conflicts)`);
+        return;
+      }
+      usedKeys.add(key);
+    }
+    loaded[playerNumber].jump = loaded[playerNumber].up;
+  }
+
+  playerBindings[1] = loaded[1];
+  playerBindings[2] = loaded[2];
+  logInfo('Controls: Loaded saved bindings');
+}
+
+// Readable names for keys whose KeyCodes name isn't what's printed on them
+const KEY_DISPLAY_NAMES = {
+  [Phaser.Input.Keyboard.KeyCodes.LEFT]: '←',
+  [Phaser.Input.Keyboard.KeyCodes.RIGHT]: '→',
+  [Phaser.Input.Keyboard.KeyCodes.UP]: '↑',
+  [Phaser.Input.Keyboard.KeyCodes.DOWN]: '↓',
+  [Phaser.Input.Keyboard.KeyCodes.BACKTICK]: '`',
+  [Phaser.Input.Keyboard.KeyCodes.SPACE]: 'Space',
+  [Phaser.Input.Keyboard.KeyCodes.ZERO]: '0',
+  [Phaser.Input.Keyboard.KeyCodes.ONE]: '1',
+  [Phaser.Input.Keyboard.KeyCodes.TWO]: '2',
+  [Phaser.Input.Keyboard.KeyCodes.THREE]: '3',
+  [Phaser.Input.Keyboard.KeyCodes.FOUR]: '4',
+  [Phaser.Input.Keyboard.KeyCodes.FIVE]: '5',
+  [Phaser.Input.Keyboard.KeyCodes.SIX]: '6',
+  [Phaser.Input.Keyboard.KeyCodes.SEVEN]: '7',
+  [Phaser.Input.Keyboard.KeyCodes.EIGHT]: '8',
+  [Phaser.Input.Keyboard.KeyCodes.NINE]: '9',
+};
+
+/**
+ * Gets a printable name for a key code (for menus and hints)
+ * @param {number} keyCode
+ * @returns {string}
+ */
+export function getKeyName(keyCode) {
+  if (KEY_DISPLAY_NAMES[keyCode]) return KEY_DISPLAY_NAMES[keyCode];
+
+  const name = Object.keys(Phaser.Input.Keyboard.KeyCodes).find(
+    (key) => Phaser.Input.Keyboard.KeyCodes[key] === keyCode
+  );
+  if (!name) return `Key ${keyCode}`;
+
+  // 'SEMICOLON' -> 'Semicolon', single letters stay upper case
+  return name.length === 1 ? name : name.charAt(0) + name.slice(1).toLowerCase().replace(/_/g, ' ');
+}
@@ -13,6 +13,7 @@ export const PLAYER_STATES = {
   FLYING: 'FLYING', // Controlled flight mode, reduced gravity, consumes stamina
   CHARGING: 'CHARGING', // Charging Ki, reduced movement, cannot attack
   STUNNED: 'STUNNED', // In hitstun, cannot act
+  BLOCKING: 'BLOCKING', // Guarding on the ground, reduced damage and knockback, drains guard
   DEAD: 'DEAD', // KO'd, awaiting respawn or game over
 };
 
@@ -31,7 +32,7 @@ export const PLAYER_STATS = {
 
 /**
  * Ki / Power Gauge system
- * Ki is built up through combat and used for transformations
+ * Ki is built up through combat and spent on transformations and signature moves
  * Does NOT auto-regenerate - must be earned through combat or charging
  */
 export const KI_SYSTEM = {
@@ -48,41 +49,12 @@ export const KI_SYSTEM = {
   chargeRampTime: 3000, // Milliseconds to reach full charge rate (3 seconds of holding)
   chargeMovementPenalty: 0.3, // Movement speed multiplier while charging (30% speed)
 
-  // Transformation thresholds (percentage of maxKi)
+  // Power thresholds (percentage of maxKi)
+  // Each form's own Ki threshold lives in the character's forms list
   partialPowerThreshold: 50, // 50% Ki - enables partial power-up (aura, minor buffs)
-  transformationThreshold: 100, // 100% Ki - full transformation available
 
   // Transformation timeout - player must use it or lose it
-  transformationTimeout: 20000, // Milliseconds before Ki resets if transformation not used (20 sec)
-
-  // Transformation duration (how long the power-up lasts once activated)
-  // Increased for larger arena - more time to utilize the power-up
-  transformationDuration: 25000, // 25 seconds of powered-up state
-};
-
-/**
- * Transformation stat bonuses
- * Applied when player activates transformation at 100% Ki
- */
-export const TRANSFORMATION_BONUSES = {
-  // Damage boost - attacks hit harder
-  damageMultiplier: 1.25, // 25% more damage
-
-  // Defense boost - take less damage
-  defenseMultiplier: 0.85, // Take 15% less damage (multiplied to incoming damage)
-
-  // Health bonus - gain extra max health during transformation
-  maxHealthBonus: 20, // +20 max health (and heal that amount on transform)
-
-  // Stamina bonus - more stamina pool and faster regen
-  maxStaminaBonus: 20, // +20 max stamina
-  staminaRegenMultiplier: 1.6, // 60% faster stamina regen
-
-  // Speed boost - faster movement
-  speedMultiplier: 1.3, // 30% faster movement speed
-
-  // Flight efficiency - fly longer
-  flightDrainMultiplier: 0.75, // 25% less stamina drain while flying
+  transformationTimeout: 20000, // Milliseconds before Ki resets if the next form is ready but not used (20 sec)
 };
 
 /**
@@ -95,10 +67,68 @@ export const COMBAT = {
   basicAttackStaminaCost: 8, // Stamina cost per attack - prevents spamming
   // Knockback scaling (damage multiplier for knockback)
   knockbackScaling: 0.01,
+  // Stock matches: health resets every stock, so damage taken has to count for more
+  stockKnockbackScaling: 0.025,
   // Invincibility frames after being hit
   invincibilityDuration: 200, // Milliseconds
 };
 
+/**
+ * Signature move (beam) settings shared by every character
+ * Per-move damage, timing and shape live in each character's signatureMove
+ */
+export const BEAM = {
+  originOffset: 35, // Distance in front of the player's center the beam fires from
+  chargeOrbRadius: 18, // Size of the orb at the hands while charging
+};
+
+/**
+ * Beam clash settings
+ * When two opposing beams meet, both players mash attack to push the contact point.
+ * The overpowered player takes both beams' damage.
+ */
+export const BEAM_CLASH = {
+  pushPerMash: 16, // Pixels the contact point moves per attack press
+  loseDistance: 40, // Contact point this close to a beam's origin overpowers that beam
+  maxDuration: 4000, // Milliseconds before the clash is decided by contact position
+  drawMargin: 20, // Timeout with the contact point within this of the middle cancels both beams
+};
+
+/**
+ * Guard (blocking) balance
+ * Blocking trades movement for heavily reduced damage and knockback.
+ * Blocked hits drain the guard meter; emptying it breaks guard and stuns.
+ */
+export const GUARD = {
+  maxGuard: 100,
+  damageMultiplier: 0.2, // Chip damage taken while blocking
+  knockbackMultiplier: 0.3, // Knockback taken while blocking (no hitstun)
+  drainPerDamage: 3, // Guard lost per point of (unreduced) damage blocked
+  regenRate: 0.25, // Guard per frame (normalized to 60fps) while not blocking
+  regenDelay: 1000, // Milliseconds after a blocked hit before guard regenerates
+  breakStunDuration: 1200, // Milliseconds stunned when guard breaks (guard regenerates during it)
+};
+
+/**
+ * Melee balance
+ * Attack at close range starts a 3-hit light string instead of firing a blast.
+ * Timings are in milliseconds (1 frame ≈ 16.7ms). The next hit is only
+ * chained if the current one connected; the finisher launches.
+ */
+export const MELEE = {
+  hitboxReach: 55, // Hitbox width in front of the player's body
+  hitboxHeight: 60, // Hitbox height, centered on the player
+  staminaCostMultiplier: 0.5, // Fraction of the character's blast stamina cost per hit
+  hits: [
+    // Jab - fast, tiny push keeps the target in range
+    { damage: 4, startup: 67, active: 67, recovery: 150, knockbackMultiplier: 0.3, launch: 0.2 },
+    // Follow-up - lands just as the first hit's invincibility ends
+    { damage: 5, startup: 100, active: 100, recovery: 183, knockbackMultiplier: 0.45, launch: 0.2 },
+    // Finisher - slow, heavy knockback launching up and away
+    { damage: 8, startup: 117, active: 83, recovery: 333, knockbackMultiplier: 1.6, launch: 0.8 },
+  ],
+};
+
 /**
  * Projectile balance
  */
@@ -108,6 +138,17 @@ export const PROJECTILE = {
   cooldown: 250, // Milliseconds (faster to match attack cooldown)
 };
 
+/**
+ * Projectile clash settings
+ * Opposing blasts that touch either cancel out or the bigger one (character
+ * projectileSizeMultiplier) wins and keeps flying.
+ */
+export const PROJECTILE_CLASH = {
+  sizeTolerance: 1.08, // Size ratio below this cancels both blasts
+  explosionRadius: 40, // Final radius of the burst at the contact point
+  explosionDuration: 250, // Milliseconds for the burst to expand and fade
+};
+
 /**
  * Round/Match settings
  */
@@ -115,11 +156,93 @@ export const MATCH = {
   roundTime: 99, // Seconds (0 = infinite)
   roundsToWin: 2,
   respawnDelay: 2000, // Milliseconds after KO before respawn
+  stocks: 3, // Lives per player in stock matches
+  respawnInvincibility: 2000, // Milliseconds of invincibility after a stock respawn
+};
+
+/**
+ * Replay playback settings
+ */
+export const REPLAY = {
+  speeds: [0.25, 0.5, 1, 2, 4], // Playback speeds, slowest first
+  defaultSpeed: 1,
 };
 
 /**
- * Arena settings
- * Arena is larger than the viewport to allow for dynamic camera movement
+ * Training mode settings
+ */
+export const TRAINING = {
+  dummyModes: ['STAND', 'JUMP', 'FLY', 'BLOCK'], // Cycled with the dummy mode key
+  dummyHoverHeight: 250, // Pixels above its spawn point the flying dummy hovers at
+  koResetDelay: 1000, // Milliseconds after a KO before positions reset
+  frameDuration: 1000 / 60, // Milliseconds per frame for frame data display
+};
+
+/**
+ * CPU opponent difficulty profiles
+ * reactionTime:      ms between decisions (the CPU acts on what it saw last decision)
+ * aimTolerance:      max vertical miss (px) at which the CPU will still fire
+ * fireChance:        chance to fire when a shot is lined up
+ * dodgeChance:       chance to jump an incoming projectile
+ * preferredRange:    distance (px) the CPU tries to keep for zoning
+ * chargeSafeDistance: min distance (px) from the opponent before charging Ki
+ * canFly:            whether the CPU takes to the air to chase flying opponents
+ * staminaReserve:    stamina kept back instead of spending it on shots
+ * mashRate:          attack presses per second in a beam clash
+ */
+export const CPU_PROFILES = {
+  easy: {
+    reactionTime: 500,
+    aimTolerance: 160,
+    fireChance: 0.35,
+    dodgeChance: 0.1,
+    preferredRange: 300,
+    chargeSafeDistance: 700,
+    canFly: false,
+    staminaReserve: 0,
+    mashRate: 4,
+  },
+  normal: {
+    reactionTime: 300,
+    aimTolerance: 90,
+    fireChance: 0.6,
+    dodgeChance: 0.35,
+    preferredRange: 380,
+    chargeSafeDistance: 550,
+    canFly: true,
+    staminaReserve: 20,
+    mashRate: 7,
+  },
+  hard: {
+    reactionTime: 150,
+    aimTolerance: 45,
+    fireChance: 0.9,
+    dodgeChance: 0.7,
+    preferredRange: 450,
+    chargeSafeDistance: 450,
+    canFly: true,
+    staminaReserve: 35,
+    mashRate: 10,
+  },
+};
+
+/**
+ * Arcade mode settings
+ * Player 1 fights every other character in turn; the CPU gets tougher each stage
+ */
+export const ARCADE = {
+  cpuProfiles: ['easy', 'normal', 'hard'], // CPU_PROFILES key per stage (last one repeats)
+  stageClearBonus: 1000, // Points per stage cleared, multiplied by the stage number
+  roundWinBonus: 300, // Points per round won
+  damagePoints: 10, // Points per point of damage dealt
+  continueCountdown: 10, // Seconds to accept a continue after a loss
+};
+
+/**
+ * Default arena layout
+ * Arena is larger than the viewport to allow for dynamic camera movement.
+ * Each arena in src/arenas/ starts from these values and overrides its own
+ * dimensions, spawn points and death zone; softBoundary applies to every arena.
  */
 export const ARENA = {
   // Arena dimensions (larger than viewport for expansive combat)
@@ -152,6 +275,31 @@ export const ARENA = {
   },
 };
 
+/**
+ * Ring-out settings (arenas with the ring-out rule)
+ * The blast is drawn where the player left, pulled back inside the visible
+ * screen so it's seen even though the player is already off camera.
+ */
+export const RING_OUT = {
+  blastLength: 520, // Length of the blast streak pointing back into the arena
+  blastWidth: 150, // Width of the streak at the screen edge
+  blastDuration: 900, // Milliseconds for the blast to flare and fade
+  edgeInset: 40, // How far inside the screen edge the blast is anchored
+};
+
+/**
+ * Destructible building settings (arenas with buildings)
+ * Buildings never block movement - ki blasts fly through them and fighters
+ * are knocked through them, wearing down their hp on the way.
+ */
+export const BUILDINGS = {
+  projectileDamageScale: 1, // Building damage per point of ki blast damage
+  impactSpeed: 8, // Minimum speed of a stunned fighter to damage a building
+  impactDamagePerSpeed: 3, // Building damage per unit of impact speed
+  crumbleDuration: 700, // Milliseconds for a building to sink and fade
+  debrisCount: 14, // Chunks thrown out when a building collapses
+};
+
 /**
  * Camera system settings
  * Dynamic camera that frames both players with smooth zoom
@@ -180,6 +328,10 @@ export const CAMERA = {
     vertical: 50,
   },
 
+  // Focus point (beam clash) - pulls the camera toward a point and zooms in
+  focusWeight: 0.6, // 0 = ignore focus point, 1 = center on it
+  focusZoom: 0.95, // Minimum zoom while focused
+
   // Dead zone - camera won't move for small player movements
   deadZone: {
     width: 50,
@@ -224,5 +376,11 @@ export const UI = {
   staminaBarHeight: 12,
   kiBarWidth: 200,
   kiBarHeight: 12,
+  guardBarWidth: 200,
+  guardBarHeight: 6,
   hudPadding: 20,
+  roundPipRadius: 7, // Round win indicators under the bars
+  roundPipSpacing: 22,
+  stockIconRadius: 8, // Stock (lives) indicators, in place of the round pips
+  stockIconSpacing: 24,
 };
@@ -0,0 +1,31 @@
+/**
+ * Online play constants
+ * Shared by the browser client and the relay server (server/relay.js)
+ */
+
+/**
+ * Relay server and connection settings
+ */
+export const NETWORK = {
+  relayPort: 8787, // Port server/relay.js listens on (override with RELAY_PORT)
+  roomCodeLength: 4,
+  roomCodeAlphabet: 'ABCDEFGHJKLMNPQRSTUVWXYZ', // No I or O - easy to read out loud
+  maxMessageBytes: 16 * 1024, // Relay drops clients sending anything bigger
+  heartbeatInterval: 10000, // Relay drops sockets that miss a heartbeat
+  connectTimeout: 5000, // Milliseconds before a connection attempt gives up
+};
+
+/**
+ * Online match settings
+ */
+export const NETPLAY = {
+  inputDelay: 2, // Default steps between reading local input and simulating it (Settings: Online Input Delay)
+  maxRollbackFrames: 8, // Steps the match may run ahead on predicted input before it waits for the opponent
+  maxInputsPerMessage: 32, // Unacknowledged inputs resent with every input message (covers lost messages)
+  maxFrameAdvantage: 2, // Steps ahead of the opponent tolerated before a step is skipped to let them catch up
+  frameSyncInterval: 10, // Minimum steps between two skipped steps
+  checksumInterval: 60, // Steps between state checksums compared with the opponent (desync detection)
+  pingInterval: 1000, // Milliseconds between ping measurements
+  waitNoticeDelay: 250, // Stalled this long on the opponent's input → show "waiting" notice
+  disconnectEndDelay: 2500, // Milliseconds the "opponent left" notice shows before the results
+};
@@ -8,6 +8,8 @@
  */
 export const WORLD = {
   gravity: { x: 0, y: 1.0 }, // Reduced from 1.5 for more floaty feel
+  stepDelta: 1000 / 60, // Milliseconds per gameplay step (physics and game logic run at a fixed 60 Hz)
+  maxFrameDelta: 1000 / 15, // Longer render frames (tab in background, hitches) are cut to this
   bounds: {
     // Arena bounds (will be set based on game dimensions)
     padding: 50,
@@ -71,7 +73,17 @@ export const PROJECTILE_BODY = {
   isSensor: false, // Not a sensor - we want physical collision
   // Collision categories
   collisionCategory: 0x0002,
-  collisionMask: 0x0001 | 0x0004, // Collides with players AND ground/walls
+  collisionMask: 0x0001 | 0x0002 | 0x0004, // Collides with players, opposing projectiles AND ground/walls
+};
+
+/**
+ * Beam head sensor (signature moves)
+ * Beam heads only touch other beam heads - used to detect beam clashes
+ */
+export const BEAM_BODY = {
+  headWidth: 24, // Widened by the beam's speed so fast heads can't pass through each other
+  collisionCategory: 0x0008,
+  collisionMask: 0x0008,
 };
 
 /**
@@ -100,4 +112,12 @@ export const GROUND = {
   frictionStatic: 0.01, // Very low static friction to prevent sticking
   restitution: 0,
   collisionCategory: 0x0004,
+  // Contact-based ground detection
+  maxSlopeAngle: 50, // Degrees - steeper surfaces count as walls, not ground
+  contactGrace: 80, // Milliseconds still grounded after losing contact (walking down slopes, ledge jumps)
+  // Terrain shapes
+  slopeThickness: 40, // Thickness of ramp slabs
+  platformThickness: 16, // Thickness of one-way platforms
+  platformTolerance: 10, // How far below a platform's top a falling body can start and still land
+  dropThroughTime: 250, // Milliseconds a body ignores one-way platforms after dropping through
 };
@@ -0,0 +1,96 @@
+import { MATCH } from './gameBalance.js';
+import { NETPLAY } from './network.js';
+
+/**
+ * Player-adjustable settings
+ * Each option cycles through a fixed list of values in the Settings menu.
+ * The player's choices are saved to localStorage (see utils/settings.js).
+ *
+ * key:     Setting name (settings.get(key))
+ * label:   Text shown in the Settings menu
+ * values:  Allowed values, in menu order
+ * default: Value used until the player changes it
+ * format:  Turns a value into menu text
+ */
+
+const formatPercent = (value) => `${value}%`;
+
+export const SETTINGS_OPTIONS = [
+  {
+    key: 'masterVolume',
+    label: 'Master Volume',
+    values: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+    default: 80,
+    format: formatPercent,
+  },
+  {
+    key: 'musicVolume',
+    label: 'Music Volume',
+    values: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+    default: 70,
+    format: formatPercent,
+  },
+  {
+    key: 'sfxVolume',
+    label: 'SFX Volume',
+    values: [0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+    default: 100,
+    format: formatPercent,
+  },
+  {
+    key: 'screenShake',
+    label: 'Screen Shake',
+    values: [0, 0.5, 1, 1.5],
+    default: 1,
+    format: (value) => ({ 0: 'Off', 0.5: 'Low', 1: 'Normal', 1.5: 'High' })[value],
+  },
+  {
+    key: 'slowMotion',
+    label: 'KO Slow Motion',
+    values: [true, false],
+    default: true,
+    format: (value) => (value ? 'On' : 'Off'),
+  },
+  {
+    key: 'hudScale',
+    label: 'HUD Scale',
+    values: [0.8, 1, 1.2],
+    default: 1,
+    format: (value) => ({ 0.8: 'Small', 1: 'Normal', 1.2: 'Large' })[value],
+  },
+  {
+    key: 'roundsToWin',
+    label: 'Rounds',
+    values: [1, 2, 3],
+    default: MATCH.roundsToWin,
+    format: (value) => `Best of ${value * 2 - 1}`,
+  },
+  {
+    key: 'stocks',
+    label: 'Stock Lives',
+    values: [1, 2, 3, 4, 5],
+    default: MATCH.stocks,
+    format: (value) => `${value} ${value === 1 ? 'Life' : 'Lives'}`,
+  },
+  {
+    key: 'roundTime',
+    label: 'Round Time',
+    values: [30, 60, 99, 0],
+    default: MATCH.roundTime,
+    format: (value) => (value === 0 ? 'Infinite' : `${value}s`),
+  },
+  {
+    key: 'onlineInputDelay',
+    label: 'Online Input Delay',
+    values: [0, 1, 2, 3, 4],
+    default: NETPLAY.inputDelay,
+    format: (value) => `${value} ${value === 1 ? 'Frame' : 'Frames'}`,
+  },
+  {
+    key: 'logLevel',
+    label: 'Debug Log Level',
+    values: ['none', 'error', 'warn', 'info', 'debug'],
+    default: 'info',
+    format: (value) => value.toUpperCase(),
+  },
+];
@@ -0,0 +1,302 @@
+import { PLAYER_STATES, KI_SYSTEM, FLIGHT, ARENA, CPU_PROFILES } from '../constants/gameBalance.js';
+import { PROJECTILE_MOVEMENT } from '../constants/physics.js';
+import { random } from '../utils/random.js';
+
+/**
+ * CpuController - Computer-controlled opponent
+ *
+ * Produces raw button state for InputSystem like the keyboard does, so the
+ * CPU fighter goes through the same movement and combat code as a human and
+ * ends up with the same input-state object (including the *Pressed edges).
+ *
+ * The CPU re-thinks every reactionTime ms and holds its intent in between,
+ * which is what gives easier profiles their slower, more readable play.
+ * Priorities each think:
+ * 1. Power up to the next form as soon as Ki allows
+ * 2. Jump incoming projectiles
+ * 3. Charge Ki when far enough away to be safe
+ * 4. Hold preferred range and follow the opponent vertically (jump / fly)
+ * 5. Fire when the shot is lined up
+ *
+ * In a beam clash it ignores all of that and mashes attack at the profile's mashRate.
+ */
+export default class CpuController {
+  /**
+   * @param {Player} player - The player entity this controller drives
+   * @param {Player} opponent - The player it fights
+   * @param {CombatSystem} combatSystem - Used to see projectiles in flight
+   * @param {Object} options - { difficulty } key of CPU_PROFILES ('easy', 'normal', 'hard')
+   */
+  constructor(player, opponent, combatSystem, options = {}) {
+    this.player = player;
+    this.opponent = opponent;
+    this.combatSystem = combatSystem;
+
+    this.difficulty = CPU_PROFILES[options.difficulty] ? options.difficulty : 'normal';
+    this.profile = CPU_PROFILES[this.difficulty];
+
+    // Current intent, held until the next think
+    this.intent = {
+      move: 0, // -1 left, 0 none, 1 right
+      vertical: 0, // -1 up, 0 none, 1 down (flight control)
+      jump: false,
+      attack: false,
+      special: false,
+    };
+    this.nextThinkTime = 0;
+
+    // Buttons held last frame (presses must be released to register again)
+    this.jumpHeldLastFrame = false;
+    this.attackHeldLastFrame = false;
+
+    // Next attack press while mashing a beam clash
+    this.nextMashTime = 0;
+  }
+
+  /**
+   * Gets this frame's raw input state
+   * @returns {Object} { left, right, up, down, jump, attack, special, block }
+   */
+  getInput() {
+    const input = {
+      left: false,
+      right: false,
+      up: false,
+      down: false,
+      jump: false,
+      attack: false,
+      special: false,
+      block: false,
+    };
+
+    if (!this.player.canAct() || this.opponent.getState() === PLAYER_STATES.DEAD) {
+      this.intent.special = false;
+      return input;
+    }
+
+    const now = this.player.scene.simTime;
+
+    if (this.combatSystem && this.combatSystem.isInBeamClash(this.player)) {
+      return this.getMashInput(input, now);
+    }
+
+    if (now >= this.nextThinkTime) {
+      this.think();
+      // Small jitter so the CPU doesn't act on a visible rhythm
+      this.nextThinkTime = now + this.profile.reactionTime * (0.75 + random.next() * 0.5);
+    }
+
+    input.left = this.intent.move < 0;
+    input.right = this.intent.move > 0;
+    input.up = this.intent.vertical < 0;
+    input.down = this.intent.vertical > 0;
+    input.special = this.intent.special;
+
+    // One-shot buttons: press for a single frame, then release
+    input.jump = this.intent.jump && !this.jumpHeldLastFrame;
+    input.up = input.up || input.jump; // Jump and up share a key for humans
+    this.jumpHeldLastFrame = input.jump;
+    if (input.jump) this.intent.jump = false;
+
+    input.attack = this.intent.attack && !this.attackHeldLastFrame;
+    this.attackHeldLastFrame = input.attack;
+    if (input.attack) this.intent.attack = false;
+
+    return input;
+  }
+
+  /**
+   * Mashes attack during a beam clash
+   * @param {Object} input - Empty input state to fill in
+   * @param {number} now - Current time
+   * @returns {Object} Input state
+   */
+  getMashInput(input, now) {
+    if (now >= this.nextMashTime && !this.attackHeldLastFrame) {
+      input.attack = true;
+      this.nextMashTime = now + 1000 / this.profile.mashRate;
+    }
+    this.attackHeldLastFrame = input.attack;
+    return input;
+  }
+
+  /**
+   * Decides what to do until the next think
+   */
+  think() {
+    const pos = this.player.getPosition();
+    const opponentPos = this.opponent.getPosition();
+    const dx = opponentPos.x - pos.x;
+    const dy = opponentPos.y - pos.y; // Negative = opponent is above
+    const directionToOpponent = Math.sign(dx) || this.player.facingDirection;
+    const distance = Math.abs(dx);
+
+    this.intent.jump = false;
+    this.intent.attack = false;
+    this.intent.vertical = 0;
+
+    // 1. Power up as soon as the next form is available
+    if (this.player.canTransform) {
+      this.intent.special = true;
+      this.intent.move = 0;
+      return;
+    }
+
+    // 2. Jump incoming projectiles
+    const threatened = this.isProjectileIncoming(pos);
+    if (threatened && this.player.jumpsRemaining > 0 && random.next() < this.profile.dodgeChance) {
+      this.intent.special = false;
+      this.intent.jump = true;
+      this.intent.move = -directionToOpponent;
+      return;
+    }
+
+    // 3. Charge Ki while the opponent is far away
+    if (this.shouldCharge(distance, threatened)) {
+      this.intent.special = true;
+      this.intent.move = 0;
+      return;
+    }
+    this.intent.special = false;
+
+    // 4. Spacing and vertical chase
+    this.intent.move = this.chooseHorizontalMove(pos, directionToOpponent, distance);
+    this.chooseVerticalMove(dy);
+
+    // 5. Fire when lined up
+    const facing = this.intent.move !== 0 ? this.intent.move : this.player.facingDirection;
+    if (facing === directionToOpponent && this.isShotLinedUp(distance) && this.canAffordShot()) {
+      this.intent.attack = random.next() < this.profile.fireChance;
+    }
+  }
+
+  /**
+   * Checks whether it is safe and worthwhile to charge Ki
+   * Only charges on the ground, away from the opponent, with no projectile inbound
+   * @param {number} distance - Horizontal distance to the opponent
+   * @param {boolean} threatened - Whether a projectile is incoming
+   * @returns {boolean}
+   */
+  shouldCharge(distance, threatened) {
+    if (threatened || !this.player.getNextForm()) return false;
+    if (this.player.ki >= KI_SYSTEM.maxKi) return false;
+    if (this.player.getState() !== PLAYER_STATES.GROUNDED) return false;
+    if (distance < this.profile.chargeSafeDistance) return false;
+
+    // Keep charging once started; otherwise start some of the time
+    return this.player.isCharging || random.next() < 0.5;
+  }
+
+  /**
+   * Picks horizontal movement to hold the preferred zoning range
+   * @param {Object} pos - CPU position
+   * @param {number} directionToOpponent - -1 or 1
+   * @param {number} distance - Horizontal distance to the opponent
+   * @returns {number} -1, 0 or 1
+   */
+  chooseHorizontalMove(pos, directionToOpponent, distance) {
+    const range = this.profile.preferredRange;
+
+    if (distance > range * 1.3) {
+      return directionToOpponent;
+    }
+
+    if (distance < range * 0.6) {
+      // Backed into a wall or the edge of the floor: jump out instead of retreating off it
+      const retreat = -directionToOpponent;
+      const { floorBounds } = this.player.scene.arena;
+      const wallMargin = ARENA.softBoundary.margin * 1.5;
+      const nearWall = retreat < 0
+        ? pos.x < floorBounds.left + wallMargin
+        : pos.x > floorBounds.right - wallMargin;
+      if (nearWall) {
+        this.intent.jump = this.player.jumpsRemaining > 0;
+        return directionToOpponent;
+      }
+      return retreat;
+    }
+
+    // In range - just turn to face the opponent
+    return this.player.facingDirection === directionToOpponent ? 0 : directionToOpponent;
+  }
+
+  /**
+   * Picks jumps and flight input to follow the opponent's height
+   * @param {number} dy - Opponent Y minus CPU Y (negative = opponent above)
+   */
+  chooseVerticalMove(dy) {
+    const state = this.player.getState();
+    const opponentAbove = dy < -150;
+    const canAffordFlight = this.player.stamina > FLIGHT.minStaminaToFly + this.profile.staminaReserve;
+
+    if (state === PLAYER_STATES.FLYING) {
+      // Land again once the opponent is back on the ground or stamina runs low
+      if (this.opponent.getState() === PLAYER_STATES.GROUNDED || !canAffordFlight) {
+        this.intent.vertical = 0;
+        return;
+      }
+      // Hover around the opponent's height (holding up or down keeps flight active)
+      this.intent.vertical = dy < 0 ? -1 : 1;
+      return;
+    }
+
+    if (!opponentAbove) return;
+
+    if (state === PLAYER_STATES.GROUNDED) {
+      this.intent.jump = true;
+    } else if (state === PLAYER_STATES.AIRBORNE) {
+      if (this.player.jumpsRemaining > 0 && this.player.getVelocity().y >= 0) {
+        // Double jump at the top of the first jump
+        this.intent.jump = true;
+      } else if (this.player.jumpsRemaining <= 0 && this.profile.canFly && canAffordFlight) {
+        // Out of jumps - holding up enters flight
+        this.intent.vertical = -1;
+      }
+    }
+  }
+
+  /**
+   * Checks whether a shot fired now would still connect
+   * Projectiles aim at the opponent's current position, so the miss comes
+   * from how far they move vertically while the shot travels
+   * @param {number} distance - Horizontal distance to the opponent
+   * @returns {boolean}
+   */
+  isShotLinedUp(distance) {
+    const shotSpeed = PROJECTILE_MOVEMENT.speed * this.player.getStats().projectileSpeedMultiplier;
+    const travelFrames = distance / shotSpeed;
+    const predictedMiss = Math.abs(this.opponent.getVelocity().y * travelFrames);
+    return predictedMiss <= this.profile.aimTolerance;
+  }
+
+  /**
+   * Checks whether the CPU has stamina to spare for a shot
+   * @returns {boolean}
+   */
+  canAffordShot() {
+    const cost = this.player.getStats().attackStaminaCost;
+    return this.player.stamina - cost >= this.profile.staminaReserve;
+  }
+
+  /**
+   * Looks for an opponent projectile heading at the CPU
+   * @param {Object} pos - CPU position
+   * @returns {boolean}
+   */
+  isProjectileIncoming(pos) {
+    if (!this.combatSystem) return false;
+
+    for (const projectile of this.combatSystem.projectiles) {
+      if (projectile.ownerPlayerNumber === this.player.playerNumber || !projectile.body) continue;
+
+      const offsetX = pos.x - projectile.body.position.x;
+      const offsetY = pos.y - projectile.body.position.y;
+      const headingAtCpu = Math.sign(projectile.body.velocity.x) === Math.sign(offsetX);
+
+      if (headingAtCpu && Math.abs(offsetX) < 300 && Math.abs(offsetY) < 80) {
+        return true;
+      }
+    }
+    return false;
+  }
+}
@@ -0,0 +1,108 @@
+import { PLAYER_STATES, TRAINING } from '../constants/gameBalance.js';
+
+/**
+ * DummyController - Scripted input source for the training dummy
+ *
+ * Controllers stand in for the keyboard in InputSystem: each frame they
+ * return the same raw button state a human would produce, so the dummy
+ * goes through exactly the same movement and combat code as a player.
+ *
+ * Modes:
+ * - STAND: no input
+ * - JUMP:  jumps again every time it lands
+ * - FLY:   jumps into flight and hovers around a fixed height
+ * - BLOCK: holds block
+ */
+export default class DummyController {
+  /**
+   * @param {Player} player - The player entity this controller drives
+   * @param {number} spawnY - Spawn height (used for the hover height in FLY mode)
+   */
+  constructor(player, spawnY) {
+    this.player = player;
+    this.mode = TRAINING.dummyModes[0];
+    this.hoverY = spawnY - TRAINING.dummyHoverHeight;
+
+    // Alternates jump presses so each one registers as a fresh press
+    this.jumpHeldLastFrame = false;
+  }
+
+  /**
+   * Sets the dummy behavior
+   * @param {string} mode - One of TRAINING.dummyModes
+   */
+  setMode(mode) {
+    this.mode = mode;
+    this.jumpHeldLastFrame = false;
+  }
+
+  /**
+   * Gets this frame's raw input state
+   * @returns {Object} { left, right, up, down, jump, attack, special, block }
+   */
+  getInput() {
+    const input = {
+      left: false,
+      right: false,
+      up: false,
+      down: false,
+      jump: false,
+      attack: false,
+      special: false,
+      block: false,
+    };
+
+    switch (this.mode) {
+      case 'JUMP':
+        input.jump = this.pressJump(this.player.getState() === PLAYER_STATES.GROUNDED);
+        input.up = input.jump;
+        break;
+
+      case 'FLY':
+        this.applyFlyInput(input);
+        break;
+
+      case 'BLOCK':
+        input.block = true;
+        break;
+    }
+
+    return input;
+  }
+
+  /**
+   * Fills in input for FLY mode
+   * Uses up the jumps first (flight needs an empty jump count), then hovers
+   * @param {Object} input - Input state to fill in
+   */
+  applyFlyInput(input) {
+    const state = this.player.getState();
+
+    if (state === PLAYER_STATES.FLYING) {
+      // Hold up below the hover height, down above it (either keeps flight active)
+      const belowHover = this.player.getPosition().y > this.hoverY;
+      input.up = belowHover;
+      input.down = !belowHover;
+      return;
+    }
+
+    if (this.player.jumpsRemaining > 0) {
+      input.jump = this.pressJump(true);
+      input.up = input.jump;
+    } else {
+      // Holding up while airborne with no jumps left enters flight
+      input.up = true;
+    }
+  }
+
+  /**
+   * Produces a jump press that releases every other frame
+   * @param {boolean} wantsJump - Whether the dummy wants to jump this frame
+   * @returns {boolean} Jump button state
+   */
+  pressJump(wantsJump) {
+    const jump = wantsJump && !this.jumpHeldLastFrame;
+    this.jumpHeldLastFrame = jump;
+    return jump;
+  }
+}
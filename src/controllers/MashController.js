@@ -0,0 +1,70 @@
+/**
+ * Chance each button is held when a new input is picked
+ * (movement is picked separately: left, right or neither)
+ */
+const BUTTON_CHANCES = {
+  up: 0.15,
+  down: 0.1,
+  jump: 0.1,
+  attack: 0.35,
+  special: 0.05,
+  block: 0.1,
+};
+
+/**
+ * Steps an input is held before picking a new one (min / max)
+ */
+const HOLD_STEPS = { min: 4, max: 30 };
+
+/**
+ * MashController - Random button presses for testing online play
+ *
+ * Stands in for the keyboard on one side of the netplay test harness so
+ * both players keep changing input without anyone at the keys - every
+ * change the opponent can't foresee exercises a rollback. Each pick is held
+ * a few steps, like a person would.
+ *
+ * Uses Math.random by default, not the seeded match random: the local input
+ * is read outside the simulation, and drawing from the match sequence there
+ * would desync the two sides. The balance simulator passes its own seeded
+ * generator so runs repeat.
+ */
+export default class MashController {
+  /**
+   * @param {Object} options - { rng } function returning 0-1 (default Math.random)
+   */
+  constructor(options = {}) {
+    this.rng = options.rng || Math.random;
+    this.input = this.pickInput();
+    this.stepsLeft = 0;
+  }
+
+  /**
+   * Gets this step's raw input state
+   * @returns {Object} { left, right, up, down, jump, attack, special, block }
+   */
+  getInput() {
+    if (this.stepsLeft <= 0) {
+      this.input = this.pickInput();
+      this.stepsLeft = HOLD_STEPS.min + Math.floor(this.rng() * (HOLD_STEPS.max - HOLD_STEPS.min + 1));
+    }
+    this.stepsLeft--;
+
+    return { ...this.input };
+  }
+
+  /**
+   * Picks a random set of held buttons
+   * @returns {Object} { left, right, up, down, jump, attack, special, block }
+   */
+  pickInput() {
+    const move = Math.floor(this.rng() * 3) - 1;
+    const input = { left: move < 0, right: move > 0 };
+
+    Object.entries(BUTTON_CHANCES).forEach(([button, chance]) => {
+      input[button] = this.rng() < chance;
+    });
+
+    return input;
+  }
+}
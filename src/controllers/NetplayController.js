@@ -0,0 +1,27 @@
+/**
+ * NetplayController - Input source for a player in an online match
+ *
+ * Both players in an online match are driven by one of these, the local
+ * player included: local input is read ahead of time and delayed (see
+ * NetplaySystem), so on both machines each step simulates the inputs both
+ * players sent for it - or, until the opponent's arrives, a prediction that
+ * a rollback corrects.
+ */
+export default class NetplayController {
+  /**
+   * @param {NetplaySystem} netplay - Netplay system holding the inputs
+   * @param {number} playerNumber - Player this controller drives
+   */
+  constructor(netplay, playerNumber) {
+    this.netplay = netplay;
+    this.playerNumber = playerNumber;
+  }
+
+  /**
+   * Gets this step's raw input state
+   * @returns {Object} Raw button state with axisX / axisY
+   */
+  getInput() {
+    return this.netplay.getStepInput(this.playerNumber);
+  }
+}
@@ -0,0 +1,436 @@
+import { BEAM } from '../constants/gameBalance.js';
+import { BEAM_BODY } from '../constants/physics.js';
+import { logDebug } from '../utils/debug.js';
+
+/**
+ * Beam Entity
+ * A character's signature move, fired horizontally from the owner's hands
+ *
+ * Phases:
+ * - CHARGING: owner is rooted while the move charges (orb at the hands, no hitbox)
+ * - FIRING: the head extends at move.speed until it reaches maxLength, a wall,
+ *   or the target (non-piercing beams stop where they hit). Lasts move.duration.
+ * - CLASHING: locked against an opposing beam; CombatSystem moves the contact point
+ * - RECOVERY: beam is gone, owner is still rooted for move.recovery
+ *
+ * CombatSystem resolves hits on players with overlapsBounds(). While firing, the
+ * head carries a sensor body (label beam_<player>) that only touches other beam
+ * heads, so opposing beams meeting shows up in CombatSystem.handleCollisions.
+ * The hitbox shape comes from move.shape:
+ * - 'beam':      constant thickness
+ * - 'wave':      thickness grows toward the head (up to 2x)
+ * - 'thin':      constant, narrow
+ * - 'corkscrew': constant thickness, drawn as a spiral around a thin core
+ */
+export default class Beam {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Player} owner - The player firing the beam
+   * @param {Object} move - The owner's signatureMove config
+   */
+  constructor(scene, owner, move) {
+    this.scene = scene;
+    this.owner = owner;
+    this.ownerPlayerNumber = owner.playerNumber;
+    this.move = move;
+
+    // Fired in the owner's facing direction (locked for the whole move)
+    this.direction = owner.facingDirection;
+
+    this.phase = 'CHARGING';
+    this.phaseStartTime = scene.simTime;
+
+    // Current and maximum length (maximum shrinks on a non-piercing hit)
+    this.length = 0;
+    this.maxLength = move.maxLength;
+
+    // Multi-hit tracking
+    this.hitCount = 0;
+    this.lastHitTime = 0;
+
+    this.shouldDestroy = false;
+
+    // Head sensor (created when the beam fires)
+    this.body = null;
+
+    this.graphics = scene.add.graphics();
+
+    // Make UI camera ignore beam graphics (world object)
+    if (scene.uiCamera) {
+      scene.uiCamera.ignore(this.graphics);
+    }
+
+    logDebug(`Beam: Player ${this.ownerPlayerNumber} charging ${move.name}`);
+  }
+
+  /**
+   * Gets the point the beam is fired from (in front of the owner)
+   * @returns {Object} Position { x, y }
+   */
+  getOrigin() {
+    const pos = this.owner.getPosition();
+    return {
+      x: pos.x + this.direction * BEAM.originOffset,
+      y: pos.y,
+    };
+  }
+
+  /**
+   * Gets the X position of the beam's leading edge
+   * @returns {number}
+   */
+  getHeadX() {
+    return this.getOrigin().x + this.direction * this.length;
+  }
+
+  /**
+   * Gets the hitbox thickness at a distance along the beam
+   * @param {number} distance - Distance from the origin
+   * @returns {number}
+   */
+  getThicknessAt(distance) {
+    if (this.move.shape === 'wave') {
+      return this.move.width * (1 + Math.min(1, distance / this.move.maxLength));
+    }
+    return this.move.width;
+  }
+
+  /**
+   * Checks whether the beam hitbox overlaps a bounding box
+   * @param {Object} bounds - Matter bounds { min: { x, y }, max: { x, y } }
+   * @returns {boolean}
+   */
+  overlapsBounds(bounds) {
+    if (this.phase !== 'FIRING' || this.length <= 0) return false;
+
+    const origin = this.getOrigin();
+    const headX = this.getHeadX();
+    const left = Math.min(origin.x, headX);
+    const right = Math.max(origin.x, headX);
+
+    if (bounds.max.x < left || bounds.min.x > right) return false;
+
+    // Thickness at the nearest point of the target along the beam
+    const nearestX = this.direction > 0 ? Math.max(bounds.min.x, left) : Math.min(bounds.max.x, right);
+    const halfThickness = this.getThicknessAt(Math.abs(nearestX - origin.x)) / 2;
+
+    return bounds.max.y > origin.y - halfThickness && bounds.min.y < origin.y + halfThickness;
+  }
+
+  /**
+   * Checks whether the beam can land another hit now
+   * @param {number} time - Current time
+   * @returns {boolean}
+   */
+  canHit(time) {
+    return (
+      this.phase === 'FIRING' &&
+      this.hitCount < this.move.hits &&
+      time - this.lastHitTime >= this.move.hitInterval
+    );
+  }
+
+  /**
+   * Records a hit. Non-piercing beams stop at the target.
+   * @param {number} time - Current time
+   * @param {Object} bounds - Target bounds
+   */
+  registerHit(time, bounds) {
+    this.hitCount++;
+    this.lastHitTime = time;
+
+    if (!this.move.pierce) {
+      const origin = this.getOrigin();
+      const impactX = this.direction > 0 ? bounds.min.x : bounds.max.x;
+      this.maxLength = Math.max(0, Math.min(this.maxLength, Math.abs(impactX - origin.x)));
+      this.length = Math.min(this.length, this.maxLength);
+    }
+  }
+
+  /**
+   * Checks whether the beam (or its recovery) is still rooting the owner
+   * @returns {boolean}
+   */
+  isActive() {
+    return !this.shouldDestroy;
+  }
+
+  /**
+   * Advances the beam through its phases
+   * @param {number} time - Current time
+   * @param {number} delta - Delta time
+   */
+  update(time, delta) {
+    // Getting hit (or KO'd) cuts the move short
+    if (!this.owner.canAct()) {
+      this.shouldDestroy = true;
+      return;
+    }
+
+    const elapsed = time - this.phaseStartTime;
+
+    switch (this.phase) {
+      case 'CHARGING':
+        if (elapsed >= this.move.chargeTime) {
+          this.setPhase('FIRING', time);
+          logDebug(`Beam: Player ${this.ownerPlayerNumber} fired ${this.move.name}`);
+        }
+        break;
+
+      case 'FIRING':
+        this.extend(delta);
+        if (elapsed >= this.move.duration) {
+          this.setPhase('RECOVERY', time);
+        }
+        break;
+
+      case 'CLASHING':
+        // Length is driven by the clash contact point (see setClashPoint)
+        break;
+
+      case 'RECOVERY':
+        if (elapsed >= this.move.recovery) {
+          this.shouldDestroy = true;
+        }
+        break;
+    }
+
+    this.updateBody();
+    this.updateVisuals();
+  }
+
+  /**
+   * Changes phase
+   * Firing creates the head sensor, recovery removes it
+   * @param {string} phase - 'CHARGING', 'FIRING', 'CLASHING' or 'RECOVERY'
+   * @param {number} time - Current time
+   */
+  setPhase(phase, time) {
+    this.phase = phase;
+    this.phaseStartTime = time;
+
+    if (phase === 'FIRING' && !this.body) {
+      this.body = this.createBody();
+    } else if (phase === 'RECOVERY') {
+      this.removeBody();
+    }
+  }
+
+  /**
+   * Creates the head sensor used for beam-vs-beam contact
+   * @returns {MatterJS.BodyType}
+   */
+  createBody() {
+    const origin = this.getOrigin();
+    const width = BEAM_BODY.headWidth + this.move.speed;
+
+    const body = this.scene.matter.add.rectangle(origin.x, origin.y, width, this.move.width, {
+      isSensor: true,
+      label: `beam_${this.ownerPlayerNumber}`,
+      ignoreGravity: true,
+      collisionFilter: {
+        category: BEAM_BODY.collisionCategory,
+        mask: BEAM_BODY.collisionMask,
+      },
+    });
+    body.gravityScale = { x: 0, y: 0 };
+
+    return body;
+  }
+
+  /**
+   * Keeps the head sensor trailing just behind the head
+   */
+  updateBody() {
+    if (!this.body) return;
+
+    const width = BEAM_BODY.headWidth + this.move.speed;
+    this.scene.matter.body.setPosition(this.body, {
+      x: this.getHeadX() - this.direction * (width / 2),
+      y: this.getOrigin().y,
+    });
+    this.scene.matter.body.setVelocity(this.body, { x: 0, y: 0 });
+  }
+
+  /**
+   * Removes the head sensor
+   */
+  removeBody() {
+    if (this.body) {
+      this.scene.matter.world.remove(this.body);
+      this.body = null;
+    }
+  }
+
+  // ==================== CLASH ====================
+
+  /**
+   * Locks the beam into a clash with an opposing beam
+   * @param {number} contactX - Where the beams meet
+   */
+  startClash(contactX) {
+    this.setPhase('CLASHING', this.scene.simTime);
+    this.setClashPoint(contactX);
+  }
+
+  /**
+   * Stretches or shrinks the beam so its head sits on the contact point
+   * @param {number} contactX - Where the beams meet
+   */
+  setClashPoint(contactX) {
+    const origin = this.getOrigin();
+    this.length = Math.max(0, (contactX - origin.x) * this.direction);
+  }
+
+  /**
+   * Ends the clash - the beam dissipates and the owner recovers
+   */
+  endClash() {
+    this.setPhase('RECOVERY', this.scene.simTime);
+  }
+
+  /**
+   * Grows the beam toward its maximum length, stopping at the arena walls
+   * @param {number} delta - Delta time
+   */
+  extend(delta) {
+    const origin = this.getOrigin();
+    const wallDistance = this.direction > 0 ? this.scene.arena.width - origin.x : origin.x;
+
+    this.length = Math.min(
+      this.length + this.move.speed * (delta / 16.67), // Normalize to 60fps
+      this.maxLength,
+      Math.max(0, wallDistance)
+    );
+  }
+
+  /**
+   * Draws the beam for the current phase
+   */
+  updateVisuals() {
+    this.graphics.clear();
+
+    const { color, coreColor } = this.move;
+    const origin = this.getOrigin();
+    const time = this.scene.simTime;
+
+    if (this.phase === 'CHARGING') {
+      // Orb grows at the hands while charging
+      const progress = Math.min(1, (time - this.phaseStartTime) / Math.max(1, this.move.chargeTime));
+      const radius = BEAM.chargeOrbRadius * (0.4 + progress * 0.6) * (1 + Math.sin(time / 40) * 0.1);
+
+      this.graphics.fillStyle(color, 0.35);
+      this.graphics.fillCircle(origin.x, origin.y, radius * 1.6);
+      this.graphics.fillStyle(coreColor, 0.9);
+      this.graphics.fillCircle(origin.x, origin.y, radius);
+      return;
+    }
+
+    if ((this.phase !== 'FIRING' && this.phase !== 'CLASHING') || this.length <= 0) return;
+
+    // Clash flare at the contact point
+    if (this.phase === 'CLASHING') {
+      const flare = this.move.width * (1.2 + Math.sin(time / 25) * 0.3);
+      this.graphics.fillStyle(0xffffff, 0.7);
+      this.graphics.fillCircle(this.getHeadX(), origin.y, flare);
+    }
+
+    const headX = this.getHeadX();
+    const left = Math.min(origin.x, headX);
+
+    if (this.move.shape === 'wave') {
+      // Widening wave: trapezoid from the hands out to the head
+      const startHalf = this.getThicknessAt(0) / 2;
+      const endHalf = this.getThicknessAt(this.length) / 2;
+      this.graphics.fillStyle(color, 0.6);
+      this.graphics.fillPoints([
+        { x: origin.x, y: origin.y - startHalf },
+        { x: headX, y: origin.y - endHalf },
+        { x: headX, y: origin.y + endHalf },
+        { x: origin.x, y: origin.y + startHalf },
+      ], true);
+      this.graphics.fillStyle(coreColor, 0.8);
+      this.graphics.fillRect(left, origin.y - startHalf / 3, this.length, (startHalf * 2) / 3);
+      this.graphics.fillStyle(color, 0.8);
+      this.graphics.fillCircle(headX, origin.y, endHalf);
+      return;
+    }
+
+    if (this.move.shape === 'corkscrew') {
+      // Thin core with a spiral wrapping around it
+      const amplitude = this.move.width / 2;
+      this.graphics.lineStyle(3, color, 0.9);
+      this.graphics.beginPath();
+      for (let d = 0; d <= this.length; d += 6) {
+        const x = origin.x + this.direction * d;
+        const y = origin.y + Math.sin(d / 14 - time / 30) * amplitude;
+        if (d === 0) this.graphics.moveTo(x, y);
+        else this.graphics.lineTo(x, y);
+      }
+      this.graphics.strokePath();
+      this.graphics.fillStyle(coreColor, 1);
+      this.graphics.fillRect(left, origin.y - 3, this.length, 6);
+      this.graphics.fillStyle(color, 1);
+      this.graphics.fillCircle(headX, origin.y, amplitude * 0.6);
+      return;
+    }
+
+    // 'beam' and 'thin': straight beam with glow, core and a rounded head
+    const thickness = this.getThicknessAt(0);
+    const flicker = 1 + Math.sin(time / 30) * 0.08;
+
+    this.graphics.fillStyle(color, 0.35);
+    this.graphics.fillRect(left, origin.y - thickness * 0.7 * flicker, this.length, thickness * 1.4 * flicker);
+    this.graphics.fillStyle(color, 0.9);
+    this.graphics.fillRect(left, origin.y - thickness / 2, this.length, thickness);
+    this.graphics.fillStyle(coreColor, 1);
+    this.graphics.fillRect(left, origin.y - thickness / 6, this.length, thickness / 3);
+    this.graphics.fillStyle(color, 0.9);
+    this.graphics.fillCircle(headX, origin.y, thickness * 0.75 * flicker);
+  }
+
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the beam's gameplay state
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      body: this.body,
+      phase: this.phase,
+      phaseStartTime: this.phaseStartTime,
+      length: this.length,
+      maxLength: this.maxLength,
+      hitCount: this.hitCount,
+      lastHitTime: this.lastHitTime,
+      shouldDestroy: this.shouldDestroy,
+    };
+  }
+
+  /**
+   * Puts back state copied by saveState(), bringing a destroyed beam back
+   * (its head sensor returns to the world with the physics state)
+   * @param {Object} state
+   */
+  restoreState(state) {
+    Object.assign(this, state);
+
+    if (!this.graphics.scene) {
+      this.graphics = this.scene.add.graphics();
+      if (this.scene.uiCamera) {
+        this.scene.uiCamera.ignore(this.graphics);
+      }
+    }
+  }
+
+  /**
+   * Cleans up beam resources
+   */
+  destroy() {
+    this.graphics.destroy();
+    this.removeBody();
+
+    logDebug(`Beam: Destroyed`);
+  }
+}
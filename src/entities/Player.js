@@ -1,7 +1,20 @@
-import { PLAYER_STATS, COMBAT, PLAYER_STATES, FLIGHT, KI_SYSTEM, TRANSFORMATION_BONUSES } from '../constants/gameBalance.js';
+import { PLAYER_STATS, COMBAT, GUARD, PLAYER_STATES, FLIGHT, KI_SYSTEM } from '../constants/gameBalance.js';
 import { PLAYER_BODY, PLAYER_MOVEMENT, COMBAT_PHYSICS, FLIGHT_PHYSICS } from '../constants/physics.js';
 import { logDebug, logInfo } from '../utils/debug.js';
+import { audio } from '../utils/audio.js';
 import { getDefaultCharacter } from '../characters/index.js';
+import { msToFrames, interpolateGraphics } from '../utils/timestep.js';
+
+// Gameplay fields saved with the match state for online rollback
+// (the body is saved with the physics world, see PhysicsSystem.saveState)
+const STATE_FIELDS = [
+  'health', 'stamina', 'ki', 'guard', 'damageTaken', 'facingDirection',
+  'state', 'previousState', 'stateBeforeCharging', 'koType',
+  'jumpsRemaining', 'isInvincible', 'isCharging', 'chargeStartTime',
+  'stunFrames', 'invincibleFrames',
+  'canTransform', 'hasPartialPower', 'transformationReadyTime', 'formLevel',
+  'lastStaminaUse', 'lastGuardDamage', 'previousPosition',
+];
 
 /**
  * Player Entity
@@ -37,6 +50,7 @@ export default class Player {
     this.health = this.stats.maxHealth;
     this.stamina = this.stats.maxStamina; // Renamed from energy - used for attacks, flight
     this.ki = 0; // New Ki/Power Gauge - builds through combat, used for transformations
+    this.guard = GUARD.maxGuard; // Guard meter - drained by blocked hits, breaks at 0
     this.damageTaken = 0; // Cumulative damage for knockback scaling
     this.facingDirection = playerNumber === 1 ? 1 : -1; // 1 = right, -1 = left
 
@@ -44,6 +58,7 @@ export default class Player {
     this.state = PLAYER_STATES.AIRBORNE; // Start airborne, will transition to grounded on landing
     this.previousState = null; // For debugging state transitions
     this.stateBeforeCharging = null; // Track state before charging started
+    this.koType = null; // How the last KO happened: 'ko' (health) or 'ringout' (left the arena)
 
     // Movement state
     this.jumpsRemaining = PLAYER_MOVEMENT.maxJumps;
@@ -51,18 +66,23 @@ export default class Player {
     this.isCharging = false; // Whether player is currently charging Ki
     this.chargeStartTime = 0; // Timestamp when current charge began (for ramp calculation)
 
+    // Gameplay timers, counted in steps (see updateTimers)
+    this.stunFrames = 0; // Steps of hitstun left (later hits extend it)
+    this.invincibleFrames = 0; // Steps of invincibility left
+
     // Transformation state
-    this.canTransform = false; // Set to true when Ki reaches 100%
+    this.canTransform = false; // Set to true when Ki reaches the next form's threshold
     this.hasPartialPower = false; // Set to true when Ki reaches 50%
     this.transformationReadyTime = 0; // Timestamp when canTransform became true
-    this.isTransformed = false; // Currently in powered-up state
-    this.transformationEndTime = 0; // When the transformation expires
+    this.formLevel = 0; // 0 = base form, n = character.forms[n - 1]
 
     // Timing
     this.lastStaminaUse = 0; // Renamed from lastEnergyUse
+    this.lastGuardDamage = 0; // Last blocked hit (delays guard regen)
 
     // Create physics body
     this.body = this.physics.createPlayerBody(x, y, `player_${playerNumber}`);
+    this.previousPosition = { x, y }; // Body position at the start of the last step (for rendering)
 
     // Store base physics values for restoration
     this.baseAirFriction = FLIGHT_PHYSICS.frictionAirNormal;
@@ -107,6 +127,7 @@ export default class Player {
       attackDamage: COMBAT.basicAttackDamage * char.attackDamageMultiplier,
       knockbackResistance: char.knockbackResistanceMultiplier, // Applied to incoming knockback
       attackCooldown: COMBAT.basicAttackCooldown * char.attackCooldownMultiplier,
+      meleeDamageMultiplier: char.attackDamageMultiplier, // Scales MELEE hit damage
 
       // Stamina (base * multiplier) - renamed from energy
       staminaRegenRate: PLAYER_STATS.staminaRegenRate * char.energyRegenMultiplier,
@@ -185,6 +206,9 @@ export default class Player {
   onStateEnter(enteringState) {
     switch (enteringState) {
       case PLAYER_STATES.GROUNDED:
+        if (this.previousState === PLAYER_STATES.AIRBORNE || this.previousState === PLAYER_STATES.FLYING) {
+          audio.play('land');
+        }
         // Reset jumps when landing
         this.jumpsRemaining = PLAYER_MOVEMENT.maxJumps;
         // Restore normal air friction (fixes slow movement after flying)
@@ -194,6 +218,10 @@ export default class Player {
         this.body.frictionStatic = PLAYER_BODY.frictionStatic;
         break;
       case PLAYER_STATES.AIRBORNE:
+        // Left the ground upward = jumped (walking off an edge or knockback stays quiet)
+        if (this.previousState === PLAYER_STATES.GROUNDED && this.body.velocity.y < 0) {
+          audio.play('jump');
+        }
         // Ensure normal air friction when entering airborne
         // This catches edge cases like FLYING->STUNNED->AIRBORNE where friction might not reset
         this.setAirFriction(FLIGHT_PHYSICS.frictionAirNormal);
@@ -204,6 +232,7 @@ export default class Player {
       case PLAYER_STATES.FLYING:
         // Increase air friction for flight stability
         this.setAirFriction(FLIGHT_PHYSICS.frictionAirFlying);
+        audio.play('flightStart');
         break;
       case PLAYER_STATES.DEAD:
         this.onKO();
@@ -219,6 +248,14 @@ export default class Player {
     return this.state !== PLAYER_STATES.STUNNED && this.state !== PLAYER_STATES.DEAD;
   }
 
+  /**
+   * Checks if player is currently guarding
+   * @returns {boolean}
+   */
+  isBlocking() {
+    return this.state === PLAYER_STATES.BLOCKING;
+  }
+
   /**
    * Checks if the player is currently flying
    * @returns {boolean}
@@ -255,7 +292,7 @@ export default class Player {
    * Handles horizontal movement input
    * Movement behavior changes based on current state
    * Uses character-specific movement stats
-   * @param {number} direction - -1 (left), 0 (none), 1 (right)
+   * @param {number} direction - -1 (left) to 1 (right), 0 = none; analog values scale top speed
    */
   move(direction) {
     if (!this.canAct()) return;
@@ -279,8 +316,8 @@ export default class Player {
     const decel = isGrounded ? groundDeceleration : airDeceleration;
 
     if (direction !== 0) {
-      // Update facing direction
-      this.facingDirection = direction;
+      // Update facing direction (direction may be analog)
+      this.facingDirection = Math.sign(direction);
 
       // Target velocity based on input direction
       const targetVelocityX = maxSpeed * direction;
@@ -330,14 +367,29 @@ export default class Player {
 
     this.jumpsRemaining--;
 
-    // Transition to airborne if we were grounded
+    // Transition to airborne if we were grounded (plays the jump sound)
     if (this.state === PLAYER_STATES.GROUNDED) {
       this.setState(PLAYER_STATES.AIRBORNE);
+    } else {
+      audio.play('jump'); // Double jump
     }
 
     return true;
   }
 
+  /**
+   * Drops through the one-way platform the player is standing on
+   * Keeps both jumps, so the player can still jump back up
+   * @returns {boolean} Whether the player dropped
+   */
+  dropThroughPlatform() {
+    if (!this.canAct() || this.state !== PLAYER_STATES.GROUNDED) return false;
+    if (!this.physics.dropThrough(this.body)) return false;
+
+    this.setState(PLAYER_STATES.AIRBORNE);
+    return true;
+  }
+
   // ==================== FLIGHT SYSTEM ====================
 
   /**
@@ -419,7 +471,7 @@ export default class Player {
     // Use character-specific drain rate
     const drainAmount = this.stats.flightStaminaDrain * (delta / 16.67); // Normalize to 60fps
     this.stamina = Math.max(0, this.stamina - drainAmount);
-    this.lastStaminaUse = this.scene.time.now;
+    this.lastStaminaUse = this.scene.simTime;
 
     // Check if we ran out of stamina
     if (this.stamina <= 0) {
@@ -448,31 +500,39 @@ export default class Player {
 
   /**
    * Takes damage from an attack
-   * Applies transformation defense bonus if transformed
+   * Applies the current form's defense bonus if transformed
    * @param {number} amount - Damage amount
+   * @returns {number} Damage actually applied (0 if the hit was ignored)
    */
   takeDamage(amount) {
-    if (this.isInvincible) return;
-    if (this.state === PLAYER_STATES.DEAD) return;
+    if (this.isInvincible) return 0;
+    if (this.state === PLAYER_STATES.DEAD) return 0;
 
     // Apply defense bonus if transformed (reduces incoming damage)
-    let actualDamage = amount;
-    if (this.isTransformed) {
-      actualDamage = amount * TRANSFORMATION_BONUSES.defenseMultiplier;
+    const form = this.getForm();
+    let actualDamage = form ? amount * form.defenseMultiplier : amount;
+
+    // Blocked hits only deal chip damage, but wear down the guard
+    if (this.isBlocking()) {
+      this.damageGuard(actualDamage);
+      actualDamage *= GUARD.damageMultiplier;
     }
 
     this.health = Math.max(0, this.health - actualDamage);
     this.damageTaken += actualDamage;
 
-    logDebug(`Player ${this.playerNumber}: Took ${actualDamage.toFixed(1)} damage (HP: ${this.health})${this.isTransformed ? ' [TRANSFORMED]' : ''}`);
+    logDebug(`Player ${this.playerNumber}: Took ${actualDamage.toFixed(1)} damage (HP: ${this.health})${form ? ` [${form.hudLabel}]` : ''}`);
 
     // Apply invincibility frames
     this.setInvincible(COMBAT.invincibilityDuration);
 
     // Check for KO
     if (this.health <= 0) {
+      this.koType = 'ko';
       this.setState(PLAYER_STATES.DEAD);
     }
+
+    return actualDamage;
   }
 
   /**
@@ -487,6 +547,15 @@ export default class Player {
       y: force.y / this.stats.knockbackResistance,
     };
 
+    // Blocking absorbs most of the push and avoids hitstun entirely
+    if (this.isBlocking()) {
+      this.physics.applyForce(this.body, {
+        x: resistedForce.x * GUARD.knockbackMultiplier,
+        y: resistedForce.y * GUARD.knockbackMultiplier,
+      });
+      return;
+    }
+
     // Apply the resisted force
     this.physics.applyForce(this.body, resistedForce);
 
@@ -498,33 +567,112 @@ export default class Player {
       this.exitFlight();
     }
 
-    // Enter stunned state
+    // Enter hitstun
+    this.stun(COMBAT_PHYSICS?.hitstunDuration || 300);
+  }
+
+  /**
+   * Puts the player in the STUNNED state for a duration
+   * A longer stun already in progress is never cut short
+   * @param {number} duration - Stun duration in milliseconds
+   */
+  stun(duration) {
+    if (this.state === PLAYER_STATES.DEAD) return;
+
     this.setState(PLAYER_STATES.STUNNED);
+    this.stunFrames = Math.max(this.stunFrames, msToFrames(duration));
+  }
 
-    // Exit stun after hitstun duration
-    this.scene.time.delayedCall(COMBAT_PHYSICS?.hitstunDuration || 300, () => {
-      // Only exit stun if we're still stunned (not dead, etc)
-      if (this.state === PLAYER_STATES.STUNNED) {
-        // Transition based on current situation
-        if (this.physics.isOnGround(this.body)) {
-          this.setState(PLAYER_STATES.GROUNDED);
-        } else {
-          this.setState(PLAYER_STATES.AIRBORNE);
-        }
-      }
-    });
+  /**
+   * Ends hitstun, landing in whichever state fits the current situation
+   */
+  recoverFromStun() {
+    if (this.physics.isOnGround(this.body)) {
+      this.setState(PLAYER_STATES.GROUNDED);
+    } else {
+      this.setState(PLAYER_STATES.AIRBORNE);
+    }
+  }
+
+  // ==================== GUARD ====================
+
+  /**
+   * Raises or lowers guard
+   * Guard can only be raised on the ground, and not while charging or with an empty guard meter
+   * @param {boolean} blocking - Whether block is held
+   * @returns {boolean} Whether the player is now blocking
+   */
+  setBlocking(blocking) {
+    if (blocking && this.state === PLAYER_STATES.GROUNDED && !this.isCharging && this.guard > 0) {
+      this.setState(PLAYER_STATES.BLOCKING);
+    } else if (!blocking && this.isBlocking()) {
+      this.setState(PLAYER_STATES.GROUNDED);
+    }
+    return this.isBlocking();
+  }
+
+  /**
+   * Drains the guard meter from a blocked hit
+   * Breaks guard (long stun) when the meter empties
+   * @param {number} damage - Damage that was blocked (before chip reduction)
+   */
+  damageGuard(damage) {
+    this.guard = Math.max(0, this.guard - damage * GUARD.drainPerDamage);
+    this.lastGuardDamage = this.scene.simTime;
+
+    if (this.guard <= 0) {
+      this.guardBreak();
+    }
+  }
+
+  /**
+   * Breaks guard - drops the block and stuns the player
+   */
+  guardBreak() {
+    logInfo(`Player ${this.playerNumber}: Guard broken!`);
+
+    this.stun(GUARD.breakStunDuration);
+  }
+
+  /**
+   * Regenerates the guard meter while not blocking
+   * @param {number} delta - Delta time
+   */
+  regenerateGuard(delta) {
+    if (this.isBlocking()) return;
+    if (this.scene.simTime - this.lastGuardDamage < GUARD.regenDelay) return;
+
+    this.guard = Math.min(GUARD.maxGuard, this.guard + GUARD.regenRate * (delta / 16.67)); // Normalize to 60fps
   }
 
   /**
    * Sets temporary invincibility
+   * A longer invincibility already in progress is never cut short
    * @param {number} duration - Duration in milliseconds
    */
   setInvincible(duration) {
     this.isInvincible = true;
+    this.invincibleFrames = Math.max(this.invincibleFrames, msToFrames(duration));
+  }
 
-    this.scene.time.delayedCall(duration, () => {
-      this.isInvincible = false;
-    });
+  /**
+   * Counts down hitstun and invincibility by one step
+   */
+  updateTimers() {
+    if (this.invincibleFrames > 0) {
+      this.invincibleFrames--;
+      if (this.invincibleFrames === 0) {
+        this.isInvincible = false;
+      }
+    }
+
+    if (this.stunFrames > 0) {
+      this.stunFrames--;
+      // Only exit stun if we're still stunned (not dead, etc)
+      if (this.stunFrames === 0 && this.state === PLAYER_STATES.STUNNED) {
+        this.recoverFromStun();
+      }
+    }
   }
 
   // ==================== STAMINA ====================
@@ -538,7 +686,7 @@ export default class Player {
     if (this.stamina < amount) return false;
 
     this.stamina -= amount;
-    this.lastStaminaUse = this.scene.time.now;
+    this.lastStaminaUse = this.scene.simTime;
     return true;
   }
 
@@ -555,7 +703,7 @@ export default class Player {
 
     // Get current stats (includes transformation bonuses if active)
     const stats = this.getStats();
-    const now = this.scene.time.now;
+    const now = this.scene.simTime;
 
     // Don't regen if recently used stamina (using character-specific delay)
     if (now - this.lastStaminaUse < stats.staminaRegenDelay) {
@@ -586,19 +734,34 @@ export default class Player {
     this.updateTransformationState();
   }
 
+  /**
+   * Spends Ki (signature moves)
+   * @param {number} amount - Amount of Ki to spend
+   * @returns {boolean} Whether there was enough Ki
+   */
+  spendKi(amount) {
+    if (this.ki < amount) return false;
+
+    this.ki -= amount;
+    this.updateTransformationState();
+    return true;
+  }
+
   /**
    * Updates transformation availability based on Ki level
+   * The next form unlocks once Ki reaches its kiThreshold
    */
   updateTransformationState() {
     const kiPercent = (this.ki / KI_SYSTEM.maxKi) * 100;
     this.hasPartialPower = kiPercent >= KI_SYSTEM.partialPowerThreshold;
 
     const wasTransformReady = this.canTransform;
-    this.canTransform = kiPercent >= KI_SYSTEM.transformationThreshold;
+    const nextForm = this.getNextForm();
+    this.canTransform = !!nextForm && kiPercent >= nextForm.kiThreshold;
 
     // Track when transformation first becomes available
     if (this.canTransform && !wasTransformReady) {
-      this.transformationReadyTime = this.scene.time.now;
+      this.transformationReadyTime = this.scene.simTime;
     }
   }
 
@@ -607,11 +770,9 @@ export default class Player {
    * Called every frame in update()
    */
   checkTransformationTimeout() {
-    // Don't timeout if already transformed
-    if (this.isTransformed) return;
     if (!this.canTransform) return;
 
-    const now = this.scene.time.now;
+    const now = this.scene.simTime;
     const elapsed = now - this.transformationReadyTime;
 
     if (elapsed >= KI_SYSTEM.transformationTimeout) {
@@ -625,70 +786,101 @@ export default class Player {
   }
 
   /**
-   * Activates transformation when Ki is at 100%
-   * Consumes Ki and grants stat bonuses for a duration
+   * Checks whether the player is in any form above base
+   * @returns {boolean}
+   */
+  isTransformed() {
+    return this.formLevel > 0;
+  }
+
+  /**
+   * Gets the current form
+   * @returns {Object|null} Form config from character.forms, null in base form
+   */
+  getForm() {
+    return this.formLevel > 0 ? this.character.forms[this.formLevel - 1] : null;
+  }
+
+  /**
+   * Gets the form the player would power up into next
+   * @returns {Object|null} Form config, null when already in the final form
+   */
+  getNextForm() {
+    return this.character.forms[this.formLevel] || null;
+  }
+
+  /**
+   * Powers up into the next form once Ki reaches its threshold
+   * Spends the threshold's worth of Ki; the new form's health and stamina
+   * bonuses are granted on top of the current values
    * @returns {boolean} Whether transformation was successful
    */
   activateTransformation() {
     if (!this.canTransform) return false;
-    if (this.isTransformed) return false; // Already transformed
 
-    // Activate transformation
-    this.isTransformed = true;
-    this.transformationEndTime = this.scene.time.now + KI_SYSTEM.transformationDuration;
+    const form = this.getNextForm();
+    const previousStats = this.getStats();
 
-    // Consume Ki
-    this.ki = 0;
+    this.ki = Math.max(0, this.ki - KI_SYSTEM.maxKi * (form.kiThreshold / 100));
+    this.formLevel++;
     this.canTransform = false;
-    this.hasPartialPower = false;
     this.transformationReadyTime = 0;
+    this.updateTransformationState();
 
-    // Heal the bonus health amount (reward for transforming)
-    const healthBonus = TRANSFORMATION_BONUSES.maxHealthBonus;
-    this.health = Math.min(this.health + healthBonus, this.getStats().maxHealth);
-
-    // Boost stamina to new max
-    const staminaBonus = TRANSFORMATION_BONUSES.maxStaminaBonus;
-    this.stamina = Math.min(this.stamina + staminaBonus, this.getStats().maxStamina);
+    // Heal the bonus health and stamina the new form adds (reward for transforming)
+    const stats = this.getStats();
+    this.health = Math.min(this.health + (stats.maxHealth - previousStats.maxHealth), stats.maxHealth);
+    this.stamina = Math.min(this.stamina + (stats.maxStamina - previousStats.maxStamina), stats.maxStamina);
 
-    logInfo(`Player ${this.playerNumber}: TRANSFORMED! Duration: ${KI_SYSTEM.transformationDuration / 1000}s`);
+    logInfo(`Player ${this.playerNumber}: TRANSFORMED into ${form.name}!`);
+    audio.play('transform');
+    this.scene.events.emit('playerTransformed', this.playerNumber, form);
     return true;
   }
 
   /**
-   * Ends the transformation, returning to base stats
+   * Drops back one form (to base from the first form)
+   * @returns {boolean} Whether the player was transformed
    */
-  endTransformation() {
-    if (!this.isTransformed) return;
+  revertTransformation() {
+    if (!this.isTransformed()) return false;
 
-    // Store transformed max values before ending transformation
+    // Store transformed max values before reverting
     const transformedMaxHealth = this.getStats().maxHealth;
     const transformedMaxStamina = this.getStats().maxStamina;
 
-    this.isTransformed = false;
-    this.transformationEndTime = 0;
+    this.formLevel--;
+    this.updateTransformationState();
 
     // Scale health/stamina proportionally to maintain the same percentage
-    // This prevents the bar from appearing to "jump up" when transformation ends
+    // This prevents the bar from appearing to "jump up" when reverting
+    const stats = this.getStats();
     const healthRatio = this.health / transformedMaxHealth;
     const staminaRatio = this.stamina / transformedMaxStamina;
 
-    this.health = Math.min(healthRatio * this.stats.maxHealth, this.stats.maxHealth);
-    this.stamina = Math.min(staminaRatio * this.stats.maxStamina, this.stats.maxStamina);
+    this.health = Math.min(healthRatio * stats.maxHealth, stats.maxHealth);
+    this.stamina = Math.min(staminaRatio * stats.maxStamina, stats.maxStamina);
 
-    logInfo(`Player ${this.playerNumber}: Transformation ended`);
+    const form = this.getForm();
+    logInfo(`Player ${this.playerNumber}: Reverted to ${form ? form.name : 'base form'}`);
+    return true;
   }
 
   /**
-   * Checks if transformation duration has expired
+   * Drains stamina for holding the current form
+   * Running out of stamina drops back one form
    * Called every frame in update()
+   * @param {number} delta - Delta time in ms
    */
-  checkTransformationExpiry() {
-    if (!this.isTransformed) return;
+  updateFormDrain(delta) {
+    const form = this.getForm();
+    if (!form) return;
 
-    const now = this.scene.time.now;
-    if (now >= this.transformationEndTime) {
-      this.endTransformation();
+    // Drain doesn't count as stamina use, so it doesn't delay regen
+    this.stamina -= form.staminaDrain * (delta / 16.67); // Normalize to 60fps
+    if (this.stamina <= 0) {
+      this.stamina = 0;
+      this.revertTransformation();
     }
   }
 
@@ -717,7 +909,7 @@ export default class Player {
     if (this.ki >= KI_SYSTEM.maxKi) return false; // Already at max
 
     this.isCharging = true;
-    this.chargeStartTime = this.scene.time.now; // Track when charge began for ramp
+    this.chargeStartTime = this.scene.simTime; // Track when charge began for ramp
     this.stateBeforeCharging = this.state;
     return true;
   }
@@ -738,7 +930,7 @@ export default class Player {
    * @returns {number} Current charge rate
    */
   getChargeRate() {
-    const now = this.scene.time.now;
+    const now = this.scene.simTime;
     const holdDuration = now - this.chargeStartTime;
 
     // Calculate ramp progress (0 to 1) with smooth easing
@@ -779,8 +971,34 @@ export default class Player {
    * Called when player is knocked out
    */
   onKO() {
-    logInfo(`Player ${this.playerNumber}: KO'd!`);
-    this.scene.events.emit('playerKO', this.playerNumber);
+    logInfo(`Player ${this.playerNumber}: KO'd! (${this.koType})`);
+    this.scene.events.emit('playerKO', this.playerNumber, this.koType);
+  }
+
+  /**
+   * Knocks the player out for crossing the arena's death zone (ring-out arenas)
+   */
+  ringOut() {
+    if (this.state === PLAYER_STATES.DEAD) return;
+
+    this.health = 0;
+    this.koType = 'ringout';
+    this.setState(PLAYER_STATES.DEAD);
+  }
+
+  /**
+   * Brings a KO'd player back for their next stock
+   * Resets to full health at the spawn point and grants invincibility while
+   * they get their bearings
+   * @param {number} x - Spawn X
+   * @param {number} y - Spawn Y
+   * @param {number} invincibleDuration - Milliseconds of invincibility
+   */
+  respawn(x, y, invincibleDuration) {
+    this.reset(x, y);
+    this.setInvincible(invincibleDuration);
+
+    logInfo(`Player ${this.playerNumber}: Respawned at (${x}, ${y})`);
   }
 
   /**
@@ -793,34 +1011,48 @@ export default class Player {
     this.health = this.stats.maxHealth;
     this.stamina = this.stats.maxStamina;
     this.ki = 0; // Reset Ki gauge on respawn
+    this.guard = GUARD.maxGuard;
+    this.lastGuardDamage = 0;
     this.damageTaken = 0;
     this.jumpsRemaining = PLAYER_MOVEMENT.maxJumps;
     this.isInvincible = false;
     this.isCharging = false;
     this.chargeStartTime = 0;
+    this.stunFrames = 0;
+    this.invincibleFrames = 0;
+    this.koType = null;
     this.canTransform = false;
     this.hasPartialPower = false;
     this.transformationReadyTime = 0;
-    this.isTransformed = false; // End any active transformation
-    this.transformationEndTime = 0;
+    this.formLevel = 0; // Back to base form
+    this.stateBeforeCharging = null;
+    this.facingDirection = this.playerNumber === 1 ? 1 : -1; // Face each other again
+    this.previousState = this.state;
     this.state = PLAYER_STATES.AIRBORNE;
 
-    // Reset physics
+    // Reset physics (unpinning a body frozen off stage after a ring-out)
+    if (this.body.isStatic) {
+      this.scene.matter.body.setStatic(this.body, false);
+    }
     this.setAirFriction(FLIGHT_PHYSICS.frictionAirNormal);
     this.scene.matter.body.setPosition(this.body, { x, y });
     this.physics.setVelocity(this.body, { x: 0, y: 0 });
+    this.previousPosition = { x, y }; // No in-between frames for a teleport
   }
 
   /**
-   * Updates player state each frame
+   * Updates player state each gameplay step
    * Handles state transitions based on physics conditions
    * @param {number} time - Current time
-   * @param {number} delta - Delta time
+   * @param {number} delta - Step delta (always WORLD.stepDelta)
    * @param {boolean} isPressingDown - Whether player is pressing down key
    */
   update(time, delta, isPressingDown = false) {
+    this.updateTimers();
+
     // Skip update if dead
     if (this.state === PLAYER_STATES.DEAD) {
+      audio.setLoop(`charge-${this.playerNumber}`, 'kiCharge', false);
       this.updateVisuals();
       return;
     }
@@ -832,8 +1064,8 @@ export default class Player {
     if (isOnGround && (this.state === PLAYER_STATES.AIRBORNE || this.state === PLAYER_STATES.FLYING)) {
       this.setState(PLAYER_STATES.GROUNDED);
     }
-    // State transition: Falling off ledge / starting to fall
-    else if (!isOnGround && this.state === PLAYER_STATES.GROUNDED) {
+    // State transition: Falling off ledge / starting to fall (or pushed off while guarding)
+    else if (!isOnGround && (this.state === PLAYER_STATES.GROUNDED || this.state === PLAYER_STATES.BLOCKING)) {
       this.setState(PLAYER_STATES.AIRBORNE);
     }
 
@@ -848,14 +1080,18 @@ export default class Player {
     // Regenerate stamina (not Ki - Ki must be earned)
     this.regenerateStamina(delta);
 
+    // Regenerate guard meter
+    this.regenerateGuard(delta);
+
     // Update Ki charging if active
     this.updateCharging(delta);
+    audio.setLoop(`charge-${this.playerNumber}`, 'kiCharge', this.isCharging);
 
     // Check if transformation timeout has expired (use it or lose it)
     this.checkTransformationTimeout();
 
-    // Check if transformation duration has expired
-    this.checkTransformationExpiry();
+    // Holding a form drains stamina
+    this.updateFormDrain(delta);
 
     // Update visuals
     this.updateVisuals();
@@ -893,7 +1129,7 @@ export default class Player {
     // Modify appearance based on state
     if (this.isCharging) {
       // Charging Ki: Pulsing golden aura
-      const pulseSize = PLAYER_BODY.width * (0.9 + Math.sin(this.scene.time.now / 100) * 0.2);
+      const pulseSize = PLAYER_BODY.width * (0.9 + Math.sin(this.scene.simTime / 100) * 0.2);
       this.graphics.fillStyle(0xf1c40f, 0.3);
       this.graphics.fillCircle(x, y, pulseSize);
       outlineColor = 0xf1c40f; // Golden outline while charging
@@ -917,19 +1153,25 @@ export default class Player {
       color = 0xff6b6b;
     }
 
+    if (this.isBlocking()) {
+      // Blocking: Blue guard outline
+      outlineColor = 0x3498db;
+    }
+
     // Transformation ready glow (pulsing to indicate "press to transform")
-    if (this.canTransform && !this.isTransformed) {
+    if (this.canTransform) {
       // Bright pulsing aura when transformation is available
-      const transAura = PLAYER_BODY.width * (1.0 + Math.sin(this.scene.time.now / 150) * 0.15);
+      const transAura = PLAYER_BODY.width * (1.0 + Math.sin(this.scene.simTime / 150) * 0.15);
       this.graphics.fillStyle(0xf1c40f, 0.15);
       this.graphics.fillCircle(x, y, transAura);
     }
 
-    // Active transformation - intense glowing aura
-    if (this.isTransformed) {
-      // Larger, more intense aura
-      const transformAura = PLAYER_BODY.width * (1.2 + Math.sin(this.scene.time.now / 80) * 0.1);
-      this.graphics.fillStyle(0xffff00, 0.25); // Bright yellow
+    // Active transformation - intense glowing aura in the form's color
+    const form = this.getForm();
+    if (form) {
+      // Larger, more intense aura - grows with each form
+      const transformAura = PLAYER_BODY.width * (1.1 + this.formLevel * 0.1 + Math.sin(this.scene.simTime / 80) * 0.1);
+      this.graphics.fillStyle(form.auraColor, 0.25);
       this.graphics.fillCircle(x, y, transformAura);
 
       // Inner intense glow
@@ -977,10 +1219,22 @@ export default class Player {
       // Small flames/thrusters at bottom using character accent color
       this.graphics.fillStyle(this.character.accentColor, 0.8);
       const flameY = y + halfHeight + 5;
-      const flameSize = 8 + Math.sin(this.scene.time.now / 50) * 3; // Animated
+      const flameSize = 8 + Math.sin(this.scene.simTime / 50) * 3; // Animated
       this.graphics.fillCircle(x - 10, flameY, flameSize);
       this.graphics.fillCircle(x + 10, flameY, flameSize);
     }
+
+    // Draw shield in front while guarding (fades as the guard meter drains)
+    if (this.isBlocking()) {
+      const guardPercent = this.guard / GUARD.maxGuard;
+      const shieldX = x + this.facingDirection * (halfWidth + 6);
+      const shieldColor = guardPercent > 0.3 ? 0x3498db : 0xe74c3c; // Red when close to breaking
+
+      this.graphics.fillStyle(shieldColor, 0.15 + guardPercent * 0.25);
+      this.graphics.fillEllipse(shieldX, y, 18, PLAYER_BODY.height + 16);
+      this.graphics.lineStyle(3, shieldColor, 0.5 + guardPercent * 0.5);
+      this.graphics.strokeEllipse(shieldX, y, 18, PLAYER_BODY.height + 16);
+    }
   }
 
   // ==================== GETTERS ====================
@@ -1016,23 +1270,24 @@ export default class Player {
   }
 
   /**
-   * Gets the computed stats with transformation bonuses applied if transformed
-   * @returns {Object} Stats object (with transformation bonuses if active)
+   * Gets the computed stats with the current form's bonuses applied if transformed
+   * @returns {Object} Stats object (with form bonuses if active)
    */
   getStats() {
     // If not transformed, return base stats
-    if (!this.isTransformed) {
+    const tb = this.getForm();
+    if (!tb) {
       return this.stats;
     }
 
-    // Apply transformation bonuses to relevant stats
-    const tb = TRANSFORMATION_BONUSES;
+    // Apply form bonuses to relevant stats
     return {
       ...this.stats,
       // Boosted stats during transformation
       maxHealth: this.stats.maxHealth + tb.maxHealthBonus,
       maxStamina: this.stats.maxStamina + tb.maxStaminaBonus,
       attackDamage: this.stats.attackDamage * tb.damageMultiplier,
+      meleeDamageMultiplier: this.stats.meleeDamageMultiplier * tb.damageMultiplier,
       maxVelocityX: this.stats.maxVelocityX * tb.speedMultiplier,
       moveForce: this.stats.moveForce * tb.speedMultiplier,
       flightStaminaDrain: this.stats.flightStaminaDrain * tb.flightDrainMultiplier,
@@ -1043,12 +1298,54 @@ export default class Player {
     };
   }
 
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the player's gameplay state
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    const state = {};
+    STATE_FIELDS.forEach((field) => {
+      state[field] = this[field];
+    });
+    return state;
+  }
+
+  /**
+   * Puts back gameplay state copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    STATE_FIELDS.forEach((field) => {
+      this[field] = state[field];
+    });
+  }
+
+  // ==================== RENDERING ====================
+
+  /**
+   * Remembers where the body is before the physics step moves it
+   */
+  savePreviousPosition() {
+    this.previousPosition = { x: this.body.position.x, y: this.body.position.y };
+  }
+
+  /**
+   * Draws the player partway between its last two step positions
+   * @param {number} alpha - How far into the next step the render falls (0-1)
+   */
+  interpolate(alpha) {
+    interpolateGraphics(this.graphics, this.previousPosition, this.body.position, alpha);
+  }
+
   // ==================== CLEANUP ====================
 
   /**
    * Cleans up player resources
    */
   destroy() {
+    audio.stopLoop(`charge-${this.playerNumber}`);
     this.graphics.destroy();
     this.physics.removeBody(this.body);
 
@@ -1,11 +1,13 @@
 import { PROJECTILE_BODY, PROJECTILE_MOVEMENT } from '../constants/physics.js';
-import { PROJECTILE, ARENA } from '../constants/gameBalance.js';
+import { PROJECTILE } from '../constants/gameBalance.js';
 import { logDebug } from '../utils/debug.js';
+import { interpolateGraphics } from '../utils/timestep.js';
 
 /**
  * Projectile Entity
  * Represents a fired projectile with physics and damage
  * Now supports 2D directional aiming toward opponents
+ * Speed, range (lifetime) and hitbox size scale with the firing character's multipliers
  */
 export default class Projectile {
   /**
@@ -15,28 +17,46 @@ export default class Projectile {
    * @param {number} ownerPlayerNumber - Player number who fired this
    * @param {number} x - Start X position
    * @param {number} y - Start Y position
-   * @param {Object} targetPos - Target position { x, y } to aim at
-   * @param {number} facingDirection - Fallback direction if no target (1 or -1)
-   * @param {number} damage - Damage dealt on hit (from character stats)
+   * @param {Object} options - Projectile options
+   * @param {Object} [options.targetPos] - Target position { x, y } to aim at (null = fire straight)
+   * @param {number} [options.facingDirection=1] - Fallback direction if no target (1 or -1)
+   * @param {number} [options.damage] - Damage dealt on hit (from character stats)
+   * @param {number} [options.speedMultiplier=1] - Character projectile speed multiplier
+   * @param {number} [options.lifetimeMultiplier=1] - Character projectile lifetime (range) multiplier
+   * @param {number} [options.sizeMultiplier=1] - Character projectile size (hitbox) multiplier
    */
-  constructor(scene, physicsSystem, ownerPlayerNumber, x, y, targetPos, facingDirection = 1, damage = PROJECTILE.damage) {
+  constructor(scene, physicsSystem, ownerPlayerNumber, x, y, options = {}) {
+    const {
+      targetPos = null,
+      facingDirection = 1,
+      damage = PROJECTILE.damage,
+      speedMultiplier = 1,
+      lifetimeMultiplier = 1,
+      sizeMultiplier = 1,
+    } = options;
+
     this.scene = scene;
     this.physics = physicsSystem;
     this.ownerPlayerNumber = ownerPlayerNumber;
     this.damage = damage;
 
+    // Character-scaled movement and hitbox
+    this.speed = PROJECTILE_MOVEMENT.speed * speedMultiplier;
+    this.radius = PROJECTILE_BODY.radius * sizeMultiplier;
+
     // Calculate direction vector toward target
     const directionVector = this.calculateDirection(x, y, targetPos, facingDirection);
     this.directionX = directionVector.x;
     this.directionY = directionVector.y;
 
     // Lifecycle
-    this.createdAt = scene.time.now;
-    this.lifetime = PROJECTILE_MOVEMENT.lifetime;
+    this.createdAt = scene.simTime;
+    this.lifetime = PROJECTILE_MOVEMENT.lifetime * lifetimeMultiplier;
     this.shouldDestroy = false;
 
     // Create physics body
     this.body = this.createBody(x, y);
+    this.previousPosition = { x, y }; // Body position at the start of the last step (for rendering)
 
     // Create visual representation
     this.graphics = this.createVisuals();
@@ -49,8 +69,8 @@ export default class Projectile {
 
     // Apply initial velocity in the calculated direction
     this.physics.setVelocity(this.body, {
-      x: PROJECTILE_MOVEMENT.speed * this.directionX,
-      y: PROJECTILE_MOVEMENT.speed * this.directionY,
+      x: this.speed * this.directionX,
+      y: this.speed * this.directionY,
     });
 
     logDebug(`Projectile: Created by Player ${ownerPlayerNumber} at (${x}, ${y}) → dir(${this.directionX.toFixed(2)}, ${this.directionY.toFixed(2)})`);
@@ -96,7 +116,7 @@ export default class Projectile {
    * @returns {MatterJS.BodyType}
    */
   createBody(x, y) {
-    const body = this.scene.matter.add.circle(x, y, PROJECTILE_BODY.radius, {
+    const body = this.scene.matter.add.circle(x, y, this.radius, {
       friction: PROJECTILE_BODY.friction,
       frictionAir: PROJECTILE_BODY.frictionAir,
       restitution: PROJECTILE_BODY.restitution,
@@ -106,6 +126,8 @@ export default class Projectile {
       // Disable gravity for projectiles
       ignoreGravity: true,
       collisionFilter: {
+        // Same negative group: a player's own blasts never collide with each other
+        group: -this.ownerPlayerNumber,
         category: PROJECTILE_BODY.collisionCategory,
         mask: PROJECTILE_BODY.collisionMask,
       },
@@ -152,25 +174,25 @@ export default class Projectile {
 
     // Draw glow effect (larger, transparent circle)
     this.graphics.fillStyle(glowColor, 0.3);
-    this.graphics.fillCircle(x, y, PROJECTILE_BODY.radius * 1.5);
+    this.graphics.fillCircle(x, y, this.radius * 1.5);
 
     // Draw core
     this.graphics.fillStyle(color, 1);
-    this.graphics.fillCircle(x, y, PROJECTILE_BODY.radius);
+    this.graphics.fillCircle(x, y, this.radius);
 
     // Draw inner bright spot (offset in direction of travel for leading edge effect)
     this.graphics.fillStyle(0xffffff, 0.6);
     this.graphics.fillCircle(
       x + this.directionX * 3,
       y + this.directionY * 3,
-      PROJECTILE_BODY.radius * 0.4
+      this.radius * 0.4
     );
   }
 
   /**
-   * Updates projectile each frame
+   * Updates projectile each gameplay step
    * @param {number} time - Current time
-   * @param {number} delta - Delta time
+   * @param {number} delta - Step delta
    */
   update(time, delta) {
     // Check lifetime
@@ -182,17 +204,18 @@ export default class Projectile {
     // Check if out of arena bounds (use arena dimensions, not viewport)
     const pos = this.body.position;
     const padding = 100;
+    const arena = this.scene.arena;
 
-    if (pos.x < -padding || pos.x > ARENA.width + padding ||
-        pos.y < -padding - 400 || pos.y > ARENA.groundY + ARENA.groundHeight + padding) {
+    if (pos.x < -padding || pos.x > arena.width + padding ||
+        pos.y < -padding - 400 || pos.y > arena.groundY + arena.groundHeight + padding) {
       this.shouldDestroy = true;
       return;
     }
 
     // Maintain intended velocity (counteract any physics drift)
     // This ensures projectiles travel in a straight line at constant speed
-    const expectedVelX = PROJECTILE_MOVEMENT.speed * this.directionX;
-    const expectedVelY = PROJECTILE_MOVEMENT.speed * this.directionY;
+    const expectedVelX = this.speed * this.directionX;
+    const expectedVelY = this.speed * this.directionY;
     const currentVel = this.body.velocity;
 
     // Only correct if there's significant drift
@@ -204,6 +227,53 @@ export default class Projectile {
     this.updateVisuals();
   }
 
+  /**
+   * Copies the projectile's gameplay state
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      body: this.body,
+      damage: this.damage,
+      directionX: this.directionX,
+      directionY: this.directionY,
+      createdAt: this.createdAt,
+      shouldDestroy: this.shouldDestroy,
+      previousPosition: this.previousPosition,
+    };
+  }
+
+  /**
+   * Puts back state copied by saveState(), bringing a destroyed projectile
+   * back (its body returns to the world with the physics state)
+   * @param {Object} state
+   */
+  restoreState(state) {
+    Object.assign(this, state);
+
+    if (!this.graphics.scene) {
+      this.graphics = this.createVisuals();
+      if (this.scene.uiCamera) {
+        this.scene.uiCamera.ignore(this.graphics);
+      }
+    }
+  }
+
+  /**
+   * Remembers where the body is before the physics step moves it
+   */
+  savePreviousPosition() {
+    this.previousPosition = { x: this.body.position.x, y: this.body.position.y };
+  }
+
+  /**
+   * Draws the projectile partway between its last two step positions
+   * @param {number} alpha - How far into the next step the render falls (0-1)
+   */
+  interpolate(alpha) {
+    interpolateGraphics(this.graphics, this.previousPosition, this.body.position, alpha);
+  }
+
   /**
    * Gets the direction vector (for knockback calculations)
    * @returns {Object} Direction vector { x, y }
@@ -0,0 +1,64 @@
+import HarnessRelay from './net/HarnessRelay.js';
+
+/**
+ * Netplay test harness entry point (harness.html)
+ *
+ * Runs two copies of the game side by side - host and guest of an online
+ * match - linked through a HarnessRelay instead of the relay server, with
+ * the latency, jitter and packet loss set on the page. Ticking a bot box
+ * makes that side play random inputs; click into a frame to play it with
+ * the keyboard instead. Restart reloads both frames with the current boxes.
+ */
+
+const conditions = { latency: 0, jitter: 0, loss: 0 };
+const relay = new HarnessRelay(conditions);
+
+const fields = {
+  latency: document.getElementById('latency'),
+  jitter: document.getElementById('jitter'),
+  loss: document.getElementById('loss'),
+};
+const frames = {
+  host: document.getElementById('host-frame'),
+  guest: document.getElementById('guest-frame'),
+};
+const botBoxes = {
+  host: document.getElementById('host-bot'),
+  guest: document.getElementById('guest-bot'),
+};
+const statsText = document.getElementById('stats');
+
+/**
+ * Reads the link conditions from the page (loss is entered in percent)
+ */
+function readConditions() {
+  conditions.latency = Math.max(0, Number(fields.latency.value) || 0);
+  conditions.jitter = Math.max(0, Number(fields.jitter.value) || 0);
+  conditions.loss = Math.min(100, Math.max(0, Number(fields.loss.value) || 0)) / 100;
+}
+
+/**
+ * (Re)loads both games
+ */
+function startGames() {
+  relay.reset();
+  Object.entries(frames).forEach(([role, frame]) => {
+    frame.src = `./index.html?harness=${role}${botBoxes[role].checked ? '&bot=1' : ''}`;
+  });
+}
+
+/**
+ * Shows how many messages went through and how many were lost
+ */
+function updateStats() {
+  const { sent, dropped } = relay.stats;
+  const percent = sent > 0 ? ((dropped / sent) * 100).toFixed(1) : '0.0';
+  statsText.textContent = `Messages: ${sent}   Dropped: ${dropped} (${percent}%)`;
+}
+
+Object.values(fields).forEach((field) => field.addEventListener('change', readConditions));
+document.getElementById('restart').addEventListener('click', startGames);
+setInterval(updateStats, 500);
+
+readConditions();
+startGames();
@@ -0,0 +1,77 @@
+import RelayConnection from './RelayConnection.js';
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * HarnessConnection - Relay link for a game running in the netplay test harness
+ *
+ * Used instead of a RelayConnection when the game runs in one of the two
+ * frames of harness.html. Rather than a WebSocket, messages go through the
+ * harness page (window.parent), whose HarnessRelay speaks the relay
+ * protocol and adds the latency, jitter and packet loss set there. Loaded
+ * through createHarnessConnection() in harnessOptions.js, on the dev server only.
+ *
+ * Envelopes on postMessage: { harnessLink: 'open' | 'message' | 'close', data }.
+ */
+export default class HarnessConnection extends RelayConnection {
+  constructor() {
+    super();
+
+    this.url = 'harness';
+    this.isLinked = false;
+    this.onWindowMessage = this.onWindowMessage.bind(this);
+  }
+
+  /**
+   * Links up with the harness page
+   * @returns {Promise<void>} Resolves at once - the harness page is always there
+   */
+  connect() {
+    window.addEventListener('message', this.onWindowMessage);
+    window.parent.postMessage({ harnessLink: 'open' }, window.location.origin);
+    this.isLinked = true;
+
+    logInfo('HarnessConnection: Linked to the test harness');
+    return Promise.resolve();
+  }
+
+  /**
+   * Receives a message from the harness page
+   * @param {MessageEvent} event
+   */
+  onWindowMessage(event) {
+    if (event.source !== window.parent || event.data?.harnessLink !== 'message') return;
+    this.handleMessage(event.data.data);
+  }
+
+  /**
+   * Checks whether the link is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.isLinked;
+  }
+
+  /**
+   * Sends a message through the harness page
+   * @param {Object} message - Message with a type
+   */
+  send(message) {
+    if (this.isLinked) {
+      window.parent.postMessage({ harnessLink: 'message', data: JSON.stringify(message) }, window.location.origin);
+    }
+  }
+
+  /**
+   * Unlinks from the harness page (the other game gets peerLeft)
+   */
+  close() {
+    if (this.isLinked) {
+      this.isLinked = false;
+      window.removeEventListener('message', this.onWindowMessage);
+      window.parent.postMessage({ harnessLink: 'close' }, window.location.origin);
+    }
+    this.roomCode = null;
+    this.isHost = false;
+    this.heldMessages = [];
+  }
+}
@@ -0,0 +1,184 @@
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * Message types the relay protocol can lose or reorder in the harness
+ * Netplay sends these over and over (or can do without one); everything
+ * else, like the lobby's messages, always arrives and in order.
+ */
+const UNRELIABLE_TYPES = ['input', 'checksum', 'ping', 'pong'];
+
+/**
+ * Room code the harness hands out (there's only ever one room)
+ */
+const ROOM_CODE = 'LOCAL';
+
+/**
+ * HarnessRelay - Stand-in relay server for the netplay test harness
+ *
+ * Runs in harness.html and connects the games in its two frames, each
+ * talking to it through a HarnessConnection. It answers host / join like
+ * server/relay.js and passes everything else to the other frame, after
+ * the conditions set on the page:
+ * - latency: one-way delay in ms
+ * - jitter: extra random delay in ms, up to this much
+ * - loss: chance (0-1) a message is dropped
+ * Jitter and loss only hit UNRELIABLE_TYPES, so a match can still be set
+ * up over a bad link; the inputs that follow get the full treatment.
+ */
+export default class HarnessRelay {
+  /**
+   * @param {Object} conditions - { latency, jitter, loss }, read on every message
+   */
+  constructor(conditions) {
+    this.conditions = conditions;
+
+    // Frame window -> 'host' | 'guest' | 'waiting' (asked to join before anyone hosted)
+    this.links = new Map();
+    this.stats = { sent: 0, dropped: 0 };
+
+    this.onWindowMessage = this.onWindowMessage.bind(this);
+    window.addEventListener('message', this.onWindowMessage);
+  }
+
+  /**
+   * Forgets both links and the counts (the frames are being reloaded)
+   */
+  reset() {
+    this.links.clear();
+    this.stats = { sent: 0, dropped: 0 };
+  }
+
+  /**
+   * Routes an envelope from one of the frames
+   * @param {MessageEvent} event
+   */
+  onWindowMessage(event) {
+    const link = event.data?.harnessLink;
+    if (!link || !event.source) return;
+
+    if (link === 'open') {
+      this.links.set(event.source, null);
+    } else if (link === 'close') {
+      this.leave(event.source);
+    } else if (link === 'message') {
+      this.handleMessage(event.source, event.data.data);
+    }
+  }
+
+  /**
+   * Handles one message from a frame
+   * @param {Window} source - Sending frame
+   * @param {string} data - Raw message
+   */
+  handleMessage(source, data) {
+    const message = JSON.parse(data);
+
+    switch (message.type) {
+      case 'host':
+        this.links.set(source, 'host');
+        this.deliver(source, { type: 'hosted', code: ROOM_CODE });
+        logInfo('HarnessRelay: Room hosted');
+        this.seatWaitingGuest();
+        break;
+
+      case 'join':
+        this.links.set(source, 'waiting');
+        this.seatWaitingGuest();
+        break;
+
+      default: {
+        const peer = this.getPeer(source);
+        if (peer) this.forward(peer, message.type, data);
+      }
+    }
+  }
+
+  /**
+   * Seats a frame waiting to join once the room is hosted
+   * (the frames load in no particular order)
+   */
+  seatWaitingGuest() {
+    const host = this.findLink('host');
+    const guest = this.findLink('waiting');
+    if (!host || !guest) return;
+
+    this.links.set(guest, 'guest');
+    this.deliver(guest, { type: 'joined', code: ROOM_CODE });
+    this.deliver(host, { type: 'peerJoined' });
+    logInfo('HarnessRelay: Guest joined');
+  }
+
+  /**
+   * Removes a frame and tells the other one
+   * @param {Window} source
+   */
+  leave(source) {
+    const peer = this.getPeer(source);
+    if (peer) this.deliver(peer, { type: 'peerLeft' });
+    this.links.delete(source);
+  }
+
+  /**
+   * Finds the frame with a role
+   * @param {string} role
+   * @returns {Window|null}
+   */
+  findLink(role) {
+    for (const [frame, linkRole] of this.links) {
+      if (linkRole === role) return frame;
+    }
+    return null;
+  }
+
+  /**
+   * Gets the other seated frame
+   * @param {Window} source
+   * @returns {Window|null}
+   */
+  getPeer(source) {
+    const role = this.links.get(source);
+    if (role === 'host') return this.findLink('guest');
+    if (role === 'guest') return this.findLink('host');
+    return null;
+  }
+
+  /**
+   * Passes game traffic on after the simulated latency, or drops it
+   * @param {Window} target
+   * @param {string} type - Message type
+   * @param {string} data - Raw message
+   */
+  forward(target, type, data) {
+    const { latency, jitter, loss } = this.conditions;
+    const isUnreliable = UNRELIABLE_TYPES.includes(type);
+
+    this.stats.sent++;
+    if (isUnreliable && Math.random() < loss) {
+      this.stats.dropped++;
+      return;
+    }
+
+    const delay = latency + (isUnreliable ? Math.random() * jitter : 0);
+    setTimeout(() => this.post(target, data), delay);
+  }
+
+  /**
+   * Sends a relay message of the harness's own after the latency
+   * @param {Window} target
+   * @param {Object} message
+   */
+  deliver(target, message) {
+    setTimeout(() => this.post(target, JSON.stringify(message)), this.conditions.latency);
+  }
+
+  /**
+   * Posts a raw message into a frame, if it's still linked
+   * @param {Window} target
+   * @param {string} data
+   */
+  post(target, data) {
+    if (this.links.has(target)) {
+      target.postMessage({ harnessLink: 'message', data }, window.location.origin);
+    }
+  }
+}
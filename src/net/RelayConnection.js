@@ -0,0 +1,213 @@
+import Phaser from 'phaser';
+import { NETWORK } from '../constants/network.js';
+import { logInfo, logWarn, logDebug } from '../utils/debug.js';
+
+// Messages a match listens for, which can arrive while it's still loading.
+// Any other message nobody is listening for is dropped
+const HELD_MESSAGE_TYPES = ['input', 'checksum', 'ping', 'pong', 'peerLeft'];
+
+/**
+ * Gets the relay server address
+ * @returns {string} WebSocket URL
+ */
+function getRelayUrl() {
+  const override = new URLSearchParams(window.location.search).get('relay');
+  if (override) return override;
+
+  return `ws://${window.location.hostname || 'localhost'}:${NETWORK.relayPort}`;
+}
+
+/**
+ * RelayConnection - WebSocket link to the relay server (server/relay.js)
+ *
+ * Lives across scenes: the online lobby opens it and hands it to GameScene
+ * for the match. Every message from the relay is emitted as an event named
+ * after its type (hosted, joined, peerJoined, peerLeft, error, and whatever
+ * the other player sends), with the message as the argument. 'disconnected'
+ * fires when the socket closes.
+ *
+ * A match message nobody is listening for yet is held rather than dropped:
+ * the opponent's first inputs can arrive while this side is still loading
+ * the match. releaseHeldMessages() delivers them once the listeners are in
+ * place. Anything else with no listener is dropped.
+ *
+ * The relay address defaults to port NETWORK.relayPort on the host serving
+ * the game, so a relay started next to the dev server just works on a LAN.
+ * Add ?relay=ws://host:port to the page URL to use another one.
+ */
+export default class RelayConnection extends Phaser.Events.EventEmitter {
+  constructor() {
+    super();
+
+    this.url = getRelayUrl();
+    this.socket = null;
+    this.roomCode = null;
+    this.isHost = false;
+
+    // Messages that arrived with no listener for their type
+    this.heldMessages = [];
+  }
+
+  /**
+   * Opens the connection
+   * @returns {Promise<void>} Resolves once connected, rejects if the relay can't be reached
+   */
+  connect() {
+    const url = this.url;
+    return new Promise((resolve, reject) => {
+      logInfo(`RelayConnection: Connecting to ${url}`);
+
+      let settled = false;
+      const fail = (reason) => {
+        if (settled) return;
+        settled = true;
+        this.close();
+        reject(new Error(reason));
+      };
+      const timeout = setTimeout(() => fail('Relay not responding'), NETWORK.connectTimeout);
+
+      try {
+        this.socket = new WebSocket(url);
+      } catch (error) {
+        clearTimeout(timeout);
+        fail(error.message);
+        return;
+      }
+
+      this.socket.addEventListener('open', () => {
+        clearTimeout(timeout);
+        settled = true;
+        logInfo('RelayConnection: Connected');
+        resolve();
+      });
+
+      this.socket.addEventListener('error', () => {
+        clearTimeout(timeout);
+        fail('Could not reach the relay server');
+      });
+
+      this.socket.addEventListener('message', (event) => this.handleMessage(event.data));
+
+      this.socket.addEventListener('close', () => {
+        clearTimeout(timeout);
+        if (!settled) {
+          fail('Connection closed');
+          return;
+        }
+        logInfo('RelayConnection: Disconnected');
+        this.socket = null;
+        this.emit('disconnected');
+      });
+    });
+  }
+
+  /**
+   * Parses a message and emits it as an event
+   * @param {string} data - Raw message
+   */
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      logWarn('RelayConnection: Ignored malformed message');
+      return;
+    }
+
+    if (!message || typeof message !== 'object') {
+      logWarn('RelayConnection: Ignored malformed message');
+      return;
+    }
+
+    if (message.type === 'hosted' || message.type === 'joined') {
+      this.roomCode = message.code;
+      this.isHost = message.type === 'hosted';
+      logInfo(`RelayConnection: ${this.isHost ? 'Hosting' : 'Joined'} room ${this.roomCode}`);
+    } else if (message.type === 'error') {
+      logWarn(`RelayConnection: ${message.message}`);
+    } else if (!['input', 'checksum', 'ping', 'pong'].includes(message.type)) {
+      logDebug(`RelayConnection: Received ${message.type}`);
+    }
+
+    if (this.listenerCount(message.type) === 0) {
+      if (HELD_MESSAGE_TYPES.includes(message.type)) {
+        this.heldMessages.push(message);
+      } else {
+        logDebug(`RelayConnection: Dropped ${message.type} (no listener)`);
+      }
+      return;
+    }
+
+    this.emit(message.type, message);
+  }
+
+  /**
+   * Delivers held messages that now have a listener (the rest stay held)
+   */
+  releaseHeldMessages() {
+    const held = this.heldMessages;
+    this.heldMessages = [];
+    held.forEach((message) => {
+      if (this.listenerCount(message.type) === 0) {
+        this.heldMessages.push(message);
+      } else {
+        this.emit(message.type, message);
+      }
+    });
+  }
+
+  /**
+   * Checks whether the socket is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Sends a message to the relay (and through it, the other player)
+   * @param {Object} message - Message with a type
+   */
+  send(message) {
+    if (this.isOpen()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Opens a room as host
+   */
+  host() {
+    this.send({ type: 'host' });
+  }
+
+  /**
+   * Joins a room as guest
+   * @param {string} code - Room code
+   */
+  join(code) {
+    this.send({ type: 'join', code });
+  }
+
+  /**
+   * Closes the connection (the other player gets peerLeft)
+   */
+  close() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.roomCode = null;
+    this.isHost = false;
+    this.heldMessages = [];
+  }
+
+  /**
+   * Closes the connection and drops every listener
+   */
+  destroy() {
+    this.close();
+    this.removeAllListeners();
+  }
+}
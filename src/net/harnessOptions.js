@@ -0,0 +1,34 @@
+/**
+ * Netplay test harness hooks for the game
+ * The harness only exists on the dev server. Both functions check
+ * import.meta.env.DEV, which production builds replace with false, so the
+ * HarnessConnection import below is dropped and the harness never reaches
+ * the production bundle.
+ */
+
+/**
+ * Reads the netplay test harness options from the page URL
+ * (?harness=host|guest, plus &bot=1 for random input)
+ * @returns {Object|null} { role, bot }, or null outside the harness
+ */
+export function getHarnessOptions() {
+  if (!import.meta.env.DEV) return null;
+
+  const params = new URLSearchParams(window.location.search);
+  const role = params.get('harness');
+  if (role !== 'host' && role !== 'guest') return null;
+
+  return { role, bot: params.get('bot') === '1' };
+}
+
+/**
+ * Loads HarnessConnection and opens a link to the harness page
+ * @returns {Promise<HarnessConnection>}
+ */
+export async function createHarnessConnection() {
+  if (import.meta.env.DEV) {
+    const { default: HarnessConnection } = await import('./HarnessConnection.js');
+    return new HarnessConnection();
+  }
+  throw new Error('The netplay test harness only runs on the dev server');
+}
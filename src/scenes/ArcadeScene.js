@@ -0,0 +1,302 @@
+import Phaser from 'phaser';
+import { ARCADE } from '../constants/gameBalance.js';
+import { logInfo } from '../utils/debug.js';
+import { audio } from '../utils/audio.js';
+import { getRandomArena } from '../arenas/index.js';
+import {
+  COLORS,
+  FONTS,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+} from '../constants/uiStyles.js';
+
+/**
+ * ArcadeScene - Between-stage screen for arcade runs
+ * Scores the finished stage, then shows one of:
+ * - Stage clear: score breakdown and the next opponent
+ * - Continue prompt: after a loss, with a countdown
+ * - Final score: ladder cleared or run over
+ *
+ * Expects scene data from GameScene.endMatch():
+ * { run: { player1Character, opponents, stage, score, continues }, results }
+ */
+export default class ArcadeScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ArcadeScene' });
+
+    this.canConfirm = true;
+    this.countdownEvent = null;
+  }
+
+  /**
+   * Receives the run state and stage results from GameScene
+   * @param {Object} data - { run, results }
+   */
+  init(data) {
+    // Copy so the run is only ever advanced here
+    this.run = { ...data.run };
+    this.results = data.results;
+  }
+
+  create() {
+    // Reset state on scene restart
+    this.canConfirm = true;
+    this.countdownEvent = null;
+
+    createMenuBackground(this);
+    createCornerAccents(this);
+    audio.playMusic('menu');
+
+    const stageNumber = this.run.stage + 1;
+
+    if (this.results.winner === 1) {
+      const stageScore = this.calculateStageScore();
+      this.run.score += stageScore;
+      this.run.stage++;
+
+      logInfo(`ArcadeScene: Stage ${stageNumber} cleared (+${stageScore}, total ${this.run.score})`);
+
+      if (this.run.stage >= this.run.opponents.length) {
+        this.showFinalScore(true);
+      } else {
+        this.showStageClear(stageNumber, stageScore);
+      }
+    } else {
+      logInfo(`ArcadeScene: Lost stage ${stageNumber}`);
+      this.showContinuePrompt(stageNumber);
+    }
+
+    this.cameras.main.fadeIn(250, 13, 17, 23);
+  }
+
+  /**
+   * Scores a won stage from the match results
+   * Later stages are worth more
+   * @returns {number} Points earned
+   */
+  calculateStageScore() {
+    const stageNumber = this.run.stage + 1;
+    const p1Stats = this.results.stats.players[1];
+
+    return Math.round(
+      ARCADE.stageClearBonus * stageNumber +
+      ARCADE.roundWinBonus * this.results.roundWins[1] +
+      ARCADE.damagePoints * p1Stats.damageDealt
+    );
+  }
+
+  /**
+   * Shows the stage clear screen with the next opponent
+   * @param {number} clearedStage - Stage number just cleared
+   * @param {number} stageScore - Points earned this stage
+   */
+  showStageClear(clearedStage, stageScore) {
+    const { width, height } = this.cameras.main;
+    const nextOpponent = this.run.opponents[this.run.stage];
+
+    this.createHeading(`STAGE ${clearedStage} CLEAR`);
+
+    this.createLine(height * 0.38, `STAGE SCORE  +${stageScore}`, TEXT_STYLES.overlayContent);
+    this.createLine(height * 0.44, `TOTAL  ${this.run.score}`, {
+      ...TEXT_STYLES.overlayContent,
+      fontSize: '22px',
+      color: COLORS.textGold,
+    });
+
+    this.createLine(height * 0.56, `STAGE ${this.run.stage + 1} / ${this.run.opponents.length}`, {
+      ...TEXT_STYLES.hint,
+      fontSize: '16px',
+    });
+
+    const next = this.add.text(width / 2, height * 0.63, `NEXT: ${nextOpponent.name.toUpperCase()}`, {
+      fontSize: '40px',
+      fontFamily: FONTS.title.fontFamily,
+      color: this.toColorString(nextOpponent.color),
+      letterSpacing: 4,
+    });
+    next.setOrigin(0.5);
+
+    this.createPrompt('ENTER  FIGHT');
+    this.input.keyboard.on('keydown-ENTER', () => this.startStage());
+  }
+
+  /**
+   * Shows the continue prompt after a loss
+   * Accepting retries the same stage; declining or timing out ends the run
+   * @param {number} stageNumber - Stage that was lost
+   */
+  showContinuePrompt(stageNumber) {
+    const { height } = this.cameras.main;
+
+    this.createHeading('CONTINUE?');
+
+    this.createLine(height * 0.38, `LOST AT STAGE ${stageNumber}  •  SCORE ${this.run.score}`, TEXT_STYLES.overlayContent);
+
+    let secondsLeft = ARCADE.continueCountdown;
+    const countdownText = this.createLine(height * 0.55, String(secondsLeft), {
+      ...TEXT_STYLES.titleSecondary,
+      fontSize: '96px',
+    });
+
+    this.countdownEvent = this.time.addEvent({
+      delay: 1000,
+      repeat: ARCADE.continueCountdown - 1,
+      callback: () => {
+        secondsLeft--;
+        countdownText.setText(String(secondsLeft));
+        if (secondsLeft <= 0) {
+          this.showFinalScore(false);
+        }
+      },
+    });
+
+    this.createPrompt('ENTER  CONTINUE        ESC  GIVE UP');
+
+    this.input.keyboard.on('keydown-ENTER', () => {
+      this.run.continues++;
+      this.startStage();
+    });
+    this.input.keyboard.on('keydown-ESC', () => this.showFinalScore(false));
+  }
+
+  /**
+   * Shows the final score screen
+   * @param {boolean} cleared - Whether the whole ladder was beaten
+   */
+  showFinalScore(cleared) {
+    if (this.countdownEvent) {
+      this.countdownEvent.remove();
+      this.countdownEvent = null;
+    }
+
+    // Rebuild the screen (may be replacing the continue prompt)
+    this.input.keyboard.removeAllListeners();
+    this.tweens.killAll();
+    this.children.removeAll(true);
+    createMenuBackground(this);
+    createCornerAccents(this);
+
+    const { height } = this.cameras.main;
+
+    logInfo(`ArcadeScene: Run over (${cleared ? 'cleared' : 'game over'}) - final score ${this.run.score}`);
+
+    this.createHeading(cleared ? 'ARCADE CLEAR' : 'GAME OVER');
+
+    this.createLine(height * 0.36, this.run.player1Character.name.toUpperCase(), {
+      fontSize: '24px',
+      fontFamily: FONTS.title.fontFamily,
+      color: this.toColorString(this.run.player1Character.color),
+      letterSpacing: 4,
+    });
+
+    this.createLine(height * 0.48, 'FINAL SCORE', { ...TEXT_STYLES.hint, fontSize: '16px' });
+    this.createLine(height * 0.56, String(this.run.score), {
+      ...TEXT_STYLES.titleSecondary,
+      fontSize: '72px',
+    });
+
+    this.createLine(
+      height * 0.66,
+      `STAGES CLEARED ${this.run.stage} / ${this.run.opponents.length}  •  CONTINUES ${this.run.continues}`,
+      TEXT_STYLES.overlayContent
+    );
+
+    this.createPrompt('ENTER  MAIN MENU');
+    this.input.keyboard.on('keydown-ENTER', () => this.transitionToScene('MainMenuScene'));
+  }
+
+  /**
+   * Starts the current stage against the next opponent on the ladder
+   */
+  startStage() {
+    const opponent = this.run.opponents[this.run.stage];
+
+    this.transitionToScene('GameScene', {
+      mode: 'arcade',
+      player1Character: this.run.player1Character,
+      player2Character: opponent,
+      arcadeRun: this.run,
+      arena: getRandomArena(), // A new arena every stage
+    });
+  }
+
+  /**
+   * Creates the screen heading with accent line
+   * @param {string} text - Heading text
+   */
+  createHeading(text) {
+    const { width, height } = this.cameras.main;
+
+    const heading = this.add.text(width / 2, height * 0.2, text, {
+      ...TEXT_STYLES.titleSecondary,
+      fontSize: '72px',
+    });
+    heading.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.2 + 50);
+  }
+
+  /**
+   * Adds a centered line of text
+   * @param {number} y - Y position
+   * @param {string} text - Line text
+   * @param {Object} style - Text style
+   * @returns {Phaser.GameObjects.Text}
+   */
+  createLine(y, text, style) {
+    const line = this.add.text(this.cameras.main.width / 2, y, text, style);
+    line.setOrigin(0.5);
+    return line;
+  }
+
+  /**
+   * Creates the pulsing key prompt at the bottom of the screen
+   * @param {string} text - Prompt text
+   */
+  createPrompt(text) {
+    const prompt = this.createLine(this.cameras.main.height * 0.85, text, {
+      ...TEXT_STYLES.menuSelected,
+      fontSize: '24px',
+    });
+
+    this.tweens.add({
+      targets: prompt,
+      alpha: { from: 1, to: 0.5 },
+      duration: 600,
+      yoyo: true,
+      repeat: -1,
+    });
+  }
+
+  /**
+   * Smooth transition to another scene
+   * @param {string} sceneKey - Scene to transition to
+   * @param {Object} data - Data for the next scene
+   */
+  transitionToScene(sceneKey, data = {}) {
+    if (!this.canConfirm) return;
+    this.canConfirm = false;
+
+    if (this.countdownEvent) {
+      this.countdownEvent.remove();
+      this.countdownEvent = null;
+    }
+    this.input.keyboard.removeAllListeners();
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start(sceneKey, data);
+    });
+  }
+
+  /**
+   * Converts a hex color number to a CSS color string
+   * @param {number} color
+   * @returns {string}
+   */
+  toColorString(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+  }
+}
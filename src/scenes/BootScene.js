@@ -1,5 +1,9 @@
 import Phaser from 'phaser';
 import { logInfo } from '../utils/debug.js';
+import { loadControlBindings } from '../constants/controls.js';
+import { settings } from '../utils/settings.js';
+import { audio } from '../utils/audio.js';
+import { getHarnessOptions } from '../net/harnessOptions.js';
 
 /**
  * BootScene - Initial loading scene
@@ -21,11 +25,18 @@ export default class BootScene extends Phaser.Scene {
   }
 
   create() {
-    logInfo('BootScene: Boot complete, transitioning to MainMenu');
+    // Restore the players' saved settings and key bindings
+    audio.init(this.game);
+    settings.load(this.game);
+    loadControlBindings();
+
+    // In the netplay test harness (harness.html) the game goes straight online
+    const nextScene = getHarnessOptions() ? 'OnlineLobbyScene' : 'MainMenuScene';
+    logInfo(`BootScene: Boot complete, transitioning to ${nextScene}`);
 
     // Small delay for visual polish
     this.time.delayedCall(500, () => {
-      this.scene.start('MainMenuScene');
+      this.scene.start(nextScene);
     });
   }
 
@@ -4,11 +4,21 @@
  * Two-player character selection screen for local 1v1.
  * Both players select on the same screen using keyboard controls.
  *
- * Player 1: A/D to cycle, F to confirm
- * Player 2: Left/Right arrows to cycle, L to confirm
+ * Each player cycles with their move left/right keys and confirms with
+ * their attack key (A/D + F and arrows + L unless rebound)
+ * Gamepads: D-pad / stick to cycle, A to confirm, B to un-confirm or go back,
+ * Start to battle, Select to move the pad to the other player
+ *
+ * In arcade mode only player 1 picks; the player 2 panel previews the
+ * first CPU opponent on the ladder. Arcade goes straight into the fight on a
+ * random arena, other modes continue to stage select.
  */
 
 import { characters, getNextCharacter } from '../characters/index.js';
+import { getRandomArena } from '../arenas/index.js';
+import { GAMEPAD_CONTROLS, getPlayerControls, getKeyName } from '../constants/controls.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
 
 export default class CharacterSelectScene extends Phaser.Scene {
   constructor() {
@@ -49,10 +59,51 @@ export default class CharacterSelectScene extends Phaser.Scene {
     // Setup input
     this.setupInput();
 
+    // Arcade: player 2 is the CPU and is always ready
+    if (this.isArcade()) {
+      this.player2.confirmed = true;
+      this.syncArcadeOpponent();
+    }
+
     // Initial render
     this.updateDisplay();
   }
 
+  /**
+   * Checks whether this is a single-player arcade selection
+   * @returns {boolean}
+   */
+  isArcade() {
+    return this.gameMode === 'arcade';
+  }
+
+  /**
+   * Gets the player 2 panel label for the current mode
+   * @returns {string}
+   */
+  getPlayer2Label() {
+    if (this.gameMode === 'training') return 'DUMMY';
+    if (this.isArcade()) return 'CPU';
+    return 'PLAYER 2';
+  }
+
+  /**
+   * Builds the arcade ladder: every character except player 1's, in roster order
+   * @returns {Object[]} Opponent character configs
+   */
+  getArcadeLadder() {
+    const playerCharacter = characters[this.player1.selectedIndex];
+    return characters.filter((c) => c.id !== playerCharacter.id);
+  }
+
+  /**
+   * Points the player 2 panel at the first arcade opponent
+   */
+  syncArcadeOpponent() {
+    const firstOpponent = this.getArcadeLadder()[0];
+    this.player2.selectedIndex = characters.findIndex((c) => c.id === firstOpponent.id);
+  }
+
   createBackground(width, height) {
     // Deep space gradient background
     const bg = this.add.graphics();
@@ -122,7 +173,7 @@ export default class CharacterSelectScene extends Phaser.Scene {
       panelY,
       panelWidth,
       panelHeight,
-      'PLAYER 2',
+      this.getPlayer2Label(),
       0x4ecdc4,
       2
     );
@@ -197,6 +248,14 @@ export default class CharacterSelectScene extends Phaser.Scene {
       letterSpacing: 4,
     }).setOrigin(0.5);
 
+    // Input source (keyboard or assigned gamepad)
+    panel.inputText = this.add.text(x, bannerY + 24, '', {
+      fontSize: '11px',
+      fontFamily: 'Arial, sans-serif',
+      color: '#667788',
+      letterSpacing: 1,
+    }).setOrigin(0.5);
+
     // Ready indicator ABOVE the panel (not inside)
     panel.readyText = this.createReadyIndicator(x, y - height / 2 - 30, accentColor);
 
@@ -231,6 +290,15 @@ export default class CharacterSelectScene extends Phaser.Scene {
     // Stats display
     panel.stats = this.createStatsDisplay(x, nameY + 75, width, accentColor);
 
+    // Transformation forms in power-up order
+    panel.forms = this.add.text(x, nameY + 188, '', {
+      fontSize: '12px',
+      fontFamily: 'Arial, sans-serif',
+      color: '#f1c40f',
+      align: 'center',
+      wordWrap: { width: width - 40 },
+    }).setOrigin(0.5);
+
     // Navigation arrows (styled)
     panel.leftArrow = this.createNavArrow(x - width / 2 + 35, previewY, '◀', accentColor);
     panel.rightArrow = this.createNavArrow(x + width / 2 - 35, previewY, '▶', accentColor);
@@ -369,14 +437,22 @@ export default class CharacterSelectScene extends Phaser.Scene {
     barGraphics.lineStyle(1, 0x2a3a4a, 0.8);
     barGraphics.lineBetween(0, barY - 20, width, barY - 20);
 
+    const p1Controls = getPlayerControls(1);
+    const p2Controls = getPlayerControls(2);
+
     // Player 1 controls (left)
-    this.createControlHint(width / 4, barY, 'A / D', 'Navigate', 0xff6b35);
+    this.createControlHint(
+      width / 4, barY, `${getKeyName(p1Controls.left)} / ${getKeyName(p1Controls.right)}`, 'Navigate', 0xff6b35
+    );
 
     // Player 2 controls (right)
-    this.createControlHint((width * 3) / 4, barY, '← / →', 'Navigate', 0x4ecdc4);
+    this.createControlHint(
+      (width * 3) / 4, barY, `${getKeyName(p2Controls.left)} / ${getKeyName(p2Controls.right)}`, 'Navigate', 0x4ecdc4
+    );
 
     // Center - confirm/start instruction
-    this.confirmHint = this.add.text(width / 2, barY, 'F / L to Lock In', {
+    const lockInKeys = `${getKeyName(p1Controls.attack)} / ${getKeyName(p2Controls.attack)}`;
+    this.confirmHint = this.add.text(width / 2, barY, `${lockInKeys} to Lock In`, {
       fontSize: '16px',
       fontFamily: 'Arial, sans-serif',
       color: '#888899',
@@ -426,25 +502,79 @@ export default class CharacterSelectScene extends Phaser.Scene {
   }
 
   setupInput() {
-    // Player 1 controls
-    this.p1Keys = {
-      left: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.A),
-      right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.D),
-      confirm: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.F),
-    };
-
-    // Player 2 controls
-    this.p2Keys = {
-      left: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.LEFT),
-      right: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.RIGHT),
-      confirm: this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.L),
+    // Player keys follow their gameplay bindings (attack confirms)
+    const createPlayerKeys = (playerNumber) => {
+      const controls = getPlayerControls(playerNumber);
+      return {
+        left: this.input.keyboard.addKey(controls.left),
+        right: this.input.keyboard.addKey(controls.right),
+        confirm: this.input.keyboard.addKey(controls.attack),
+      };
     };
+    this.p1Keys = createPlayerKeys(1);
+    this.p2Keys = createPlayerKeys(2);
 
     // Start game
     this.enterKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ENTER);
 
     // Back to menu
     this.escKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
+
+    // Gamepads - each pad drives the panel of the player it's assigned to
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action, playerNumber, pad) => this.handleGamepadAction(action, playerNumber, pad));
+
+    if (this.input.gamepad) {
+      // Refresh the input labels when pads are plugged in or out
+      this.input.gamepad.on('connected', () => this.updateDisplay());
+      this.input.gamepad.on('disconnected', () => this.updateDisplay());
+    }
+  }
+
+  /**
+   * Handles a menu button pressed on a gamepad
+   * Cycling is polled in handleInput so holding the D-pad / stick repeats
+   * @param {string} action - Menu action from GAMEPAD_MENU_CONTROLS
+   * @param {number|null} playerNumber - Player the pad is assigned to
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  handleGamepadAction(action, playerNumber, pad) {
+    if (action === 'swap') {
+      gamepads.swap(pad.index);
+      this.updateDisplay();
+      return;
+    }
+
+    const isCpu = playerNumber === 2 && this.isArcade();
+
+    if (action === 'confirm' && playerNumber !== null && !isCpu) {
+      const player = playerNumber === 1 ? this.player1 : this.player2;
+      if (!player.confirmed) this.toggleConfirm(playerNumber);
+    } else if (action === 'back') {
+      const player = playerNumber === 1 ? this.player1 : this.player2;
+      if (playerNumber !== null && !isCpu && player.confirmed) {
+        this.toggleConfirm(playerNumber);
+      } else {
+        this.scene.start('ModeSelectScene');
+      }
+    } else if (action === 'start' && this.player1.confirmed && this.player2.confirmed) {
+      this.startGame();
+    }
+  }
+
+  /**
+   * Reads left / right from a player's gamepad (D-pad or stick)
+   * @param {number} playerNumber - 1 or 2
+   * @returns {number} -1, 0 or 1
+   */
+  getGamepadDirection(playerNumber) {
+    const pad = gamepads.getPad(this, playerNumber);
+    if (!pad) return 0;
+
+    const threshold = GAMEPAD_CONTROLS.stickDigitalThreshold;
+    if (pad.isButtonDown(GAMEPAD_CONTROLS.dpadLeft) || pad.leftStick.x <= -threshold) return -1;
+    if (pad.isButtonDown(GAMEPAD_CONTROLS.dpadRight) || pad.leftStick.x >= threshold) return 1;
+    return 0;
   }
 
   update(time) {
@@ -453,11 +583,12 @@ export default class CharacterSelectScene extends Phaser.Scene {
 
   handleInput(time) {
     // Player 1 input
+    const p1PadDirection = this.getGamepadDirection(1);
     if (!this.player1.confirmed && time > this.inputCooldown.player1) {
-      if (this.p1Keys.left.isDown) {
+      if (this.p1Keys.left.isDown || p1PadDirection < 0) {
         this.cycleCharacter(1, -1);
         this.inputCooldown.player1 = time + this.cooldownDuration;
-      } else if (this.p1Keys.right.isDown) {
+      } else if (this.p1Keys.right.isDown || p1PadDirection > 0) {
         this.cycleCharacter(1, 1);
         this.inputCooldown.player1 = time + this.cooldownDuration;
       }
@@ -467,18 +598,19 @@ export default class CharacterSelectScene extends Phaser.Scene {
       this.toggleConfirm(1);
     }
 
-    // Player 2 input
-    if (!this.player2.confirmed && time > this.inputCooldown.player2) {
-      if (this.p2Keys.left.isDown) {
+    // Player 2 input (CPU in arcade)
+    const p2PadDirection = this.getGamepadDirection(2);
+    if (!this.isArcade() && !this.player2.confirmed && time > this.inputCooldown.player2) {
+      if (this.p2Keys.left.isDown || p2PadDirection < 0) {
         this.cycleCharacter(2, -1);
         this.inputCooldown.player2 = time + this.cooldownDuration;
-      } else if (this.p2Keys.right.isDown) {
+      } else if (this.p2Keys.right.isDown || p2PadDirection > 0) {
         this.cycleCharacter(2, 1);
         this.inputCooldown.player2 = time + this.cooldownDuration;
       }
     }
 
-    if (Phaser.Input.Keyboard.JustDown(this.p2Keys.confirm)) {
+    if (!this.isArcade() && Phaser.Input.Keyboard.JustDown(this.p2Keys.confirm)) {
       this.toggleConfirm(2);
     }
 
@@ -501,6 +633,10 @@ export default class CharacterSelectScene extends Phaser.Scene {
     const nextChar = getNextCharacter(currentChar.id, direction);
     player.selectedIndex = characters.findIndex((c) => c.id === nextChar.id);
 
+    if (this.isArcade() && playerNum === 1) {
+      this.syncArcadeOpponent();
+    }
+
     this.updateDisplay();
     this.playSelectSound();
   }
@@ -547,12 +683,20 @@ export default class CharacterSelectScene extends Phaser.Scene {
     panel.name.setText(char.name.toUpperCase());
     panel.description.setText(char.description);
 
+    // Input source
+    const pad = gamepads.getPad(this, playerNum);
+    panel.inputText.setText(pad ? `KEYBOARD + GAMEPAD ${pad.index + 1}` : 'KEYBOARD');
+
     // Update stats bars (segmented style)
     this.updateStatBar(panel.stats.spd, char.displaySpeed);
     this.updateStatBar(panel.stats.pwr, char.displayPower);
     this.updateStatBar(panel.stats.def, char.displayDurability);
     this.updateStatBar(panel.stats.ki, char.displayKi);
 
+    // Forms list (e.g. "SUPER SAIYAN › SUPER SAIYAN 2 › SUPER SAIYAN 3")
+    const formNames = char.forms.map((form) => form.name.toUpperCase());
+    panel.forms.setText(formNames.length > 0 ? `FORMS: ${formNames.join(' › ')}` : '');
+
     // Show/hide ready state
     panel.readyText.setVisible(playerState.confirmed);
 
@@ -652,11 +796,11 @@ export default class CharacterSelectScene extends Phaser.Scene {
   }
 
   playSelectSound() {
-    // TODO: Add sound effect when audio system is implemented
+    audio.play('menuMove');
   }
 
   playConfirmSound(confirmed) {
-    // TODO: Add sound effect when audio system is implemented
+    audio.play(confirmed ? 'menuConfirm' : 'menuBack');
   }
 
   startGame() {
@@ -664,8 +808,30 @@ export default class CharacterSelectScene extends Phaser.Scene {
     const p1Character = characters[this.player1.selectedIndex];
     const p2Character = characters[this.player2.selectedIndex];
 
-    // Transition to game with character data
-    this.scene.start('GameScene', {
+    // Arcade starts a new ladder run against the first opponent
+    const arcadeRun = this.isArcade()
+      ? {
+        player1Character: p1Character,
+        opponents: this.getArcadeLadder(),
+        stage: 0,
+        score: 0,
+        continues: 0,
+      }
+      : null;
+
+    // Arcade picks the arena for each stage; other modes choose one first
+    if (this.isArcade()) {
+      this.scene.start('GameScene', {
+        mode: this.gameMode,
+        player1Character: p1Character,
+        player2Character: p2Character,
+        arcadeRun,
+        arena: getRandomArena(),
+      });
+      return;
+    }
+
+    this.scene.start('StageSelectScene', {
       mode: this.gameMode,
       player1Character: p1Character,
       player2Character: p2Character,
@@ -0,0 +1,319 @@
+import Phaser from 'phaser';
+import {
+  REBINDABLE_ACTIONS,
+  getPlayerControls,
+  setPlayerBinding,
+  resetControlBindings,
+  getKeyName,
+} from '../constants/controls.js';
+import {
+  COLORS,
+  FONTS,
+  LAYOUT,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+} from '../constants/uiStyles.js';
+import { logInfo } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
+
+/**
+ * ControlsScene - Key rebinding for both players
+ * A grid of actions (rows) by player (columns). Selecting a cell waits for
+ * the next key press and binds it; keys that are reserved or already used by
+ * either player are rejected and the clashing binding is highlighted.
+ * Bindings are saved as soon as they change (see constants/controls.js).
+ */
+export default class ControlsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ControlsScene' });
+
+    this.selectedRow = 0;
+    this.selectedPlayer = 1;
+    this.listening = false;
+    this.conflictCell = null;
+    this.cellTexts = {};
+  }
+
+  create() {
+    logInfo('ControlsScene: Creating rebinding menu');
+
+    // Reset state on scene restart
+    this.selectedRow = 0;
+    this.selectedPlayer = 1;
+    this.listening = false;
+    this.conflictCell = null;
+    this.cellTexts = { 1: [], 2: [] };
+
+    createMenuBackground(this);
+    createCornerAccents(this);
+    this.createHeader();
+    this.createGrid();
+    this.createFooter();
+    this.setupInput();
+
+    this.refreshGrid();
+    this.cameras.main.fadeIn(200, 13, 17, 23);
+  }
+
+  /**
+   * Creates the title
+   */
+  createHeader() {
+    const { width, height } = this.cameras.main;
+
+    const title = this.add.text(width / 2, height * 0.1, 'CONTROLS', {
+      fontSize: '56px',
+      fontFamily: FONTS.title.fontFamily,
+      color: COLORS.textGold,
+      letterSpacing: 6,
+    });
+    title.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.1 + 40);
+  }
+
+  /**
+   * Creates the action / player grid
+   */
+  createGrid() {
+    const { width, height } = this.cameras.main;
+    const actionCol = width * 0.28;
+    const playerCols = { 1: width * 0.52, 2: width * 0.74 };
+    const headerY = height * 0.24;
+    const rowStartY = headerY + 50;
+    const rowSpacing = 44;
+
+    [1, 2].forEach((playerNumber) => {
+      const header = this.add.text(playerCols[playerNumber], headerY, `PLAYER ${playerNumber}`, {
+        fontSize: '22px',
+        fontFamily: FONTS.title.fontFamily,
+        color: '#ffffff',
+        letterSpacing: 2,
+      });
+      header.setOrigin(0.5);
+    });
+
+    const separator = this.add.graphics();
+    separator.lineStyle(1, COLORS.borderGold, 0.3);
+    separator.lineBetween(width * 0.16, headerY + 22, width * 0.84, headerY + 22);
+
+    REBINDABLE_ACTIONS.forEach(({ label }, row) => {
+      const y = rowStartY + row * rowSpacing;
+
+      const actionText = this.add.text(actionCol, y, label.toUpperCase(), {
+        ...TEXT_STYLES.overlayContent,
+        color: '#999999',
+      });
+      actionText.setOrigin(0.5);
+
+      [1, 2].forEach((playerNumber) => {
+        const cell = this.add.text(playerCols[playerNumber], y, '', {
+          ...TEXT_STYLES.overlayContent,
+          fontSize: '20px',
+        });
+        cell.setOrigin(0.5);
+        this.cellTexts[playerNumber].push(cell);
+      });
+    });
+
+    // Result of the last rebind (success, conflict, cancelled)
+    this.statusText = this.add.text(width / 2, rowStartY + REBINDABLE_ACTIONS.length * rowSpacing + 20, '', {
+      ...TEXT_STYLES.overlayContent,
+      color: COLORS.textMuted,
+    });
+    this.statusText.setOrigin(0.5);
+  }
+
+  /**
+   * Creates footer with navigation hints
+   */
+  createFooter() {
+    const { width, height } = this.cameras.main;
+
+    const hint = this.add.text(
+      width / 2,
+      height * LAYOUT.hintY,
+      '[ ↑ ↓ ← → ] SELECT     [ ENTER ] REBIND     [ BACKSPACE ] RESET DEFAULTS     [ ESC ] BACK',
+      TEXT_STYLES.hint
+    );
+    hint.setOrigin(0.5);
+  }
+
+  /**
+   * Sets up keyboard and gamepad input
+   * One keydown handler covers both navigation and capturing the new key
+   */
+  setupInput() {
+    this.input.keyboard.on('keydown', (event) => this.handleKeyDown(event.keyCode));
+
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if (this.listening) {
+        if (action === 'back') this.cancelListening();
+        return;
+      }
+
+      if (action === 'up' || action === 'down') {
+        this.moveSelection(action === 'up' ? -1 : 1, 0);
+      } else if (action === 'left' || action === 'right') {
+        this.moveSelection(0, action === 'left' ? -1 : 1);
+      } else if (action === 'confirm') {
+        this.startListening();
+      } else if (action === 'back') {
+        this.goBack();
+      }
+    });
+  }
+
+  /**
+   * Handles a key press
+   * @param {number} keyCode
+   */
+  handleKeyDown(keyCode) {
+    const { KeyCodes } = Phaser.Input.Keyboard;
+
+    if (this.listening) {
+      this.captureKey(keyCode);
+      return;
+    }
+
+    switch (keyCode) {
+      case KeyCodes.UP:
+        this.moveSelection(-1, 0);
+        break;
+      case KeyCodes.DOWN:
+        this.moveSelection(1, 0);
+        break;
+      case KeyCodes.LEFT:
+        this.moveSelection(0, -1);
+        break;
+      case KeyCodes.RIGHT:
+        this.moveSelection(0, 1);
+        break;
+      case KeyCodes.ENTER:
+        this.startListening();
+        break;
+      case KeyCodes.BACKSPACE:
+        resetControlBindings();
+        this.setStatus('Bindings reset to defaults', COLORS.textGold);
+        break;
+      case KeyCodes.ESC:
+        this.goBack();
+        break;
+    }
+  }
+
+  /**
+   * Moves the selected cell
+   * @param {number} rowDelta - -1 up, 1 down
+   * @param {number} columnDelta - -1 left, 1 right
+   */
+  moveSelection(rowDelta, columnDelta) {
+    this.selectedRow = Phaser.Math.Wrap(this.selectedRow + rowDelta, 0, REBINDABLE_ACTIONS.length);
+    if (columnDelta !== 0) {
+      this.selectedPlayer = this.selectedPlayer === 1 ? 2 : 1;
+    }
+    audio.play('menuMove');
+    this.refreshGrid();
+  }
+
+  /**
+   * Waits for the next key press to bind to the selected cell
+   */
+  startListening() {
+    this.listening = true;
+    this.conflictCell = null;
+    this.setStatus('Press a key (ESC to cancel)', '#ffffff');
+  }
+
+  /**
+   * Stops waiting for a key without changing anything
+   */
+  cancelListening() {
+    this.listening = false;
+    this.setStatus('Rebind cancelled', COLORS.textMuted);
+  }
+
+  /**
+   * Binds the pressed key to the selected cell, unless it clashes
+   * @param {number} keyCode
+   */
+  captureKey(keyCode) {
+    if (keyCode === Phaser.Input.Keyboard.KeyCodes.ESC) {
+      this.cancelListening();
+      return;
+    }
+
+    const { action, label } = REBINDABLE_ACTIONS[this.selectedRow];
+    const keyName = getKeyName(keyCode);
+    const conflict = setPlayerBinding(this.selectedPlayer, action, keyCode);
+    this.listening = false;
+
+    audio.play(conflict ? 'menuBack' : 'menuConfirm');
+
+    if (!conflict) {
+      this.conflictCell = null;
+      this.setStatus(`Player ${this.selectedPlayer} ${label}: ${keyName}`, '#2ecc71');
+    } else if (conflict.reserved) {
+      this.conflictCell = null;
+      this.setStatus(`${keyName} is reserved for menus, debug or training`, '#e74c3c');
+    } else {
+      const clash = REBINDABLE_ACTIONS.find((entry) => entry.action === conflict.action);
+      this.conflictCell = conflict;
+      this.setStatus(`${keyName} is already Player ${conflict.playerNumber} ${clash.label}`, '#e74c3c');
+    }
+  }
+
+  /**
+   * Shows a status message and redraws the grid
+   * @param {string} message
+   * @param {string} color - CSS color
+   */
+  setStatus(message, color) {
+    this.statusText.setText(message);
+    this.statusText.setColor(color);
+    this.refreshGrid();
+  }
+
+  /**
+   * Redraws every binding cell
+   * Selected cell is gold (white while waiting for a key), a clashing binding red
+   */
+  refreshGrid() {
+    [1, 2].forEach((playerNumber) => {
+      const bindings = getPlayerControls(playerNumber);
+
+      REBINDABLE_ACTIONS.forEach(({ action }, row) => {
+        const cell = this.cellTexts[playerNumber][row];
+        const isSelected = row === this.selectedRow && playerNumber === this.selectedPlayer;
+        const isConflict = this.conflictCell
+          && this.conflictCell.playerNumber === playerNumber
+          && this.conflictCell.action === action;
+
+        let color = '#cccccc';
+        if (isConflict) color = '#e74c3c';
+        if (isSelected) color = this.listening ? '#ffffff' : COLORS.textGold;
+
+        const keyName = isSelected && this.listening ? '...' : getKeyName(bindings[action]);
+        cell.setText(isSelected ? `[ ${keyName} ]` : keyName);
+        cell.setColor(color);
+      });
+    });
+  }
+
+  /**
+   * Returns to the main menu
+   */
+  goBack() {
+    this.input.keyboard.removeAllListeners();
+    audio.play('menuBack');
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('MainMenuScene');
+    });
+  }
+}
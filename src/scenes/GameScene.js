@@ -2,13 +2,46 @@ import Phaser from 'phaser';
 import InputSystem from '../systems/InputSystem.js';
 import PhysicsSystem from '../systems/PhysicsSystem.js';
 import CombatSystem from '../systems/CombatSystem.js';
+import ActionSystem from '../systems/ActionSystem.js';
 import CameraSystem from '../systems/CameraSystem.js';
+import RoundSystem from '../systems/RoundSystem.js';
+import MatchSystem from '../systems/MatchSystem.js';
+import MatchStatsSystem from '../systems/MatchStatsSystem.js';
+import TrainingSystem from '../systems/TrainingSystem.js';
+import ArenaSystem from '../systems/ArenaSystem.js';
+import ReplaySystem from '../systems/ReplaySystem.js';
+import NetplaySystem from '../systems/NetplaySystem.js';
 import Player from '../entities/Player.js';
-import Projectile from '../entities/Projectile.js';
-import { ARENA, UI, PLAYER_STATS, PLAYER_STATES, KI_SYSTEM, CAMERA } from '../constants/gameBalance.js';
-import { DEBUG_CONTROLS } from '../constants/controls.js';
-import { debug, logInfo } from '../utils/debug.js';
-import { getDefaultCharacter } from '../characters/index.js';
+import CpuController from '../controllers/CpuController.js';
+import { UI, PLAYER_STATS, KI_SYSTEM, GUARD, CAMERA, ARCADE, COMBAT } from '../constants/gameBalance.js';
+import { GROUND } from '../constants/physics.js';
+import { DEBUG_CONTROLS, TRAINING_CONTROLS, REPLAY_CONTROLS, getPlayerControls, getKeyName } from '../constants/controls.js';
+import { debug, logInfo, logWarn } from '../utils/debug.js';
+import { settings } from '../utils/settings.js';
+import { audio } from '../utils/audio.js';
+import { random } from '../utils/random.js';
+import { getDefaultCharacter, getCharacterById } from '../characters/index.js';
+import { getDefaultArena, getArenaById } from '../arenas/index.js';
+import { saveReplayFile } from '../utils/replayFile.js';
+import { WORLD } from '../constants/physics.js';
+import { StepTimers } from '../utils/timestep.js';
+import { NETPLAY } from '../constants/network.js';
+
+// MatchSystem events and the methods that present them
+const MATCH_EVENTS = {
+  roundIntro: 'onRoundIntro',
+  roundStarted: 'onRoundStarted',
+  roundKO: 'onRoundKO',
+  koFreezeEnded: 'onKOFreezeEnded',
+  stockLost: 'onStockLost',
+  roundTimeOut: 'onRoundTimeOut',
+  roundDecided: 'onRoundDecided',
+  roundReset: 'onRoundReset',
+  matchEnded: 'endMatch',
+  trainingStarted: 'onTrainingStarted',
+  trainingKO: 'onTrainingKO',
+  trainingReset: 'onRoundReset',
+};
 
 /**
  * GameScene - Main gameplay scene
@@ -22,7 +55,15 @@ export default class GameScene extends Phaser.Scene {
     this.inputSystem = null;
     this.physicsSystem = null;
     this.combatSystem = null;
+    this.actionSystem = null;
     this.cameraSystem = null;
+    this.roundSystem = null;
+    this.matchStats = null;
+    this.matchSystem = null;
+    this.trainingSystem = null; // Only in training mode
+    this.arenaSystem = null;
+    this.replaySystem = null; // Records the match, or plays a replay back (not in training)
+    this.netplaySystem = null; // Online matches only
 
     // Entities
     this.players = [];
@@ -40,6 +81,18 @@ export default class GameScene extends Phaser.Scene {
     // Character selections
     this.player1Character = null;
     this.player2Character = null;
+
+    // Arcade run state (arcade mode only)
+    this.arcadeRun = null;
+
+    // Selected arena config (see src/arenas/)
+    this.arena = null;
+
+    // Replay being watched (null in a live match)
+    this.replay = null;
+
+    // Online match { connection, localPlayer, setup } (null offline)
+    this.online = null;
   }
 
   /**
@@ -51,7 +104,15 @@ export default class GameScene extends Phaser.Scene {
     this.inputSystem = null;
     this.physicsSystem = null;
     this.combatSystem = null;
+    this.actionSystem = null;
     this.cameraSystem = null;
+    this.roundSystem = null;
+    this.matchStats = null;
+    this.matchSystem = null;
+    this.trainingSystem = null;
+    this.arenaSystem = null;
+    this.replaySystem = null;
+    this.netplaySystem = null;
     this.uiCamera = null;
     this.players = [];
     this.hudElements = {};
@@ -60,18 +121,65 @@ export default class GameScene extends Phaser.Scene {
     this.pauseOverlay = null;
     this.pauseText = null;
     this.pauseHint = null;
+    this.pauseBindings = null;
     this.debugTexts = null;
     this.arenaBackground = null;
     this.backgroundLayers = [];
 
+    // Fixed timestep: render time not yet simulated, and simulation time so far
+    this.stepAccumulator = 0;
+    this.simTime = 0;
+
+    // Announcement timing counted in steps (the round flow's are MatchSystem's)
+    this.timers = new StepTimers(this);
+
+    // Online rollback: true while steps are being simulated again
+    this.isResimulating = false;
+
+    // Center message on screen, kept so a rollback can put it back
+    this.announcement = { text: '', style: {} };
+
     this.gameMode = data.mode || 'local1v1';
 
     // Get character selections (fallback to defaults if not provided)
     this.player1Character = data.player1Character || getDefaultCharacter();
     this.player2Character = data.player2Character || getDefaultCharacter();
 
+    // Arcade ladder progress, carried between stages by ArcadeScene
+    this.arcadeRun = data.arcadeRun || null;
+
+    // Arena (systems read the layout from here, so it's set before they're built)
+    this.arena = data.arena || getDefaultArena();
+
+    // Rules that shape the simulation (a replay brings the ones it was recorded with)
+    this.matchRules = {
+      roundTime: settings.get('roundTime'),
+      roundsToWin: settings.get('roundsToWin'),
+      stocks: settings.get('stocks'),
+      slowMotion: settings.get('slowMotion'),
+    };
+
+    // Watching a replay or playing online: the recorded setup, or the one the
+    // host sent, replaces the menu picks (same shape - see OnlineLobbyScene)
+    this.replay = data.replay || null;
+    this.online = this.replay ? null : data.online || null;
+    const setup = this.replay || this.online?.setup;
+    if (setup) {
+      this.gameMode = setup.mode;
+      this.player1Character = getCharacterById(setup.player1Character);
+      this.player2Character = getCharacterById(setup.player2Character);
+      this.arena = getArenaById(setup.arena);
+      this.matchRules = { ...setup.rules };
+      this.arcadeRun = null;
+    }
+
+    // Seed everything random in the match, so a replay (or the other
+    // player's browser) can repeat it
+    this.seed = setup ? random.setSeed(setup.seed) : random.reseed();
+
     logInfo(`GameScene: Initializing with mode "${this.gameMode}"`);
     logInfo(`GameScene: P1=${this.player1Character.name}, P2=${this.player2Character.name}`);
+    logInfo(`GameScene: Arena=${this.arena.name}`);
   }
 
   /**
@@ -101,9 +209,17 @@ export default class GameScene extends Phaser.Scene {
       this.createHUD();
       console.log('   HUD created OK');
 
+      audio.playMusic('battle');
+
       // Setup debug controls
       console.log('5. Setting up debug controls...');
       this.setupDebugControls();
+      if (this.trainingSystem) {
+        this.setupTrainingControls();
+      }
+      if (this.isReplay()) {
+        this.setupReplayControls();
+      }
       console.log('   Debug controls OK');
 
       // Setup pause
@@ -126,6 +242,15 @@ export default class GameScene extends Phaser.Scene {
       this.createDebugDisplay();
       console.log('   Debug display OK');
 
+      // Start the first round (training skips straight to the action)
+      console.log('10. Starting first round...');
+      if (this.trainingSystem) {
+        this.matchSystem.startTraining();
+      } else {
+        this.matchSystem.beginRoundIntro();
+      }
+      console.log('   Round intro OK');
+
       logInfo('GameScene: Created');
       console.log('GameScene.create() completed successfully!');
     } catch (error) {
@@ -146,7 +271,46 @@ export default class GameScene extends Phaser.Scene {
     this.inputSystem = new InputSystem(this);
 
     // Combat system (depends on physics)
-    this.combatSystem = new CombatSystem(this, this.physicsSystem);
+    // Stock matches reset health every life, so knockback leans harder on damage taken
+    const isStock = this.gameMode === 'stock';
+    this.combatSystem = new CombatSystem(this, this.physicsSystem,
+      isStock ? { knockbackScaling: COMBAT.stockKnockbackScaling } : {});
+
+    // Player actions from input (reads the input and combat systems)
+    this.actionSystem = new ActionSystem(this);
+
+    // Round system (best-of-N rounds and round timer, from the match rules)
+    // Training runs a single untimed round; stock matches a single round of N lives
+    const isTraining = this.gameMode === 'training';
+    this.roundSystem = new RoundSystem(this, isTraining ? { roundTime: 0 } : {
+      roundTime: this.matchRules.roundTime,
+      roundsToWin: this.matchRules.roundsToWin,
+      stocks: isStock ? this.matchRules.stocks : 0,
+    });
+
+    // Training system (dummy and practice toggles)
+    if (isTraining) {
+      this.trainingSystem = new TrainingSystem(this);
+    } else {
+      // Every match is recorded so it can be watched back from the results screen
+      this.replaySystem = new ReplaySystem(this, this.replay);
+    }
+
+    // Online input exchange (needs the input system for the local keys)
+    if (this.online) {
+      this.netplaySystem = new NetplaySystem(this, this.online.connection, this.online.localPlayer, {
+        bot: this.online.bot,
+      });
+      this.events.on('opponentDisconnected', this.handleOpponentDisconnect, this);
+    }
+
+    // Match stats (feeds the results screen)
+    this.matchStats = new MatchStatsSystem(this);
+
+    // Gameplay step and round flow (shared with the headless simulator);
+    // what it leaves to the scene is presentation
+    this.matchSystem = new MatchSystem(this);
+    this.listenToMatch();
 
     logInfo('GameScene: Systems initialized');
   }
@@ -155,23 +319,24 @@ export default class GameScene extends Phaser.Scene {
    * Creates the arena environment
    */
   createArena() {
-    // Create ground
-    this.physicsSystem.createGround();
+    // Create ground, solid blocks, slopes and platforms
+    this.physicsSystem.createTerrain();
 
     // Arena background
     this.createArenaBackground();
 
+    // Buildings and death zone
+    this.arenaSystem = new ArenaSystem(this);
+
     logInfo('GameScene: Arena created');
   }
 
   /**
-   * Creates arena background visuals for the expanded arena
+   * Creates arena background visuals from the arena's background data
    * Features parallax layers for depth perception
    */
   createArenaBackground() {
-    const arenaWidth = ARENA.width;
-    const groundY = ARENA.groundY;
-    const groundHeight = ARENA.groundHeight;
+    const { width: arenaWidth, groundY, background } = this.arena;
 
     // Store all background layers for camera ignore
     this.backgroundLayers = [];
@@ -179,16 +344,17 @@ export default class GameScene extends Phaser.Scene {
     // === LAYER 1: Far background (stars/sky) - slowest parallax ===
     // With scroll factor 0.1, we need 10x the coverage to prevent gaps at edges
     // Camera can view ~2560 pixels wide at zoom 0.5, so parallax layer needs massive coverage
+    const [skyTop, skyBottom] = background.sky;
     const farBg = this.add.graphics();
-    farBg.fillGradientStyle(0x050510, 0x050510, 0x0a0a1a, 0x0a0a1a, 1);
+    farBg.fillGradientStyle(skyTop, skyTop, skyBottom, skyBottom, 1);
     farBg.fillRect(-2000, -1000, arenaWidth + 4000, groundY + 2000);
 
     // Add distant stars
-    for (let i = 0; i < 80; i++) {
-      const starX = Math.random() * (arenaWidth + 3000) - 1500;
-      const starY = Math.random() * (groundY + 500) - 800;
-      const starSize = Math.random() * 2 + 0.5;
-      const starAlpha = Math.random() * 0.5 + 0.2;
+    for (let i = 0; i < background.stars; i++) {
+      const starX = random.next() * (arenaWidth + 3000) - 1500;
+      const starY = random.next() * (groundY + 500) - 800;
+      const starSize = random.next() * 2 + 0.5;
+      const starAlpha = random.next() * 0.5 + 0.2;
       farBg.fillStyle(0xffffff, starAlpha);
       farBg.fillCircle(starX, starY, starSize);
     }
@@ -197,57 +363,25 @@ export default class GameScene extends Phaser.Scene {
     farBg.setScrollFactor(0.1, 0.1); // Moves very slowly - distant
     this.backgroundLayers.push(farBg);
 
-    // === LAYER 2: Mid background (distant mountains) - medium parallax ===
-    // With scroll factor 0.3, need ~3x coverage for edge cases
-    const midBg = this.add.graphics();
-
-    // Distant mountain range (darker, further back)
-    midBg.fillStyle(0x1a1a2e, 0.8);
-    this.drawMountainRange(midBg, -1000, groundY, arenaWidth + 2000, 300, 8, 0.6);
-
-    midBg.setDepth(-130);
-    midBg.setScrollFactor(0.3, 0.4); // Moves slower than foreground
-    this.backgroundLayers.push(midBg);
-
-    // === LAYER 3: Near mountains - faster parallax ===
-    // With scroll factor 0.5, need ~2x coverage for edge cases
-    const nearMountains = this.add.graphics();
-
-    // Closer mountain range (slightly lighter)
-    nearMountains.fillStyle(0x2d2d44, 0.9);
-    this.drawMountainRange(nearMountains, -800, groundY, arenaWidth + 1600, 200, 12, 0.4);
-
-    nearMountains.setDepth(-120);
-    nearMountains.setScrollFactor(0.5, 0.6);
-    this.backgroundLayers.push(nearMountains);
+    // === LAYERS 2+: Scenery (mountains, spires, clouds, skyline) - medium parallax ===
+    // Drawn back to front, each 1000px wider than the arena on both sides so the
+    // slower scroll factors never show an edge
+    background.layers.forEach((layer, i) => {
+      const graphics = this.add.graphics();
+      graphics.fillStyle(layer.color, layer.alpha);
+      this.drawBackgroundLayer(graphics, layer, -1000, groundY, arenaWidth + 2000);
+
+      graphics.setDepth(-130 + i * 5);
+      graphics.setScrollFactor(layer.scroll[0], layer.scroll[1]);
+      this.backgroundLayers.push(graphics);
+    });
 
-    // === LAYER 4: Foreground elements (ground, arena floor) - full scroll ===
-    // Full scroll factor means this matches camera movement, but still need extra padding for zoom
+    // === Foreground: terrain - full scroll ===
     const foreground = this.add.graphics();
-
-    // Ground area - darker ground color (extended for zoom out)
-    foreground.fillStyle(0x2d3436, 1);
-    foreground.fillRect(-500, groundY, arenaWidth + 1000, groundHeight + 500);
-
-    // Ground line (top of ground) with glow effect
-    foreground.lineStyle(4, 0x4a5568, 1);
-    foreground.lineBetween(-500, groundY, arenaWidth + 500, groundY);
-    foreground.lineStyle(2, 0x718096, 0.6);
-    foreground.lineBetween(-500, groundY - 1, arenaWidth + 500, groundY - 1);
-
-    // Add some depth lines for visual interest
-    foreground.lineStyle(1, 0x3d4d56, 0.3);
-    for (let y = groundY + 20; y < groundY + groundHeight; y += 20) {
-      foreground.lineBetween(-500, y, arenaWidth + 500, y);
-    }
-
-    // Add subtle ground texture dots
-    for (let i = 0; i < 100; i++) {
-      const dotX = Math.random() * arenaWidth;
-      const dotY = groundY + Math.random() * 80 + 10;
-      foreground.fillStyle(0x4a5568, 0.3);
-      foreground.fillCircle(dotX, dotY, Math.random() * 3 + 1);
-    }
+    this.arena.ground.forEach((segment) => this.drawGroundSegment(foreground, segment, true));
+    this.arena.solids.forEach((block) => this.drawGroundSegment(foreground, block, false));
+    this.arena.slopes.forEach((slope) => this.drawSlope(foreground, slope));
+    this.arena.platforms.forEach((platform) => this.drawPlatform(foreground, platform));
 
     foreground.setDepth(-100);
     foreground.setScrollFactor(1, 1); // Moves with camera
@@ -256,16 +390,14 @@ export default class GameScene extends Phaser.Scene {
     // === Atmospheric effects layer (floating particles) ===
     const atmosphere = this.add.graphics();
 
-    // Add floating dust/energy particles
-    for (let i = 0; i < 30; i++) {
-      const particleX = Math.random() * arenaWidth;
-      const particleY = Math.random() * groundY;
-      const particleSize = Math.random() * 4 + 1;
-      const particleAlpha = Math.random() * 0.15 + 0.05;
-
-      // Mix of colors for energy feel
-      const colors = [0x4a90d9, 0x9b59b6, 0xf39c12, 0x2ecc71];
-      const color = colors[Math.floor(Math.random() * colors.length)];
+    // Add floating dust/energy particles in the arena's colors
+    const colors = background.particles;
+    for (let i = 0; i < (colors.length > 0 ? 30 : 0); i++) {
+      const particleX = random.next() * arenaWidth;
+      const particleY = random.next() * groundY;
+      const particleSize = random.next() * 4 + 1;
+      const particleAlpha = random.next() * 0.15 + 0.05;
+      const color = colors[Math.floor(random.next() * colors.length)];
 
       atmosphere.fillStyle(color, particleAlpha);
       atmosphere.fillCircle(particleX, particleY, particleSize);
@@ -279,6 +411,118 @@ export default class GameScene extends Phaser.Scene {
     this.arenaBackground = foreground;
   }
 
+  /**
+   * Draws one ground segment of the arena floor (or a solid block)
+   * A segment spanning the whole arena is extended past the walls (for zoom out);
+   * a floating segment gets a rocky underside tapering to a point instead
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {{x: number, y: number, width: number, height: number}} segment - Ground segment
+   * @param {boolean} hasUnderside - Whether a segment short of the walls gets the tapered underside
+   */
+  drawGroundSegment(graphics, segment, hasUnderside) {
+    const floor = this.arena.background.floor;
+    const isFullWidth = segment.x <= 0 && segment.x + segment.width >= this.arena.width;
+    const left = isFullWidth ? -500 : segment.x;
+    const right = isFullWidth ? this.arena.width + 500 : segment.x + segment.width;
+    const bottom = segment.y + segment.height;
+
+    // Ground area (extended for zoom out when it spans the arena)
+    graphics.fillStyle(floor.color, 1);
+    graphics.fillRect(left, segment.y, right - left, segment.height + (isFullWidth ? 500 : 0));
+
+    if (!isFullWidth && hasUnderside) {
+      graphics.fillStyle(floor.stripeColor, 1);
+      graphics.fillTriangle(left, bottom, right, bottom, (left + right) / 2, bottom + segment.width * 0.3);
+    }
+
+    // Ground line (top of ground) with glow effect
+    graphics.lineStyle(4, floor.lineColor, 1);
+    graphics.lineBetween(left, segment.y, right, segment.y);
+    graphics.lineStyle(2, floor.highlightColor, 0.6);
+    graphics.lineBetween(left, segment.y - 1, right, segment.y - 1);
+
+    // Add some depth lines for visual interest
+    graphics.lineStyle(1, floor.stripeColor, 0.3);
+    for (let y = segment.y + 20; y < bottom; y += 20) {
+      graphics.lineBetween(left, y, right, y);
+    }
+
+    // Add subtle ground texture dots (one per ~25px of floor)
+    for (let i = 0; i < segment.width / 25; i++) {
+      const dotX = segment.x + random.next() * segment.width;
+      const dotY = segment.y + random.next() * (segment.height - 20) + 10;
+      graphics.fillStyle(floor.dotColor, 0.3);
+      graphics.fillCircle(dotX, dotY, random.next() * 3 + 1);
+    }
+  }
+
+  /**
+   * Draws a ramp as a slab following its surface (same thickness as its physics body)
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {{x: number, width: number, leftY: number, rightY: number}} slope - Slope definition
+   */
+  drawSlope(graphics, slope) {
+    const floor = this.arena.background.floor;
+    const thickness = GROUND.slopeThickness;
+    const right = slope.x + slope.width;
+
+    graphics.fillStyle(floor.color, 1);
+    graphics.fillPoints([
+      { x: slope.x, y: slope.leftY },
+      { x: right, y: slope.rightY },
+      { x: right, y: slope.rightY + thickness },
+      { x: slope.x, y: slope.leftY + thickness },
+    ], true);
+
+    graphics.lineStyle(4, floor.lineColor, 1);
+    graphics.lineBetween(slope.x, slope.leftY, right, slope.rightY);
+    graphics.lineStyle(2, floor.highlightColor, 0.6);
+    graphics.lineBetween(slope.x, slope.leftY - 1, right, slope.rightY - 1);
+  }
+
+  /**
+   * Draws a one-way platform: a thin slab with a bright top edge
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {{x: number, y: number, width: number}} platform - Platform definition
+   */
+  drawPlatform(graphics, platform) {
+    const floor = this.arena.background.floor;
+    const thickness = GROUND.platformThickness;
+
+    graphics.fillStyle(floor.stripeColor, 0.9);
+    graphics.fillRect(platform.x, platform.y, platform.width, thickness);
+
+    graphics.lineStyle(3, floor.highlightColor, 1);
+    graphics.lineBetween(platform.x, platform.y, platform.x + platform.width, platform.y);
+  }
+
+  /**
+   * Draws one scenery layer from the arena's background data
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on (fill style already set)
+   * @param {Object} layer - Layer definition (see arenas/baseArena.js)
+   * @param {number} startX - Starting X position
+   * @param {number} baseY - Base Y position (ground level)
+   * @param {number} width - Width of the layer
+   */
+  drawBackgroundLayer(graphics, layer, startX, baseY, width) {
+    switch (layer.type) {
+      case 'mountains':
+        this.drawMountainRange(graphics, startX, baseY, width, layer.height, layer.peaks, layer.jaggedness);
+        break;
+      case 'spires':
+        this.drawSpires(graphics, startX, baseY, width, layer.height, layer.count);
+        break;
+      case 'clouds':
+        this.drawClouds(graphics, startX, width, layer.top, layer.bottom, layer.count, layer.size);
+        break;
+      case 'skyline':
+        this.drawSkyline(graphics, startX, baseY, width, layer.height, layer.count);
+        break;
+      default:
+        logWarn(`GameScene: Unknown background layer type "${layer.type}"`);
+    }
+  }
+
   /**
    * Draws a procedural mountain range
    * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
@@ -298,16 +542,16 @@ export default class GameScene extends Phaser.Scene {
 
     for (let i = 0; i < peaks; i++) {
       // Rising slope
-      const peakHeight = maxHeight * (0.5 + Math.random() * 0.5);
+      const peakHeight = maxHeight * (0.5 + random.next() * 0.5);
       const peakX = x + segmentWidth * 2;
 
       // Add some jagged points on the way up
       const midX1 = x + segmentWidth * 0.7;
-      const midY1 = baseY - peakHeight * (0.3 + Math.random() * jaggedness * 0.3);
+      const midY1 = baseY - peakHeight * (0.3 + random.next() * jaggedness * 0.3);
       graphics.lineTo(midX1, midY1);
 
       const midX2 = x + segmentWidth * 1.3;
-      const midY2 = baseY - peakHeight * (0.6 + Math.random() * jaggedness * 0.2);
+      const midY2 = baseY - peakHeight * (0.6 + random.next() * jaggedness * 0.2);
       graphics.lineTo(midX2, midY2);
 
       // Peak
@@ -315,11 +559,11 @@ export default class GameScene extends Phaser.Scene {
 
       // Falling slope with jagged points
       const midX3 = peakX + segmentWidth * 0.7;
-      const midY3 = baseY - peakHeight * (0.5 + Math.random() * jaggedness * 0.3);
+      const midY3 = baseY - peakHeight * (0.5 + random.next() * jaggedness * 0.3);
       graphics.lineTo(midX3, midY3);
 
       const midX4 = peakX + segmentWidth * 1.5;
-      const midY4 = baseY - peakHeight * (0.2 + Math.random() * jaggedness * 0.2);
+      const midY4 = baseY - peakHeight * (0.2 + random.next() * jaggedness * 0.2);
       graphics.lineTo(midX4, midY4);
 
       x = peakX + segmentWidth * 2;
@@ -330,6 +574,89 @@ export default class GameScene extends Phaser.Scene {
     graphics.fillPath();
   }
 
+  /**
+   * Draws flat-topped rock spires
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {number} startX - Starting X position
+   * @param {number} baseY - Base Y position (ground level)
+   * @param {number} width - Width of the area to fill
+   * @param {number} maxHeight - Maximum spire height
+   * @param {number} count - Number of spires
+   */
+  drawSpires(graphics, startX, baseY, width, maxHeight, count) {
+    const spacing = width / count;
+
+    for (let i = 0; i < count; i++) {
+      const centerX = startX + spacing * (i + 0.5) + (random.next() - 0.5) * spacing * 0.5;
+      const height = maxHeight * (0.4 + random.next() * 0.6);
+      const baseHalf = spacing * (0.15 + random.next() * 0.1);
+      const topHalf = baseHalf * (0.5 + random.next() * 0.3);
+
+      graphics.fillPoints([
+        { x: centerX - baseHalf, y: baseY },
+        { x: centerX - topHalf, y: baseY - height },
+        { x: centerX + topHalf, y: baseY - height },
+        { x: centerX + baseHalf, y: baseY },
+      ], true);
+    }
+  }
+
+  /**
+   * Draws puffy clouds scattered between two heights
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {number} startX - Starting X position
+   * @param {number} width - Width of the area to fill
+   * @param {number} top - Highest cloud center
+   * @param {number} bottom - Lowest cloud center
+   * @param {number} count - Number of clouds
+   * @param {number} size - Typical cloud width
+   */
+  drawClouds(graphics, startX, width, top, bottom, count, size) {
+    for (let i = 0; i < count; i++) {
+      const cloudX = startX + random.next() * width;
+      const cloudY = top + random.next() * (bottom - top);
+      const cloudWidth = size * (0.6 + random.next() * 0.8);
+
+      // A few overlapping puffs per cloud
+      for (let puff = 0; puff < 4; puff++) {
+        const offsetX = (puff / 3 - 0.5) * cloudWidth * 0.7;
+        const radius = cloudWidth * (0.18 + random.next() * 0.12);
+        graphics.fillEllipse(cloudX + offsetX, cloudY - radius * 0.3, radius * 2, radius * 1.4);
+      }
+    }
+  }
+
+  /**
+   * Draws a row of building silhouettes with lit windows
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {number} startX - Starting X position
+   * @param {number} baseY - Base Y position (ground level)
+   * @param {number} width - Width of the skyline
+   * @param {number} maxHeight - Tallest building height
+   * @param {number} count - Number of buildings
+   */
+  drawSkyline(graphics, startX, baseY, width, maxHeight, count) {
+    const slotWidth = width / count;
+    const windows = [];
+
+    for (let i = 0; i < count; i++) {
+      const buildingWidth = slotWidth * (0.6 + random.next() * 0.35);
+      const buildingX = startX + i * slotWidth + (slotWidth - buildingWidth) / 2;
+      const height = maxHeight * (0.35 + random.next() * 0.65);
+      graphics.fillRect(buildingX, baseY - height, buildingWidth, height);
+
+      for (let wy = baseY - height + 15; wy < baseY - 20; wy += 30) {
+        for (let wx = buildingX + 10; wx < buildingX + buildingWidth - 15; wx += 25) {
+          if (random.next() < 0.3) windows.push({ x: wx, y: wy });
+        }
+      }
+    }
+
+    // Windows on top of every building
+    graphics.fillStyle(0xf1c40f, 0.25);
+    windows.forEach(({ x, y }) => graphics.fillRect(x, y, 8, 12));
+  }
+
   /**
    * Sets up the dynamic camera system
    * Uses CameraSystem for midpoint tracking and distance-based zoom
@@ -397,12 +724,31 @@ export default class GameScene extends Phaser.Scene {
 
     // Main camera ignores debug texts (UI camera will render them)
     this.cameras.main.ignore([this.debugTexts.p1, this.debugTexts.p2]);
+
+    // Training readout (toggles, damage, combo, frame data) - always shown in training
+    if (this.trainingSystem) {
+      this.debugTexts.training = this.add.text(10, CAMERA.viewportHeight - 10, '', {
+        fontSize: '12px',
+        fontFamily: 'Consolas, monospace',
+        color: '#f1c40f',
+        backgroundColor: '#000000',
+        padding: { x: 5, y: 5 },
+      });
+      this.debugTexts.training.setOrigin(0, 1);
+      this.debugTexts.training.setDepth(1000);
+      this.debugTexts.training.setScrollFactor(0);
+      this.cameras.main.ignore(this.debugTexts.training);
+    }
   }
 
   /**
    * Updates debug display with current player info
    */
   updateDebugDisplay() {
+    if (this.debugTexts.training) {
+      this.debugTexts.training.setText(this.trainingSystem.getDisplayLines().join('\n'));
+    }
+
     // Only show when debug mode is enabled
     const isDebugOn = debug.isEnabled();
 
@@ -421,9 +767,7 @@ export default class GameScene extends Phaser.Scene {
       const health = Math.round(player.health);
 
       const stats = player.getStats();
-      const transformTime = player.isTransformed
-        ? Math.ceil((player.transformationEndTime - this.time.now) / 1000)
-        : 0;
+      const form = player.getForm();
 
       // Add camera info for P1 debug
       let cameraInfo = '';
@@ -441,7 +785,7 @@ export default class GameScene extends Phaser.Scene {
         `Flying: ${player.isFlying() ? 'YES' : 'NO'}`,
         `Charging: ${player.isCharging ? 'YES' : 'NO'}`,
         `CanTrans: ${player.canTransform ? 'YES' : 'NO'}`,
-        `Transformed: ${player.isTransformed ? `YES (${transformTime}s)` : 'NO'}`,
+        `Form: ${form ? form.name : 'Base'}`,
         `AtkDmg: ${stats.attackDamage.toFixed(1)}`,
         cameraInfo,
       ].join('\n');
@@ -460,8 +804,8 @@ export default class GameScene extends Phaser.Scene {
       this,
       this.physicsSystem,
       1,
-      ARENA.spawnPoints.player1.x,
-      ARENA.spawnPoints.player1.y,
+      this.arena.spawnPoints.player1.x,
+      this.arena.spawnPoints.player1.y,
       this.player1Character
     );
 
@@ -470,25 +814,48 @@ export default class GameScene extends Phaser.Scene {
       this,
       this.physicsSystem,
       2,
-      ARENA.spawnPoints.player2.x,
-      ARENA.spawnPoints.player2.y,
+      this.arena.spawnPoints.player2.x,
+      this.arena.spawnPoints.player2.y,
       this.player2Character
     );
 
     this.players = [p1, p2];
 
+    // In training, player 2 is a dummy driven by a scripted controller
+    // In arcade, player 2 is the CPU
+    // A replay drives both players from the recording instead
+    // Online, both players are driven by the exchanged inputs
+    let p1Controller = null;
+    let p2Controller = null;
+    if (this.isReplay()) {
+      p2Controller = null;
+    } else if (this.netplaySystem) {
+      p1Controller = this.netplaySystem.createController(1);
+      p2Controller = this.netplaySystem.createController(2);
+    } else if (this.trainingSystem) {
+      p2Controller = this.trainingSystem.setPlayers(p1, p2, this.arena.spawnPoints.player2);
+    } else if (this.arcadeRun) {
+      p2Controller = new CpuController(p2, p1, this.combatSystem, { difficulty: this.getArcadeDifficulty() });
+    }
+
     // Register with systems
     this.players.forEach((player) => {
-      this.inputSystem.registerPlayer(player.playerNumber);
+      this.inputSystem.registerPlayer(player.playerNumber, player === p2 ? p2Controller : p1Controller);
       this.combatSystem.registerPlayer(player);
     });
 
-    // Listen for KO events
-    this.events.on('playerKO', this.handlePlayerKO, this);
-
     logInfo('GameScene: Players created');
   }
 
+  /**
+   * Gets the CPU difficulty profile for the current arcade stage
+   * @returns {string} Key of CPU_PROFILES
+   */
+  getArcadeDifficulty() {
+    const profiles = ARCADE.cpuProfiles;
+    return profiles[Math.min(this.arcadeRun.stage, profiles.length - 1)];
+  }
+
   /**
    * Creates the HUD display
    * Uses a separate UI camera that doesn't zoom to keep HUD at consistent size
@@ -505,15 +872,20 @@ export default class GameScene extends Phaser.Scene {
     // Main camera should ignore UI elements
     this.cameras.main.ignore([]);
 
+    // HUD scale setting (player HUDs grow from their outer corners)
+    const hudScale = settings.get('hudScale');
+
     // Player 1 HUD (left side)
     this.hudElements.p1 = this.createPlayerHUD(1, UI.hudPadding, UI.hudPadding);
+    this.hudElements.p1.container.setScale(hudScale);
 
     // Player 2 HUD (right side)
     this.hudElements.p2 = this.createPlayerHUD(
       2,
-      width - UI.healthBarWidth - UI.hudPadding,
+      width - UI.healthBarWidth * hudScale - UI.hudPadding,
       UI.hudPadding
     );
+    this.hudElements.p2.container.setScale(hudScale);
 
     // Center text (for announcements)
     this.hudElements.centerText = this.add.text(width / 2, 100, '', {
@@ -527,6 +899,36 @@ export default class GameScene extends Phaser.Scene {
     this.hudElements.centerText.setDepth(100);
     this.hudElements.centerText.setScrollFactor(0);
 
+    // Round timer (top center, between the two player HUDs)
+    this.hudElements.timerText = this.add.text(width / 2, UI.hudPadding + 20 * hudScale, '', {
+      fontSize: '40px',
+      fontFamily: 'Arial Black, Arial, sans-serif',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 5,
+    });
+    this.hudElements.timerText.setOrigin(0.5);
+    this.hudElements.timerText.setScale(hudScale);
+    this.hudElements.timerText.setDepth(100);
+    this.hudElements.timerText.setScrollFactor(0);
+    this.updateRoundTimer();
+
+    // Round pips start empty, stock icons full
+    this.updateRoundPips(1);
+    this.updateRoundPips(2);
+    this.updateStockIcons(1);
+    this.updateStockIcons(2);
+
+    // Replay playback bar (bottom center)
+    if (this.isReplay()) {
+      this.createReplayHUD(width, height);
+    }
+
+    // Online connection status and ping (bottom center)
+    if (this.netplaySystem) {
+      this.createNetplayHUD(width, height);
+    }
+
     // Make main camera ignore HUD elements, UI camera renders them
     this.setupCameraLayers();
 
@@ -550,6 +952,15 @@ export default class GameScene extends Phaser.Scene {
     if (this.hudElements.centerText) {
       hudObjects.push(this.hudElements.centerText);
     }
+    if (this.hudElements.timerText) {
+      hudObjects.push(this.hudElements.timerText);
+    }
+    if (this.hudElements.replayText) {
+      hudObjects.push(this.hudElements.replayText, this.hudElements.replayHint);
+    }
+    if (this.hudElements.netplayText) {
+      hudObjects.push(this.hudElements.netplayText);
+    }
     if (this.debugTexts) {
       if (this.debugTexts.p1) hudObjects.push(this.debugTexts.p1);
       if (this.debugTexts.p2) hudObjects.push(this.debugTexts.p2);
@@ -571,12 +982,20 @@ export default class GameScene extends Phaser.Scene {
       this.uiCamera.ignore(this.arenaBackground);
     }
 
+    // Ignore arena buildings
+    this.uiCamera.ignore(this.arenaSystem.getGameObjects());
+
     // Ignore players
     this.players.forEach(player => {
       if (player.graphics) {
         this.uiCamera.ignore(player.graphics);
       }
     });
+
+    // Ignore melee hitbox flashes
+    if (this.combatSystem) {
+      this.uiCamera.ignore(this.combatSystem.meleeGraphics);
+    }
   }
 
   /**
@@ -591,8 +1010,12 @@ export default class GameScene extends Phaser.Scene {
     const colorHex = '#' + character.color.toString(16).padStart(6, '0');
     const container = this.add.container(x, y);
 
-    // Player label with character name
-    const label = this.add.text(0, 0, `P${playerNumber} - ${character.name}`, {
+    // Player label with character name (player 2 is the CPU in arcade, the dummy in training)
+    let tag = `P${playerNumber}`;
+    if (playerNumber === 2 && this.arcadeRun) tag = 'CPU';
+    if (playerNumber === 2 && this.trainingSystem) tag = 'DUMMY';
+
+    const label = this.add.text(0, 0, `${tag} - ${character.name}`, {
       fontSize: '18px',
       fontFamily: 'Arial Black, Arial, sans-serif',
       color: colorHex,
@@ -601,6 +1024,16 @@ export default class GameScene extends Phaser.Scene {
     });
     container.add(label);
 
+    // Current form label (filled in while transformed)
+    const formText = this.add.text(label.width + 10, 2, '', {
+      fontSize: '14px',
+      fontFamily: 'Arial Black, Arial, sans-serif',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 3,
+    });
+    container.add(formText);
+
     // Health bar outer border (dark)
     const healthBarBorder = this.add.graphics();
     healthBarBorder.fillStyle(0x000000, 1);
@@ -691,6 +1124,38 @@ export default class GameScene extends Phaser.Scene {
     kiLabel.setOrigin(0, 0.5);
     container.add(kiLabel);
 
+    // Guard bar (thin, below Ki bar)
+    const guardBarBg = this.add.graphics();
+    guardBarBg.fillStyle(0x000000, 1);
+    guardBarBg.fillRoundedRect(-2, 94, UI.guardBarWidth + 4, UI.guardBarHeight + 4, 2);
+    guardBarBg.fillStyle(0x1a1a1a, 1);
+    guardBarBg.fillRect(0, 96, UI.guardBarWidth, UI.guardBarHeight);
+    container.add(guardBarBg);
+
+    const guardBar = this.add.graphics();
+    container.add(guardBar);
+
+    const guardLabel = this.add.text(UI.guardBarWidth + 8, 96 + UI.guardBarHeight / 2, 'GD', {
+      fontSize: '10px',
+      fontFamily: 'Arial Black, Arial, sans-serif',
+      color: '#3498db',
+      stroke: '#000000',
+      strokeThickness: 2,
+    });
+    guardLabel.setOrigin(0, 0.5);
+    container.add(guardLabel);
+
+    // Round win pips (one per round needed to win the match, hidden in training)
+    // Stock matches show stock icons (one per life) in the same spot instead
+    const isStockMatch = this.roundSystem.isStockMatch();
+    const roundPips = this.add.graphics();
+    roundPips.setVisible(!this.trainingSystem && !isStockMatch);
+    container.add(roundPips);
+
+    const stockIcons = this.add.graphics();
+    stockIcons.setVisible(isStockMatch);
+    container.add(stockIcons);
+
     container.setDepth(100);
     container.setScrollFactor(0); // Fixed to screen, not affected by camera movement
 
@@ -698,11 +1163,188 @@ export default class GameScene extends Phaser.Scene {
       container,
       healthBar,
       healthText,
+      formText,
       staminaBar,
       kiBar,
+      guardBar,
+      roundPips,
+      stockIcons,
     };
   }
 
+  /**
+   * Redraws the round win pips for a player
+   * Filled pips = rounds won, hollow pips = rounds still needed
+   * @param {number} playerNumber - 1 or 2
+   */
+  updateRoundPips(playerNumber) {
+    const hud = this.hudElements[`p${playerNumber}`];
+    if (!hud || !this.roundSystem) return;
+
+    const wins = this.roundSystem.getRoundWins(playerNumber);
+    const pipY = 120;
+
+    hud.roundPips.clear();
+    for (let i = 0; i < this.roundSystem.roundsToWin; i++) {
+      const pipX = UI.roundPipRadius + i * UI.roundPipSpacing;
+
+      // Dark backing so empty pips stay readable over the arena
+      hud.roundPips.fillStyle(0x000000, 0.6);
+      hud.roundPips.fillCircle(pipX, pipY, UI.roundPipRadius + 2);
+
+      if (i < wins) {
+        hud.roundPips.fillStyle(0xf1c40f, 1); // Won round - gold
+        hud.roundPips.fillCircle(pipX, pipY, UI.roundPipRadius);
+      } else {
+        hud.roundPips.lineStyle(2, 0x888888, 1);
+        hud.roundPips.strokeCircle(pipX, pipY, UI.roundPipRadius - 1);
+      }
+    }
+  }
+
+  /**
+   * Redraws the stock icons for a player
+   * Filled icons in the character's color = stocks left, hollow = stocks lost
+   * @param {number} playerNumber - 1 or 2
+   */
+  updateStockIcons(playerNumber) {
+    const hud = this.hudElements[`p${playerNumber}`];
+    if (!hud || !this.roundSystem || !this.roundSystem.isStockMatch()) return;
+
+    const character = playerNumber === 1 ? this.player1Character : this.player2Character;
+    const stocksLeft = this.roundSystem.getStocksLeft(playerNumber);
+    const iconY = 120;
+
+    hud.stockIcons.clear();
+    for (let i = 0; i < this.roundSystem.stocks; i++) {
+      const iconX = UI.stockIconRadius + i * UI.stockIconSpacing;
+
+      hud.stockIcons.fillStyle(0x000000, 0.6);
+      hud.stockIcons.fillCircle(iconX, iconY, UI.stockIconRadius + 2);
+
+      if (i < stocksLeft) {
+        hud.stockIcons.fillStyle(character.color, 1);
+        hud.stockIcons.fillCircle(iconX, iconY, UI.stockIconRadius);
+        hud.stockIcons.lineStyle(2, 0xffffff, 0.8);
+        hud.stockIcons.strokeCircle(iconX, iconY, UI.stockIconRadius);
+      } else {
+        hud.stockIcons.lineStyle(2, 0x555555, 1);
+        hud.stockIcons.strokeCircle(iconX, iconY, UI.stockIconRadius - 1);
+      }
+    }
+  }
+
+  /**
+   * Creates the replay playback bar and controls hint
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   */
+  createReplayHUD(width, height) {
+    this.hudElements.replayText = this.add.text(width / 2, height - 60, '', {
+      fontSize: '22px',
+      fontFamily: 'Arial Black, Arial, sans-serif',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+    });
+    this.hudElements.replayText.setOrigin(0.5);
+    this.hudElements.replayText.setDepth(100);
+    this.hudElements.replayText.setScrollFactor(0);
+
+    const key = (action) => getKeyName(REPLAY_CONTROLS[action]);
+    const hint = `${key('togglePause')} Pause   ${key('stepFrame')} Step   `
+      + `${key('slower')}/${key('faster')} Speed   ${key('save')} Save   ESC Menu`;
+    this.hudElements.replayHint = this.add.text(width / 2, height - 30, hint, {
+      fontSize: '16px',
+      fontFamily: 'Arial, sans-serif',
+      color: '#cccccc',
+      stroke: '#000000',
+      strokeThickness: 3,
+    });
+    this.hudElements.replayHint.setOrigin(0.5);
+    this.hudElements.replayHint.setDepth(100);
+    this.hudElements.replayHint.setScrollFactor(0);
+
+    this.updateReplayHUD();
+  }
+
+  /**
+   * Updates the replay playback bar
+   */
+  updateReplayHUD() {
+    const replayText = this.hudElements.replayText;
+    if (!replayText || !this.replaySystem) return;
+
+    const { frame, total } = this.replaySystem.getProgress();
+    const state = this.replaySystem.isPaused ? 'PAUSED' : `${this.replaySystem.speed}x`;
+    replayText.setText(`REPLAY  ${state}  ${frame} / ${total}`);
+  }
+
+  /**
+   * Creates the online status line (who you are, ping, connection problems)
+   * @param {number} width - Viewport width
+   * @param {number} height - Viewport height
+   */
+  createNetplayHUD(width, height) {
+    this.hudElements.netplayText = this.add.text(width / 2, height - 30, '', {
+      fontSize: '18px',
+      fontFamily: 'Arial Black, Arial, sans-serif',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+    });
+    this.hudElements.netplayText.setOrigin(0.5);
+    this.hudElements.netplayText.setDepth(100);
+    this.hudElements.netplayText.setScrollFactor(0);
+
+    this.updateNetplayHUD();
+  }
+
+  /**
+   * Updates the online status line
+   */
+  updateNetplayHUD() {
+    const netplayText = this.hudElements.netplayText;
+    if (!netplayText || !this.netplaySystem) return;
+
+    const netplay = this.netplaySystem;
+    const you = `YOU: P${netplay.localPlayer}`;
+
+    if (!netplay.isConnected) {
+      netplayText.setText(`${you}   OPPONENT DISCONNECTED`);
+      netplayText.setColor('#e74c3c');
+    } else if (netplay.isWaiting()) {
+      netplayText.setText(`${you}   WAITING FOR OPPONENT...`);
+      netplayText.setColor('#f1c40f');
+    } else if (netplay.desyncFrame !== null) {
+      netplayText.setText(`${you}   DESYNC AT STEP ${netplay.desyncFrame}`);
+      netplayText.setColor('#e74c3c');
+    } else {
+      const ping = netplay.ping;
+      const rollback = netplay.rollbackCount > 0 ? `   ROLLBACK ${netplay.lastRollbackLength} F` : '';
+      netplayText.setText(`${you}   PING ${ping === null ? '--' : ping} ms   DELAY ${netplay.inputDelay} F${rollback}`);
+      netplayText.setColor(ping === null || ping < 80 ? '#2ecc71' : ping < 150 ? '#f1c40f' : '#e74c3c');
+    }
+  }
+
+  /**
+   * Updates the round timer text
+   * Turns red during the last 10 seconds
+   */
+  updateRoundTimer() {
+    const timerText = this.hudElements.timerText;
+    if (!timerText || !this.roundSystem) return;
+
+    if (!this.roundSystem.hasTimer()) {
+      timerText.setText('∞');
+      return;
+    }
+
+    const seconds = this.roundSystem.getSecondsRemaining();
+    timerText.setText(String(seconds));
+    timerText.setColor(seconds <= 10 ? '#e74c3c' : '#ffffff');
+  }
+
   /**
    * Updates HUD for a player
    * @param {number} playerNumber - 1 or 2
@@ -746,6 +1388,13 @@ export default class GameScene extends Phaser.Scene {
     // Update health text (show 1 decimal place for precise damage tracking)
     hud.healthText.setText(player.health.toFixed(1));
 
+    // Update form label in the form's aura color
+    const form = player.getForm();
+    hud.formText.setText(form ? form.hudLabel : '');
+    if (form) {
+      hud.formText.setColor('#' + form.auraColor.toString(16).padStart(6, '0'));
+    }
+
     // Update stamina bar with cyan/blue color
     hud.staminaBar.clear();
     const staminaWidth = Math.max(0, UI.staminaBarWidth * staminaPercent);
@@ -785,13 +1434,31 @@ export default class GameScene extends Phaser.Scene {
       hud.kiBar.fillRect(halfPoint - 1, 78, 2, UI.kiBarHeight);
     }
 
+    // Next form's Ki threshold marker
+    const nextForm = player.getNextForm();
+    if (nextForm) {
+      const thresholdPoint = UI.kiBarWidth * (nextForm.kiThreshold / 100);
+      hud.kiBar.fillStyle(nextForm.auraColor, 0.9);
+      hud.kiBar.fillRect(thresholdPoint - 1, 76, 2, UI.kiBarHeight + 4);
+    }
+
     // Visual feedback when player can transform
     if (player.canTransform) {
       // Pulsing glow effect on Ki bar when transformation is available
-      const pulseAlpha = 0.3 + Math.sin(this.time.now / 200) * 0.2;
+      const pulseAlpha = 0.3 + Math.sin(this.simTime / 200) * 0.2;
       hud.kiBar.fillStyle(0xf1c40f, pulseAlpha);
       hud.kiBar.fillRoundedRect(-2, 76, UI.kiBarWidth + 4, UI.kiBarHeight + 4, 3);
     }
+
+    // Update guard bar - blue, red when close to breaking
+    hud.guardBar.clear();
+    const guardPercent = player.guard / GUARD.maxGuard;
+    const guardWidth = Math.max(0, UI.guardBarWidth * guardPercent);
+
+    if (guardWidth > 0) {
+      hud.guardBar.fillStyle(guardPercent > 0.3 ? 0x3498db : 0xe74c3c, 1);
+      hud.guardBar.fillRect(0, 96, guardWidth, UI.guardBarHeight);
+    }
   }
 
   /**
@@ -809,6 +1476,58 @@ export default class GameScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Sets up training mode controls (dummy mode, toggles, position reset)
+   */
+  setupTrainingControls() {
+    const keyboard = this.input.keyboard;
+
+    keyboard.addKey(TRAINING_CONTROLS.cycleDummyMode).on('down', () => {
+      this.trainingSystem.cycleDummyMode();
+    });
+    keyboard.addKey(TRAINING_CONTROLS.toggleInfiniteHealth).on('down', () => {
+      this.trainingSystem.toggle('infiniteHealth');
+    });
+    keyboard.addKey(TRAINING_CONTROLS.toggleInfiniteStamina).on('down', () => {
+      this.trainingSystem.toggle('infiniteStamina');
+    });
+    keyboard.addKey(TRAINING_CONTROLS.toggleMaxKi).on('down', () => {
+      this.trainingSystem.toggle('maxKi');
+    });
+    keyboard.addKey(TRAINING_CONTROLS.toggleInstantKiReset).on('down', () => {
+      this.trainingSystem.toggle('instantKiReset');
+    });
+    keyboard.addKey(TRAINING_CONTROLS.resetPositions).on('down', () => {
+      if (this.isPaused) return;
+      this.matchSystem.resetTrainingPositions();
+    });
+  }
+
+  /**
+   * Sets up replay playback controls (pause, frame step, speed, save)
+   */
+  setupReplayControls() {
+    const keyboard = this.input.keyboard;
+
+    keyboard.addKey(REPLAY_CONTROLS.togglePause).on('down', () => {
+      if (this.isPaused) return;
+      this.replaySystem.togglePause();
+    });
+    keyboard.addKey(REPLAY_CONTROLS.stepFrame).on('down', () => {
+      if (this.isPaused) return;
+      this.replaySystem.stepFrame();
+    });
+    keyboard.addKey(REPLAY_CONTROLS.slower).on('down', () => {
+      this.replaySystem.changeSpeed(-1);
+    });
+    keyboard.addKey(REPLAY_CONTROLS.faster).on('down', () => {
+      this.replaySystem.changeSpeed(1);
+    });
+    keyboard.addKey(REPLAY_CONTROLS.save).on('down', () => {
+      saveReplayFile(this.replay);
+    });
+  }
+
   /**
    * Sets up pause controls
    */
@@ -825,6 +1544,7 @@ export default class GameScene extends Phaser.Scene {
     this.isPaused = !this.isPaused;
 
     if (this.isPaused) {
+      audio.stopAllLoops(); // Charge hum restarts on resume if still held
       this.showPauseMenu();
       this.inputSystem.setEnabled(false);
     } else {
@@ -866,8 +1586,26 @@ export default class GameScene extends Phaser.Scene {
     this.pauseHint.setDepth(201);
     this.pauseHint.setScrollFactor(0);
 
+    // Current key bindings as a reminder
+    const bindingLine = (playerNumber) => {
+      const keys = getPlayerControls(playerNumber);
+      const name = (action) => getKeyName(keys[action]);
+      return `P${playerNumber}  Move ${name('left')}/${name('right')}  Jump ${name('up')}  Descend ${name('down')}`
+        + `  Attack ${name('attack')}  Ki ${name('special')}  Block ${name('block')}`;
+    };
+    this.pauseBindings = this.add.text(width / 2, height / 2 + 120, `${bindingLine(1)}\n${bindingLine(2)}`, {
+      fontSize: '16px',
+      fontFamily: 'Arial, sans-serif',
+      color: '#999999',
+      align: 'center',
+      lineSpacing: 6,
+    });
+    this.pauseBindings.setOrigin(0.5);
+    this.pauseBindings.setDepth(201);
+    this.pauseBindings.setScrollFactor(0);
+
     // Make main camera ignore pause elements (UI camera will render them)
-    this.cameras.main.ignore([this.pauseOverlay, this.pauseText, this.pauseHint]);
+    this.cameras.main.ignore([this.pauseOverlay, this.pauseText, this.pauseHint, this.pauseBindings]);
 
     // Quit handler
     this.input.keyboard.once('keydown-Q', () => {
@@ -894,36 +1632,96 @@ export default class GameScene extends Phaser.Scene {
       this.pauseHint.destroy();
       this.pauseHint = null;
     }
+    if (this.pauseBindings) {
+      this.pauseBindings.destroy();
+      this.pauseBindings = null;
+    }
   }
 
+  // ==================== ROUNDS ====================
+
   /**
-   * Handles player knockout
-   * @param {number} playerNumber - The player who was KO'd
+   * Shows a message in the center of the screen
+   * @param {string} text - Message to show ('' clears it)
+   * @param {Object} style - Optional text style overrides
    */
-  handlePlayerKO(playerNumber) {
-    // Prevent multiple KO handling
-    if (this.isGameOver) return;
-    this.isGameOver = true;
+  showAnnouncement(text, style = {}) {
+    this.announcement = { text, style };
+    this.hudElements.centerText.setStyle({
+      fontSize: '64px',
+      color: '#ffffff',
+      stroke: '#000000',
+      strokeThickness: 4,
+      ...style,
+    });
+    this.hudElements.centerText.setText(text);
+  }
 
-    const winner = playerNumber === 1 ? 2 : 1;
-    const loser = this.players[playerNumber - 1];
+  /**
+   * Clears the center message if it's still the one given
+   * (a KO or TIME message shown since stays up)
+   * @param {string} text - Announcement to clear
+   */
+  clearAnnouncement(text) {
+    if (this.announcement.text === text) {
+      this.showAnnouncement('');
+    }
+  }
 
-    logInfo(`GameScene: Player ${winner} wins!`);
+  /**
+   * Presents MatchSystem's round flow: announcements, the HUD, the KO
+   * sequence's camera, sound and flash, and the move to the results screen
+   */
+  listenToMatch() {
+    Object.entries(MATCH_EVENTS).forEach(([event, method]) => this.events.on(event, this[method], this));
+  }
 
-    // Pause input immediately
-    this.inputSystem.setEnabled(false);
+  /**
+   * Shows "ROUND N" (or "FINAL ROUND", or the stock count) before a round
+   */
+  onRoundIntro() {
+    const roundNumber = this.roundSystem.currentRound + 1;
+    const matchPoint = this.roundSystem.roundsToWin - 1;
+    const isFinalRound =
+      matchPoint > 0 &&
+      this.roundSystem.getRoundWins(1) === matchPoint &&
+      this.roundSystem.getRoundWins(2) === matchPoint;
+
+    if (this.roundSystem.isStockMatch()) {
+      this.showAnnouncement(`${this.roundSystem.stocks} STOCK BATTLE`);
+    } else {
+      this.showAnnouncement(isFinalRound ? 'FINAL ROUND' : `ROUND ${roundNumber}`);
+    }
+  }
 
-    // === DRAMATIC KO SEQUENCE ===
+  /**
+   * Shows "FIGHT!" as the round starts
+   */
+  onRoundStarted() {
+    this.updateRoundTimer();
 
-    // 1. Brief freeze frame - pause physics for impact moment
-    this.matter.world.pause();
+    this.showAnnouncement('FIGHT!', { fontSize: '80px', color: '#f1c40f', strokeThickness: 6 });
+    this.timers.add(700, 'clearAnnouncement', 'FIGHT!');
+  }
 
-    // 2. Camera shake on KO
+  /**
+   * Plays the KO sequence for a round-ending KO
+   * @param {number} playerNumber - The player who was KO'd
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  onRoundKO(playerNumber, isRingOut) {
+    // Camera shake and KO sound
     if (this.cameraSystem) {
       this.cameraSystem.shakeOnKO();
     }
+    audio.play('ko');
+
+    this.showAnnouncement(isRingOut ? 'RING OUT!' : 'K.O.!', { fontSize: '80px', color: '#ff0000', strokeThickness: 6 });
 
-    // 3. Flash effect - white flash on screen
+    // The announcement is match state, but the flash is skipped while a rollback re-runs steps
+    if (this.isResimulating) return;
+
+    // White flash on screen
     const flash = this.add.rectangle(
       this.cameras.main.centerX,
       this.cameras.main.centerY,
@@ -943,50 +1741,360 @@ export default class GameScene extends Phaser.Scene {
       ease: 'Power2',
       onComplete: () => flash.destroy(),
     });
+  }
 
-    // 4. Resume physics after brief freeze (150ms) to show knockback
-    this.time.delayedCall(150, () => {
-      this.matter.world.resume();
-
-      // Apply dramatic final knockback to loser
-      if (loser && loser.body) {
-        const knockbackDir = loser.playerNumber === 1 ? -1 : 1;
-        loser.applyKnockback({
-          x: knockbackDir * 0.025,
-          y: -0.02,
-        });
-      }
-    });
+  /**
+   * Plays the knockback after the KO freeze frame in slow motion
+   */
+  onKOFreezeEnded() {
+    if (this.cameraSystem) {
+      this.cameraSystem.slowMotionKO();
+    }
+  }
 
-    // 5. Show "K.O.!" text first, then winner text
-    this.hudElements.centerText.setText('K.O.!');
-    this.hudElements.centerText.setStyle({
-      fontSize: '80px',
-      color: '#ff0000',
-      stroke: '#000000',
-      strokeThickness: 6,
+  /**
+   * Shows a KO that only cost a stock
+   * @param {number} playerNumber - The player who was KO'd
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  onStockLost(playerNumber, isRingOut) {
+    this.updateStockIcons(playerNumber);
+
+    if (this.cameraSystem) {
+      this.cameraSystem.shakeOnKO();
+    }
+    audio.play('ko');
+
+    const koText = isRingOut ? 'RING OUT!' : 'K.O.!';
+    this.showAnnouncement(koText, { fontSize: '80px', color: '#ff0000', strokeThickness: 6 });
+    this.timers.add(1000, 'clearAnnouncement', koText);
+  }
+
+  /**
+   * Shows "TIME!" when the round timer runs out
+   */
+  onRoundTimeOut() {
+    this.showAnnouncement('TIME!', { fontSize: '80px', color: '#f39c12', strokeThickness: 6 });
+  }
+
+  /**
+   * Announces who won the round, or the match
+   * @param {number|null} winner - Round winner (null = draw)
+   * @param {number|null} matchWinner - Match winner if the match is decided
+   */
+  onRoundDecided(winner, matchWinner) {
+    this.updateRoundPips(1);
+    this.updateRoundPips(2);
+
+    if (matchWinner !== null) {
+      this.showAnnouncement(`PLAYER ${matchWinner} WINS!`);
+    } else if (winner === null) {
+      this.showAnnouncement('DRAW');
+    } else {
+      this.showAnnouncement(`PLAYER ${winner} WINS ROUND ${this.roundSystem.currentRound}`, { fontSize: '52px' });
+    }
+  }
+
+  /**
+   * Clears the last round's message and cuts the camera to the fighters,
+   * back at their spawn points
+   */
+  onRoundReset() {
+    this.showAnnouncement('');
+
+    if (this.cameraSystem) {
+      this.cameraSystem.snapToTarget();
+    }
+  }
+
+  // ==================== TRAINING ====================
+
+  /**
+   * Shows "TRAINING" as training starts
+   */
+  onTrainingStarted() {
+    this.updateRoundTimer();
+
+    this.showAnnouncement('TRAINING', { fontSize: '52px', color: '#f1c40f' });
+    this.timers.add(1200, 'clearAnnouncement', 'TRAINING');
+  }
+
+  /**
+   * Shows a training KO (MatchSystem resets positions shortly after)
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  onTrainingKO(isRingOut) {
+    this.showAnnouncement(isRingOut ? 'RING OUT!' : 'K.O.!', { fontSize: '80px', color: '#ff0000', strokeThickness: 6 });
+  }
+
+  /**
+   * Ends the match and moves on to the results screen
+   * Results are captured before cleanup() tears the systems down
+   */
+  endMatch() {
+    this.isGameOver = true;
+
+    const results = {
+      mode: this.gameMode,
+      player1Character: this.player1Character,
+      player2Character: this.player2Character,
+      arena: this.arena,
+      winner: this.roundSystem.matchWinner,
+      roundWins: {
+        1: this.roundSystem.getRoundWins(1),
+        2: this.roundSystem.getRoundWins(2),
+      },
+      roundHistory: [...this.roundSystem.roundHistory],
+      stocks: this.roundSystem.isStockMatch() ? {
+        total: this.roundSystem.stocks,
+        1: this.roundSystem.getStocksLeft(1),
+        2: this.roundSystem.getStocksLeft(2),
+      } : null,
+      stats: this.matchStats.getSummary(),
+      replay: this.getReplay(),
+      isReplay: this.isReplay(),
+    };
+
+    this.cleanup();
+
+    // Arcade runs continue on the ladder screen instead of the results screen
+    if (this.arcadeRun) {
+      this.scene.start('ArcadeScene', { run: this.arcadeRun, results });
+      return;
+    }
+
+    this.scene.start('ResultsScene', results);
+  }
+
+  // ==================== REPLAYS ====================
+
+  /**
+   * Checks whether this match is a replay being played back
+   * @returns {boolean}
+   */
+  isReplay() {
+    return this.replay !== null;
+  }
+
+  /**
+   * Gets the replay of this match for the results screen
+   * @returns {Object|null} Replay, or null when nothing was recorded (training)
+   */
+  getReplay() {
+    if (!this.replaySystem) return null;
+    if (this.isReplay()) return this.replay;
+
+    return this.replaySystem.createReplay({
+      seed: this.seed,
+      mode: this.gameMode,
+      player1Character: this.player1Character,
+      player2Character: this.player2Character,
+      arena: this.arena,
+      rules: this.matchRules,
     });
+  }
 
-    // 6. After knockback plays, show winner announcement
-    this.time.delayedCall(1200, () => {
-      this.hudElements.centerText.setText(`PLAYER ${winner} WINS!`);
-      this.hudElements.centerText.setStyle({
-        fontSize: '64px',
-        color: '#ffffff',
-        stroke: '#000000',
-        strokeThickness: 4,
+  /**
+   * Runs the recorded steps due this render frame
+   * Each one replays the step's input snapshots through the same
+   * simulation step the live match used
+   * @param {number} delta - Time since last frame
+   */
+  runReplayFrames(delta) {
+    const steps = this.replaySystem.isPaused
+      ? this.replaySystem.takePendingSteps()
+      : this.advanceTimestep(delta, this.replaySystem.speed);
+
+    for (let i = 0; i < steps && !this.isGameOver; i++) {
+      const inputs = this.replaySystem.nextFrame();
+      if (!inputs) break;
+
+      inputs.forEach((snapshot, index) => {
+        this.inputSystem.applySnapshot(index + 1, snapshot);
       });
+      this.stepSimulation();
+    }
+
+    // A recording that stops before the match was decided just ends here
+    if (!this.isGameOver && this.replaySystem.isFinished()) {
+      this.showAnnouncement('END OF REPLAY', { fontSize: '48px', color: '#f1c40f' });
+    }
+  }
+
+  // ==================== ONLINE ====================
+
+  /**
+   * Runs the gameplay steps due this render frame in an online match
+   * Steps run on a guess of the opponent's input when theirs hasn't arrived
+   * yet. If an input that arrived since shows a guess was wrong, the match
+   * first rolls back to that step and simulates forward again with it.
+   * Only when the opponent is too far behind does the match wait (and the
+   * HUD says so).
+   * @param {number} delta - Time since last frame
+   */
+  runOnlineFrames(delta) {
+    const netplay = this.netplaySystem;
+
+    const rollbackFrame = netplay.takeRollbackFrame();
+    if (rollbackFrame !== null) {
+      this.rollBack(rollbackFrame);
+    }
+
+    let steps = this.advanceTimestep(delta);
+
+    // Running ahead of the opponent: give them a step to catch up
+    if (steps > 0 && netplay.shouldYieldStep()) {
+      steps--;
+    }
+
+    for (let i = 0; i < steps && !this.isGameOver; i++) {
+      netplay.sendLocalInput();
+
+      if (!netplay.advanceFrame()) {
+        // Waiting on the opponent - don't bank time to burn through later
+        this.stepAccumulator = 0;
+        break;
+      }
+
+      this.runOnlineStep();
+    }
+
+    if (this.netplaySystem) {
+      this.netplaySystem.update();
+    }
+  }
+
+  /**
+   * Simulates the step NetplaySystem.advanceFrame() just set the inputs for
+   */
+  runOnlineStep() {
+    // Controllers hand InputSystem this step's exchanged (or predicted) inputs
+    this.inputSystem.update();
+    this.replaySystem.recordFrame([
+      this.inputSystem.getSnapshot(1),
+      this.inputSystem.getSnapshot(2),
+    ]);
+
+    this.stepSimulation();
+  }
+
+  /**
+   * Rewinds to the start of a step and simulates forward again to where the
+   * match was, with the inputs known now
+   * Sounds stay quiet on the way: they already played the first time
+   * @param {number} frame - Step to roll back to
+   */
+  rollBack(frame) {
+    const netplay = this.netplaySystem;
+    const targetFrame = netplay.frame;
+
+    this.loadState(netplay.rewindTo(frame));
+
+    this.isResimulating = true;
+    audio.setSuppressed(true);
+
+    while (netplay.frame < targetFrame && !this.isGameOver && netplay.advanceFrame()) {
+      this.runOnlineStep();
+    }
+
+    this.isResimulating = false;
+    audio.setSuppressed(false);
+  }
+
+  /**
+   * Awards the match to whoever is still connected when the opponent leaves
+   */
+  handleOpponentDisconnect() {
+    if (this.isGameOver || this.roundSystem.isMatchOver()) return;
+
+    this.matchSystem.forfeit(this.netplaySystem.remotePlayer);
+    this.showAnnouncement('OPPONENT LEFT\nYOU WIN', { fontSize: '56px', color: '#f1c40f', align: 'center' });
+
+    // Nothing is simulated any more, so this waits in real time
+    this.time.delayedCall(NETPLAY.disconnectEndDelay, () => {
+      this.endMatch();
     });
+  }
+
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies everything a gameplay step can change, for online rollback
+   * Entities and systems save their own part; the physics world goes last
+   * on restore, once the projectiles and beams it holds bodies for are back
+   * @returns {Object} State for loadState()
+   */
+  saveState() {
+    return {
+      simTime: this.simTime,
+      random: random.getState(),
+      timers: this.timers.saveState(),
+      match: this.matchSystem.saveState(),
+      announcement: this.announcement,
+      replayFrames: this.replaySystem ? this.replaySystem.frames.length : 0,
+      input: this.inputSystem.saveState(),
+      players: this.players.map((player) => player.saveState()),
+      combat: this.combatSystem.saveState(),
+      round: this.roundSystem.saveState(),
+      stats: this.matchStats.saveState(),
+      arena: this.arenaSystem.saveState(),
+      camera: this.cameraSystem.saveState(),
+      physics: this.physicsSystem.saveState(),
+    };
+  }
 
-    // 7. Return to menu after full sequence plays
-    this.time.delayedCall(4000, () => {
-      this.cleanup();
-      this.scene.start('MainMenuScene');
+  /**
+   * Puts the match back as saveState() copied it
+   * @param {Object} state
+   */
+  loadState(state) {
+    this.simTime = state.simTime;
+    random.setState(state.random);
+    this.timers.restoreState(state.timers);
+    this.matchSystem.restoreState(state.match);
+    this.replaySystem?.rewind(state.replayFrames);
+
+    this.inputSystem.restoreState(state.input);
+    this.players.forEach((player, index) => player.restoreState(state.players[index]));
+    this.combatSystem.restoreState(state.combat);
+    this.roundSystem.restoreState(state.round);
+    this.matchStats.restoreState(state.stats);
+    this.arenaSystem.restoreState(state.arena);
+    this.cameraSystem.restoreState(state.camera);
+    this.physicsSystem.restoreState(state.physics);
+
+    // HUD that only changes when something happens
+    if (this.announcement !== state.announcement) {
+      this.showAnnouncement(state.announcement.text, state.announcement.style);
+    }
+    [1, 2].forEach((playerNumber) => {
+      this.updateRoundPips(playerNumber);
+      this.updateStockIcons(playerNumber);
     });
   }
 
+  // ==================== UPDATE LOOP ====================
+
+  /**
+   * Adds a render frame's time to the step accumulator
+   * @param {number} delta - Time since last frame
+   * @param {number} scale - Playback speed (replays only)
+   * @returns {number} Whole gameplay steps now due
+   */
+  advanceTimestep(delta, scale = 1) {
+    this.stepAccumulator += Math.min(delta, WORLD.maxFrameDelta) * scale;
+
+    const steps = Math.floor(this.stepAccumulator / WORLD.stepDelta);
+    this.stepAccumulator -= steps * WORLD.stepDelta;
+    return steps;
+  }
+
   /**
    * Main update loop
+   * Gameplay runs in fixed steps: each render frame runs as many as the time
+   * since the last one covers (a live match reads and records input for each
+   * step, a replay feeds back the recorded input). The HUD, camera and
+   * interpolated bodies then render once.
    * @param {number} time - Total elapsed time
    * @param {number} delta - Time since last frame
    */
@@ -995,22 +2103,37 @@ export default class GameScene extends Phaser.Scene {
     if (this.isPaused || this.isGameOver) return;
     if (!this.inputSystem || !this.combatSystem) return;
 
-    // Update input system
-    this.inputSystem.update();
+    if (this.isReplay()) {
+      this.runReplayFrames(delta);
+    } else if (this.netplaySystem) {
+      this.runOnlineFrames(delta);
+    } else {
+      const steps = this.advanceTimestep(delta);
 
-    // Process player input and update
-    this.players.forEach((player) => {
-      if (player && player.body) {
-        this.processPlayerInput(player, delta);
-        // Pass down key state to player for flight gravity control
-        const input = this.inputSystem.getInput(player.playerNumber);
-        const isPressingDown = input ? input.down : false;
-        player.update(time, delta, isPressingDown);
+      for (let i = 0; i < steps && !this.isGameOver; i++) {
+        // Update input system
+        this.inputSystem.update();
+
+        if (this.replaySystem) {
+          this.replaySystem.recordFrame([
+            this.inputSystem.getSnapshot(1),
+            this.inputSystem.getSnapshot(2),
+          ]);
+        }
+
+        this.stepSimulation();
       }
-    });
+    }
+
+    // A step may have ended the match (and torn the scene down)
+    if (this.isGameOver) return;
 
-    // Update combat system
-    this.combatSystem.update(time, delta);
+    // Draw moving bodies partway between their last two step positions
+    this.interpolateBodies(this.stepAccumulator / WORLD.stepDelta);
+
+    this.updateRoundTimer();
+    this.updateReplayHUD();
+    this.updateNetplayHUD();
 
     // Update HUD
     this.updatePlayerHUD(1);
@@ -1027,130 +2150,49 @@ export default class GameScene extends Phaser.Scene {
   }
 
   /**
-   * Processes input for a player
-   * Handles movement, jumping, flight, and attacks
-   *
-   * Flight activation: When airborne with no jumps remaining,
-   * holding UP/W will automatically enter flight mode.
-   * Landing exits flight mode automatically.
-   *
-   * @param {Player} player - The player to process
-   * @param {number} delta - Delta time for frame-rate independent updates
+   * Runs one gameplay step: MatchSystem's, plus what the scene adds around
+   * it (announcement timers, interpolation, KO slow motion, training toggles)
+   * Everything here depends only on the step count and the players' input,
+   * which is what lets a replay repeat a match exactly
    */
-  processPlayerInput(player, delta) {
-    const input = this.inputSystem.getInput(player.playerNumber);
-    if (!input) return;
-
-    // Get directional inputs
-    const horizontal = this.inputSystem.getHorizontalInput(player.playerNumber);
-    const vertical = this.inputSystem.getVerticalInput(player.playerNumber);
-
-    // Handle flight - auto-activate when holding UP with no jumps left
-    if (player.isFlying()) {
-      // Currently flying - apply thrust and consume stamina
-      player.applyFlightThrust(horizontal, vertical);
-      player.consumeFlightStamina(delta);
-
-      // Exit flight only if NEITHER up nor down is pressed (player wants to fall naturally)
-      if (!input.up && !input.down) {
-        player.exitFlight();
-      }
-    } else if (input.up && player.getState() === PLAYER_STATES.AIRBORNE && player.jumpsRemaining <= 0) {
-      // Not flying, but holding UP with no jumps left - enter flight
-      player.enterFlight();
-    }
-
-    // Horizontal movement (works in all states except flying which uses thrust)
-    if (!player.isFlying()) {
-      player.move(horizontal);
-    }
+  stepSimulation() {
+    this.timers.update();
+    this.savePreviousPositions();
 
-    // Jump (on button press, not hold) - doesn't work while flying
-    if (input.jumpPressed && !player.isFlying()) {
-      player.jump();
-    }
+    this.matchSystem.step();
+    if (this.isGameOver) return;
 
-    // Attack (disabled while charging - charging is a commitment)
-    if (input.attackPressed && !player.isCharging) {
-      this.handlePlayerAttack(player);
-    }
+    this.cameraSystem.updateSlowMotion(WORLD.stepDelta);
 
-    // Ki Charging / Transformation (special key: G for P1, K for P2)
-    // - Hold to charge Ki
-    // - When Ki reaches 100%, transformation activates automatically
-    // - Can also press special when Ki is full (not charging) to transform
-    if (input.special) {
-      // If can transform and still holding charge key, auto-activate
-      if (player.canTransform && !player.isTransformed) {
-        player.activateTransformation();
-      } else if (!player.isCharging && !player.isTransformed) {
-        // Start charging if not already and not transformed
-        player.startCharging();
-      }
-    } else {
-      // Stop charging when key released
-      if (player.isCharging) {
-        player.stopCharging();
-      }
+    // Apply training toggles after players have updated
+    if (this.trainingSystem) {
+      this.trainingSystem.update();
     }
   }
 
   /**
-   * Gets the opponent player for a given player
-   * @param {Player} player - The player to find opponent for
-   * @returns {Player|null} The opponent player or null
+   * Remembers body positions before the physics step, for interpolation
    */
-  getOpponent(player) {
-    const opponentNumber = player.playerNumber === 1 ? 2 : 1;
-    return this.players[opponentNumber - 1] || null;
+  savePreviousPositions() {
+    this.players.forEach((player) => {
+      if (player.body) player.savePreviousPosition();
+    });
+    this.combatSystem.projectiles.forEach((projectile) => {
+      if (projectile.body) projectile.savePreviousPosition();
+    });
   }
 
   /**
-   * Handles player attack action
-   * Projectiles aim toward opponent ONLY if player is facing them
-   * Otherwise shoots in facing direction
-   * @param {Player} player - The attacking player
+   * Renders players and projectiles between their last two step positions
+   * @param {number} alpha - How far into the next step the render falls (0-1)
    */
-  handlePlayerAttack(player) {
-    const pos = player.getPosition();
-    const opponent = this.getOpponent(player);
-
-    // Get opponent position for targeting (only if facing toward them)
-    let targetPos = null;
-    if (opponent && opponent.getState() !== 'DEAD') {
-      const opponentPos = opponent.getPosition();
-
-      // Check if player is facing toward the opponent
-      const directionToOpponent = opponentPos.x - pos.x; // positive = opponent is to the right
-      const isFacingOpponent =
-        (player.facingDirection > 0 && directionToOpponent > 0) || // facing right, opponent is right
-        (player.facingDirection < 0 && directionToOpponent < 0); // facing left, opponent is left
-
-      // Only auto-aim if facing the opponent
-      if (isFacingOpponent) {
-        targetPos = opponentPos;
-      }
-    }
-
-    // Get character-specific attack damage (includes transformation bonus if active)
-    const stats = player.getStats();
-
-    // Create projectile factory with targeting and character damage
-    const createProjectile = () => {
-      return new Projectile(
-        this,
-        this.physicsSystem,
-        player.playerNumber,
-        pos.x + player.facingDirection * 40, // Spawn in front of player
-        pos.y,
-        targetPos, // Target opponent's position (null if not facing them)
-        player.facingDirection, // Fallback direction if no target
-        stats.attackDamage // Use character-specific damage
-      );
-    };
-
-    // Attempt attack through combat system
-    this.combatSystem.attemptAttack(player, createProjectile);
+  interpolateBodies(alpha) {
+    this.players.forEach((player) => {
+      if (player.body) player.interpolate(alpha);
+    });
+    this.combatSystem.projectiles.forEach((projectile) => {
+      if (projectile.body) projectile.interpolate(alpha);
+    });
   }
 
   /**
@@ -1166,6 +2208,15 @@ export default class GameScene extends Phaser.Scene {
       this.combatSystem.destroy();
       this.combatSystem = null;
     }
+    this.actionSystem = null;
+
+    // Closes the connection (a match still running on the other side goes
+    // to the opponent). Before the input system, which owns the local keys
+    if (this.netplaySystem) {
+      this.netplaySystem.destroy();
+      this.netplaySystem = null;
+      this.events.off('opponentDisconnected', this.handleOpponentDisconnect, this);
+    }
 
     if (this.inputSystem) {
       this.inputSystem.destroy();
@@ -1182,6 +2233,38 @@ export default class GameScene extends Phaser.Scene {
       this.cameraSystem = null;
     }
 
+    if (this.roundSystem) {
+      this.roundSystem.destroy();
+      this.roundSystem = null;
+    }
+
+    if (this.matchStats) {
+      this.matchStats.destroy();
+      this.matchStats = null;
+    }
+
+    if (this.matchSystem) {
+      this.matchSystem.destroy();
+      this.matchSystem = null;
+    }
+
+    if (this.trainingSystem) {
+      this.trainingSystem.destroy();
+      this.trainingSystem = null;
+    }
+
+    if (this.arenaSystem) {
+      this.arenaSystem.destroy();
+      this.arenaSystem = null;
+    }
+
+    if (this.replaySystem) {
+      this.replaySystem.destroy();
+      this.replaySystem = null;
+    }
+
+    this.timers.clear();
+
     // Remove UI camera
     if (this.uiCamera) {
       this.cameras.remove(this.uiCamera);
@@ -1195,11 +2278,12 @@ export default class GameScene extends Phaser.Scene {
     if (this.debugTexts) {
       this.debugTexts.p1?.destroy();
       this.debugTexts.p2?.destroy();
+      this.debugTexts.training?.destroy();
       this.debugTexts = null;
     }
 
     // Remove event listeners
-    this.events.off('playerKO', this.handlePlayerKO, this);
+    Object.entries(MATCH_EVENTS).forEach(([event, method]) => this.events.off(event, this[method], this));
 
     logInfo('GameScene: Cleaned up');
   }
@@ -1,5 +1,5 @@
 import Phaser from 'phaser';
-import { MENU_CONTROLS } from '../constants/controls.js';
+import { MENU_CONTROLS, getPlayerControls, getKeyName } from '../constants/controls.js';
 import {
   COLORS,
   LAYOUT,
@@ -10,6 +10,9 @@ import {
   createNavigationHints,
 } from '../constants/uiStyles.js';
 import { logInfo } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
+import { loadReplayFile } from '../utils/replayFile.js';
 
 /**
  * MainMenuScene - Premium dark-themed main menu
@@ -21,6 +24,7 @@ export default class MainMenuScene extends Phaser.Scene {
 
     this.menuItems = [
       { label: 'START GAME', action: 'start' },
+      { label: 'REPLAYS', action: 'replays' },
       { label: 'CONTROLS', action: 'controls' },
       { label: 'SETTINGS', action: 'settings' },
     ];
@@ -36,6 +40,8 @@ export default class MainMenuScene extends Phaser.Scene {
     this.selectedIndex = 0;
     this.menuTexts = [];
     this.canNavigate = true;
+    this.activeOverlayClose = null;
+    this.activeOverlayConfirm = null;
 
     // Build UI layers
     this.createBackground();
@@ -45,6 +51,9 @@ export default class MainMenuScene extends Phaser.Scene {
 
     // Setup input
     this.setupKeyboardInput();
+    this.setupGamepadInput();
+
+    audio.playMusic('menu');
 
     // Entry animation
     this.playEntryAnimation();
@@ -202,6 +211,32 @@ export default class MainMenuScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Sets up gamepad input (D-pad navigates, A selects; in the controls overlay A rebinds, B closes)
+   */
+  setupGamepadInput() {
+    const navigationDelay = 150;
+
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if (this.activeOverlayClose) {
+        if (action === 'confirm' && this.activeOverlayConfirm) {
+          this.activeOverlayConfirm();
+        } else if (action === 'confirm' || action === 'back') {
+          this.activeOverlayClose();
+        }
+        return;
+      }
+
+      if ((action === 'up' || action === 'down') && this.canNavigate) {
+        this.navigateMenu(action === 'up' ? -1 : 1);
+        this.setNavigationCooldown(navigationDelay);
+      } else if (action === 'confirm' || action === 'start') {
+        this.selectMenuItem();
+      }
+    });
+  }
+
   /**
    * Navigate menu
    * @param {number} direction - -1 up, 1 down
@@ -218,6 +253,7 @@ export default class MainMenuScene extends Phaser.Scene {
     }
 
     if (oldIndex !== this.selectedIndex) {
+      audio.play('menuMove');
       this.updateMenuSelection(oldIndex);
     }
   }
@@ -270,8 +306,12 @@ export default class MainMenuScene extends Phaser.Scene {
    * Handles menu item selection
    */
   selectMenuItem() {
+    // Overlays handle ENTER themselves
+    if (this.activeOverlayClose) return;
+
     const selected = this.menuItems[this.selectedIndex];
     logInfo(`MainMenuScene: Selected "${selected.label}"`);
+    audio.play('menuConfirm');
 
     // Flash effect on selection
     this.flashSelection();
@@ -281,12 +321,19 @@ export default class MainMenuScene extends Phaser.Scene {
         this.transitionToScene('ModeSelectScene');
         break;
 
+      case 'replays':
+        // Nothing happens if the picker is cancelled or the file isn't a replay
+        loadReplayFile().then((replay) => {
+          if (replay) this.transitionToScene('GameScene', { replay });
+        });
+        break;
+
       case 'controls':
         this.showControlsOverlay();
         break;
 
       case 'settings':
-        this.showSettingsOverlay();
+        this.transitionToScene('SettingsScene');
         break;
     }
   }
@@ -308,13 +355,14 @@ export default class MainMenuScene extends Phaser.Scene {
   /**
    * Smooth transition to another scene
    * @param {string} sceneKey - Scene to transition to
+   * @param {Object} data - Data for the next scene
    */
-  transitionToScene(sceneKey) {
+  transitionToScene(sceneKey, data = {}) {
     // Fade out animation
     this.cameras.main.fadeOut(200, 13, 17, 23); // Fade to bgDark color
 
     this.cameras.main.once('camerafadeoutcomplete', () => {
-      this.scene.start(sceneKey);
+      this.scene.start(sceneKey, data);
     });
   }
 
@@ -350,6 +398,10 @@ export default class MainMenuScene extends Phaser.Scene {
     title.setOrigin(0.5);
     elements.push(title);
 
+    const hint = this.add.text(width / 2, frameY + 90, '[ ENTER ] REBIND KEYS     [ ESC ] CLOSE', TEXT_STYLES.hint);
+    hint.setOrigin(0.5);
+    elements.push(hint);
+
     // Content area starts below title
     const contentStartY = frameY + 120;
     const leftCol = width * 0.22;
@@ -387,17 +439,25 @@ export default class MainMenuScene extends Phaser.Scene {
     sepLine.lineBetween(frameX + 40, contentStartY + 25, frameX + frameW - 40, contentStartY + 25);
     elements.push(sepLine);
 
-    // Control rows
+    // Control rows (current bindings)
+    const p1Keys = getPlayerControls(1);
+    const p2Keys = getPlayerControls(2);
+    const keyFor = (keys, actions) => actions.map((action) => getKeyName(keys[action])).join(' / ');
     const controls = [
-      { p1: 'A / D', action: 'Move', p2: '← / →' },
-      { p1: 'W', action: 'Jump / Fly', p2: '↑' },
-      { p1: 'S', action: 'Descend', p2: '↓' },
-      { p1: 'F', action: 'Attack', p2: 'L' },
-      { p1: 'G', action: 'Charge Ki', p2: 'K' },
-    ];
+      { actions: ['left', 'right'], label: 'Move' },
+      { actions: ['up'], label: 'Jump / Fly' },
+      { actions: ['down'], label: 'Descend' },
+      { actions: ['attack'], label: 'Attack' },
+      { actions: ['special'], label: 'Charge Ki' },
+      { actions: ['block'], label: 'Block' },
+    ].map(({ actions, label }) => ({
+      p1: keyFor(p1Keys, actions),
+      action: label,
+      p2: keyFor(p2Keys, actions),
+    }));
 
     const rowStartY = contentStartY + 55;
-    const rowSpacing = 35;
+    const rowSpacing = 30;
 
     controls.forEach((ctrl, i) => {
       const y = rowStartY + i * rowSpacing;
@@ -519,105 +579,21 @@ export default class MainMenuScene extends Phaser.Scene {
         },
       });
       this.input.keyboard.off('keydown-ESC', closeOverlay);
-      this.input.keyboard.off('keydown-ENTER', closeOverlay);
+      this.input.keyboard.off('keydown-ENTER', openRebinding);
+      this.activeOverlayClose = null;
+      this.activeOverlayConfirm = null;
     };
 
-    this.input.keyboard.once('keydown-ESC', closeOverlay);
-    this.input.keyboard.once('keydown-ENTER', closeOverlay);
-  }
-
-  /**
-   * Displays settings overlay with clean layout
-   */
-  showSettingsOverlay() {
-    const { width, height } = this.cameras.main;
-    const elements = [];
-
-    // Semi-transparent overlay
-    const overlay = this.add.graphics();
-    overlay.fillStyle(0x000000, 0.95);
-    overlay.fillRect(0, 0, width, height);
-    elements.push(overlay);
-
-    // Border frame
-    const frameX = width * 0.22;
-    const frameY = height * 0.2;
-    const frameW = width * 0.56;
-    const frameH = height * 0.6;
-
-    overlay.lineStyle(1, COLORS.borderGold, 0.4);
-    overlay.strokeRect(frameX, frameY, frameW, frameH);
-
-    // Title
-    const title = this.add.text(width / 2, frameY + 50, 'SETTINGS', {
-      fontSize: '48px',
-      fontFamily: TEXT_STYLES.overlayTitle.fontFamily,
-      color: COLORS.textGold,
-      letterSpacing: 6,
-    });
-    title.setOrigin(0.5);
-    elements.push(title);
-
-    // Coming soon message
-    const comingSoon = this.add.text(width / 2, height / 2 - 20, 'COMING SOON', {
-      fontSize: '24px',
-      fontFamily: TEXT_STYLES.overlayContent.fontFamily,
-      color: '#ffffff',
-    });
-    comingSoon.setOrigin(0.5);
-    elements.push(comingSoon);
-
-    // Planned features
-    const plannedTitle = this.add.text(width / 2, height / 2 + 30, 'Planned Options:', {
-      fontSize: '16px',
-      fontFamily: TEXT_STYLES.overlayContent.fontFamily,
-      color: COLORS.textGold,
-    });
-    plannedTitle.setOrigin(0.5);
-    elements.push(plannedTitle);
-
-    const features = ['Audio Volume', 'Screen Shake', 'Control Rebinding'];
-    features.forEach((feature, i) => {
-      const featureText = this.add.text(width / 2, height / 2 + 65 + i * 28, `• ${feature}`, {
-        fontSize: '15px',
-        fontFamily: TEXT_STYLES.overlayContent.fontFamily,
-        color: '#888888',
-      });
-      featureText.setOrigin(0.5);
-      elements.push(featureText);
-    });
-
-    // Close hint
-    const closeHint = this.add.text(width / 2, frameY + frameH - 35, '[ ENTER / ESC ] CLOSE', {
-      ...TEXT_STYLES.hint,
-    });
-    closeHint.setOrigin(0.5);
-    elements.push(closeHint);
-
-    // Fade in
-    elements.forEach(el => el.setAlpha(0));
-
-    this.tweens.add({
-      targets: elements,
-      alpha: { value: 1, duration: 200 },
-    });
-
-    // Close handler
-    const closeOverlay = () => {
-      this.tweens.add({
-        targets: elements,
-        alpha: 0,
-        duration: 150,
-        onComplete: () => {
-          elements.forEach(el => el.destroy());
-        },
-      });
-      this.input.keyboard.off('keydown-ESC', closeOverlay);
-      this.input.keyboard.off('keydown-ENTER', closeOverlay);
+    // Rebinding happens in its own scene
+    const openRebinding = () => {
+      closeOverlay();
+      this.transitionToScene('ControlsScene');
     };
 
     this.input.keyboard.once('keydown-ESC', closeOverlay);
-    this.input.keyboard.once('keydown-ENTER', closeOverlay);
+    this.input.keyboard.once('keydown-ENTER', openRebinding);
+    this.activeOverlayClose = closeOverlay; // Gamepad back closes it, confirm rebinds
+    this.activeOverlayConfirm = openRebinding;
   }
 
   /**
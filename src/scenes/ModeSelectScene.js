@@ -1,5 +1,7 @@
 import Phaser from 'phaser';
 import { logInfo } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
 import {
   COLORS,
   FONTS,
@@ -25,17 +27,29 @@ export default class ModeSelectScene extends Phaser.Scene {
         description: 'Two players,\none keyboard',
         available: true,
       },
+      {
+        key: 'stock',
+        name: 'STOCK',
+        description: 'Two players,\nlast life standing',
+        available: true,
+      },
       {
         key: 'training',
         name: 'TRAINING',
         description: 'Practice your moves',
-        available: false,
+        available: true,
       },
       {
         key: 'arcade',
         name: 'ARCADE',
         description: 'Fight through challengers',
-        available: false,
+        available: true,
+      },
+      {
+        key: 'online',
+        name: 'ONLINE',
+        description: 'Two players,\nover the network',
+        available: true,
       },
     ];
 
@@ -57,6 +71,7 @@ export default class ModeSelectScene extends Phaser.Scene {
     this.createModeCards();
     this.createFooter();
     this.setupKeyboardInput();
+    this.setupGamepadInput();
 
     // Entry animation
     this.playEntryAnimation();
@@ -123,9 +138,9 @@ export default class ModeSelectScene extends Phaser.Scene {
    */
   createModeCards() {
     const { width, height } = this.cameras.main;
-    const cardWidth = 260;
+    const cardWidth = 210;
     const cardHeight = 260;
-    const spacing = 40;
+    const spacing = 20;
     const totalWidth = this.modes.length * cardWidth + (this.modes.length - 1) * spacing;
     const startX = (width - totalWidth) / 2 + cardWidth / 2;
     const y = height * 0.52;
@@ -363,6 +378,25 @@ export default class ModeSelectScene extends Phaser.Scene {
     });
   }
 
+  /**
+   * Sets up gamepad input (D-pad left / right navigates, A selects, B goes back)
+   */
+  setupGamepadInput() {
+    const navigationDelay = 150;
+
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if ((action === 'left' || action === 'right') && this.canNavigate) {
+        this.navigateModes(action === 'left' ? -1 : 1);
+        this.setNavigationCooldown(navigationDelay);
+      } else if (action === 'confirm' || action === 'start') {
+        this.selectMode();
+      } else if (action === 'back') {
+        this.goBack();
+      }
+    });
+  }
+
   /**
    * Navigate modes left or right
    */
@@ -376,6 +410,7 @@ export default class ModeSelectScene extends Phaser.Scene {
       this.selectedIndex = 0;
     }
 
+    audio.play('menuMove');
     this.updateModeSelection(true);
   }
 
@@ -482,6 +517,7 @@ export default class ModeSelectScene extends Phaser.Scene {
     }
 
     logInfo(`ModeSelectScene: Starting "${selectedMode.name}"`);
+    audio.play('menuConfirm');
 
     // Confirmation flash effect
     const card = this.modeCards[this.selectedIndex];
@@ -508,6 +544,18 @@ export default class ModeSelectScene extends Phaser.Scene {
         case 'local1v1':
           this.scene.start('CharacterSelectScene', { mode: 'local1v1' });
           break;
+        case 'stock':
+          this.scene.start('CharacterSelectScene', { mode: 'stock' });
+          break;
+        case 'training':
+          this.scene.start('CharacterSelectScene', { mode: 'training' });
+          break;
+        case 'arcade':
+          this.scene.start('CharacterSelectScene', { mode: 'arcade' });
+          break;
+        case 'online':
+          this.scene.start('OnlineLobbyScene');
+          break;
         default:
           logInfo(`ModeSelectScene: Unknown mode "${mode.key}"`);
       }
@@ -543,6 +591,7 @@ export default class ModeSelectScene extends Phaser.Scene {
    * Returns to main menu with transition
    */
   goBack() {
+    audio.play('menuBack');
     this.cameras.main.fadeOut(200, 13, 17, 23);
 
     this.cameras.main.once('camerafadeoutcomplete', () => {
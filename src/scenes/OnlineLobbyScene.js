@@ -0,0 +1,614 @@
+import Phaser from 'phaser';
+import RelayConnection from '../net/RelayConnection.js';
+import { getHarnessOptions, createHarnessConnection } from '../net/harnessOptions.js';
+import { getCharacterById, getDefaultCharacter, getNextCharacter } from '../characters/index.js';
+import { arenas, getRandomArena } from '../arenas/index.js';
+import { NETWORK } from '../constants/network.js';
+import { settings } from '../utils/settings.js';
+import { logInfo, logWarn } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
+import {
+  COLORS,
+  FONTS,
+  LAYOUT,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+} from '../constants/uiStyles.js';
+
+// Menu entries on the first screen
+const MENU_OPTIONS = [
+  { action: 'host', label: 'HOST ROOM' },
+  { action: 'join', label: 'JOIN ROOM' },
+];
+
+// Footer hint per lobby state
+const HINTS = {
+  menu: '[ ↑ ↓ ] SELECT     [ ENTER ] CONFIRM     [ ESC ] BACK',
+  code: '[ A-Z ] TYPE CODE     [ ENTER ] JOIN     [ ESC ] CANCEL',
+  connecting: '[ ESC ] CANCEL',
+  room: '[ ← → ] FIGHTER     [ ↑ ↓ ] STAGE     [ ENTER ] READY     [ ESC ] LEAVE',
+  guestRoom: '[ ← → ] FIGHTER     [ ENTER ] READY     [ ESC ] LEAVE',
+};
+
+/**
+ * OnlineLobbyScene - Hosting or joining an online match
+ *
+ * Goes through four states: menu (host or join), code (typing the room code),
+ * connecting, and room. In the room each player picks a fighter and readies
+ * up; the host also picks the stage. Picks are shared with lobby messages
+ * { character, arena, ready } through the relay.
+ *
+ * Once both are ready the host decides the match setup - the same shape as
+ * a replay's: { seed, mode, player1Character, player2Character, arena, rules },
+ * with the rules from the host's settings - and sends it in a start message.
+ * Both sides then start GameScene with { online: { connection, localPlayer, setup, bot } };
+ * the host plays as player 1.
+ *
+ * In the netplay test harness (harness.html) the lobby hosts or joins by
+ * itself through a HarnessConnection, and a bot side readies up as soon as
+ * it hears from the opponent.
+ */
+export default class OnlineLobbyScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'OnlineLobbyScene' });
+
+    this.state = 'menu';
+    this.connection = null;
+  }
+
+  create() {
+    logInfo('OnlineLobbyScene: Creating online lobby');
+
+    // Reset state on scene restart
+    this.state = 'menu';
+    this.menuIndex = 0;
+    this.roomCodeInput = '';
+    this.statusMessage = '';
+    this.connection = null;
+    this.harness = getHarnessOptions();
+    this.relayUrl = this.harness ? 'harness' : new RelayConnection().url;
+    this.canNavigate = true;
+    this.resetRoom();
+
+    createMenuBackground(this);
+    createCornerAccents(this);
+    this.createHeader();
+    this.createContent();
+    this.createFooter();
+    this.setupKeyboardInput();
+    this.setupGamepadInput();
+
+    // Leaving any way other than starting the match closes the connection
+    this.events.once('shutdown', () => {
+      this.connection?.destroy();
+      this.connection = null;
+    });
+
+    this.refresh();
+    this.cameras.main.fadeIn(200, 13, 17, 23);
+
+    if (this.harness) {
+      this.openConnection((connection) =>
+        this.harness.role === 'host' ? connection.host() : connection.join('')
+      );
+    }
+  }
+
+  /**
+   * Clears the picks and readiness of both players
+   */
+  resetRoom() {
+    this.localCharacter = getDefaultCharacter();
+    this.arenaIndex = arenas.length; // Random
+    this.isReady = false;
+    this.opponent = null; // { character, arena, ready } once the opponent has said hello
+  }
+
+  // ==================== LAYOUT ====================
+
+  /**
+   * Creates the title
+   */
+  createHeader() {
+    const { width, height } = this.cameras.main;
+
+    const title = this.add.text(width / 2, height * 0.14, 'ONLINE', {
+      fontSize: '56px',
+      fontFamily: FONTS.title.fontFamily,
+      color: COLORS.textGold,
+      letterSpacing: 6,
+    });
+    title.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.14 + 40);
+  }
+
+  /**
+   * Creates the text rows the lobby states draw into
+   */
+  createContent() {
+    const { width, height } = this.cameras.main;
+    const centerX = width / 2;
+
+    this.headingText = this.add.text(centerX, height * 0.32, '', {
+      fontSize: '22px',
+      fontFamily: FONTS.mono.fontFamily,
+      color: COLORS.textSecondary,
+      letterSpacing: 2,
+    }).setOrigin(0.5);
+
+    this.lineTexts = [0, 1, 2, 3].map((index) =>
+      this.add.text(centerX, height * (0.44 + index * 0.09), '', {
+        fontSize: '32px',
+        fontFamily: FONTS.menu.fontFamily,
+        color: '#ffffff',
+        align: 'center',
+      }).setOrigin(0.5)
+    );
+
+    this.statusText = this.add.text(centerX, height * 0.8, '', {
+      fontSize: '15px',
+      fontFamily: FONTS.helper.fontFamily,
+      color: COLORS.textGold,
+      align: 'center',
+    }).setOrigin(0.5);
+  }
+
+  /**
+   * Creates footer with navigation hints
+   */
+  createFooter() {
+    const { width, height } = this.cameras.main;
+
+    this.hintText = this.add.text(width / 2, height * LAYOUT.hintY, '', TEXT_STYLES.hint);
+    this.hintText.setOrigin(0.5);
+  }
+
+  /**
+   * Redraws the content for the current state
+   */
+  refresh() {
+    const lines = ['', '', '', ''];
+    const colors = ['#ffffff', '#ffffff', '#ffffff', '#ffffff'];
+    let heading = '';
+
+    if (this.state === 'menu') {
+      heading = `RELAY  ${this.relayUrl}`;
+      MENU_OPTIONS.forEach((option, index) => {
+        const isSelected = index === this.menuIndex;
+        lines[index] = isSelected ? `▸ ${option.label} ◂` : option.label;
+        colors[index] = isSelected ? COLORS.textGold : COLORS.textSecondary;
+      });
+    } else if (this.state === 'code') {
+      heading = 'ENTER ROOM CODE';
+      lines[0] = this.roomCodeInput.padEnd(NETWORK.roomCodeLength, '_').split('').join(' ');
+      colors[0] = COLORS.textGold;
+    } else if (this.state === 'connecting') {
+      heading = 'CONNECTING...';
+    } else if (this.state === 'room') {
+      const isHost = this.connection.isHost;
+      heading = `ROOM  ${this.connection.roomCode}`;
+      lines[0] = `YOU (P${isHost ? 1 : 2})   ◂ ${this.localCharacter.name.toUpperCase()} ▸${this.isReady ? '   READY' : ''}`;
+      colors[0] = this.isReady ? COLORS.textGold : '#ffffff';
+
+      if (this.opponent) {
+        const character = getCharacterById(this.opponent.character);
+        lines[1] = `OPPONENT   ${character ? character.name.toUpperCase() : '?'}${this.opponent.ready ? '   READY' : ''}`;
+        colors[1] = this.opponent.ready ? COLORS.textGold : COLORS.textSecondary;
+      } else {
+        lines[1] = 'WAITING FOR AN OPPONENT...';
+        colors[1] = COLORS.textSecondary;
+      }
+
+      const arenaName = this.getArenaName(isHost ? this.getLocalArenaId() : this.opponent?.arena);
+      lines[2] = isHost ? `STAGE   ◂ ${arenaName} ▸` : `STAGE   ${arenaName}`;
+      colors[2] = COLORS.textSecondary;
+    }
+
+    this.headingText.setText(heading);
+    this.lineTexts.forEach((text, index) => text.setText(lines[index]).setColor(colors[index]));
+    this.statusText.setText(this.statusMessage);
+
+    const hintKey = this.state === 'room' && !this.connection.isHost ? 'guestRoom' : this.state;
+    this.hintText.setText(HINTS[hintKey]);
+  }
+
+  /**
+   * Gets the arena the host has picked (null for random)
+   * @returns {string|null}
+   */
+  getLocalArenaId() {
+    return arenas[this.arenaIndex]?.id ?? null;
+  }
+
+  /**
+   * Gets an arena's display name
+   * @param {string|null|undefined} arenaId - Arena ID, or null for random
+   * @returns {string}
+   */
+  getArenaName(arenaId) {
+    const arena = arenas.find((a) => a.id === arenaId);
+    return arena ? arena.name.toUpperCase() : 'RANDOM';
+  }
+
+  // ==================== INPUT ====================
+
+  /**
+   * Sets up keyboard input
+   */
+  setupKeyboardInput() {
+    this.input.keyboard.on('keydown', (event) => this.handleKey(event));
+  }
+
+  /**
+   * Sets up gamepad input (D-pad navigates, A or Start confirms, B goes back)
+   */
+  setupGamepadInput() {
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if (action === 'up' || action === 'down') {
+        this.navigateVertical(action === 'up' ? -1 : 1);
+      } else if (action === 'left' || action === 'right') {
+        this.navigateHorizontal(action === 'left' ? -1 : 1);
+      } else if (action === 'confirm' || action === 'start') {
+        this.confirm();
+      } else if (action === 'back') {
+        this.goBack();
+      }
+    });
+  }
+
+  /**
+   * Routes a key press
+   * @param {KeyboardEvent} event
+   */
+  handleKey(event) {
+    switch (event.key) {
+      case 'ArrowUp':
+        this.navigateVertical(-1);
+        return;
+      case 'ArrowDown':
+        this.navigateVertical(1);
+        return;
+      case 'ArrowLeft':
+        this.navigateHorizontal(-1);
+        return;
+      case 'ArrowRight':
+        this.navigateHorizontal(1);
+        return;
+      case 'Enter':
+        this.confirm();
+        return;
+      case 'Escape':
+        this.goBack();
+        return;
+      default:
+        break;
+    }
+
+    if (this.state !== 'code') return;
+
+    if (event.key === 'Backspace') {
+      this.roomCodeInput = this.roomCodeInput.slice(0, -1);
+      this.refresh();
+      return;
+    }
+
+    const letter = event.key.toUpperCase();
+    if (
+      letter.length === 1 &&
+      NETWORK.roomCodeAlphabet.includes(letter) &&
+      this.roomCodeInput.length < NETWORK.roomCodeLength
+    ) {
+      this.roomCodeInput += letter;
+      audio.play('menuMove');
+      this.refresh();
+    }
+  }
+
+  /**
+   * Up / down: menu selection, or the host's stage pick
+   * @param {number} direction - -1 up, 1 down
+   */
+  navigateVertical(direction) {
+    if (!this.canNavigate) return;
+
+    if (this.state === 'menu') {
+      this.menuIndex = Phaser.Math.Wrap(this.menuIndex + direction, 0, MENU_OPTIONS.length);
+    } else if (this.state === 'room' && this.connection.isHost && !this.isReady) {
+      this.arenaIndex = Phaser.Math.Wrap(this.arenaIndex + direction, 0, arenas.length + 1);
+      this.sendLobbyState();
+    } else {
+      return;
+    }
+
+    audio.play('menuMove');
+    this.refresh();
+  }
+
+  /**
+   * Left / right: the local fighter pick
+   * @param {number} direction - -1 left, 1 right
+   */
+  navigateHorizontal(direction) {
+    if (!this.canNavigate || this.state !== 'room' || this.isReady) return;
+
+    this.localCharacter = getNextCharacter(this.localCharacter.id, direction);
+    audio.play('menuMove');
+    this.sendLobbyState();
+    this.refresh();
+  }
+
+  /**
+   * Enter: picks a menu entry, joins with the typed code or readies up
+   */
+  confirm() {
+    if (!this.canNavigate) return;
+
+    if (this.state === 'menu') {
+      audio.play('menuConfirm');
+      if (MENU_OPTIONS[this.menuIndex].action === 'host') {
+        this.openConnection((connection) => connection.host());
+      } else {
+        this.roomCodeInput = '';
+        this.statusMessage = '';
+        this.state = 'code';
+        this.refresh();
+      }
+    } else if (this.state === 'code') {
+      if (this.roomCodeInput.length !== NETWORK.roomCodeLength) return;
+      audio.play('menuConfirm');
+      const code = this.roomCodeInput;
+      this.openConnection((connection) => connection.join(code));
+    } else if (this.state === 'room') {
+      if (!this.opponent) return;
+      this.isReady = !this.isReady;
+      audio.play(this.isReady ? 'menuConfirm' : 'menuBack');
+      this.sendLobbyState();
+      this.refresh();
+      this.tryStartMatch();
+    }
+  }
+
+  /**
+   * Esc: steps back a state, leaving the room or the lobby
+   */
+  goBack() {
+    if (!this.canNavigate) return;
+    audio.play('menuBack');
+
+    if (this.state === 'menu') {
+      this.canNavigate = false;
+      this.transitionToScene('ModeSelectScene');
+      return;
+    }
+
+    this.closeConnection();
+    this.statusMessage = '';
+    this.state = 'menu';
+    this.refresh();
+  }
+
+  // ==================== CONNECTION ====================
+
+  /**
+   * Connects to the relay, then asks for a room
+   * @param {Function} request - Called with the open connection to host or join
+   */
+  async openConnection(request) {
+    const connection = this.harness ? await createHarnessConnection() : new RelayConnection();
+
+    this.closeConnection();
+    this.resetRoom();
+    this.connection = connection;
+    this.statusMessage = '';
+    this.state = 'connecting';
+    this.refresh();
+
+    connection.on('hosted', this.onRoomEntered, this);
+    connection.on('joined', this.onRoomEntered, this);
+    connection.on('peerJoined', this.onPeerJoined, this);
+    connection.on('peerLeft', this.onPeerLeft, this);
+    connection.on('lobby', this.onLobbyState, this);
+    connection.on('start', this.onStart, this);
+    connection.on('error', this.onRelayError, this);
+    connection.on('disconnected', this.onDisconnected, this);
+
+    try {
+      await connection.connect();
+    } catch (error) {
+      // Cancelled or replaced while connecting
+      if (this.connection !== connection) return;
+
+      logWarn(`OnlineLobbyScene: ${error.message}`);
+      this.closeConnection();
+      this.statusMessage = `${error.message.toUpperCase()}\nStart it with: npm run relay`;
+      this.state = 'menu';
+      this.refresh();
+      return;
+    }
+
+    if (this.connection === connection) {
+      request(connection);
+    }
+  }
+
+  /**
+   * Closes the relay connection, if any
+   */
+  closeConnection() {
+    if (this.connection) {
+      this.connection.destroy();
+      this.connection = null;
+    }
+  }
+
+  /**
+   * Shares this player's picks with the opponent
+   */
+  sendLobbyState() {
+    this.connection?.send({
+      type: 'lobby',
+      character: this.localCharacter.id,
+      arena: this.connection.isHost ? this.getLocalArenaId() : null,
+      ready: this.isReady,
+    });
+  }
+
+  /**
+   * Entered a room (as host or guest)
+   */
+  onRoomEntered() {
+    this.state = 'room';
+    this.statusMessage = this.connection.isHost ? 'Share the room code with your opponent' : '';
+    if (!this.connection.isHost) {
+      this.sendLobbyState();
+    }
+    this.refresh();
+  }
+
+  /**
+   * The guest arrived (host only)
+   */
+  onPeerJoined() {
+    audio.play('menuConfirm');
+    this.statusMessage = '';
+    this.sendLobbyState();
+    this.refresh();
+  }
+
+  /**
+   * The opponent left: the host keeps the room open, a guest's room is gone
+   */
+  onPeerLeft() {
+    if (this.connection.isHost) {
+      this.opponent = null;
+      this.isReady = false;
+      this.statusMessage = 'Opponent left - waiting for another';
+      this.refresh();
+      return;
+    }
+
+    this.closeConnection();
+    this.statusMessage = 'The host closed the room';
+    this.state = 'menu';
+    this.refresh();
+  }
+
+  /**
+   * The opponent changed a pick or readied up
+   * @param {Object} message - { character, arena, ready }
+   */
+  onLobbyState(message) {
+    this.opponent = {
+      character: message.character,
+      arena: message.arena ?? null,
+      ready: Boolean(message.ready),
+    };
+
+    // A harness bot readies up for whatever the opponent picked
+    if (this.harness?.bot && !this.isReady) {
+      this.isReady = true;
+      this.sendLobbyState();
+    }
+
+    this.refresh();
+    this.tryStartMatch();
+  }
+
+  /**
+   * The relay turned a request down (e.g. unknown or full room)
+   * @param {Object} message - { message }
+   */
+  onRelayError(message) {
+    const wasJoining = this.state === 'connecting' && !this.connection?.roomCode;
+    this.closeConnection();
+    this.statusMessage = message.message;
+    this.state = wasJoining && this.roomCodeInput ? 'code' : 'menu';
+    this.refresh();
+  }
+
+  /**
+   * The relay connection dropped
+   */
+  onDisconnected() {
+    this.connection = null;
+    this.statusMessage = 'Lost connection to the relay';
+    this.state = 'menu';
+    this.refresh();
+  }
+
+  // ==================== MATCH START ====================
+
+  /**
+   * Starts the match once both players are ready (the host decides the setup)
+   */
+  tryStartMatch() {
+    if (!this.connection?.isHost || !this.isReady || !this.opponent?.ready) return;
+
+    const opponentCharacter = getCharacterById(this.opponent.character) || getDefaultCharacter();
+    const setup = {
+      seed: Math.floor(Math.random() * 0x100000000),
+      mode: 'online',
+      player1Character: this.localCharacter.id,
+      player2Character: opponentCharacter.id,
+      arena: this.getLocalArenaId() ?? getRandomArena().id,
+      rules: {
+        roundTime: settings.get('roundTime'),
+        roundsToWin: settings.get('roundsToWin'),
+        stocks: settings.get('stocks'),
+        slowMotion: settings.get('slowMotion'),
+      },
+    };
+
+    this.connection.send({ type: 'start', setup });
+    this.startMatch(setup);
+  }
+
+  /**
+   * The host started the match (guest only)
+   * @param {Object} message - { setup }
+   */
+  onStart(message) {
+    if (this.connection.isHost) return;
+    this.startMatch(message.setup);
+  }
+
+  /**
+   * Hands the connection to GameScene and starts the match
+   * @param {Object} setup - Match setup
+   */
+  startMatch(setup) {
+    const connection = this.connection;
+    const localPlayer = connection.isHost ? 1 : 2;
+
+    // GameScene's NetplaySystem listens from here on; anything the opponent
+    // sends in between is held by the connection
+    connection.removeAllListeners();
+    this.connection = null;
+    this.canNavigate = false;
+
+    logInfo(`OnlineLobbyScene: Starting match as player ${localPlayer} (seed ${setup.seed})`);
+    this.statusText.setText('GET READY!');
+
+    const bot = Boolean(this.harness?.bot);
+    this.transitionToScene('GameScene', { online: { connection, localPlayer, setup, bot } });
+  }
+
+  /**
+   * Fades out and starts another scene
+   * @param {string} sceneKey - Scene to start
+   * @param {Object} data - Scene data
+   */
+  transitionToScene(sceneKey, data = {}) {
+    this.input.keyboard.removeAllListeners();
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start(sceneKey, data);
+    });
+  }
+}
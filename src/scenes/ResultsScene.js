@@ -0,0 +1,363 @@
+import Phaser from 'phaser';
+import { logInfo } from '../utils/debug.js';
+import { audio } from '../utils/audio.js';
+import {
+  COLORS,
+  FONTS,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+  createNavigationHints,
+} from '../constants/uiStyles.js';
+
+// How the deciding round was won, by RoundSystem round-end reason
+const FINISH_LABELS = {
+  ko: 'FINISHED BY K.O.',
+  ringout: 'FINISHED BY RING OUT',
+  timeout: 'DECIDED ON TIME',
+  forfeit: 'WON BY FORFEIT',
+};
+
+/**
+ * ResultsScene - Post-match results screen
+ * Shows the winner and match stats, and offers rematch / character select / menu
+ *
+ * Expects scene data from GameScene.endMatch():
+ * { mode, player1Character, player2Character, arena, winner, roundWins, roundHistory, stocks, stats, replay, isReplay }
+ * (stocks is null unless it was a stock match, replay null if nothing was recorded,
+ * isReplay true when the match was a replay being watched)
+ */
+export default class ResultsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'ResultsScene' });
+
+    this.options = [];
+    this.selectedIndex = 0;
+    this.optionTexts = [];
+    this.canNavigate = true;
+  }
+
+  /**
+   * Receives match results from GameScene
+   * @param {Object} data - Match results
+   */
+  init(data) {
+    this.results = data;
+  }
+
+  create() {
+    logInfo(`ResultsScene: Player ${this.results.winner} won`);
+
+    // Reset state on scene restart
+    // Online, the connection is gone - a new match goes back through the lobby.
+    // A watched replay has no rematch: its setup may be an arcade stage, which
+    // only makes sense inside the arcade run it came from
+    const isOnline = this.results.mode === 'online';
+    const canRematch = !isOnline && !this.results.isReplay;
+    this.options = [
+      ...(isOnline ? [{ label: 'NEW ONLINE MATCH', action: 'online' }] : []),
+      ...(canRematch ? [{ label: 'REMATCH', action: 'rematch' }] : []),
+      ...(this.results.replay ? [{ label: 'WATCH REPLAY', action: 'replay' }] : []),
+      ...(isOnline ? [] : [{ label: 'CHANGE CHARACTERS', action: 'characters' }]),
+      { label: 'MAIN MENU', action: 'menu' },
+    ];
+    this.selectedIndex = 0;
+    this.optionTexts = [];
+    this.canNavigate = true;
+
+    this.createBackground();
+    this.createHeader();
+    this.createStatsTable();
+    this.createOptions();
+    this.createNavigationHint();
+    this.setupKeyboardInput();
+
+    audio.playMusic('menu');
+    this.cameras.main.fadeIn(250, 13, 17, 23);
+  }
+
+  /**
+   * Creates dark background with diagonal pattern
+   */
+  createBackground() {
+    createMenuBackground(this);
+    createCornerAccents(this);
+  }
+
+  /**
+   * Creates the winner announcement
+   */
+  createHeader() {
+    const { width, height } = this.cameras.main;
+    const { winner } = this.results;
+    const winnerCharacter = winner === 1 ? this.results.player1Character : this.results.player2Character;
+
+    const title = this.add.text(width / 2, height * 0.1, `PLAYER ${winner} WINS`, {
+      ...TEXT_STYLES.titleSecondary,
+      fontSize: '64px',
+    });
+    title.setOrigin(0.5);
+
+    const subtitle = this.add.text(width / 2, height * 0.1 + 52, winnerCharacter.name.toUpperCase(), {
+      fontSize: '24px',
+      fontFamily: FONTS.title.fontFamily,
+      color: this.toColorString(winnerCharacter.color),
+      letterSpacing: 4,
+    });
+    subtitle.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.1 + 82);
+  }
+
+  /**
+   * Creates the side-by-side stats table (P1 | stat | P2)
+   */
+  createStatsTable() {
+    const { width, height } = this.cameras.main;
+    const { player1Character, player2Character, roundWins, stocks, stats } = this.results;
+    const p1 = stats.players[1];
+    const p2 = stats.players[2];
+
+    const leftCol = width * 0.3;
+    const centerCol = width * 0.5;
+    const rightCol = width * 0.7;
+    const headerY = height * 0.3;
+
+    // Character headers
+    this.createTableCell(leftCol, headerY, `P1 ${player1Character.name.toUpperCase()}`, {
+      fontSize: '22px',
+      fontFamily: FONTS.title.fontFamily,
+      color: this.toColorString(player1Character.color),
+    });
+    this.createTableCell(rightCol, headerY, `P2 ${player2Character.name.toUpperCase()}`, {
+      fontSize: '22px',
+      fontFamily: FONTS.title.fontFamily,
+      color: this.toColorString(player2Character.color),
+    });
+
+    const separator = this.add.graphics();
+    separator.lineStyle(1, COLORS.borderGold, 0.3);
+    separator.lineBetween(width * 0.2, headerY + 22, width * 0.8, headerY + 22);
+
+    const rows = [
+      stocks
+        ? { label: 'STOCKS LEFT', p1: stocks[1], p2: stocks[2] }
+        : { label: 'ROUNDS', p1: roundWins[1], p2: roundWins[2] },
+      { label: 'DAMAGE DEALT', p1: p1.damageDealt.toFixed(1), p2: p2.damageDealt.toFixed(1) },
+      { label: 'BLASTS FIRED', p1: p1.projectilesFired, p2: p2.projectilesFired },
+      { label: 'BLASTS LANDED', p1: p1.projectilesLanded, p2: p2.projectilesLanded },
+      { label: 'ACCURACY', p1: this.formatAccuracy(p1), p2: this.formatAccuracy(p2) },
+      { label: 'BLASTS STOPPED', p1: p1.projectilesStopped, p2: p2.projectilesStopped },
+      { label: 'TRANSFORMATIONS', p1: p1.transformations, p2: p2.transformations },
+    ];
+
+    if (this.results.arena && this.results.arena.ringOut) {
+      rows.push({ label: 'RING OUTS', p1: p1.ringOuts, p2: p2.ringOuts });
+    }
+
+    const rowStartY = headerY + 48;
+    const rowSpacing = 30;
+
+    rows.forEach((row, i) => {
+      const y = rowStartY + i * rowSpacing;
+
+      this.createTableCell(leftCol, y, String(row.p1), TEXT_STYLES.overlayContent);
+      this.createTableCell(centerCol, y, row.label, {
+        ...TEXT_STYLES.overlayContent,
+        fontSize: '14px',
+        color: COLORS.textMuted,
+      });
+      this.createTableCell(rightCol, y, String(row.p2), TEXT_STYLES.overlayContent);
+    });
+
+    // Match summary line
+    const summaryY = rowStartY + rows.length * rowSpacing + 12;
+    const roundsPlayed = this.results.roundHistory.length;
+    const finalRound = this.results.roundHistory[roundsPlayed - 1];
+    const finish = finalRound ? `  •  ${FINISH_LABELS[finalRound.reason] || ''}` : '';
+    this.createTableCell(
+      centerCol,
+      summaryY,
+      `${stocks ? `${stocks.total} STOCK MATCH` : `${roundsPlayed} ROUND${roundsPlayed === 1 ? '' : 'S'}`}  •  MATCH TIME ${this.formatDuration(stats.duration)}${finish}`,
+      { ...TEXT_STYLES.hint, fontSize: '14px', color: COLORS.textGold }
+    );
+  }
+
+  /**
+   * Adds a centered text cell
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {string} text - Cell text
+   * @param {Object} style - Text style
+   * @returns {Phaser.GameObjects.Text}
+   */
+  createTableCell(x, y, text, style) {
+    const cell = this.add.text(x, y, text, style);
+    cell.setOrigin(0.5);
+    return cell;
+  }
+
+  /**
+   * Creates the vertical option list
+   */
+  createOptions() {
+    const { width, height } = this.cameras.main;
+    const startY = height * 0.72;
+    const spacing = height * (this.options.length > 3 ? 0.055 : 0.065);
+
+    this.optionTexts = this.options.map((option, index) => {
+      const text = this.add.text(width / 2, startY + index * spacing, option.label, {
+        ...TEXT_STYLES.menuUnselected,
+        fontSize: '28px',
+      });
+      text.setOrigin(0.5);
+      return text;
+    });
+
+    this.updateOptionSelection();
+  }
+
+  /**
+   * Creates navigation hints at bottom
+   */
+  createNavigationHint() {
+    createNavigationHints(this, { showBack: false });
+  }
+
+  /**
+   * Sets up keyboard input
+   */
+  setupKeyboardInput() {
+    const navigationDelay = 150;
+
+    this.input.keyboard.on('keydown-UP', () => {
+      if (!this.canNavigate) return;
+      this.navigateOptions(-1);
+      this.setNavigationCooldown(navigationDelay);
+    });
+
+    this.input.keyboard.on('keydown-DOWN', () => {
+      if (!this.canNavigate) return;
+      this.navigateOptions(1);
+      this.setNavigationCooldown(navigationDelay);
+    });
+
+    this.input.keyboard.on('keydown-ENTER', () => {
+      this.selectOption();
+    });
+  }
+
+  /**
+   * Navigate options
+   * @param {number} direction - -1 up, 1 down
+   */
+  navigateOptions(direction) {
+    this.selectedIndex = Phaser.Math.Wrap(this.selectedIndex + direction, 0, this.options.length);
+    audio.play('menuMove');
+    this.updateOptionSelection();
+  }
+
+  /**
+   * Updates visual state of the options
+   */
+  updateOptionSelection() {
+    this.optionTexts.forEach((text, index) => {
+      const isSelected = index === this.selectedIndex;
+      text.setStyle(isSelected
+        ? { ...TEXT_STYLES.menuSelected, fontSize: '32px' }
+        : { ...TEXT_STYLES.menuUnselected, fontSize: '28px' });
+    });
+  }
+
+  /**
+   * Handles the selected option
+   */
+  selectOption() {
+    const selected = this.options[this.selectedIndex];
+    const { mode, player1Character, player2Character } = this.results;
+
+    logInfo(`ResultsScene: Selected "${selected.label}"`);
+    audio.play('menuConfirm');
+
+    switch (selected.action) {
+      case 'rematch':
+        // Same characters and arena, straight back into the fight
+        this.transitionToScene('GameScene', { mode, player1Character, player2Character, arena: this.results.arena });
+        break;
+
+      case 'online':
+        this.transitionToScene('OnlineLobbyScene');
+        break;
+
+      case 'replay':
+        this.transitionToScene('GameScene', { replay: this.results.replay });
+        break;
+
+      case 'characters':
+        this.transitionToScene('CharacterSelectScene', { mode });
+        break;
+
+      case 'menu':
+        this.transitionToScene('MainMenuScene');
+        break;
+    }
+  }
+
+  /**
+   * Smooth transition to another scene
+   * @param {string} sceneKey - Scene to transition to
+   * @param {Object} data - Data for the next scene
+   */
+  transitionToScene(sceneKey, data = {}) {
+    this.canNavigate = false;
+    this.input.keyboard.removeAllListeners();
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start(sceneKey, data);
+    });
+  }
+
+  /**
+   * Formats projectile accuracy as a percentage
+   * @param {Object} stats - Player stats
+   * @returns {string}
+   */
+  formatAccuracy(stats) {
+    if (stats.projectilesFired === 0) return '-';
+    return `${Math.round((stats.projectilesLanded / stats.projectilesFired) * 100)}%`;
+  }
+
+  /**
+   * Formats a duration as m:ss
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string}
+   */
+  formatDuration(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+  }
+
+  /**
+   * Converts a hex color number to a CSS color string
+   * @param {number} color
+   * @returns {string}
+   */
+  toColorString(color) {
+    return '#' + color.toString(16).padStart(6, '0');
+  }
+
+  /**
+   * Sets navigation cooldown
+   * @param {number} delay - Milliseconds
+   */
+  setNavigationCooldown(delay) {
+    this.canNavigate = false;
+    this.time.delayedCall(delay, () => {
+      this.canNavigate = true;
+    });
+  }
+}
@@ -0,0 +1,191 @@
+import Phaser from 'phaser';
+import { SETTINGS_OPTIONS } from '../constants/settings.js';
+import {
+  COLORS,
+  FONTS,
+  LAYOUT,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+} from '../constants/uiStyles.js';
+import { logInfo } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { settings } from '../utils/settings.js';
+import { audio } from '../utils/audio.js';
+
+/**
+ * SettingsScene - Options menu
+ * One row per entry in SETTINGS_OPTIONS: up/down picks a row, left/right
+ * steps through its values. Every change is applied and saved immediately
+ * (see utils/settings.js), so leaving the scene needs no confirmation.
+ */
+export default class SettingsScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'SettingsScene' });
+
+    this.selectedIndex = 0;
+    this.rows = [];
+  }
+
+  create() {
+    logInfo('SettingsScene: Creating settings menu');
+
+    // Reset state on scene restart
+    this.selectedIndex = 0;
+    this.rows = [];
+
+    createMenuBackground(this);
+    createCornerAccents(this);
+    this.createHeader();
+    this.createRows();
+    this.createFooter();
+    this.setupKeyboardInput();
+    this.setupGamepadInput();
+
+    this.refreshRows();
+    this.cameras.main.fadeIn(200, 13, 17, 23);
+  }
+
+  /**
+   * Creates the title
+   */
+  createHeader() {
+    const { width, height } = this.cameras.main;
+
+    const title = this.add.text(width / 2, height * 0.1, 'SETTINGS', {
+      fontSize: '56px',
+      fontFamily: FONTS.title.fontFamily,
+      color: COLORS.textGold,
+      letterSpacing: 6,
+    });
+    title.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.1 + 40);
+  }
+
+  /**
+   * Creates one label / value row per option
+   */
+  createRows() {
+    const { width, height } = this.cameras.main;
+    const rowStartY = height * 0.25;
+    const rowSpacing = 44;
+
+    SETTINGS_OPTIONS.forEach((option, i) => {
+      const y = rowStartY + i * rowSpacing;
+
+      const label = this.add.text(width * 0.46, y, option.label.toUpperCase(), {
+        fontSize: '24px',
+        fontFamily: FONTS.menu.fontFamily,
+        color: COLORS.textSecondary,
+        letterSpacing: 2,
+      });
+      label.setOrigin(1, 0.5);
+
+      const value = this.add.text(width * 0.64, y, '', {
+        ...TEXT_STYLES.overlayContent,
+        fontSize: '20px',
+      });
+      value.setOrigin(0.5);
+
+      this.rows.push({ option, label, value });
+    });
+  }
+
+  /**
+   * Creates footer with navigation hints
+   */
+  createFooter() {
+    const { width, height } = this.cameras.main;
+
+    const hint = this.add.text(
+      width / 2,
+      height * LAYOUT.hintY,
+      '[ ↑ ↓ ] SELECT     [ ← → ] CHANGE     [ BACKSPACE ] RESET DEFAULTS     [ ESC ] BACK',
+      TEXT_STYLES.hint
+    );
+    hint.setOrigin(0.5);
+  }
+
+  /**
+   * Sets up keyboard input
+   */
+  setupKeyboardInput() {
+    this.input.keyboard.on('keydown-UP', () => this.navigate(-1));
+    this.input.keyboard.on('keydown-DOWN', () => this.navigate(1));
+    this.input.keyboard.on('keydown-LEFT', () => this.changeValue(-1));
+    this.input.keyboard.on('keydown-RIGHT', () => this.changeValue(1));
+    this.input.keyboard.on('keydown-ENTER', () => this.changeValue(1));
+    this.input.keyboard.on('keydown-BACKSPACE', () => {
+      settings.reset();
+      this.refreshRows();
+    });
+    this.input.keyboard.on('keydown-ESC', () => this.goBack());
+  }
+
+  /**
+   * Sets up gamepad input (D-pad navigates and changes, A steps forward, B goes back)
+   */
+  setupGamepadInput() {
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if (action === 'up' || action === 'down') {
+        this.navigate(action === 'up' ? -1 : 1);
+      } else if (action === 'left' || action === 'right') {
+        this.changeValue(action === 'left' ? -1 : 1);
+      } else if (action === 'confirm') {
+        this.changeValue(1);
+      } else if (action === 'back') {
+        this.goBack();
+      }
+    });
+  }
+
+  /**
+   * Moves the row selection
+   * @param {number} direction - -1 up, 1 down
+   */
+  navigate(direction) {
+    this.selectedIndex = Phaser.Math.Wrap(this.selectedIndex + direction, 0, this.rows.length);
+    audio.play('menuMove');
+    this.refreshRows();
+  }
+
+  /**
+   * Steps the selected option's value
+   * @param {number} direction - -1 previous, 1 next
+   */
+  changeValue(direction) {
+    settings.cycle(this.rows[this.selectedIndex].option.key, direction);
+    audio.play('menuMove'); // Also previews the new SFX / master volume
+    this.refreshRows();
+  }
+
+  /**
+   * Redraws every row's value and selection highlight
+   */
+  refreshRows() {
+    this.rows.forEach(({ option, label, value }, i) => {
+      const isSelected = i === this.selectedIndex;
+      const text = option.format(settings.get(option.key));
+
+      label.setColor(isSelected ? COLORS.textGold : COLORS.textSecondary);
+      value.setText(isSelected ? `◀  ${text}  ▶` : text);
+      value.setColor(isSelected ? '#ffffff' : '#cccccc');
+    });
+  }
+
+  /**
+   * Returns to the main menu
+   */
+  goBack() {
+    this.input.keyboard.removeAllListeners();
+    audio.play('menuBack');
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start('MainMenuScene');
+    });
+  }
+}
@@ -0,0 +1,339 @@
+import Phaser from 'phaser';
+import { arenas, getRandomArena } from '../arenas/index.js';
+import { logInfo } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
+import { audio } from '../utils/audio.js';
+import {
+  COLORS,
+  FONTS,
+  LAYOUT,
+  TEXT_STYLES,
+  createMenuBackground,
+  createCornerAccents,
+  createTitleAccentLine,
+} from '../constants/uiStyles.js';
+
+/**
+ * StageSelectScene - Arena selection after character select
+ * One card per arena (with a miniature drawn from its config) plus a random
+ * pick. Expects scene data from CharacterSelectScene:
+ * { mode, player1Character, player2Character }
+ */
+export default class StageSelectScene extends Phaser.Scene {
+  constructor() {
+    super({ key: 'StageSelectScene' });
+
+    this.selectedIndex = 0;
+    this.cards = [];
+    this.canNavigate = true;
+  }
+
+  /**
+   * Receives the mode and character picks
+   * @param {Object} data - { mode, player1Character, player2Character }
+   */
+  init(data) {
+    this.matchData = data;
+  }
+
+  create() {
+    logInfo('StageSelectScene: Creating stage selection');
+
+    // Reset state on scene restart
+    this.selectedIndex = 0;
+    this.cards = [];
+    this.canNavigate = true;
+
+    // Arenas followed by the random pick (arena: null)
+    this.options = [
+      ...arenas.map((arena) => ({ arena, name: arena.name, description: arena.description })),
+      { arena: null, name: 'RANDOM', description: 'Let fate decide' },
+    ];
+
+    createMenuBackground(this);
+    createCornerAccents(this);
+    this.createHeader();
+    this.createCards();
+    this.createFooter();
+    this.setupKeyboardInput();
+    this.setupGamepadInput();
+
+    this.updateSelection();
+    this.cameras.main.fadeIn(200, 13, 17, 23);
+  }
+
+  /**
+   * Creates the title
+   */
+  createHeader() {
+    const { width, height } = this.cameras.main;
+
+    const title = this.add.text(width / 2, height * 0.14, 'SELECT STAGE', {
+      fontSize: '56px',
+      fontFamily: FONTS.title.fontFamily,
+      color: COLORS.textGold,
+      letterSpacing: 6,
+    });
+    title.setOrigin(0.5);
+
+    createTitleAccentLine(this, height * 0.14 + 40);
+  }
+
+  /**
+   * Creates one card per option
+   */
+  createCards() {
+    const { width, height } = this.cameras.main;
+    const cardWidth = 240;
+    const cardHeight = 280;
+    const spacing = 30;
+    const totalWidth = this.options.length * cardWidth + (this.options.length - 1) * spacing;
+    const startX = (width - totalWidth) / 2 + cardWidth / 2;
+    const y = height * 0.52;
+
+    this.cards = this.options.map((option, index) => {
+      const x = startX + index * (cardWidth + spacing);
+      return this.createCard(x, y, cardWidth, cardHeight, option);
+    });
+  }
+
+  /**
+   * Creates a single stage card
+   * @returns {Object} Card element references
+   */
+  createCard(x, y, cardWidth, cardHeight, option) {
+    const container = this.add.container(x, y);
+
+    const background = this.add.graphics();
+    background.fillStyle(COLORS.bgMedium, 1);
+    background.fillRoundedRect(-cardWidth / 2, -cardHeight / 2, cardWidth, cardHeight, 6);
+    container.add(background);
+
+    // Preview area in the top half of the card
+    const previewWidth = cardWidth - 30;
+    const previewHeight = 130;
+    const previewTop = -cardHeight / 2 + 15;
+    const preview = this.add.graphics();
+    if (option.arena) {
+      this.drawPreview(preview, option.arena, -previewWidth / 2, previewTop, previewWidth, previewHeight);
+    } else {
+      preview.fillStyle(COLORS.bgLight, 1);
+      preview.fillRect(-previewWidth / 2, previewTop, previewWidth, previewHeight);
+    }
+    container.add(preview);
+
+    if (!option.arena) {
+      const mark = this.add.text(0, previewTop + previewHeight / 2, '?', {
+        fontSize: '72px',
+        fontFamily: FONTS.title.fontFamily,
+        color: COLORS.textGold,
+      });
+      mark.setOrigin(0.5);
+      container.add(mark);
+    }
+
+    const nameText = this.add.text(0, previewTop + previewHeight + 35, option.name.toUpperCase(), {
+      fontSize: '26px',
+      fontFamily: FONTS.title.fontFamily,
+      color: '#ffffff',
+    });
+    nameText.setOrigin(0.5);
+    container.add(nameText);
+
+    const descText = this.add.text(0, previewTop + previewHeight + 75, option.description, {
+      fontSize: '14px',
+      fontFamily: FONTS.helper.fontFamily,
+      color: COLORS.textSecondary,
+      align: 'center',
+      wordWrap: { width: cardWidth - 30 },
+    });
+    descText.setOrigin(0.5);
+    container.add(descText);
+
+    const border = this.add.graphics();
+    container.add(border);
+
+    return { container, border, nameText, option, cardWidth, cardHeight };
+  }
+
+  /**
+   * Draws a miniature of an arena: sky, buildings and terrain
+   * @param {Phaser.GameObjects.Graphics} graphics - Graphics object to draw on
+   * @param {Object} arena - Arena config
+   * @param {number} left - Preview left edge
+   * @param {number} top - Preview top edge
+   * @param {number} width - Preview width
+   * @param {number} height - Preview height
+   */
+  drawPreview(graphics, arena, left, top, width, height) {
+    const [skyTop, skyBottom] = arena.background.sky;
+    const scale = width / arena.width;
+
+    // Frame the lower part of the arena, where the fighting happens
+    const viewTop = arena.groundY - height / scale * 0.75;
+    const toX = (x) => left + x * scale;
+    const toY = (y) => Math.min(top + height, top + (y - viewTop) * scale);
+
+    graphics.fillGradientStyle(skyTop, skyTop, skyBottom, skyBottom, 1);
+    graphics.fillRect(left, top, width, height);
+
+    arena.buildings.forEach((building) => {
+      graphics.fillStyle(building.color, 1);
+      graphics.fillRect(
+        toX(building.x),
+        toY(arena.groundY - building.height),
+        building.width * scale,
+        toY(arena.groundY) - toY(arena.groundY - building.height)
+      );
+    });
+
+    graphics.fillStyle(arena.background.floor.color, 1);
+    [...arena.ground, ...arena.solids].forEach((block) => {
+      graphics.fillRect(
+        toX(block.x),
+        toY(block.y),
+        block.width * scale,
+        toY(block.y + block.height) - toY(block.y)
+      );
+    });
+
+    arena.slopes.forEach((slope) => {
+      graphics.fillTriangle(
+        toX(slope.x), toY(slope.leftY),
+        toX(slope.x + slope.width), toY(slope.rightY),
+        toX(slope.leftY > slope.rightY ? slope.x : slope.x + slope.width), toY(Math.max(slope.leftY, slope.rightY))
+      );
+    });
+
+    graphics.lineStyle(2, arena.background.floor.highlightColor, 1);
+    arena.platforms.forEach((platform) => {
+      graphics.lineBetween(toX(platform.x), toY(platform.y), toX(platform.x + platform.width), toY(platform.y));
+    });
+
+    graphics.lineStyle(2, arena.accentColor, 1);
+    graphics.strokeRect(left, top, width, height);
+  }
+
+  /**
+   * Creates footer with navigation hints
+   */
+  createFooter() {
+    const { width, height } = this.cameras.main;
+
+    const hint = this.add.text(
+      width / 2,
+      height * LAYOUT.hintY,
+      '[ ← → ] SELECT     [ ENTER ] FIGHT     [ ESC ] BACK',
+      TEXT_STYLES.hint
+    );
+    hint.setOrigin(0.5);
+  }
+
+  /**
+   * Sets up keyboard input
+   */
+  setupKeyboardInput() {
+    this.input.keyboard.on('keydown-LEFT', () => this.navigate(-1));
+    this.input.keyboard.on('keydown-RIGHT', () => this.navigate(1));
+    this.input.keyboard.on('keydown-ENTER', () => this.confirm());
+    this.input.keyboard.on('keydown-ESC', () => this.goBack());
+  }
+
+  /**
+   * Sets up gamepad input (D-pad left / right navigates, A or Start confirms, B goes back)
+   */
+  setupGamepadInput() {
+    gamepads.attach(this);
+    gamepads.onMenuInput(this, (action) => {
+      if (action === 'left' || action === 'right') {
+        this.navigate(action === 'left' ? -1 : 1);
+      } else if (action === 'confirm' || action === 'start') {
+        this.confirm();
+      } else if (action === 'back') {
+        this.goBack();
+      }
+    });
+  }
+
+  /**
+   * Moves the card selection
+   * @param {number} direction - -1 left, 1 right
+   */
+  navigate(direction) {
+    if (!this.canNavigate) return;
+
+    this.selectedIndex = Phaser.Math.Wrap(this.selectedIndex + direction, 0, this.cards.length);
+    audio.play('menuMove');
+    this.updateSelection();
+  }
+
+  /**
+   * Redraws card borders and highlights for the current selection
+   */
+  updateSelection() {
+    this.cards.forEach((card, index) => {
+      const isSelected = index === this.selectedIndex;
+      const hw = card.cardWidth / 2;
+      const hh = card.cardHeight / 2;
+
+      card.border.clear();
+      card.border.lineStyle(isSelected ? 2 : 1.5, isSelected ? COLORS.borderGold : COLORS.borderMuted, 1);
+      card.border.strokeRoundedRect(-hw, -hh, card.cardWidth, card.cardHeight, 6);
+
+      card.nameText.setColor(isSelected ? COLORS.textGold : '#ffffff');
+
+      this.tweens.add({
+        targets: card.container,
+        scaleX: isSelected ? 1.04 : 1,
+        scaleY: isSelected ? 1.04 : 1,
+        duration: 150,
+        ease: 'Cubic.easeOut',
+      });
+    });
+  }
+
+  /**
+   * Starts the fight on the selected arena
+   */
+  confirm() {
+    if (!this.canNavigate) return;
+    this.canNavigate = false;
+
+    const arena = this.options[this.selectedIndex].arena || getRandomArena();
+    logInfo(`StageSelectScene: Fighting on "${arena.name}"`);
+    audio.play('menuConfirm');
+
+    this.transitionToScene('GameScene', {
+      mode: this.matchData.mode,
+      player1Character: this.matchData.player1Character,
+      player2Character: this.matchData.player2Character,
+      arcadeRun: null,
+      arena,
+    });
+  }
+
+  /**
+   * Returns to character select
+   */
+  goBack() {
+    if (!this.canNavigate) return;
+    this.canNavigate = false;
+
+    audio.play('menuBack');
+    this.transitionToScene('CharacterSelectScene', { mode: this.matchData.mode });
+  }
+
+  /**
+   * Fades out and starts another scene
+   * @param {string} sceneKey - Scene to start
+   * @param {Object} data - Scene data
+   */
+  transitionToScene(sceneKey, data) {
+    this.input.keyboard.removeAllListeners();
+
+    this.cameras.main.fadeOut(200, 13, 17, 23);
+    this.cameras.main.once('camerafadeoutcomplete', () => {
+      this.scene.start(sceneKey, data);
+    });
+  }
+}
@@ -0,0 +1,207 @@
+import Projectile from '../entities/Projectile.js';
+import Beam from '../entities/Beam.js';
+import { PLAYER_STATES } from '../constants/gameBalance.js';
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * ActionSystem - Turns each player's input into fighter actions
+ * InputSystem settles what is held and pressed this step; this decides what
+ * the fighter does with it: blocking, movement, jumps and flight, melee
+ * strings, ki blasts, charging, transforming and the signature move.
+ *
+ * Reads the players and the input, combat and physics systems from the
+ * scene, so it runs the same in GameScene and the headless match simulator.
+ */
+export default class ActionSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    logInfo('ActionSystem: Initialized');
+  }
+
+  /**
+   * Processes input for a player
+   * Handles movement, jumping, flight, and attacks
+   *
+   * Flight activation: When airborne with no jumps remaining,
+   * holding UP/W will automatically enter flight mode.
+   * Landing exits flight mode automatically.
+   *
+   * @param {Player} player - The player to process
+   * @param {number} delta - Delta time for frame-rate independent updates
+   */
+  processInput(player, delta) {
+    const input = this.scene.inputSystem.getInput(player.playerNumber);
+    if (!input) return;
+
+    // Get directional inputs
+    const horizontal = this.scene.inputSystem.getHorizontalInput(player.playerNumber);
+    const vertical = this.scene.inputSystem.getVerticalInput(player.playerNumber);
+
+    // Block + special drops back one form (checked first - blocking swallows the press)
+    if (input.block && input.specialPressed) {
+      player.revertTransformation();
+    }
+
+    // Blocking (held, grounded) - no movement or attacks while guarding
+    if (player.setBlocking(input.block)) {
+      player.move(0);
+      return;
+    }
+
+    // Melee string in progress - rooted in place, attack presses chain the next hit
+    if (this.scene.combatSystem.isMeleeActive(player)) {
+      player.move(0);
+      if (input.attackPressed) {
+        this.scene.combatSystem.attemptMelee(player);
+      }
+      return;
+    }
+
+    // Signature move in progress - rooted until the beam and its recovery finish
+    if (this.scene.combatSystem.isBeamActive(player)) {
+      player.move(0);
+      return;
+    }
+
+    // Handle flight - auto-activate when holding UP with no jumps left
+    if (player.isFlying()) {
+      // Currently flying - apply thrust and consume stamina
+      player.applyFlightThrust(horizontal, vertical);
+      player.consumeFlightStamina(delta);
+
+      // Exit flight only if NEITHER up nor down is pressed (player wants to fall naturally)
+      if (!input.up && !input.down) {
+        player.exitFlight();
+      }
+    } else if (input.up && player.getState() === PLAYER_STATES.AIRBORNE && player.jumpsRemaining <= 0) {
+      // Not flying, but holding UP with no jumps left - enter flight
+      player.enterFlight();
+    }
+
+    // Horizontal movement (works in all states except flying which uses thrust)
+    if (!player.isFlying()) {
+      player.move(horizontal);
+    }
+
+    // Jump (on button press, not hold) - doesn't work while flying
+    // Down + jump on a one-way platform drops through it instead
+    if (input.jumpPressed && !player.isFlying()) {
+      if (!(input.down && player.dropThroughPlatform())) {
+        player.jump();
+      }
+    }
+
+    // Attack (disabled while charging - charging is a commitment)
+    if (input.attackPressed && !player.isCharging) {
+      this.handleAttack(player);
+    }
+
+    // Ki Charging / Transformation / Signature move (special key: G for P1, K for P2)
+    // - DOWN + special (tap, not while charging) fires the character's signature move
+    // - Hold to charge Ki
+    // - When Ki reaches the next form's threshold, the power-up activates automatically
+    // - Can also press special when the next form is ready (not charging) to power up
+    if (input.specialPressed && input.down && !player.isCharging) {
+      this.handleSignatureMove(player);
+    } else if (input.special && !input.block) {
+      // If the next form is ready and still holding charge key, auto-activate
+      if (player.canTransform) {
+        player.activateTransformation();
+      } else if (!player.isCharging && !input.down) {
+        // Start charging if not already
+        player.startCharging();
+      }
+    } else {
+      // Stop charging when key released
+      if (player.isCharging) {
+        player.stopCharging();
+      }
+    }
+  }
+
+  /**
+   * Gets the opponent player for a given player
+   * @param {Player} player - The player to find opponent for
+   * @returns {Player|null} The opponent player or null
+   */
+  getOpponent(player) {
+    const opponentNumber = player.playerNumber === 1 ? 2 : 1;
+    return this.scene.players[opponentNumber - 1] || null;
+  }
+
+  /**
+   * Handles player attack action
+   * Opponent within melee reach: starts a melee string
+   * Otherwise fires a projectile - aimed toward the opponent ONLY if player is facing them,
+   * else straight in the facing direction
+   * @param {Player} player - The attacking player
+   */
+  handleAttack(player) {
+    const pos = player.getPosition();
+    const opponent = this.getOpponent(player);
+
+    if (opponent && this.scene.combatSystem.isInMeleeRange(player, opponent)) {
+      this.scene.combatSystem.attemptMelee(player);
+      return;
+    }
+
+    // Get opponent position for targeting (only if facing toward them)
+    let targetPos = null;
+    if (opponent && opponent.getState() !== 'DEAD') {
+      const opponentPos = opponent.getPosition();
+
+      // Check if player is facing toward the opponent
+      const directionToOpponent = opponentPos.x - pos.x; // positive = opponent is to the right
+      const isFacingOpponent =
+        (player.facingDirection > 0 && directionToOpponent > 0) || // facing right, opponent is right
+        (player.facingDirection < 0 && directionToOpponent < 0); // facing left, opponent is left
+
+      // Only auto-aim if facing the opponent
+      if (isFacingOpponent) {
+        targetPos = opponentPos;
+      }
+    }
+
+    // Get character-specific attack damage (includes transformation bonus if active)
+    const stats = player.getStats();
+
+    // Create projectile factory with targeting and character projectile stats
+    const createProjectile = () => {
+      return new Projectile(
+        this.scene,
+        this.scene.physicsSystem,
+        player.playerNumber,
+        pos.x + player.facingDirection * 40, // Spawn in front of player
+        pos.y,
+        {
+          targetPos, // Target opponent's position (null if not facing them)
+          facingDirection: player.facingDirection, // Fallback direction if no target
+          damage: stats.attackDamage, // Character-specific damage
+          speedMultiplier: stats.projectileSpeedMultiplier,
+          lifetimeMultiplier: stats.projectileLifetimeMultiplier,
+          sizeMultiplier: stats.projectileSizeMultiplier,
+        }
+      );
+    };
+
+    // Attempt attack through combat system
+    this.scene.combatSystem.attemptAttack(player, createProjectile);
+  }
+
+  /**
+   * Handles the signature move input (DOWN + special)
+   * Fires the character's beam in the facing direction if there is enough Ki
+   * @param {Player} player - The attacking player
+   */
+  handleSignatureMove(player) {
+    const move = player.getCharacter().signatureMove;
+    if (!move) return;
+
+    const createBeam = () => new Beam(this.scene, player, move);
+    this.scene.combatSystem.attemptSignatureMove(player, createBeam);
+  }
+}
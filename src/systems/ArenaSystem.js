@@ -0,0 +1,400 @@
+import Phaser from 'phaser';
+import { BUILDINGS, PLAYER_STATES, RING_OUT } from '../constants/gameBalance.js';
+import { logInfo, logDebug } from '../utils/debug.js';
+import { audio } from '../utils/audio.js';
+import { random } from '../utils/random.js';
+
+/**
+ * ArenaSystem - Stage features that aren't part of the static layout
+ * - Destructible buildings: drawn behind the fighters, they don't block
+ *   anything. Each ki blast that flies through one damages it once, and a
+ *   stunned fighter knocked through one at speed takes a chunk out of it.
+ *   At 0 hp the building collapses.
+ * - Death zone: on ring-out arenas, a fighter who crosses any side of the
+ *   death zone is KO'd with a blast at the screen edge. Elsewhere, falling
+ *   below the death zone just puts the fighter back at their spawn point.
+ */
+export default class ArenaSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene (scene.arena must be set)
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.arena = scene.arena;
+
+    // Live building state, one entry per arena building
+    // { config, hp, graphics, isDestroyed, hitBy: Set<Projectile>, impactedBy: Set<playerNumber> }
+    this.buildings = this.arena.buildings.map((config) => this.createBuilding(config));
+
+    logInfo(`ArenaSystem: Initialized (${this.buildings.length} buildings)`);
+  }
+
+  /**
+   * Creates the graphics and state for one building
+   * The graphics origin is the building's bottom-left corner so it can sink
+   * into the ground when it collapses
+   * @param {Object} config - Building from the arena config
+   * @returns {Object} Building state
+   */
+  createBuilding(config) {
+    const graphics = this.scene.add.graphics({ x: config.x, y: this.arena.groundY });
+    graphics.setDepth(-105); // In front of the scenery, behind the floor and fighters
+
+    const building = {
+      config,
+      hp: config.hp,
+      graphics,
+      isDestroyed: false,
+      hitBy: new Set(),
+      impactedBy: new Set(),
+    };
+
+    this.drawBuilding(building);
+    return building;
+  }
+
+  /**
+   * Draws a building, with more cracks the more damage it has taken
+   * @param {Object} building - Building state
+   */
+  drawBuilding(building) {
+    const { width, height, color } = building.config;
+    const graphics = building.graphics;
+    const damage = 1 - building.hp / building.config.hp;
+
+    graphics.clear();
+
+    graphics.fillStyle(color, 1);
+    graphics.fillRect(0, -height, width, height);
+    graphics.lineStyle(2, 0x000000, 0.4);
+    graphics.strokeRect(0, -height, width, height);
+
+    // Windows (darker once the building is damaged)
+    graphics.fillStyle(0xf1c40f, 0.5 * (1 - damage));
+    for (let wy = -height + 20; wy < -30; wy += 40) {
+      for (let wx = 15; wx < width - 20; wx += 35) {
+        graphics.fillRect(wx, wy, 14, 20);
+      }
+    }
+
+    // Cracks - one per 20% of hp lost
+    graphics.lineStyle(3, 0x111111, 0.7);
+    const cracks = Math.floor(damage * 5);
+    for (let i = 0; i < cracks; i++) {
+      const crackX = width * ((i * 0.37 + 0.2) % 1);
+      const crackY = -height * ((i * 0.53 + 0.3) % 1);
+      graphics.lineBetween(crackX, crackY, crackX + 18, crackY + 30);
+      graphics.lineBetween(crackX + 18, crackY + 30, crackX + 6, crackY + 55);
+    }
+  }
+
+  /**
+   * Gets the game objects the UI camera must not render
+   * @returns {Phaser.GameObjects.Graphics[]}
+   */
+  getGameObjects() {
+    return this.buildings.map((building) => building.graphics);
+  }
+
+  /**
+   * Checks whether a point is inside a standing building
+   * @param {Object} building - Building state
+   * @param {{x: number, y: number}} point - World position
+   * @returns {boolean}
+   */
+  containsPoint(building, point) {
+    const { x, width, height } = building.config;
+    const groundY = this.arena.groundY;
+    return point.x >= x && point.x <= x + width && point.y >= groundY - height && point.y <= groundY;
+  }
+
+  /**
+   * Updates buildings and the death zone each frame
+   */
+  update() {
+    if (this.buildings.length > 0) {
+      this.updateBuildingHits();
+    }
+    this.updateDeathZone();
+  }
+
+  /**
+   * Damages buildings that ki blasts or knocked-back fighters pass through
+   */
+  updateBuildingHits() {
+    const projectiles = this.scene.combatSystem ? this.scene.combatSystem.projectiles : new Set();
+
+    this.buildings.forEach((building) => {
+      if (building.isDestroyed) return;
+
+      // Ki blasts - once per blast
+      projectiles.forEach((projectile) => {
+        if (!projectile.body || building.hitBy.has(projectile)) return;
+        if (!this.containsPoint(building, projectile.body.position)) return;
+
+        building.hitBy.add(projectile);
+        this.damageBuilding(building, projectile.damage * BUILDINGS.projectileDamageScale);
+      });
+
+      // Drop blasts that are gone so the set doesn't grow all match
+      building.hitBy.forEach((projectile) => {
+        if (!projectiles.has(projectile)) building.hitBy.delete(projectile);
+      });
+
+      // Fighters knocked through - once per hitstun
+      this.scene.players.forEach((player) => {
+        if (!player.body) return;
+
+        if (player.state !== PLAYER_STATES.STUNNED) {
+          building.impactedBy.delete(player.playerNumber);
+          return;
+        }
+
+        if (building.impactedBy.has(player.playerNumber)) return;
+
+        const velocity = player.getVelocity();
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.y * velocity.y);
+        if (speed < BUILDINGS.impactSpeed || !this.containsPoint(building, player.getPosition())) return;
+
+        building.impactedBy.add(player.playerNumber);
+        this.damageBuilding(building, speed * BUILDINGS.impactDamagePerSpeed);
+        audio.play('impact');
+      });
+    });
+  }
+
+  /**
+   * Takes hp off a building and collapses it at 0
+   * @param {Object} building - Building state
+   * @param {number} amount - Damage
+   */
+  damageBuilding(building, amount) {
+    building.hp = Math.max(0, building.hp - amount);
+    logDebug(`ArenaSystem: Building at x=${building.config.x} hit for ${Math.round(amount)} (${Math.round(building.hp)} left)`);
+
+    if (building.hp <= 0) {
+      this.collapseBuilding(building);
+    } else {
+      this.drawBuilding(building);
+    }
+  }
+
+  /**
+   * Collapses a building: it sinks into the ground and throws out debris
+   * @param {Object} building - Building state
+   */
+  collapseBuilding(building) {
+    const { x, width, height, color } = building.config;
+    const groundY = this.arena.groundY;
+
+    building.isDestroyed = true;
+    building.hitBy.clear();
+    this.drawBuilding(building);
+
+    this.scene.tweens.add({
+      targets: building.graphics,
+      y: groundY + height,
+      alpha: 0,
+      duration: BUILDINGS.crumbleDuration,
+      ease: 'Power2.easeIn',
+      onComplete: () => building.graphics.setVisible(false),
+    });
+
+    // Debris chunks flung up and out from the building's footprint
+    for (let i = 0; i < BUILDINGS.debrisCount; i++) {
+      const size = 8 + random.next() * 16;
+      const chunk = this.scene.add.rectangle(
+        x + random.next() * width,
+        groundY - random.next() * height,
+        size,
+        size,
+        color
+      );
+      chunk.setDepth(-104);
+      if (this.scene.uiCamera) {
+        this.scene.uiCamera.ignore(chunk);
+      }
+
+      this.scene.tweens.add({
+        targets: chunk,
+        x: chunk.x + (random.next() - 0.5) * width * 1.5,
+        y: groundY - size / 2,
+        angle: (random.next() - 0.5) * 360,
+        alpha: 0,
+        duration: BUILDINGS.crumbleDuration + random.next() * 400,
+        ease: 'Quad.easeIn',
+        onComplete: () => chunk.destroy(),
+      });
+    }
+
+    audio.play('heavyImpact');
+    if (this.scene.cameraSystem) {
+      this.scene.cameraSystem.shakeOnHeavyHit();
+    }
+
+    logInfo(`ArenaSystem: Building at x=${x} collapsed`);
+  }
+
+  /**
+   * Picks the arena spawn point farthest from a player's opponent
+   * (stock respawns)
+   * @param {Player} player - The player about to respawn
+   * @returns {{x: number, y: number}} Spawn point
+   */
+  getSafeSpawnPoint(player) {
+    const ownSpawn = this.arena.spawnPoints[`player${player.playerNumber}`];
+    const opponent = this.scene.players.find((other) => other !== player);
+    if (!opponent || !opponent.body) return ownSpawn;
+
+    const opponentPos = opponent.getPosition();
+    const distanceTo = (spawn) => Phaser.Math.Distance.Between(spawn.x, spawn.y, opponentPos.x, opponentPos.y);
+
+    return Object.values(this.arena.spawnPoints).reduce((safest, spawn) =>
+      (distanceTo(spawn) > distanceTo(safest) ? spawn : safest), ownSpawn);
+  }
+
+  /**
+   * Finds which side of the death zone a position is past
+   * @param {{x: number, y: number}} position - World position
+   * @returns {string|null} 'left', 'right', 'top', 'bottom' or null when inside
+   */
+  getDeathZoneSide(position) {
+    const { left, right, top, bottom } = this.arena.deathZone;
+
+    if (position.y > bottom) return 'bottom';
+    if (position.x < left) return 'left';
+    if (position.x > right) return 'right';
+    if (position.y < top) return 'top';
+    return null;
+  }
+
+  /**
+   * Rings out fighters who crossed the death zone, or (without the ring-out
+   * rule) puts fighters who fell below it back at their spawn point
+   */
+  updateDeathZone() {
+    this.scene.players.forEach((player) => {
+      if (!player.body || player.state === PLAYER_STATES.DEAD) return;
+
+      const side = this.getDeathZoneSide(player.getPosition());
+      if (!side) return;
+
+      if (this.arena.ringOut) {
+        logInfo(`ArenaSystem: Player ${player.playerNumber} rang out (${side})`);
+        this.createRingOutBlast(player, side);
+        player.ringOut();
+        return;
+      }
+
+      if (side !== 'bottom') return;
+
+      const spawn = this.arena.spawnPoints[`player${player.playerNumber}`];
+      this.scene.matter.body.setPosition(player.body, { x: spawn.x, y: spawn.y });
+      this.scene.physicsSystem.setVelocity(player.body, { x: 0, y: 0 });
+
+      logInfo(`ArenaSystem: Player ${player.playerNumber} fell out - back to spawn`);
+    });
+  }
+
+  /**
+   * Draws the ring-out blast: a streak in the player's color shooting back
+   * into the arena from the edge of the screen where they left
+   * @param {Player} player - The player who rang out
+   * @param {string} side - Death zone side they crossed
+   */
+  createRingOutBlast(player, side) {
+    const view = this.scene.cameras.main.worldView;
+    const inset = RING_OUT.edgeInset / this.scene.cameras.main.zoom;
+    const position = player.getPosition();
+
+    // Anchor on the matching screen edge, in line with where the player left
+    const x = Phaser.Math.Clamp(position.x, view.left + inset, view.right - inset);
+    const y = Phaser.Math.Clamp(position.y, view.top + inset, view.bottom - inset);
+    const angle = { left: 0, right: Math.PI, top: Math.PI / 2, bottom: -Math.PI / 2 }[side];
+
+    const blast = this.scene.add.graphics({ x, y });
+    blast.setRotation(angle);
+    blast.setDepth(50); // Over the fighters, under the HUD
+
+    const length = RING_OUT.blastLength;
+    const halfWidth = RING_OUT.blastWidth / 2;
+    blast.fillStyle(player.character.color, 0.8);
+    blast.fillTriangle(0, -halfWidth, 0, halfWidth, length, 0);
+    blast.fillStyle(0xffffff, 0.9);
+    blast.fillTriangle(0, -halfWidth * 0.4, 0, halfWidth * 0.4, length * 0.7, 0);
+    blast.fillCircle(0, 0, halfWidth * 0.6);
+    blast.setScale(0.2, 1);
+
+    if (this.scene.uiCamera) {
+      this.scene.uiCamera.ignore(blast);
+    }
+
+    this.scene.tweens.add({
+      targets: blast,
+      scaleX: 1,
+      duration: RING_OUT.blastDuration * 0.3,
+      ease: 'Cubic.easeOut',
+    });
+    this.scene.tweens.add({
+      targets: blast,
+      alpha: 0,
+      delay: RING_OUT.blastDuration * 0.3,
+      duration: RING_OUT.blastDuration * 0.7,
+      onComplete: () => blast.destroy(),
+    });
+
+    audio.play('heavyImpact');
+  }
+
+  /**
+   * Copies the building state (online rollback)
+   * @returns {Object[]} State for restoreState(), one entry per building
+   */
+  saveState() {
+    return this.buildings.map((building) => ({
+      hp: building.hp,
+      isDestroyed: building.isDestroyed,
+      hitBy: new Set(building.hitBy),
+      impactedBy: new Set(building.impactedBy),
+    }));
+  }
+
+  /**
+   * Puts back building state copied by saveState()
+   * A building that collapsed since stands up again; a collapse already
+   * under way is left to finish
+   * @param {Object[]} state
+   */
+  restoreState(state) {
+    this.buildings.forEach((building, index) => {
+      const saved = state[index];
+
+      if (building.isDestroyed && !saved.isDestroyed) {
+        this.scene.tweens.killTweensOf(building.graphics);
+        building.graphics.setPosition(building.config.x, this.arena.groundY);
+        building.graphics.setAlpha(1);
+        building.graphics.setVisible(true);
+      }
+
+      const hpChanged = building.hp !== saved.hp;
+      building.hp = saved.hp;
+      building.isDestroyed = saved.isDestroyed;
+      building.hitBy = new Set(saved.hitBy);
+      building.impactedBy = new Set(saved.impactedBy);
+
+      if (hpChanged && !building.isDestroyed) {
+        this.drawBuilding(building);
+      }
+    });
+  }
+
+  /**
+   * Cleans up building graphics
+   */
+  destroy() {
+    this.buildings.forEach((building) => building.graphics.destroy());
+    this.buildings = [];
+
+    logInfo('ArenaSystem: Destroyed');
+  }
+}
@@ -1,5 +1,6 @@
-import { ARENA, CAMERA } from '../constants/gameBalance.js';
+import { CAMERA } from '../constants/gameBalance.js';
 import { logInfo, logDebug } from '../utils/debug.js';
+import { settings } from '../utils/settings.js';
 
 /**
  * CameraSystem - Dynamic camera that frames both players
@@ -9,8 +10,9 @@ import { logInfo, logDebug } from '../utils/debug.js';
  * - Smooth interpolation for all movements
  * - Arena bounds clamping
  * - Vertical flight handling
- * - Camera shake on impacts
- * - Slow-motion effects
+ * - Camera shake on impacts (scaled by the screen shake setting)
+ * - Slow-motion effects (KO slow-mo can be turned off in settings)
+ * - Focus point (beam clashes) that pulls the frame toward a point
  */
 export default class CameraSystem {
   /**
@@ -19,18 +21,22 @@ export default class CameraSystem {
   constructor(scene) {
     this.scene = scene;
     this.camera = scene.cameras.main;
+    this.arena = scene.arena;
 
     // Current camera state
     this.currentZoom = CAMERA.zoomDefault;
     this.targetZoom = CAMERA.zoomDefault;
-    this.currentX = ARENA.width / 2;
-    this.currentY = ARENA.groundY - CAMERA.viewportHeight / 2;
+    this.currentX = this.arena.width / 2;
+    this.currentY = this.arena.groundY - CAMERA.viewportHeight / 2;
     this.targetX = this.currentX;
     this.targetY = this.currentY;
 
     // Player references (set via setPlayers)
     this.players = [];
 
+    // Point of interest the camera is pulled toward (null = just frame the players)
+    this.focusPoint = null;
+
     // Camera shake state
     this.shakeIntensity = 0;
     this.shakeDuration = 0;
@@ -58,8 +64,8 @@ export default class CameraSystem {
     // Set camera bounds to match arena with padding
     const boundsX = -CAMERA.boundsPadding.horizontal;
     const boundsY = -CAMERA.boundsPadding.vertical - 400; // Extra space above for flight
-    const boundsWidth = ARENA.width + CAMERA.boundsPadding.horizontal * 2;
-    const boundsHeight = ARENA.height + CAMERA.boundsPadding.vertical * 2 + 400;
+    const boundsWidth = this.arena.width + CAMERA.boundsPadding.horizontal * 2;
+    const boundsHeight = this.arena.height + CAMERA.boundsPadding.vertical * 2 + 400;
 
     this.camera.setBounds(boundsX, boundsY, boundsWidth, boundsHeight);
 
@@ -82,14 +88,13 @@ export default class CameraSystem {
 
   /**
    * Main update loop - call every frame
+   * Slow motion changes the simulation, so it's advanced separately with the
+   * gameplay step (updateSlowMotion)
    * @param {number} delta - Time since last frame in ms
    */
   update(delta) {
     if (this.players.length < 2) return;
 
-    // Update slow-motion effect
-    this.updateSlowMotion(delta);
-
     // Get player positions
     const p1Pos = this.players[0].getPosition();
     const p2Pos = this.players[1].getPosition();
@@ -97,6 +102,7 @@ export default class CameraSystem {
     // Calculate camera targets
     this.calculateTargetPosition(p1Pos, p2Pos);
     this.calculateTargetZoom(p1Pos, p2Pos);
+    this.applyFocusPoint();
 
     // Smoothly interpolate to targets
     this.interpolateCamera(delta);
@@ -117,7 +123,7 @@ export default class CameraSystem {
     let midY = (p1Pos.y + p2Pos.y) / 2;
 
     // Apply vertical bias (show more sky during flight)
-    const groundY = ARENA.groundY;
+    const groundY = this.arena.groundY;
     const avgY = (p1Pos.y + p2Pos.y) / 2;
     if (avgY < groundY - 200) {
       // Players are flying - shift camera up slightly
@@ -132,23 +138,23 @@ export default class CameraSystem {
 
     // Horizontal clamping
     const minX = halfViewWidth - CAMERA.boundsPadding.horizontal;
-    const maxX = ARENA.width - halfViewWidth + CAMERA.boundsPadding.horizontal;
+    const maxX = this.arena.width - halfViewWidth + CAMERA.boundsPadding.horizontal;
 
     // Handle edge case where viewport is larger than or equal to arena
     // In this case, center the camera on the arena
     if (minX >= maxX) {
-      midX = ARENA.width / 2;
+      midX = this.arena.width / 2;
     } else {
       midX = Math.max(minX, Math.min(maxX, midX));
     }
 
     // Vertical clamping (allow going up for flight, but not too far down)
     const minY = -200 + halfViewHeight; // Allow seeing sky
-    const maxY = ARENA.groundY + 50; // Don't show too much below ground
+    const maxY = this.arena.groundY + 50; // Don't show too much below ground
 
     // Handle edge case for vertical clamping
     if (minY >= maxY) {
-      midY = (ARENA.groundY - 200) / 2; // Center between sky and ground
+      midY = (this.arena.groundY - 200) / 2; // Center between sky and ground
     } else {
       midY = Math.max(minY, Math.min(maxY, midY));
     }
@@ -187,6 +193,32 @@ export default class CameraSystem {
     this.targetZoom = desiredZoom;
   }
 
+  /**
+   * Sets a point for the camera to focus on
+   * @param {Object} point - World position { x, y }
+   */
+  setFocusPoint(point) {
+    this.focusPoint = { x: point.x, y: point.y };
+  }
+
+  /**
+   * Clears the focus point - back to framing the players
+   */
+  clearFocusPoint() {
+    this.focusPoint = null;
+  }
+
+  /**
+   * Pulls the camera targets toward the focus point and zooms in
+   */
+  applyFocusPoint() {
+    if (!this.focusPoint) return;
+
+    this.targetX += (this.focusPoint.x - this.targetX) * CAMERA.focusWeight;
+    this.targetY += (this.focusPoint.y - this.targetY) * CAMERA.focusWeight;
+    this.targetZoom = Math.max(this.targetZoom, CAMERA.focusZoom);
+  }
+
   /**
    * Smoothly interpolates camera values toward targets
    */
@@ -252,10 +284,14 @@ export default class CameraSystem {
 
   /**
    * Triggers camera shake effect
-   * @param {number} intensity - Shake intensity in pixels (default: 8)
+   * @param {number} intensity - Shake intensity in pixels (default: 8), before the screen shake setting
    * @param {number} duration - Duration in milliseconds (default: 200)
    */
   shake(intensity = 8, duration = 200) {
+    intensity *= settings.get('screenShake');
+    // An online rollback re-runs hits that already shook the screen
+    if (intensity <= 0 || this.scene.isResimulating) return;
+
     // Don't override stronger shakes
     if (this.shakeIntensity > intensity && this.shakeElapsed < this.shakeDuration) {
       return;
@@ -293,7 +329,7 @@ export default class CameraSystem {
 
     // Random shake offset using sine waves at different frequencies
     // Higher frequency multiplier for more aggressive shake
-    const time = this.scene.time.now * 0.015;
+    const time = this.scene.simTime * 0.015;
     this.shakeOffsetX = Math.sin(time * 17) * currentIntensity;
     this.shakeOffsetY = Math.cos(time * 23) * currentIntensity * 0.7; // Less vertical
   }
@@ -334,30 +370,28 @@ export default class CameraSystem {
     this.slowMotionScale = scale;
     this.slowMotionDuration = duration;
     this.slowMotionElapsed = 0;
-    this.originalTimeScale = this.scene.time.timeScale;
+    this.originalTimeScale = this.scene.matter.world.engine.timing.timeScale;
 
-    // Apply slow motion to the scene
-    this.scene.time.timeScale = scale;
+    // Apply slow motion to the physics
     this.scene.matter.world.engine.timing.timeScale = scale;
 
     logDebug(`CameraSystem: Slow-motion started (scale: ${scale}, duration: ${duration}ms)`);
   }
 
   /**
-   * Updates slow-motion effect
+   * Updates slow-motion effect - call once per gameplay step
    * @param {number} delta - Time since last frame in ms (real time, not scaled)
    */
   updateSlowMotion(delta) {
     if (!this.slowMotionActive) return;
 
     // Use real delta time (not affected by timeScale)
-    const realDelta = delta / this.scene.time.timeScale;
+    const realDelta = delta / this.scene.matter.world.engine.timing.timeScale;
     this.slowMotionElapsed += realDelta;
 
     if (this.slowMotionElapsed >= this.slowMotionDuration) {
       // End slow motion
       this.slowMotionActive = false;
-      this.scene.time.timeScale = this.originalTimeScale;
       this.scene.matter.world.engine.timing.timeScale = this.originalTimeScale;
 
       logDebug('CameraSystem: Slow-motion ended');
@@ -365,9 +399,12 @@ export default class CameraSystem {
   }
 
   /**
-   * Triggers dramatic slow-mo for KO moments
+   * Triggers dramatic slow-mo for KO moments (unless turned off in settings)
+   * Read from the match rules, so a replay slows down wherever the recorded
+   * match did
    */
   slowMotionKO() {
+    if (!this.scene.matchRules.slowMotion) return;
     this.slowMotion(0.2, 600);
   }
 
@@ -379,17 +416,43 @@ export default class CameraSystem {
     return this.slowMotionActive;
   }
 
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the state gameplay steps change: slow motion and the focus point
+   * (the physics engine saves its own time scale)
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      focusPoint: this.focusPoint && { ...this.focusPoint },
+      slowMotionActive: this.slowMotionActive,
+      slowMotionDuration: this.slowMotionDuration,
+      slowMotionElapsed: this.slowMotionElapsed,
+      slowMotionScale: this.slowMotionScale,
+      originalTimeScale: this.originalTimeScale,
+    };
+  }
+
+  /**
+   * Puts back state copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    Object.assign(this, state, { focusPoint: state.focusPoint && { ...state.focusPoint } });
+  }
+
   /**
    * Cleans up camera system
    */
   destroy() {
     // Restore time scale if slow motion was active
     if (this.slowMotionActive) {
-      this.scene.time.timeScale = this.originalTimeScale;
       this.scene.matter.world.engine.timing.timeScale = this.originalTimeScale;
     }
 
     this.players = [];
+    this.focusPoint = null;
     logInfo('CameraSystem: Destroyed');
   }
 }
@@ -1,34 +1,75 @@
-import { COMBAT, PROJECTILE, KI_SYSTEM } from '../constants/gameBalance.js';
-import { COMBAT_PHYSICS } from '../constants/physics.js';
+import { COMBAT, PROJECTILE, PROJECTILE_CLASH, KI_SYSTEM, MELEE, BEAM_CLASH, PLAYER_STATES } from '../constants/gameBalance.js';
+import { COMBAT_PHYSICS, PLAYER_BODY } from '../constants/physics.js';
 import { logInfo, logDebug } from '../utils/debug.js';
+import { audio } from '../utils/audio.js';
 
 /**
  * CombatSystem - Handles all combat-related logic
- * Manages damage, knockback, projectiles, and hit detection
+ * Manages damage, knockback, projectiles, melee strings, signature beams, and hit detection
+ *
+ * Melee attacks run through three phases per hit:
+ * startup (no hitbox) → active (hitbox checked every frame) → recovery.
+ * Pressing attack again during a hit queues the next hit of the string,
+ * which starts as soon as the active window ends - but only if the hit connected.
+ *
+ * Signature beams (see Beam) are checked against the other players every frame
+ * while firing. When two opposing beam heads touch, the beams lock in a clash:
+ * both players mash attack, each press pushes the contact point toward the other
+ * player, and the overpowered player takes both beams' damage.
+ *
+ * Opposing projectiles collide too: blasts of about the same size cancel,
+ * otherwise the bigger one destroys the smaller and keeps flying.
  */
 export default class CombatSystem {
   /**
    * @param {Phaser.Scene} scene - The game scene
    * @param {PhysicsSystem} physicsSystem - Reference to physics system
+   * @param {Object} options - Optional overrides { knockbackScaling }
    */
-  constructor(scene, physicsSystem) {
+  constructor(scene, physicsSystem, options = {}) {
     this.scene = scene;
     this.physics = physicsSystem;
 
+    // Extra knockback per point of damage the target has taken
+    this.knockbackScaling = options.knockbackScaling ?? COMBAT.knockbackScaling;
+
     // Track active projectiles
     this.projectiles = new Set();
 
+    // Track active signature beams (including their charge and recovery)
+    this.beams = new Set();
+
+    // Beam clash in progress (null when none)
+    // { beams: [Beam, Beam], contactX, y, startTime, mashCounts: Map<playerNumber, count> }
+    this.beamClash = null;
+
     // Track player entities
     this.players = new Map();
 
     // Attack cooldowns per player
     this.attackCooldowns = new Map();
 
+    // Melee attacks in progress per player
+    // { hitIndex, startTime, hasHit, chainQueued }
+    this.meleeAttacks = new Map();
+
+    // Active melee hitboxes are drawn here (world space)
+    this.meleeGraphics = scene.add.graphics();
+
     this.setupCollisionHandling();
 
     logInfo('CombatSystem: Initialized');
   }
 
+  /**
+   * Gets the knockback multiplier for a target from the damage it has taken
+   * @param {Player} target - Player being hit
+   * @returns {number}
+   */
+  getKnockbackMultiplier(target) {
+    return 1 + target.damageTaken * this.knockbackScaling;
+  }
+
   /**
    * Registers a player entity with the combat system
    * @param {Player} player - The player entity
@@ -47,6 +88,7 @@ export default class CombatSystem {
   unregisterPlayer(playerNumber) {
     this.players.delete(playerNumber);
     this.attackCooldowns.delete(playerNumber);
+    this.meleeAttacks.delete(playerNumber);
   }
 
   /**
@@ -73,6 +115,12 @@ export default class CombatSystem {
       // Check for projectile-wall/ground collision
       this.checkProjectileWallHit(bodyA, bodyB);
       this.checkProjectileWallHit(bodyB, bodyA);
+
+      // Check for projectile-vs-projectile contact
+      this.checkProjectileClash(bodyA, bodyB);
+
+      // Check for beam-vs-beam contact
+      this.checkBeamClash(bodyA, bodyB);
     });
   }
 
@@ -106,6 +154,74 @@ export default class CombatSystem {
     }
   }
 
+  /**
+   * Checks if two opposing projectiles hit each other
+   * Within PROJECTILE_CLASH.sizeTolerance both are cancelled; otherwise the
+   * larger one survives (its velocity is restored by Projectile.update)
+   * @param {MatterJS.BodyType} bodyA
+   * @param {MatterJS.BodyType} bodyB
+   */
+  checkProjectileClash(bodyA, bodyB) {
+    if (!bodyA.label || !bodyA.label.startsWith('projectile_')) return;
+    if (!bodyB.label || !bodyB.label.startsWith('projectile_')) return;
+
+    const projectileA = this.findProjectileByBody(bodyA);
+    const projectileB = this.findProjectileByBody(bodyB);
+    if (!projectileA || !projectileB || projectileA.ownerPlayerNumber === projectileB.ownerPlayerNumber) return;
+    if (projectileA.shouldDestroy || projectileB.shouldDestroy) return;
+
+    const larger = projectileA.radius >= projectileB.radius ? projectileA : projectileB;
+    const smaller = larger === projectileA ? projectileB : projectileA;
+    const winner = larger.radius / smaller.radius < PROJECTILE_CLASH.sizeTolerance ? null : larger;
+
+    smaller.shouldDestroy = true;
+    if (!winner) {
+      larger.shouldDestroy = true;
+    }
+
+    const contactX = (bodyA.position.x + bodyB.position.x) / 2;
+    const contactY = (bodyA.position.y + bodyB.position.y) / 2;
+    this.createClashExplosion(contactX, contactY);
+    audio.play('impact');
+
+    logDebug(`CombatSystem: Projectile clash - ${winner ? `Player ${winner.ownerPlayerNumber} wins` : 'cancelled'}`);
+
+    this.scene.events.emit('projectileClash', {
+      players: [projectileA.ownerPlayerNumber, projectileB.ownerPlayerNumber],
+      winner: winner ? winner.ownerPlayerNumber : null,
+    });
+  }
+
+  /**
+   * Shows an expanding, fading burst where two projectiles met
+   * @param {number} x - Contact X
+   * @param {number} y - Contact Y
+   */
+  createClashExplosion(x, y) {
+    // Already shown the first time through if an online rollback is re-running this
+    if (this.scene.isResimulating) return;
+
+    const burst = this.scene.add.graphics({ x, y });
+    burst.fillStyle(0xffffff, 0.9);
+    burst.fillCircle(0, 0, PROJECTILE_CLASH.explosionRadius * 0.5);
+    burst.lineStyle(4, 0xf1c40f, 0.8);
+    burst.strokeCircle(0, 0, PROJECTILE_CLASH.explosionRadius * 0.5);
+    burst.setScale(0.5);
+
+    if (this.scene.uiCamera) {
+      this.scene.uiCamera.ignore(burst);
+    }
+
+    this.scene.tweens.add({
+      targets: burst,
+      scale: 2,
+      alpha: 0,
+      duration: PROJECTILE_CLASH.explosionDuration,
+      ease: 'Power2',
+      onComplete: () => burst.destroy(),
+    });
+  }
+
   /**
    * Checks if a projectile hit a player
    * @param {MatterJS.BodyType} projectileBody - Potential projectile
@@ -172,22 +288,30 @@ export default class CombatSystem {
     logDebug(`CombatSystem: Player ${target.playerNumber} hit by projectile`);
 
     // Apply damage
-    target.takeDamage(projectile.damage);
+    const damageDealt = target.takeDamage(projectile.damage);
 
     // Ki gain: Target gains Ki from taking damage (comeback mechanic)
     target.gainKi(KI_SYSTEM.kiGainOnDamage);
 
     // Ki gain: Attacker gains Ki from landing the hit
-    const attacker = this.players.get(projectile.owner);
+    const attacker = this.players.get(projectile.ownerPlayerNumber);
     if (attacker) {
       attacker.onHitLanded(); // Use onHitLanded for all damage dealt
     }
 
+    // Notify listeners (match stats, training display)
+    this.scene.events.emit('hitLanded', {
+      attacker: projectile.ownerPlayerNumber,
+      target: target.playerNumber,
+      damage: damageDealt,
+      source: 'projectile',
+    });
+
     // Get projectile's travel direction (normalized vector)
     const projDir = projectile.getDirection();
 
     // Calculate knockback force with damage scaling
-    const damageMultiplier = 1 + target.damageTaken * COMBAT.knockbackScaling;
+    const damageMultiplier = this.getKnockbackMultiplier(target);
     const knockbackMagnitude = COMBAT_PHYSICS.knockbackForce * damageMultiplier;
 
     // Base knockback is in the direction the projectile was traveling
@@ -207,10 +331,13 @@ export default class CombatSystem {
     // Apply knockback
     target.applyKnockback(knockbackForce);
 
+    // Heavier impact sound and shake for stronger knockback
+    const isHeavyHit = knockbackMagnitude > COMBAT_PHYSICS.knockbackForce * 1.5;
+    audio.play(isHeavyHit ? 'heavyImpact' : 'impact');
+
     // Trigger camera shake on hit (via scene's camera system)
     if (this.scene.cameraSystem) {
-      // Heavier shake for stronger knockback
-      if (knockbackMagnitude > COMBAT_PHYSICS.knockbackForce * 1.5) {
+      if (isHeavyHit) {
         this.scene.cameraSystem.shakeOnHeavyHit();
       } else {
         this.scene.cameraSystem.shakeOnHit();
@@ -230,7 +357,7 @@ export default class CombatSystem {
    * @returns {boolean} Whether the attack was successful
    */
   attemptAttack(player, createProjectile) {
-    const now = this.scene.time.now;
+    const now = this.scene.simTime;
     const lastAttack = this.attackCooldowns.get(player.playerNumber) || 0;
     const stats = player.getStats();
 
@@ -253,18 +380,575 @@ export default class CombatSystem {
     // Create and register projectile
     const projectile = createProjectile();
     this.projectiles.add(projectile);
+    audio.play('kiBlast');
+    this.scene.events.emit('projectileFired', player.playerNumber);
 
     logDebug(`CombatSystem: Player ${player.playerNumber} fired projectile (cost: ${stats.attackStaminaCost.toFixed(1)} stamina)`);
 
     return true;
   }
 
+  // ==================== MELEE ====================
+
+  /**
+   * Checks whether a player is partway through a melee string
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  isMeleeActive(player) {
+    return this.meleeAttacks.has(player.playerNumber);
+  }
+
+  /**
+   * Checks whether a target is close enough to be hit by melee right now
+   * @param {Player} player - The attacker
+   * @param {Player} target - The potential target
+   * @returns {boolean}
+   */
+  isInMeleeRange(player, target) {
+    if (target.getState() === PLAYER_STATES.DEAD) return false;
+    return this.overlapsBody(this.getMeleeHitbox(player), target.body);
+  }
+
+  /**
+   * Gets the melee hitbox in front of a player
+   * @param {Player} player
+   * @returns {Object} Rectangle { x, y, width, height }
+   */
+  getMeleeHitbox(player) {
+    const pos = player.getPosition();
+    const halfWidth = PLAYER_BODY.width / 2;
+    const x = player.facingDirection > 0 ? pos.x + halfWidth : pos.x - halfWidth - MELEE.hitboxReach;
+
+    return {
+      x,
+      y: pos.y - MELEE.hitboxHeight / 2,
+      width: MELEE.hitboxReach,
+      height: MELEE.hitboxHeight,
+    };
+  }
+
+  /**
+   * Checks a rectangle against a physics body's bounding box
+   * @param {Object} rect - Rectangle { x, y, width, height }
+   * @param {MatterJS.BodyType} body
+   * @returns {boolean}
+   */
+  overlapsBody(rect, body) {
+    const { min, max } = body.bounds;
+    return rect.x < max.x && rect.x + rect.width > min.x && rect.y < max.y && rect.y + rect.height > min.y;
+  }
+
+  /**
+   * Starts a melee string, or queues the next hit if one is in progress
+   * @param {Player} player - The attacking player
+   * @returns {boolean} Whether a hit was started or queued
+   */
+  attemptMelee(player) {
+    const attack = this.meleeAttacks.get(player.playerNumber);
+
+    if (attack) {
+      if (attack.hitIndex >= MELEE.hits.length - 1) return false;
+      attack.chainQueued = true;
+      return true;
+    }
+
+    return this.startMeleeHit(player, 0);
+  }
+
+  /**
+   * Starts one hit of the melee string
+   * @param {Player} player - The attacking player
+   * @param {number} hitIndex - Index into MELEE.hits
+   * @returns {boolean} Whether the hit started (false if out of stamina)
+   */
+  startMeleeHit(player, hitIndex) {
+    const staminaCost = player.getStats().attackStaminaCost * MELEE.staminaCostMultiplier;
+    if (player.stamina < staminaCost) {
+      this.meleeAttacks.delete(player.playerNumber);
+      return false;
+    }
+
+    player.useStamina(staminaCost);
+
+    this.meleeAttacks.set(player.playerNumber, {
+      hitIndex,
+      startTime: this.scene.simTime,
+      hasHit: false,
+      chainQueued: false,
+    });
+
+    logDebug(`CombatSystem: Player ${player.playerNumber} melee hit ${hitIndex + 1}`);
+    return true;
+  }
+
+  /**
+   * Advances melee attacks through startup, active and recovery
+   * Checks active hitboxes against the opponent and draws them
+   * @param {number} time - Current time
+   */
+  updateMelee(time) {
+    this.meleeGraphics.clear();
+
+    this.meleeAttacks.forEach((attack, playerNumber) => {
+      const player = this.players.get(playerNumber);
+
+      // Getting hit (or KO'd) cancels the attack
+      if (!player || !player.canAct()) {
+        this.meleeAttacks.delete(playerNumber);
+        return;
+      }
+
+      const hit = MELEE.hits[attack.hitIndex];
+      const elapsed = time - attack.startTime;
+      const activeEnd = hit.startup + hit.active;
+
+      // Startup - no hitbox yet
+      if (elapsed < hit.startup) return;
+
+      // Active - check the hitbox every frame until it connects
+      if (elapsed < activeEnd) {
+        const hitbox = this.getMeleeHitbox(player);
+        this.drawMeleeHitbox(player, hitbox, attack.hitIndex);
+
+        if (!attack.hasHit) {
+          this.checkMeleeHit(player, attack, hitbox);
+        }
+        return;
+      }
+
+      // Recovery - chain into the next hit if it was queued and this one connected
+      if (attack.chainQueued && attack.hasHit && attack.hitIndex < MELEE.hits.length - 1) {
+        this.startMeleeHit(player, attack.hitIndex + 1);
+        return;
+      }
+
+      if (elapsed >= activeEnd + hit.recovery) {
+        this.meleeAttacks.delete(playerNumber);
+      }
+    });
+  }
+
+  /**
+   * Checks an active melee hitbox against the other players
+   * @param {Player} attacker - The attacking player
+   * @param {Object} attack - Melee attack state
+   * @param {Object} hitbox - Active hitbox rectangle
+   */
+  checkMeleeHit(attacker, attack, hitbox) {
+    this.players.forEach((target) => {
+      if (attack.hasHit || target === attacker) return;
+      if (target.isInvincible || target.getState() === PLAYER_STATES.DEAD) return;
+
+      if (this.overlapsBody(hitbox, target.body)) {
+        attack.hasHit = true;
+        this.applyMeleeHit(attacker, target, attack.hitIndex);
+      }
+    });
+  }
+
+  /**
+   * Applies damage and knockback from a melee hit
+   * Knockback pushes in the attacker's facing direction, rising through the string
+   * @param {Player} attacker - The attacking player
+   * @param {Player} target - The player that was hit
+   * @param {number} hitIndex - Index into MELEE.hits
+   */
+  applyMeleeHit(attacker, target, hitIndex) {
+    const hit = MELEE.hits[hitIndex];
+
+    logDebug(`CombatSystem: Player ${target.playerNumber} hit by melee ${hitIndex + 1}`);
+
+    // Apply damage
+    const damageDealt = target.takeDamage(hit.damage * attacker.getStats().meleeDamageMultiplier);
+
+    // Ki gain: target from taking damage, attacker from landing the hit
+    target.gainKi(KI_SYSTEM.kiGainOnDamage);
+    attacker.onHitLanded();
+
+    // Notify listeners (match stats, training display)
+    this.scene.events.emit('hitLanded', {
+      attacker: attacker.playerNumber,
+      target: target.playerNumber,
+      damage: damageDealt,
+      source: 'melee',
+      meleeHit: hitIndex,
+    });
+
+    // Knockback with the same damage scaling as projectiles
+    const damageMultiplier = this.getKnockbackMultiplier(target);
+    const knockbackMagnitude = COMBAT_PHYSICS.knockbackForce * hit.knockbackMultiplier * damageMultiplier;
+
+    const dirX = attacker.facingDirection;
+    const dirY = -hit.launch;
+    const dirMag = Math.sqrt(dirX * dirX + dirY * dirY);
+
+    target.applyKnockback({
+      x: (dirX / dirMag) * knockbackMagnitude,
+      y: (dirY / dirMag) * knockbackMagnitude,
+    });
+
+    const isFinisher = hitIndex === MELEE.hits.length - 1;
+    audio.play(isFinisher ? 'heavyImpact' : 'punch');
+
+    if (this.scene.cameraSystem) {
+      if (isFinisher) {
+        this.scene.cameraSystem.shakeOnHeavyHit();
+      } else {
+        this.scene.cameraSystem.shakeOnHit();
+      }
+    }
+  }
+
+  /**
+   * Draws an active melee hitbox as a strike flash
+   * @param {Player} player - The attacking player
+   * @param {Object} hitbox - Hitbox rectangle
+   * @param {number} hitIndex - Index into MELEE.hits (the finisher is brighter)
+   */
+  drawMeleeHitbox(player, hitbox, hitIndex) {
+    const isFinisher = hitIndex === MELEE.hits.length - 1;
+
+    this.meleeGraphics.fillStyle(player.getCharacter().accentColor, isFinisher ? 0.6 : 0.35);
+    this.meleeGraphics.fillRoundedRect(hitbox.x, hitbox.y, hitbox.width, hitbox.height, 10);
+    this.meleeGraphics.lineStyle(2, 0xffffff, isFinisher ? 0.9 : 0.5);
+    this.meleeGraphics.strokeRoundedRect(hitbox.x, hitbox.y, hitbox.width, hitbox.height, 10);
+  }
+
+  // ==================== SIGNATURE BEAMS ====================
+
+  /**
+   * Checks whether a player is using their signature move (charge, beam or recovery)
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  isBeamActive(player) {
+    for (const beam of this.beams) {
+      if (beam.ownerPlayerNumber === player.playerNumber && beam.isActive()) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Attempts to use a player's signature move
+   * Paid for from the Ki gauge
+   * @param {Player} player - The player using the move
+   * @param {Function} createBeam - Factory function to create the beam
+   * @returns {boolean} Whether the move started
+   */
+  attemptSignatureMove(player, createBeam) {
+    const move = player.getCharacter().signatureMove;
+    if (!move || this.isBeamActive(player)) {
+      return false;
+    }
+
+    if (!player.spendKi(move.kiCost)) {
+      return false;
+    }
+
+    this.beams.add(createBeam());
+
+    logInfo(`CombatSystem: Player ${player.playerNumber} used ${move.name} (-${move.kiCost} Ki)`);
+    return true;
+  }
+
+  /**
+   * Updates beams and checks their hitboxes against the other players
+   * @param {number} time - Current time
+   * @param {number} delta - Delta time since last frame
+   */
+  updateBeams(time, delta) {
+    this.beams.forEach((beam) => {
+      beam.update(time, delta);
+
+      if (beam.canHit(time)) {
+        this.checkBeamHit(beam, time);
+      }
+
+      if (beam.shouldDestroy) {
+        beam.destroy();
+        this.beams.delete(beam);
+      }
+    });
+  }
+
+  /**
+   * Finds beam entity by its head sensor body
+   * @param {MatterJS.BodyType} body
+   * @returns {Beam|null}
+   */
+  findBeamByBody(body) {
+    for (const beam of this.beams) {
+      if (beam.body === body) {
+        return beam;
+      }
+    }
+    return null;
+  }
+
+  // ==================== BEAM CLASH ====================
+
+  /**
+   * Checks if two opposing beam heads met
+   * @param {MatterJS.BodyType} bodyA
+   * @param {MatterJS.BodyType} bodyB
+   */
+  checkBeamClash(bodyA, bodyB) {
+    if (!bodyA.label || !bodyA.label.startsWith('beam_')) return;
+    if (!bodyB.label || !bodyB.label.startsWith('beam_')) return;
+    if (this.beamClash) return;
+
+    const beamA = this.findBeamByBody(bodyA);
+    const beamB = this.findBeamByBody(bodyB);
+    if (!beamA || !beamB || beamA.ownerPlayerNumber === beamB.ownerPlayerNumber) return;
+
+    // Only beams fired at each other clash
+    if (beamA.phase !== 'FIRING' || beamB.phase !== 'FIRING') return;
+    if (beamA.direction === beamB.direction) return;
+
+    this.startBeamClash(beamA, beamB);
+  }
+
+  /**
+   * Checks whether a player's beam is locked in a clash
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  isInBeamClash(player) {
+    return !!this.beamClash && this.beamClash.beams.some((beam) => beam.ownerPlayerNumber === player.playerNumber);
+  }
+
+  /**
+   * Locks two beams together at the point between their heads
+   * @param {Beam} beamA
+   * @param {Beam} beamB
+   */
+  startBeamClash(beamA, beamB) {
+    const contactX = (beamA.getHeadX() + beamB.getHeadX()) / 2;
+    const y = (beamA.getOrigin().y + beamB.getOrigin().y) / 2;
+
+    this.beamClash = {
+      beams: [beamA, beamB],
+      contactX,
+      y,
+      startTime: this.scene.simTime,
+      mashCounts: new Map([[beamA.ownerPlayerNumber, 0], [beamB.ownerPlayerNumber, 0]]),
+    };
+
+    beamA.startClash(contactX);
+    beamB.startClash(contactX);
+
+    if (this.scene.inputSystem) {
+      this.scene.inputSystem.startMashDetection([beamA.ownerPlayerNumber, beamB.ownerPlayerNumber]);
+    }
+    if (this.scene.cameraSystem) {
+      this.scene.cameraSystem.setFocusPoint({ x: contactX, y });
+      this.scene.cameraSystem.shakeOnHeavyHit();
+    }
+
+    logInfo(`CombatSystem: Beam clash! ${beamA.move.name} vs ${beamB.move.name}`);
+  }
+
+  /**
+   * Moves the clash contact point from both players' mashing and decides the winner
+   * @param {number} time - Current time
+   */
+  updateBeamClash(time) {
+    const clash = this.beamClash;
+    if (!clash) return;
+
+    const [beamA, beamB] = clash.beams;
+
+    // A beam cut short (owner hit or KO'd) ends the clash with no winner
+    if (beamA.shouldDestroy || beamB.shouldDestroy) {
+      this.endBeamClash();
+      return;
+    }
+
+    // Each new press pushes the contact point along that player's beam direction
+    clash.beams.forEach((beam) => {
+      const presses = this.scene.inputSystem ? this.scene.inputSystem.getMashCount(beam.ownerPlayerNumber) : 0;
+      const newPresses = presses - clash.mashCounts.get(beam.ownerPlayerNumber);
+      clash.mashCounts.set(beam.ownerPlayerNumber, presses);
+      clash.contactX += beam.direction * BEAM_CLASH.pushPerMash * newPresses;
+    });
+
+    beamA.setClashPoint(clash.contactX);
+    beamB.setClashPoint(clash.contactX);
+
+    if (this.scene.cameraSystem) {
+      this.scene.cameraSystem.setFocusPoint({ x: clash.contactX, y: clash.y });
+    }
+
+    // Pushed back to the hands - overpowered
+    if (beamA.length <= BEAM_CLASH.loseDistance) {
+      this.resolveBeamClash(beamB, beamA);
+      return;
+    }
+    if (beamB.length <= BEAM_CLASH.loseDistance) {
+      this.resolveBeamClash(beamA, beamB);
+      return;
+    }
+
+    // Time out - the beam that has been pushed back further loses
+    if (time - clash.startTime >= BEAM_CLASH.maxDuration) {
+      const difference = beamA.length - beamB.length;
+      if (Math.abs(difference) <= BEAM_CLASH.drawMargin * 2) {
+        logInfo('CombatSystem: Beam clash cancelled out');
+        this.endBeamClash();
+      } else if (difference > 0) {
+        this.resolveBeamClash(beamA, beamB);
+      } else {
+        this.resolveBeamClash(beamB, beamA);
+      }
+    }
+  }
+
+  /**
+   * Ends a clash with a winner - the loser takes both beams' damage
+   * @param {Beam} winner - The beam that overpowered
+   * @param {Beam} loser - The beam that was overpowered
+   */
+  resolveBeamClash(winner, loser) {
+    const target = loser.owner;
+    const combinedDamage = winner.move.damage * winner.move.hits + loser.move.damage * loser.move.hits;
+
+    logInfo(`CombatSystem: Player ${winner.ownerPlayerNumber} wins the beam clash (${combinedDamage} damage)`);
+
+    this.endBeamClash();
+
+    if (target.getState() === PLAYER_STATES.DEAD) return;
+
+    // Clear hit invincibility - the clash hit always lands
+    target.isInvincible = false;
+    const damageDealt = target.takeDamage(combinedDamage);
+
+    target.gainKi(KI_SYSTEM.kiGainOnDamage);
+    winner.owner.onHitLanded();
+
+    this.scene.events.emit('hitLanded', {
+      attacker: winner.ownerPlayerNumber,
+      target: target.playerNumber,
+      damage: damageDealt,
+      source: 'beam',
+    });
+
+    // Knockback along the winning beam
+    const damageMultiplier = this.getKnockbackMultiplier(target);
+    const knockbackMagnitude = COMBAT_PHYSICS.knockbackForce * winner.move.knockbackMultiplier * damageMultiplier;
+    const dirX = winner.direction;
+    const dirY = -winner.move.launch;
+    const dirMag = Math.sqrt(dirX * dirX + dirY * dirY);
+
+    target.applyKnockback({
+      x: (dirX / dirMag) * knockbackMagnitude,
+      y: (dirY / dirMag) * knockbackMagnitude,
+    });
+
+    if (this.scene.cameraSystem) {
+      this.scene.cameraSystem.shakeOnKO();
+    }
+  }
+
+  /**
+   * Ends the clash - both beams dissipate, mashing and camera focus stop
+   */
+  endBeamClash() {
+    if (!this.beamClash) return;
+
+    this.beamClash.beams.forEach((beam) => {
+      if (!beam.shouldDestroy) {
+        beam.endClash();
+      }
+    });
+    this.beamClash = null;
+
+    if (this.scene.inputSystem) {
+      this.scene.inputSystem.stopMashDetection();
+    }
+    if (this.scene.cameraSystem) {
+      this.scene.cameraSystem.clearFocusPoint();
+    }
+  }
+
+  /**
+   * Checks a firing beam against the other players
+   * @param {Beam} beam
+   * @param {number} time - Current time
+   */
+  checkBeamHit(beam, time) {
+    this.players.forEach((target) => {
+      if (target.playerNumber === beam.ownerPlayerNumber) return;
+      if (target.isInvincible || target.getState() === PLAYER_STATES.DEAD) return;
+      if (!beam.canHit(time) || !beam.overlapsBounds(target.body.bounds)) return;
+
+      beam.registerHit(time, target.body.bounds);
+      this.applyBeamHit(beam, target);
+    });
+  }
+
+  /**
+   * Applies damage and knockback from a beam hit
+   * Knockback pushes along the beam with the move's launch angle
+   * @param {Beam} beam - The beam that hit
+   * @param {Player} target - The player that was hit
+   */
+  applyBeamHit(beam, target) {
+    const { move } = beam;
+
+    logDebug(`CombatSystem: Player ${target.playerNumber} hit by ${move.name}`);
+
+    // Apply damage
+    const damageDealt = target.takeDamage(move.damage);
+
+    // Ki gain: target from taking damage, attacker from landing the hit
+    target.gainKi(KI_SYSTEM.kiGainOnDamage);
+    beam.owner.onHitLanded();
+
+    // Notify listeners (match stats, training display)
+    this.scene.events.emit('hitLanded', {
+      attacker: beam.ownerPlayerNumber,
+      target: target.playerNumber,
+      damage: damageDealt,
+      source: 'beam',
+    });
+
+    // Knockback with the same damage scaling as projectiles
+    const damageMultiplier = this.getKnockbackMultiplier(target);
+    const knockbackMagnitude = COMBAT_PHYSICS.knockbackForce * move.knockbackMultiplier * damageMultiplier;
+
+    const dirX = beam.direction;
+    const dirY = -move.launch;
+    const dirMag = Math.sqrt(dirX * dirX + dirY * dirY);
+
+    target.applyKnockback({
+      x: (dirX / dirMag) * knockbackMagnitude,
+      y: (dirY / dirMag) * knockbackMagnitude,
+    });
+
+    audio.play('heavyImpact');
+
+    if (this.scene.cameraSystem) {
+      if (move.knockbackMultiplier >= 1.5) {
+        this.scene.cameraSystem.shakeOnHeavyHit();
+      } else {
+        this.scene.cameraSystem.shakeOnHit();
+      }
+    }
+  }
+
   /**
    * Updates combat system
    * @param {number} time - Current time
    * @param {number} delta - Delta time since last frame
    */
   update(time, delta) {
+    this.updateMelee(time);
+    this.updateBeams(time, delta);
+    this.updateBeamClash(time);
+
     // Update all projectiles
     this.projectiles.forEach((projectile) => {
       projectile.update(time, delta);
@@ -277,6 +961,76 @@ export default class CombatSystem {
     });
   }
 
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the combat state: live projectiles and beams (with their own
+   * state), the beam clash, cooldowns and melee strings
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    const clash = this.beamClash;
+
+    return {
+      projectiles: [...this.projectiles].map((projectile) => [projectile, projectile.saveState()]),
+      beams: [...this.beams].map((beam) => [beam, beam.saveState()]),
+      beamClash: clash && { ...clash, beams: [...clash.beams], mashCounts: new Map(clash.mashCounts) },
+      attackCooldowns: new Map(this.attackCooldowns),
+      meleeAttacks: new Map([...this.meleeAttacks].map(([playerNumber, attack]) => [playerNumber, { ...attack }])),
+    };
+  }
+
+  /**
+   * Puts back combat state copied by saveState()
+   * Projectiles and beams created since are destroyed, destroyed ones come back
+   * @param {Object} state
+   */
+  restoreState(state) {
+    const savedProjectiles = new Set(state.projectiles.map(([projectile]) => projectile));
+    this.projectiles.forEach((projectile) => {
+      if (!savedProjectiles.has(projectile)) projectile.destroy();
+    });
+    this.projectiles = new Set(savedProjectiles);
+    state.projectiles.forEach(([projectile, projectileState]) => projectile.restoreState(projectileState));
+
+    const savedBeams = new Set(state.beams.map(([beam]) => beam));
+    this.beams.forEach((beam) => {
+      if (!savedBeams.has(beam)) beam.destroy();
+    });
+    this.beams = new Set(savedBeams);
+    state.beams.forEach(([beam, beamState]) => beam.restoreState(beamState));
+
+    const clash = state.beamClash;
+    this.beamClash = clash && { ...clash, beams: [...clash.beams], mashCounts: new Map(clash.mashCounts) };
+    this.attackCooldowns = new Map(state.attackCooldowns);
+    this.meleeAttacks = new Map([...state.meleeAttacks].map(([playerNumber, attack]) => [playerNumber, { ...attack }]));
+    this.meleeGraphics.clear();
+  }
+
+  /**
+   * Removes all active projectiles, beams and melee attacks, and resets cooldowns
+   * Used between rounds so nothing carries over from the previous round
+   */
+  clearProjectiles() {
+    this.projectiles.forEach((projectile) => {
+      projectile.destroy();
+    });
+    this.projectiles.clear();
+
+    this.endBeamClash();
+    this.beams.forEach((beam) => {
+      beam.destroy();
+    });
+    this.beams.clear();
+
+    this.meleeAttacks.clear();
+    this.meleeGraphics.clear();
+
+    this.attackCooldowns.forEach((_, playerNumber) => {
+      this.attackCooldowns.set(playerNumber, 0);
+    });
+  }
+
   /**
    * Cleans up the combat system
    */
@@ -287,6 +1041,15 @@ export default class CombatSystem {
     });
     this.projectiles.clear();
 
+    this.beamClash = null;
+    this.beams.forEach((beam) => {
+      beam.destroy();
+    });
+    this.beams.clear();
+
+    this.meleeAttacks.clear();
+    this.meleeGraphics.destroy();
+
     this.players.clear();
     this.attackCooldowns.clear();
 
@@ -1,9 +1,28 @@
-import { getPlayerControls } from '../constants/controls.js';
+import { getPlayerControls, GAMEPAD_CONTROLS, INPUT_SNAPSHOT_BUTTONS } from '../constants/controls.js';
 import { logDebug } from '../utils/debug.js';
+import { gamepads } from '../utils/gamepad.js';
 
 /**
  * InputSystem - Centralized input handling
- * Manages keyboard input for all players with clean separation
+ * Manages keyboard and gamepad input for all players with clean separation
+ *
+ * Human players read their keys and, if one is assigned (see utils/gamepad.js),
+ * their gamepad - either can be used at any time. The pad's left stick is
+ * analog: getHorizontalInput / getVerticalInput return its deflection so
+ * walking and flight thrust scale with it.
+ *
+ * A player can be driven by a controller instead of the keyboard (training
+ * dummy, CPU, online play). Controllers only provide the raw button state;
+ * "just pressed" edges are derived here so every input source behaves
+ * identically.
+ *
+ * Mash detection (beam clashes): while active, attack presses from the
+ * listed players are counted so the clash can read how fast each one mashes.
+ *
+ * Replays: getSnapshot() copies a player's processed state for the frame,
+ * and applySnapshot() puts a recorded one back in place of live input.
+ * Online rollback saves and restores the whole input state with
+ * saveState() / restoreState().
  */
 export default class InputSystem {
   /**
@@ -13,31 +32,29 @@ export default class InputSystem {
     this.scene = scene;
     this.playerInputs = new Map();
     this.enabled = true;
+
+    // Attack press counts per player while mash detection is active (null = off)
+    this.mashCounts = null;
+
+    // Pick up connected pads and hot-plugging
+    gamepads.attach(scene);
   }
 
   /**
    * Registers input handling for a player
    * @param {number} playerNumber - 1 or 2
+   * @param {Object|null} controller - Optional input source with getInput() (replaces the keyboard)
    * @returns {Object} Input state object for the player
    */
-  registerPlayer(playerNumber) {
-    const controls = getPlayerControls(playerNumber);
-
-    // Create key objects
-    const keys = this.scene.input.keyboard.addKeys({
-      left: controls.left,
-      right: controls.right,
-      up: controls.up,
-      down: controls.down,
-      jump: controls.jump,
-      attack: controls.attack,
-      special: controls.special,
-    });
+  registerPlayer(playerNumber, controller = null) {
+    // Create key objects (controller-driven players don't claim any keys)
+    const keys = controller ? null : this.addPlayerKeys(playerNumber);
 
     // Input state object - updated every frame
     const inputState = {
       playerNumber,
       keys,
+      controller,
       // Current frame state
       left: false,
       right: false,
@@ -46,6 +63,10 @@ export default class InputSystem {
       jump: false,
       attack: false,
       special: false,
+      block: false,
+      // Analog movement (-1 to 1) - stick deflection, or the digital directions
+      axisX: 0,
+      axisY: 0,
       // Just pressed this frame (for one-shot actions)
       jumpPressed: false,
       attackPressed: false,
@@ -58,29 +79,48 @@ export default class InputSystem {
 
     this.playerInputs.set(playerNumber, inputState);
 
-    logDebug(`InputSystem: Registered Player ${playerNumber}`);
+    logDebug(`InputSystem: Registered Player ${playerNumber}${controller ? ' (controller)' : ''}`);
 
     return inputState;
   }
 
+  /**
+   * Creates key objects for a player's bindings
+   * @param {number} playerNumber - Whose bindings to use
+   * @returns {Object} Phaser key objects by action
+   */
+  addPlayerKeys(playerNumber) {
+    const controls = getPlayerControls(playerNumber);
+    return this.scene.input.keyboard.addKeys({
+      left: controls.left,
+      right: controls.right,
+      up: controls.up,
+      down: controls.down,
+      jump: controls.jump,
+      attack: controls.attack,
+      special: controls.special,
+      block: controls.block,
+    });
+  }
+
+  /**
+   * Removes key objects created by addPlayerKeys
+   * @param {Object} keys - Phaser key objects by action
+   */
+  removePlayerKeys(keys) {
+    Object.values(keys).forEach((key) => this.scene.input.keyboard.removeKey(key));
+  }
+
   /**
    * Unregisters a player's input
    * @param {number} playerNumber
    */
   unregisterPlayer(playerNumber) {
     const inputState = this.playerInputs.get(playerNumber);
-    if (inputState) {
-      // Remove key listeners
-      this.scene.input.keyboard.removeKey(inputState.keys.left);
-      this.scene.input.keyboard.removeKey(inputState.keys.right);
-      this.scene.input.keyboard.removeKey(inputState.keys.up);
-      this.scene.input.keyboard.removeKey(inputState.keys.down);
-      this.scene.input.keyboard.removeKey(inputState.keys.jump);
-      this.scene.input.keyboard.removeKey(inputState.keys.attack);
-      this.scene.input.keyboard.removeKey(inputState.keys.special);
-
-      this.playerInputs.delete(playerNumber);
+    if (inputState && inputState.keys) {
+      this.removePlayerKeys(inputState.keys);
     }
+    this.playerInputs.delete(playerNumber);
   }
 
   /**
@@ -100,26 +140,216 @@ export default class InputSystem {
    * @param {Object} inputState
    */
   updatePlayerInput(inputState) {
-    const { keys } = inputState;
-
     // Store previous frame state
     inputState.prevJump = inputState.jump;
     inputState.prevAttack = inputState.attack;
     inputState.prevSpecial = inputState.special;
 
-    // Update current state from keys
-    inputState.left = keys.left.isDown;
-    inputState.right = keys.right.isDown;
-    inputState.up = keys.up.isDown;
-    inputState.down = keys.down.isDown;
-    inputState.jump = keys.jump.isDown;
-    inputState.attack = keys.attack.isDown;
-    inputState.special = keys.special.isDown;
+    // Update current state from the controller, or the keys and pad
+    const raw = inputState.controller
+      ? inputState.controller.getInput()
+      : this.readHumanInput(inputState);
+
+    inputState.left = raw.left;
+    inputState.right = raw.right;
+    inputState.up = raw.up;
+    inputState.down = raw.down;
+    inputState.jump = raw.jump;
+    inputState.attack = raw.attack;
+    inputState.special = raw.special;
+    inputState.block = raw.block;
+    inputState.axisX = raw.axisX ?? (raw.right ? 1 : 0) - (raw.left ? 1 : 0);
+    inputState.axisY = raw.axisY ?? (raw.down ? 1 : 0) - (raw.up ? 1 : 0);
 
     // Calculate "just pressed" states
     inputState.jumpPressed = inputState.jump && !inputState.prevJump;
     inputState.attackPressed = inputState.attack && !inputState.prevAttack;
     inputState.specialPressed = inputState.special && !inputState.prevSpecial;
+
+    this.countMashPress(inputState);
+  }
+
+  /**
+   * Gets a copy of a player's input for this frame (buttons, presses and axes)
+   * @param {number} playerNumber
+   * @returns {Object|null} Snapshot, or null if the player isn't registered
+   */
+  getSnapshot(playerNumber) {
+    const inputState = this.getInput(playerNumber);
+    if (!inputState) return null;
+
+    const snapshot = { axisX: inputState.axisX, axisY: inputState.axisY };
+    INPUT_SNAPSHOT_BUTTONS.forEach((button) => {
+      snapshot[button] = inputState[button];
+    });
+    return snapshot;
+  }
+
+  /**
+   * Replaces a player's input for this frame with a recorded snapshot
+   * Used instead of update() during replay playback
+   * @param {number} playerNumber
+   * @param {Object} snapshot - Snapshot from getSnapshot()
+   */
+  applySnapshot(playerNumber, snapshot) {
+    const inputState = this.getInput(playerNumber);
+    if (!inputState) return;
+
+    inputState.prevJump = inputState.jump;
+    inputState.prevAttack = inputState.attack;
+    inputState.prevSpecial = inputState.special;
+
+    INPUT_SNAPSHOT_BUTTONS.forEach((button) => {
+      inputState[button] = snapshot[button];
+    });
+    inputState.axisX = snapshot.axisX;
+    inputState.axisY = snapshot.axisY;
+
+    this.countMashPress(inputState);
+  }
+
+  /**
+   * Copies every player's input state and the mash counts (online rollback)
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    const players = new Map();
+    this.playerInputs.forEach((inputState, playerNumber) => {
+      players.set(playerNumber, {
+        ...this.getSnapshot(playerNumber),
+        prevJump: inputState.prevJump,
+        prevAttack: inputState.prevAttack,
+        prevSpecial: inputState.prevSpecial,
+      });
+    });
+
+    return { players, mashCounts: this.mashCounts && new Map(this.mashCounts) };
+  }
+
+  /**
+   * Puts back input state copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    state.players.forEach((saved, playerNumber) => {
+      const inputState = this.getInput(playerNumber);
+      if (inputState) Object.assign(inputState, saved);
+    });
+    this.mashCounts = state.mashCounts && new Map(state.mashCounts);
+  }
+
+  /**
+   * Counts an attack press while mash detection is running
+   * @param {Object} inputState - Player input state
+   */
+  countMashPress(inputState) {
+    if (this.mashCounts && inputState.attackPressed && this.mashCounts.has(inputState.playerNumber)) {
+      this.mashCounts.set(inputState.playerNumber, this.mashCounts.get(inputState.playerNumber) + 1);
+    }
+  }
+
+  /**
+   * Starts counting attack presses for the given players
+   * @param {number[]} playerNumbers - Players to count presses for
+   */
+  startMashDetection(playerNumbers) {
+    this.mashCounts = new Map(playerNumbers.map((playerNumber) => [playerNumber, 0]));
+    logDebug(`InputSystem: Mash detection started for players ${playerNumbers.join(', ')}`);
+  }
+
+  /**
+   * Stops counting attack presses
+   */
+  stopMashDetection() {
+    this.mashCounts = null;
+  }
+
+  /**
+   * Gets the number of attack presses since mash detection started
+   * @param {number} playerNumber
+   * @returns {number}
+   */
+  getMashCount(playerNumber) {
+    return this.mashCounts ? this.mashCounts.get(playerNumber) || 0 : 0;
+  }
+
+  /**
+   * Reads a human player's keys merged with their gamepad (if any)
+   * Analog axes come from the stick unless the keyboard is steering
+   * @param {Object} inputState - Player input state (only keys and playerNumber are read)
+   * @returns {Object} Raw button state with axisX / axisY when a pad is assigned
+   */
+  readHumanInput(inputState) {
+    const keys = this.readKeys(inputState.keys);
+    const pad = gamepads.getPad(this.scene, inputState.playerNumber);
+    if (!pad) return keys;
+
+    const padState = this.readPad(pad);
+    const keyAxisX = (keys.right ? 1 : 0) - (keys.left ? 1 : 0);
+    const keyAxisY = (keys.down ? 1 : 0) - (keys.up ? 1 : 0);
+
+    return {
+      left: keys.left || padState.left,
+      right: keys.right || padState.right,
+      up: keys.up || padState.up,
+      down: keys.down || padState.down,
+      jump: keys.jump || padState.jump,
+      attack: keys.attack || padState.attack,
+      special: keys.special || padState.special,
+      block: keys.block || padState.block,
+      axisX: keyAxisX !== 0 ? keyAxisX : padState.axisX,
+      axisY: keyAxisY !== 0 ? keyAxisY : padState.axisY,
+    };
+  }
+
+  /**
+   * Reads raw button state from a gamepad
+   * The D-pad counts as a fully deflected stick
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   * @returns {Object} Raw button state with axisX / axisY
+   */
+  readPad(pad) {
+    const controls = GAMEPAD_CONTROLS;
+    const deadzone = (value) => (Math.abs(value) < controls.stickDeadzone ? 0 : value);
+
+    let axisX = deadzone(pad.leftStick.x);
+    let axisY = deadzone(pad.leftStick.y);
+    if (pad.isButtonDown(controls.dpadLeft)) axisX = -1;
+    if (pad.isButtonDown(controls.dpadRight)) axisX = 1;
+    if (pad.isButtonDown(controls.dpadUp)) axisY = -1;
+    if (pad.isButtonDown(controls.dpadDown)) axisY = 1;
+
+    const threshold = controls.stickDigitalThreshold;
+    return {
+      left: axisX <= -threshold,
+      right: axisX >= threshold,
+      up: axisY <= -threshold,
+      down: axisY >= threshold,
+      jump: pad.isButtonDown(controls.jump),
+      attack: pad.isButtonDown(controls.attack),
+      special: pad.isButtonDown(controls.special),
+      block: pad.isButtonDown(controls.block),
+      axisX,
+      axisY,
+    };
+  }
+
+  /**
+   * Reads raw button state from keyboard keys
+   * @param {Object} keys - Phaser key objects
+   * @returns {Object} Raw button state
+   */
+  readKeys(keys) {
+    return {
+      left: keys.left.isDown,
+      right: keys.right.isDown,
+      up: keys.up.isDown,
+      down: keys.down.isDown,
+      jump: keys.jump.isDown,
+      attack: keys.attack.isDown,
+      special: keys.special.isDown,
+      block: keys.block.isDown,
+    };
   }
 
   /**
@@ -133,32 +363,28 @@ export default class InputSystem {
 
   /**
    * Gets horizontal input as a value between -1 and 1
+   * Analog on a gamepad stick, -1 / 0 / 1 otherwise
    * @param {number} playerNumber
-   * @returns {number} -1 (left), 0 (none), or 1 (right)
+   * @returns {number} Negative = left, positive = right
    */
   getHorizontalInput(playerNumber) {
     const input = this.getInput(playerNumber);
     if (!input) return 0;
 
-    let horizontal = 0;
-    if (input.left) horizontal -= 1;
-    if (input.right) horizontal += 1;
-    return horizontal;
+    return input.axisX;
   }
 
   /**
    * Gets vertical input as a value between -1 and 1
+   * Analog on a gamepad stick, -1 / 0 / 1 otherwise
    * @param {number} playerNumber
-   * @returns {number} -1 (up), 0 (none), or 1 (down)
+   * @returns {number} Negative = up (screen coords), positive = down
    */
   getVerticalInput(playerNumber) {
     const input = this.getInput(playerNumber);
     if (!input) return 0;
 
-    let vertical = 0;
-    if (input.up) vertical -= 1; // Up is negative in screen coords
-    if (input.down) vertical += 1;
-    return vertical;
+    return input.axisY;
   }
 
   /**
@@ -0,0 +1,161 @@
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * MatchStatsSystem - Collects per-player statistics for the results screen
+ * Listens to gameplay events emitted on the scene event bus, so entities and
+ * systems don't need a direct reference to it:
+ * - 'projectileFired' (playerNumber)
+ * - 'hitLanded' ({ attacker, target, damage, source })
+ * - 'projectileClash' ({ players, winner })
+ * - 'playerTransformed' (playerNumber)
+ * - 'playerKO' (playerNumber, koType)
+ */
+export default class MatchStatsSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Per-player counters
+    this.playerStats = new Map([
+      [1, this.createEmptyStats()],
+      [2, this.createEmptyStats()],
+    ]);
+
+    // Match duration in ms (only advanced while the match is running)
+    this.duration = 0;
+
+    this.scene.events.on('projectileFired', this.onProjectileFired, this);
+    this.scene.events.on('hitLanded', this.onHitLanded, this);
+    this.scene.events.on('projectileClash', this.onProjectileClash, this);
+    this.scene.events.on('playerTransformed', this.onPlayerTransformed, this);
+    this.scene.events.on('playerKO', this.onPlayerKO, this);
+
+    logInfo('MatchStatsSystem: Initialized');
+  }
+
+  /**
+   * Creates a zeroed stats record
+   * @returns {Object}
+   */
+  createEmptyStats() {
+    return {
+      damageDealt: 0,
+      projectilesFired: 0,
+      projectilesLanded: 0,
+      projectilesStopped: 0, // Opponent blasts destroyed by this player's blasts
+      transformations: 0,
+      ringOuts: 0, // Opponents knocked out of the arena by this player
+    };
+  }
+
+  /**
+   * @param {number} playerNumber - Player who fired
+   */
+  onProjectileFired(playerNumber) {
+    const stats = this.playerStats.get(playerNumber);
+    if (stats) stats.projectilesFired++;
+  }
+
+  /**
+   * @param {Object} hit - Hit info { attacker, target, damage, source }
+   */
+  onHitLanded(hit) {
+    const stats = this.playerStats.get(hit.attacker);
+    if (!stats) return;
+
+    stats.damageDealt += hit.damage;
+    if (hit.source === 'projectile') {
+      stats.projectilesLanded++;
+    }
+  }
+
+  /**
+   * Credits each player whose blast destroyed the opponent's
+   * (both players on a cancel, only the winner otherwise)
+   * @param {Object} clash - Clash info { players, winner }
+   */
+  onProjectileClash(clash) {
+    clash.players.forEach((playerNumber) => {
+      if (clash.winner !== null && clash.winner !== playerNumber) return;
+      const stats = this.playerStats.get(playerNumber);
+      if (stats) stats.projectilesStopped++;
+    });
+  }
+
+  /**
+   * @param {number} playerNumber - Player who transformed
+   */
+  onPlayerTransformed(playerNumber) {
+    const stats = this.playerStats.get(playerNumber);
+    if (stats) stats.transformations++;
+  }
+
+  /**
+   * Credits a ring-out to the opponent of the player who left the arena
+   * @param {number} playerNumber - Player who was KO'd
+   * @param {string} koType - 'ko' or 'ringout'
+   */
+  onPlayerKO(playerNumber, koType) {
+    if (koType !== 'ringout') return;
+    const stats = this.playerStats.get(playerNumber === 1 ? 2 : 1);
+    if (stats) stats.ringOuts++;
+  }
+
+  /**
+   * Advances the match clock
+   * @param {number} delta - Delta time in ms
+   */
+  update(delta) {
+    this.duration += delta;
+  }
+
+  /**
+   * Gets a plain-data copy of the collected stats (safe to pass between scenes)
+   * @returns {Object} { duration, players: { 1: {...}, 2: {...} } }
+   */
+  getSummary() {
+    const players = {};
+    this.playerStats.forEach((stats, playerNumber) => {
+      players[playerNumber] = { ...stats };
+    });
+
+    return {
+      duration: this.duration,
+      players,
+    };
+  }
+
+  /**
+   * Copies the counters (online rollback)
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return this.getSummary();
+  }
+
+  /**
+   * Puts back counters copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    this.duration = state.duration;
+    Object.entries(state.players).forEach(([playerNumber, stats]) => {
+      this.playerStats.set(Number(playerNumber), { ...stats });
+    });
+  }
+
+  /**
+   * Cleans up event listeners
+   */
+  destroy() {
+    this.scene.events.off('projectileFired', this.onProjectileFired, this);
+    this.scene.events.off('hitLanded', this.onHitLanded, this);
+    this.scene.events.off('projectileClash', this.onProjectileClash, this);
+    this.scene.events.off('playerTransformed', this.onPlayerTransformed, this);
+    this.scene.events.off('playerKO', this.onPlayerKO, this);
+
+    logInfo('MatchStatsSystem: Destroyed');
+  }
+}
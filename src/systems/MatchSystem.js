@@ -0,0 +1,373 @@
+import { MATCH, TRAINING } from '../constants/gameBalance.js';
+import { WORLD } from '../constants/physics.js';
+import { StepTimers } from '../utils/timestep.js';
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * MatchSystem - The gameplay step and the flow of a match
+ * Runs one fixed step of the fight (physics, player actions, combat, the
+ * arena and the round timer) and the rules around it: round intros, KOs,
+ * stock respawns, time outs, and moving on to the next round or the end of
+ * the match. Its delays are StepTimers, so they count steps and roll back
+ * with everything else.
+ *
+ * Presentation stays with the scene, which listens on scene.events for:
+ * roundIntro, roundStarted, roundKO (playerNumber, isRingOut),
+ * koFreezeEnded, stockLost (playerNumber, isRingOut), roundTimeOut,
+ * roundDecided (winner, matchWinner), roundReset, matchEnded,
+ * trainingStarted, trainingKO (isRingOut) and trainingReset.
+ *
+ * Reads the players and the other systems from the scene, so it runs the
+ * same in GameScene and the headless match simulator.
+ */
+export default class MatchSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    // Input is ignored between rounds (intro, KO sequence, time out)
+    this.isRoundOver = true;
+    this.isMatchEnded = false;
+
+    // Round flow (intro, KO sequence, next round, respawns) counted in steps
+    this.timers = new StepTimers(this);
+
+    this.scene.events.on('playerKO', this.handlePlayerKO, this);
+
+    logInfo('MatchSystem: Initialized');
+  }
+
+  /**
+   * Runs one gameplay step: timers, physics, players, combat and the arena
+   * Everything here depends only on the step count and the players' input,
+   * which is what lets a replay repeat a match exactly
+   */
+  step() {
+    const { scene } = this;
+    const delta = WORLD.stepDelta;
+    scene.simTime += delta;
+    const time = scene.simTime;
+
+    this.timers.update();
+    if (this.isMatchEnded) return;
+
+    scene.physicsSystem.step();
+
+    scene.players.forEach((player) => {
+      if (player && player.body) {
+        if (!this.isRoundOver) {
+          scene.actionSystem.processInput(player, delta);
+        }
+        // Pass down key state to player for flight gravity control
+        const input = scene.inputSystem.getInput(player.playerNumber);
+        const isPressingDown = input && !this.isRoundOver ? input.down : false;
+        player.update(time, delta, isPressingDown);
+      }
+    });
+
+    scene.combatSystem.update(time, delta);
+
+    // Building damage and death zone
+    scene.arenaSystem.update();
+
+    // Update round timer (time out ends the round)
+    if (scene.roundSystem.update(delta)) {
+      this.handleTimeOut();
+    }
+
+    // Match time only counts while a round is being fought
+    if (!this.isRoundOver) {
+      scene.matchStats.update(delta);
+    }
+  }
+
+  // ==================== ROUNDS ====================
+
+  /**
+   * Plays the round intro, then starts the round
+   */
+  beginRoundIntro() {
+    this.isRoundOver = true;
+    this.scene.events.emit('roundIntro');
+
+    this.timers.add(1000, 'startRound');
+  }
+
+  /**
+   * Starts the round once the intro has played
+   */
+  startRound() {
+    this.scene.roundSystem.startRound();
+    this.isRoundOver = false;
+    this.scene.events.emit('roundStarted');
+  }
+
+  /**
+   * Stops a player's held actions (input is no longer read for them)
+   * @param {Player} player
+   */
+  freezePlayer(player) {
+    if (player.isCharging) {
+      player.stopCharging();
+    }
+    player.exitFlight();
+  }
+
+  /**
+   * Stops input for the rest of the round
+   */
+  freezePlayers() {
+    this.isRoundOver = true;
+    this.scene.players.forEach((player) => this.freezePlayer(player));
+  }
+
+  /**
+   * Handles a KO: costs a stock, or ends the round and plays the KO sequence
+   * @param {number} playerNumber - The player who was KO'd
+   * @param {string} [koType='ko'] - 'ko' (health ran out) or 'ringout' (left the arena)
+   */
+  handlePlayerKO(playerNumber, koType = 'ko') {
+    const isRingOut = koType === 'ringout';
+    const { roundSystem } = this.scene;
+
+    if (this.scene.trainingSystem) {
+      this.handleTrainingKO(isRingOut);
+      return;
+    }
+
+    // Only the first KO of a round counts
+    if (!roundSystem || !roundSystem.isRoundActive) return;
+
+    // Stock matches: a KO only costs a life until the last one is gone
+    if (roundSystem.isStockMatch() && roundSystem.loseStock(playerNumber) > 0) {
+      this.handleStockLost(playerNumber, isRingOut);
+      return;
+    }
+
+    const winner = playerNumber === 1 ? 2 : 1;
+    const matchWinner = roundSystem.endRound(winner, isRingOut ? 'ringout' : 'ko');
+
+    logInfo(`MatchSystem: Player ${winner} wins round ${roundSystem.currentRound}`);
+
+    this.freezePlayers();
+    if (isRingOut) {
+      this.pinRingOutBody(this.scene.players[playerNumber - 1]);
+    }
+
+    // Brief freeze frame for the impact, then the knockback plays out
+    this.scene.matter.world.pause();
+    this.timers.add(150, 'endKOFreeze', playerNumber, isRingOut);
+    this.timers.add(1200, 'decideRound', winner, matchWinner);
+
+    this.scene.events.emit('roundKO', playerNumber, isRingOut);
+  }
+
+  /**
+   * Ends the KO freeze frame: physics resumes and the loser takes a final
+   * knockback
+   * @param {number} loserNumber - The player who was KO'd
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  endKOFreeze(loserNumber, isRingOut) {
+    this.scene.matter.world.resume();
+    this.scene.events.emit('koFreezeEnded');
+
+    // Applied as a raw force so the loser stays in the DEAD state
+    // (a rung-out loser is pinned off stage)
+    const loser = this.scene.players[loserNumber - 1];
+    if (loser && loser.body && !isRingOut) {
+      const knockbackDir = loser.playerNumber === 1 ? -1 : 1;
+      this.scene.physicsSystem.applyForce(loser.body, {
+        x: knockbackDir * 0.025,
+        y: -0.02,
+      });
+    }
+  }
+
+  /**
+   * Handles a KO that costs a stock but doesn't end the match
+   * The fight carries on; the KO'd player respawns after MATCH.respawnDelay
+   * @param {number} playerNumber - The player who was KO'd
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  handleStockLost(playerNumber, isRingOut) {
+    const player = this.scene.players[playerNumber - 1];
+
+    this.freezePlayer(player);
+    if (isRingOut) {
+      this.pinRingOutBody(player);
+    }
+
+    this.timers.add(MATCH.respawnDelay, 'respawnPlayer', playerNumber);
+
+    this.scene.events.emit('stockLost', playerNumber, isRingOut);
+  }
+
+  /**
+   * Freezes a rung-out player's body where it left the arena, so the camera
+   * doesn't chase it off stage (Player.reset unpins it)
+   * @param {Player} player - The player who rang out
+   */
+  pinRingOutBody(player) {
+    if (player && player.body) {
+      this.scene.matter.body.setStatic(player.body, true);
+    }
+  }
+
+  /**
+   * Brings a player back for their next stock, with brief invincibility
+   * @param {number} playerNumber - The player to respawn
+   */
+  respawnPlayer(playerNumber) {
+    // The match may have ended (time out) while they were waiting
+    if (!this.scene.roundSystem.isRoundActive) return;
+
+    const player = this.scene.players[playerNumber - 1];
+    const spawn = this.scene.arenaSystem.getSafeSpawnPoint(player);
+    player.respawn(spawn.x, spawn.y, MATCH.respawnInvincibility);
+  }
+
+  /**
+   * Handles the round timer running out
+   * The player with the higher remaining health percentage wins the round
+   */
+  handleTimeOut() {
+    const { roundSystem } = this.scene;
+    const winner = roundSystem.resolveTimeOut(this.scene.players);
+    const matchWinner = roundSystem.endRound(winner, 'timeout');
+
+    this.freezePlayers();
+    this.timers.add(1200, 'decideRound', winner, matchWinner);
+
+    this.scene.events.emit('roundTimeOut');
+  }
+
+  /**
+   * Settles a finished round: the match ends, or the next round follows
+   * @param {number|null} winner - Round winner (null = draw)
+   * @param {number|null} matchWinner - Match winner if the match is decided
+   */
+  decideRound(winner, matchWinner) {
+    this.scene.events.emit('roundDecided', winner, matchWinner);
+
+    if (matchWinner !== null) {
+      logInfo(`MatchSystem: Player ${matchWinner} wins the match!`);
+      this.timers.add(2800, 'endMatch');
+      return;
+    }
+
+    this.timers.add(MATCH.respawnDelay, 'nextRound');
+  }
+
+  /**
+   * Resets the fighters and plays the next round's intro
+   */
+  nextRound() {
+    this.resetRound();
+    this.beginRoundIntro();
+  }
+
+  /**
+   * Puts both players back at their spawn points for a new round
+   */
+  resetRound() {
+    this.scene.combatSystem.clearProjectiles();
+
+    this.scene.players.forEach((player) => {
+      const spawn = this.scene.arena.spawnPoints[`player${player.playerNumber}`];
+      player.reset(spawn.x, spawn.y);
+    });
+
+    this.scene.events.emit('roundReset');
+  }
+
+  /**
+   * Ends the match (the scene moves on to the results)
+   */
+  endMatch() {
+    this.isMatchEnded = true;
+    this.scene.events.emit('matchEnded');
+  }
+
+  /**
+   * Awards the match to the other player when one leaves
+   * Whatever round flow was pending (intro, KO sequence, next round) is dropped
+   * @param {number} playerNumber - The player who left
+   */
+  forfeit(playerNumber) {
+    this.timers.clear();
+    this.freezePlayers();
+    this.scene.roundSystem.forfeit(playerNumber);
+  }
+
+  // ==================== TRAINING ====================
+
+  /**
+   * Starts training mode - a single untimed round with no intro
+   */
+  startTraining() {
+    this.scene.roundSystem.startRound();
+    this.isRoundOver = false;
+    this.scene.events.emit('trainingStarted');
+  }
+
+  /**
+   * Handles a KO in training - nothing is scored, positions reset shortly after
+   * @param {boolean} isRingOut - Whether the KO was a ring-out
+   */
+  handleTrainingKO(isRingOut) {
+    if (this.isRoundOver) return;
+
+    this.freezePlayers();
+    this.timers.add(TRAINING.koResetDelay, 'resetTrainingPositions');
+
+    this.scene.events.emit('trainingKO', isRingOut);
+  }
+
+  /**
+   * Puts both fighters back at their spawn points
+   * A reset by hand (R) also cancels the one a KO had scheduled
+   */
+  resetTrainingPositions() {
+    this.timers.cancel('resetTrainingPositions');
+    this.scene.combatSystem.clearProjectiles();
+    this.scene.trainingSystem.resetPositions(this.scene.arena.spawnPoints);
+    this.isRoundOver = false;
+
+    this.scene.events.emit('trainingReset');
+  }
+
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the round flow for online rollback
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      isRoundOver: this.isRoundOver,
+      timers: this.timers.saveState(),
+    };
+  }
+
+  /**
+   * Puts back round flow copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    this.isRoundOver = state.isRoundOver;
+    this.timers.restoreState(state.timers);
+  }
+
+  /**
+   * Cleans up
+   */
+  destroy() {
+    this.timers.clear();
+    this.scene.events.off('playerKO', this.handlePlayerKO, this);
+
+    logInfo('MatchSystem: Destroyed');
+  }
+}
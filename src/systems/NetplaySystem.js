@@ -0,0 +1,465 @@
+import NetplayController from '../controllers/NetplayController.js';
+import MashController from '../controllers/MashController.js';
+import { NETPLAY } from '../constants/network.js';
+import { WORLD } from '../constants/physics.js';
+import { INPUT_RAW_BUTTONS } from '../constants/controls.js';
+import { packInput, unpackInput } from '../utils/inputPacking.js';
+import { settings } from '../utils/settings.js';
+import { logInfo, logWarn, logDebug } from '../utils/debug.js';
+
+/**
+ * Checks whether two packed inputs are the same
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {boolean}
+ */
+function sameInput(a, b) {
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2];
+}
+
+/**
+ * Hashes a string (32-bit FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+/**
+ * Sums up a saved match state for comparing with the opponent's
+ * The players and the random sequence drift apart quickly on any desync
+ * @param {Object} state - State from GameScene.saveState()
+ * @returns {number}
+ */
+function checksumState(state) {
+  return hashString(JSON.stringify([state.simTime, state.random, state.players]));
+}
+
+/**
+ * NetplaySystem - Input exchange for an online match (rollback)
+ *
+ * Both browsers run the same deterministic simulation. Each step, the local
+ * player's input is read, sent to the opponent and scheduled inputDelay
+ * steps ahead (the Online Input Delay setting). The opponent's input for a
+ * step often hasn't arrived when the step is due, so the step runs on a
+ * prediction - whatever they held last. When their real input arrives and
+ * differs, GameScene rolls back: it restores the state saved at the start
+ * of that step (GameScene.saveState) and simulates forward again. The match
+ * only waits once it is NETPLAY.maxRollbackFrames steps past the opponent's
+ * last known input.
+ *
+ * Every input message carries all inputs the opponent hasn't acknowledged,
+ * so a lost message is covered by the next one. The side that runs ahead of
+ * the other now and then skips a step so neither has to roll back further
+ * than it needs to. Every NETPLAY.checksumInterval steps both sides compare
+ * a checksum of the confirmed state, and a mismatch is reported as a desync.
+ *
+ * The host is player 1 and the guest player 2 in the simulation. Each side
+ * plays with its own player 1 keys (or a MashController in the test
+ * harness), and both players reach InputSystem through NetplayControllers.
+ *
+ * Messages (through the relay): input { start, inputs, ack, frame },
+ * checksum { frame, value }, ping { sentAt }, pong { sentAt }.
+ */
+export default class NetplaySystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene (scene.inputSystem must be set)
+   * @param {RelayConnection} connection - Open connection, paired with the opponent
+   * @param {number} localPlayer - Player number this browser controls (1 host, 2 guest)
+   * @param {Object} options - Optional { bot } - random input instead of the keys (test harness)
+   */
+  constructor(scene, connection, localPlayer, options = {}) {
+    this.scene = scene;
+    this.connection = connection;
+    this.localPlayer = localPlayer;
+    this.remotePlayer = localPlayer === 1 ? 2 : 1;
+    this.inputDelay = settings.get('onlineInputDelay');
+
+    // Packed inputs by step. The first inputDelay local steps have no input
+    // read for them, so they're neutral (and sent like any other)
+    this.neutralInput = packInput({ axisX: 0, axisY: 0 }, INPUT_RAW_BUTTONS);
+    this.localInputs = new Map();
+    for (let frame = 0; frame < this.inputDelay; frame++) {
+      this.localInputs.set(frame, this.neutralInput);
+    }
+    this.remoteInputs = new Map();
+
+    this.frame = 0; // Next step to simulate
+    this.localFrame = this.inputDelay; // Next step the local input is read for
+    this.remoteFrame = 0; // First step whose remote input hasn't arrived (all before it have)
+    this.remoteAck = -1; // Last local step the opponent confirmed receiving
+    this.remoteReportedFrame = 0; // Step the opponent was on when it last sent input
+    this.lastYieldFrame = 0;
+    this.hasSentThisFrame = false;
+
+    // Rollback state
+    this.predictions = new Map(); // Step -> remote input guessed for it
+    this.snapshots = new Map(); // Step -> match state at its start
+    this.rollbackFrame = null; // Earliest step found to be mispredicted
+    this.rollbackCount = 0;
+    this.lastRollbackLength = 0; // Steps simulated again by the last rollback
+
+    // Desync detection
+    this.localChecksums = new Map();
+    this.remoteChecksums = new Map();
+    this.desyncFrame = null; // First step the checksums disagreed on
+
+    this.stepInputs = new Map([
+      [1, unpackInput(this.neutralInput, INPUT_RAW_BUTTONS)],
+      [2, unpackInput(this.neutralInput, INPUT_RAW_BUTTONS)],
+    ]);
+
+    // The local player's keys, read with player 1's bindings on both sides
+    this.localKeys = scene.inputSystem.addPlayerKeys(1);
+    this.bot = options.bot ? new MashController() : null;
+
+    // Connection state
+    this.isConnected = connection.isOpen();
+    this.waitingSince = null; // Wall-clock time the current stall began
+    this.ping = null; // Round trip in ms (null until measured)
+    this.lastPingSentAt = 0;
+
+    this.connection.on('input', this.onRemoteInput, this);
+    this.connection.on('checksum', this.onRemoteChecksum, this);
+    this.connection.on('ping', this.onPing, this);
+    this.connection.on('pong', this.onPong, this);
+    this.connection.on('peerLeft', this.onDisconnect, this);
+    this.connection.on('disconnected', this.onDisconnect, this);
+    this.connection.releaseHeldMessages();
+
+    logInfo(`NetplaySystem: Initialized (player ${localPlayer}, ${this.inputDelay} step input delay${this.bot ? ', bot input' : ''})`);
+  }
+
+  /**
+   * Creates the controller that feeds a player's exchanged input to InputSystem
+   * @param {number} playerNumber
+   * @returns {NetplayController}
+   */
+  createController(playerNumber) {
+    return new NetplayController(this, playerNumber);
+  }
+
+  /**
+   * Gets a player's input for the step being simulated
+   * @param {number} playerNumber
+   * @returns {Object} Raw button state with axisX / axisY
+   */
+  getStepInput(playerNumber) {
+    return this.stepInputs.get(playerNumber);
+  }
+
+  // ==================== INPUT EXCHANGE ====================
+
+  /**
+   * Reads the local player's input for the step inputDelay steps ahead and
+   * sends it to the opponent - once per step, however long that step waits
+   */
+  sendLocalInput() {
+    if (this.localFrame > this.frame + this.inputDelay) return;
+
+    const raw = this.bot
+      ? this.bot.getInput()
+      : this.scene.inputSystem.readHumanInput({ keys: this.localKeys, playerNumber: 1 });
+    const input = packInput({
+      ...raw,
+      axisX: raw.axisX ?? (raw.right ? 1 : 0) - (raw.left ? 1 : 0),
+      axisY: raw.axisY ?? (raw.down ? 1 : 0) - (raw.up ? 1 : 0),
+    }, INPUT_RAW_BUTTONS);
+
+    this.localInputs.set(this.localFrame, input);
+    this.localFrame++;
+    this.sendInputs();
+  }
+
+  /**
+   * Sends every local input the opponent hasn't acknowledged yet
+   */
+  sendInputs() {
+    const start = Math.max(this.remoteAck + 1, this.localFrame - NETPLAY.maxInputsPerMessage);
+    const inputs = [];
+    for (let frame = start; frame < this.localFrame; frame++) {
+      inputs.push(this.localInputs.get(frame));
+    }
+
+    this.connection.send({ type: 'input', start, inputs, ack: this.remoteFrame - 1, frame: this.frame });
+    this.hasSentThisFrame = true;
+  }
+
+  /**
+   * Stores the opponent's inputs and checks them against the predictions
+   * the match already ran on
+   * @param {Object} message - { start, inputs, ack, frame }
+   */
+  onRemoteInput(message) {
+    if (!Number.isInteger(message.start) || !Array.isArray(message.inputs)) return;
+
+    message.inputs.forEach((input, index) => {
+      const frame = message.start + index;
+      if (frame >= this.remoteFrame && Array.isArray(input)) {
+        this.remoteInputs.set(frame, input);
+      }
+    });
+    if (Number.isInteger(message.ack)) {
+      this.remoteAck = Math.max(this.remoteAck, message.ack);
+    }
+    if (Number.isInteger(message.frame)) {
+      this.remoteReportedFrame = Math.max(this.remoteReportedFrame, message.frame);
+    }
+
+    // Confirm the inputs that now run unbroken from the last confirmed step
+    while (this.remoteInputs.has(this.remoteFrame)) {
+      const input = this.remoteInputs.get(this.remoteFrame);
+      const predicted = this.predictions.get(this.remoteFrame);
+
+      if (predicted && !sameInput(predicted, input) && this.rollbackFrame === null) {
+        this.rollbackFrame = this.remoteFrame;
+      }
+
+      this.predictions.delete(this.remoteFrame);
+      this.remoteFrame++;
+    }
+  }
+
+  /**
+   * Gets the remote input to simulate a step with: the real one if it has
+   * arrived, otherwise a prediction (the last one they sent, still held)
+   * @param {number} frame
+   * @returns {number[]} Packed input
+   */
+  getRemoteInput(frame) {
+    const input = this.remoteInputs.get(frame);
+    if (input) return input;
+
+    // Once the opponent has left, they're standing still
+    if (!this.isConnected) return this.neutralInput;
+
+    const predicted = this.remoteInputs.get(this.remoteFrame - 1) || this.neutralInput;
+    this.predictions.set(frame, predicted);
+    return predicted;
+  }
+
+  /**
+   * Moves on to the next step, saving the match state at its start
+   * The match waits while it's too far past the opponent's last known input
+   * @returns {boolean} Whether the step can be simulated
+   */
+  advanceFrame() {
+    const local = this.localInputs.get(this.frame);
+    const tooFarAhead = this.isConnected && this.frame - this.remoteFrame >= NETPLAY.maxRollbackFrames;
+
+    if (!local || tooFarAhead) {
+      this.waitingSince ??= performance.now();
+      return false;
+    }
+
+    // Steps the opponent's input isn't in for yet may be rolled back to;
+    // checksum steps are kept until they can be compared
+    if (this.isConnected && (this.frame >= this.remoteFrame || this.frame % NETPLAY.checksumInterval === 0)) {
+      this.snapshots.set(this.frame, this.scene.saveState());
+    }
+
+    this.stepInputs.set(this.localPlayer, unpackInput(local, INPUT_RAW_BUTTONS));
+    this.stepInputs.set(this.remotePlayer, unpackInput(this.getRemoteInput(this.frame), INPUT_RAW_BUTTONS));
+
+    this.frame++;
+    this.waitingSince = null;
+    return true;
+  }
+
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Takes the step the match must roll back to, if a prediction was wrong
+   * @returns {number|null}
+   */
+  takeRollbackFrame() {
+    const frame = this.rollbackFrame;
+    this.rollbackFrame = null;
+
+    if (frame === null || frame >= this.frame) return null;
+
+    if (!this.snapshots.has(frame)) {
+      logWarn(`NetplaySystem: No saved state for step ${frame} - can't roll back`);
+      return null;
+    }
+    return frame;
+  }
+
+  /**
+   * Rewinds the step counter for a rollback
+   * @param {number} frame - Step to go back to
+   * @returns {Object} Match state saved at the start of that step
+   */
+  rewindTo(frame) {
+    this.rollbackCount++;
+    this.lastRollbackLength = this.frame - frame;
+    logDebug(`NetplaySystem: Rolling back ${this.lastRollbackLength} steps to step ${frame}`);
+
+    this.frame = frame;
+    return this.snapshots.get(frame);
+  }
+
+  /**
+   * Checks whether to skip a step to let the opponent catch up
+   * (compares this side's step with the opponent's, as of its last message
+   * plus half a round trip)
+   * @returns {boolean}
+   */
+  shouldYieldStep() {
+    if (!this.isConnected || this.ping === null) return false;
+    if (this.frame - this.lastYieldFrame < NETPLAY.frameSyncInterval) return false;
+
+    const remoteFrameNow = this.remoteReportedFrame + this.ping / 2 / WORLD.stepDelta;
+    if (this.frame - remoteFrameNow <= NETPLAY.maxFrameAdvantage) return false;
+
+    this.lastYieldFrame = this.frame;
+    return true;
+  }
+
+  /**
+   * Checks whether the match has been held up on the opponent long enough
+   * to tell the player
+   * @returns {boolean}
+   */
+  isWaiting() {
+    return this.waitingSince !== null && performance.now() - this.waitingSince >= NETPLAY.waitNoticeDelay;
+  }
+
+  // ==================== DESYNC DETECTION ====================
+
+  /**
+   * Sends checksums for checksum steps whose state is now confirmed (every
+   * input before them arrived), then drops state no rollback can reach
+   */
+  checkConfirmedState() {
+    // A step past a pending rollback still holds mispredicted state
+    const confirmedUpTo = Math.min(this.remoteFrame, this.rollbackFrame ?? Infinity);
+    this.snapshots.forEach((state, frame) => {
+      if (frame % NETPLAY.checksumInterval !== 0 || frame > confirmedUpTo || this.localChecksums.has(frame)) return;
+
+      const value = checksumState(state);
+      this.localChecksums.set(frame, value);
+      this.connection.send({ type: 'checksum', frame, value });
+      this.compareChecksums(frame);
+    });
+
+    // Rollbacks only ever go back to the first step without remote input
+    const oldestNeeded = Math.min(this.remoteFrame, this.frame, this.rollbackFrame ?? Infinity);
+    this.snapshots.forEach((_, frame) => {
+      if (frame < oldestNeeded) this.snapshots.delete(frame);
+    });
+    this.remoteInputs.forEach((_, frame) => {
+      if (frame < oldestNeeded - 1) this.remoteInputs.delete(frame);
+    });
+    this.localInputs.forEach((_, frame) => {
+      if (frame < Math.min(oldestNeeded, this.remoteAck + 1)) this.localInputs.delete(frame);
+    });
+  }
+
+  /**
+   * Stores the opponent's checksum for a step
+   * @param {Object} message - { frame, value }
+   */
+  onRemoteChecksum(message) {
+    if (!Number.isInteger(message.frame)) return;
+    this.remoteChecksums.set(message.frame, message.value);
+    this.compareChecksums(message.frame);
+  }
+
+  /**
+   * Compares both sides' checksums for a step once both are in
+   * @param {number} frame
+   */
+  compareChecksums(frame) {
+    if (!this.localChecksums.has(frame) || !this.remoteChecksums.has(frame)) return;
+
+    if (this.localChecksums.get(frame) !== this.remoteChecksums.get(frame) && this.desyncFrame === null) {
+      this.desyncFrame = frame;
+      logWarn(`NetplaySystem: Desync - the match states differ at step ${frame}`);
+    }
+    this.localChecksums.delete(frame);
+    this.remoteChecksums.delete(frame);
+  }
+
+  // ==================== CONNECTION ====================
+
+  /**
+   * Resends unacknowledged input if nothing went out this frame, checks
+   * confirmed state and sends a ping when one is due (call once per render frame)
+   */
+  update() {
+    if (!this.isConnected) return;
+
+    if (!this.hasSentThisFrame && this.localFrame > this.remoteAck + 1) {
+      this.sendInputs();
+    }
+    this.hasSentThisFrame = false;
+
+    this.checkConfirmedState();
+
+    const now = performance.now();
+    if (now - this.lastPingSentAt >= NETPLAY.pingInterval) {
+      this.lastPingSentAt = now;
+      this.connection.send({ type: 'ping', sentAt: now });
+    }
+  }
+
+  /**
+   * Answers the opponent's ping
+   * @param {Object} message - { sentAt }
+   */
+  onPing(message) {
+    this.connection.send({ type: 'pong', sentAt: message.sentAt });
+  }
+
+  /**
+   * Measures the round trip from a returned ping
+   * @param {Object} message - { sentAt }
+   */
+  onPong(message) {
+    this.ping = Math.round(performance.now() - message.sentAt);
+  }
+
+  /**
+   * Handles the opponent leaving or the relay connection dropping
+   * What has been simulated stands: nothing is rolled back from here on,
+   * and the opponent's input is neutral
+   */
+  onDisconnect() {
+    if (!this.isConnected) return;
+    this.isConnected = false;
+
+    this.rollbackFrame = null;
+    this.snapshots.clear();
+    this.predictions.clear();
+
+    logWarn('NetplaySystem: Opponent disconnected');
+    this.scene.events.emit('opponentDisconnected');
+  }
+
+  /**
+   * Stops listening, releases the keys and closes the connection
+   */
+  destroy() {
+    this.connection.off('input', this.onRemoteInput, this);
+    this.connection.off('checksum', this.onRemoteChecksum, this);
+    this.connection.off('ping', this.onPing, this);
+    this.connection.off('pong', this.onPong, this);
+    this.connection.off('peerLeft', this.onDisconnect, this);
+    this.connection.off('disconnected', this.onDisconnect, this);
+    this.connection.close();
+
+    this.scene.inputSystem?.removePlayerKeys(this.localKeys);
+    this.localInputs.clear();
+    this.remoteInputs.clear();
+    this.snapshots.clear();
+
+    logInfo('NetplaySystem: Destroyed');
+  }
+}
@@ -1,19 +1,25 @@
 import { WORLD, GROUND, PLAYER_BODY } from '../constants/physics.js';
-import { ARENA } from '../constants/gameBalance.js';
 import { logInfo, logDebug } from '../utils/debug.js';
+import { saveWorld, restoreWorld } from '../utils/matterSnapshot.js';
 
 /**
  * PhysicsSystem - Centralized physics management
  * Handles Matter.js world configuration, collision categories, and physics utilities
+ *
+ * Ground detection is contact-based: every collision pair between a player
+ * and a static body is checked, and the body counts as ground when the
+ * contact normal points up (within GROUND.maxSlopeAngle). That covers the
+ * floor, solid blocks, ramps and one-way platforms alike.
+ *
+ * One-way platforms turn their collision pairs into sensors while a player is
+ * below them, rising, or dropping through, so they only catch players falling
+ * onto them from above.
  */
 export default class PhysicsSystem {
   /**
    * @param {Phaser.Scene} scene - The scene with Matter physics
    */
   constructor(scene) {
-    console.log('PhysicsSystem constructor - scene:', scene);
-    console.log('PhysicsSystem constructor - scene.matter:', scene.matter);
-
     this.scene = scene;
     this.matter = scene.matter;
 
@@ -28,42 +34,99 @@ export default class PhysicsSystem {
       projectile: 0x0002,
       ground: 0x0004,
       sensor: 0x0008,
+      platform: 0x0010, // One-way platforms (players only - projectiles fly through)
     };
 
     // Track bodies for cleanup
     this.bodies = new Set();
 
+    // Ground contact tracking
+    this.playerBodies = new Set();
+    this.platformBodies = new Set(); // One-way platforms
+    this.groundContacts = new Map(); // Player body -> Set of static bodies holding it up
+    this.lastGroundedAt = new Map(); // Player body -> time it last had ground contact
+    this.dropThroughUntil = new Map(); // Player body -> time it stops ignoring platforms
+
     logInfo('PhysicsSystem: Initialized');
-    console.log('PhysicsSystem: Constructor complete');
   }
 
   /**
    * Sets up the physics world with proper settings
    */
   setupWorld() {
-    console.log('PhysicsSystem.setupWorld() starting...');
-    console.log('  this.matter.world:', this.matter.world);
-
     // Configure gravity
     this.matter.world.setGravity(WORLD.gravity.x, WORLD.gravity.y);
-    console.log('  Gravity set');
+
+    // GameScene steps the world itself, once per fixed gameplay step
+    this.matter.world.autoUpdate = false;
 
     // Set world bounds
     this.createWorldBounds();
-    console.log('  World bounds created');
+
+    // Track ground contacts and one-way platform pass-through
+    this.matter.world.on('collisionstart', this.onContactUpdate, this);
+    this.matter.world.on('collisionactive', this.onContactUpdate, this);
+    this.matter.world.on('collisionend', this.onContactEnd, this);
 
     logDebug('PhysicsSystem: World configured');
-    console.log('PhysicsSystem.setupWorld() complete');
+  }
+
+  /**
+   * Advances the physics world by one fixed gameplay step
+   * Called by GameScene instead of Phaser's own world update, so the world
+   * moves the same way however often the display refreshes
+   */
+  step() {
+    if (!this.matter.world.enabled) return; // Paused (KO freeze frame)
+
+    this.matter.world.step(WORLD.stepDelta);
+  }
+
+  // ==================== ROLLBACK ====================
+
+  /**
+   * Copies the physics world for online rollback
+   * Matter's side goes through utils/matterSnapshot.js; this adds the ground
+   * contacts and platform timers tracked here.
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      world: saveWorld(this.matter.world),
+      groundContacts: new Map([...this.groundContacts].map(([body, contacts]) => [body, new Set(contacts)])),
+      lastGroundedAt: new Map(this.lastGroundedAt),
+      dropThroughUntil: new Map(this.dropThroughUntil),
+    };
+  }
+
+  /**
+   * Puts the physics world back as saveState() copied it
+   * Bodies removed since (projectiles, beam heads) go back into the world,
+   * bodies added since are dropped
+   * @param {Object} state
+   */
+  restoreState(state) {
+    restoreWorld(this.matter.world, state.world);
+
+    this.groundContacts = new Map([...state.groundContacts].map(([body, contacts]) => [body, new Set(contacts)]));
+    this.lastGroundedAt = new Map(state.lastGroundedAt);
+    this.dropThroughUntil = new Map(state.dropThroughUntil);
   }
 
   /**
    * Creates world boundary walls for the expanded arena
    * Walls are positioned so players can reach x=0 to x=arenaWidth
+   * Arenas without walls (ring-out arenas) get none
    */
   createWorldBounds() {
+    if (!this.scene.arena.walls) {
+      logDebug('PhysicsSystem: Arena has no walls');
+      return;
+    }
+
     // Use arena dimensions instead of camera viewport
-    const arenaWidth = ARENA.width;
-    const arenaHeight = ARENA.height;
+    const arenaWidth = this.scene.arena.width;
+    const arenaHeight = this.scene.arena.height;
     const wallThickness = 60;
 
     // Calculate player body half-width to position walls correctly
@@ -111,17 +174,14 @@ export default class PhysicsSystem {
   }
 
   /**
-   * Creates the ground platform spanning the full arena width
-   * @returns {MatterJS.BodyType} The ground body
+   * Creates the arena's terrain: ground segments, solid blocks, ramps and
+   * one-way platforms, all as static bodies
+   * @returns {MatterJS.BodyType[]} The terrain bodies
    */
-  createGround() {
-    // Use arena dimensions for ground
-    const arenaWidth = ARENA.width;
-    const groundHeight = ARENA.groundHeight;
-    const groundY = ARENA.groundY + groundHeight / 2;
+  createTerrain() {
+    const { ground, solids, slopes, platforms } = this.scene.arena;
 
-    const ground = this.matter.add.rectangle(arenaWidth / 2, groundY, arenaWidth, groundHeight, {
-      isStatic: true,
+    const solidOptions = {
       friction: GROUND.friction,
       frictionStatic: GROUND.frictionStatic,
       restitution: GROUND.restitution,
@@ -130,16 +190,63 @@ export default class PhysicsSystem {
         category: this.categories.ground,
         mask: this.categories.player | this.categories.projectile,
       },
+    };
+
+    // Ground segments and solid blocks (x/y is the top-left corner)
+    const blocks = [...ground, ...solids].map((block) =>
+      this.createStaticBody(
+        block.x + block.width / 2,
+        block.y + block.height / 2,
+        block.width,
+        block.height,
+        solidOptions
+      )
+    );
+
+    // Ramps: a slab rotated to match the surface, its top face on the surface line
+    const ramps = slopes.map((slope) => {
+      const rise = slope.rightY - slope.leftY;
+      const length = Math.sqrt(slope.width * slope.width + rise * rise);
+      const angle = Math.atan2(rise, slope.width);
+      const thickness = GROUND.slopeThickness;
+
+      // Push the center half a thickness below the surface, along the surface normal
+      const centerX = slope.x + slope.width / 2 - Math.sin(angle) * thickness / 2;
+      const centerY = (slope.leftY + slope.rightY) / 2 + Math.cos(angle) * thickness / 2;
+
+      return this.createStaticBody(centerX, centerY, length, thickness, {
+        ...solidOptions,
+        angle,
+      });
+    });
+
+    // One-way platforms (x/y is the left end of the top surface)
+    const oneWays = platforms.map((platform) => {
+      const thickness = GROUND.platformThickness;
+      const body = this.createStaticBody(
+        platform.x + platform.width / 2,
+        platform.y + thickness / 2,
+        platform.width,
+        thickness,
+        {
+          ...solidOptions,
+          label: 'platform',
+          collisionFilter: {
+            category: this.categories.platform,
+            mask: this.categories.player,
+          },
+        }
+      );
+      this.platformBodies.add(body);
+      return body;
     });
 
     // Note: Visual representation is now handled by GameScene.createArenaBackground()
     // for better control over depth and camera-relative positioning
 
-    this.bodies.add(ground);
+    logDebug(`PhysicsSystem: Terrain created (${blocks.length} blocks, ${ramps.length} slopes, ${oneWays.length} platforms)`);
 
-    logDebug('PhysicsSystem: Ground created');
-
-    return ground;
+    return [...blocks, ...ramps, ...oneWays];
   }
 
   /**
@@ -188,12 +295,14 @@ export default class PhysicsSystem {
         sleepThreshold: Infinity,
         collisionFilter: {
           category: this.categories.player,
-          mask: this.categories.ground | this.categories.projectile | this.categories.player,
+          mask: this.categories.ground | this.categories.projectile | this.categories.player | this.categories.platform,
         },
       }
     );
 
     this.bodies.add(body);
+    this.playerBodies.add(body);
+    this.groundContacts.set(body, new Set());
     return body;
   }
 
@@ -260,27 +369,120 @@ export default class PhysicsSystem {
 
   /**
    * Checks if a body is on the ground
-   * Uses velocity check combined with position check for simplicity
+   * True while it touches anything that holds it up (see onContactUpdate), and
+   * for a short grace period after, so walking down a slope doesn't flicker
+   * into the air. Never true while moving upward (jumping, launched).
    * @param {MatterJS.BodyType} body - The body to check
    * @returns {boolean}
    */
   isOnGround(body) {
-    if (!body || !body.bounds) return false;
+    if (!body || !this.groundContacts.has(body)) return false;
 
-    // Use arena ground position
-    const groundY = ARENA.groundY;
+    const notMovingUp = body.velocity.y >= -1;
+    if (!notMovingUp) return false;
 
-    // Check if player's bottom is near the ground level
-    // Add small tolerance for physics jitter
-    const playerBottom = body.bounds.max.y;
-    const tolerance = 10;
+    const now = this.scene.simTime;
+    if (this.groundContacts.get(body).size > 0) {
+      this.lastGroundedAt.set(body, now);
+      return true;
+    }
 
-    // Player is grounded if their bottom is at or near ground level
-    // and they're not moving significantly upward
-    const nearGround = playerBottom >= groundY - tolerance;
-    const notMovingUp = body.velocity.y >= -1;
+    const lastGroundedAt = this.lastGroundedAt.get(body);
+    return lastGroundedAt !== undefined && now - lastGroundedAt <= GROUND.contactGrace;
+  }
+
+  /**
+   * Drops a player through the one-way platform they're standing on
+   * Only works when every supporting body is a platform (not on solid ground)
+   * @param {MatterJS.BodyType} body - Player body
+   * @returns {boolean} Whether the player dropped
+   */
+  dropThrough(body) {
+    const contacts = this.groundContacts.get(body);
+    if (!contacts || contacts.size === 0) return false;
+    if ([...contacts].some((contact) => !this.platformBodies.has(contact))) return false;
+
+    this.dropThroughUntil.set(body, this.scene.simTime + GROUND.dropThroughTime);
+    contacts.clear();
+    this.lastGroundedAt.delete(body);
+    this.setVelocityY(body, Math.max(body.velocity.y, 2));
+
+    logDebug(`PhysicsSystem: ${body.label} dropped through a platform`);
+    return true;
+  }
+
+  /**
+   * Finds the player and static body in a collision pair
+   * @param {Object} pair - Matter collision pair
+   * @returns {{player: MatterJS.BodyType, other: MatterJS.BodyType, normalY: number}|null}
+   *   normalY is the contact normal's y pointing from the other body toward the player
+   */
+  getPlayerContact(pair) {
+    const { parentA, parentB, normal } = pair.collision;
+
+    if (this.playerBodies.has(parentA) && parentB.isStatic) {
+      // Matter's normal points from bodyB toward bodyA
+      return { player: parentA, other: parentB, normalY: normal.y };
+    }
+    if (this.playerBodies.has(parentB) && parentA.isStatic) {
+      return { player: parentB, other: parentA, normalY: -normal.y };
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a player should land on a one-way platform
+   * (falling, and its feet were above the platform's top last step)
+   * @param {MatterJS.BodyType} player - Player body
+   * @param {MatterJS.BodyType} platform - Platform body
+   * @returns {boolean}
+   */
+  isAbovePlatform(player, platform) {
+    const dropThroughUntil = this.dropThroughUntil.get(player);
+    if (dropThroughUntil !== undefined && this.scene.simTime < dropThroughUntil) return false;
+
+    const previousBottom = player.bounds.max.y - player.velocity.y;
+    return player.velocity.y >= 0 && previousBottom <= platform.bounds.min.y + GROUND.platformTolerance;
+  }
+
+  /**
+   * Updates ground contacts (and one-way pass-through) for started and ongoing collisions
+   * @param {Object} event - Matter collision event
+   */
+  onContactUpdate(event) {
+    const minNormalY = Math.cos(GROUND.maxSlopeAngle * Math.PI / 180);
+
+    event.pairs.forEach((pair) => {
+      const contact = this.getPlayerContact(pair);
+      if (!contact) return;
 
-    return nearGround && notMovingUp;
+      const { player, other, normalY } = contact;
+      const contacts = this.groundContacts.get(player);
+
+      // One-way platforms are only solid for players landing from above
+      if (this.platformBodies.has(other)) {
+        pair.isSensor = !this.isAbovePlatform(player, other);
+      }
+
+      if (!pair.isSensor && normalY <= -minNormalY) {
+        contacts.add(other);
+      } else {
+        contacts.delete(other);
+      }
+    });
+  }
+
+  /**
+   * Removes ground contacts for collisions that ended
+   * @param {Object} event - Matter collision event
+   */
+  onContactEnd(event) {
+    event.pairs.forEach((pair) => {
+      const contact = this.getPlayerContact(pair);
+      if (contact) {
+        this.groundContacts.get(contact.player).delete(contact.other);
+      }
+    });
   }
 
   /**
@@ -300,6 +502,10 @@ export default class PhysicsSystem {
     if (body && this.bodies.has(body)) {
       this.matter.world.remove(body);
       this.bodies.delete(body);
+      this.playerBodies.delete(body);
+      this.groundContacts.delete(body);
+      this.lastGroundedAt.delete(body);
+      this.dropThroughUntil.delete(body);
     }
   }
 
@@ -312,6 +518,15 @@ export default class PhysicsSystem {
     });
     this.bodies.clear();
 
+    this.matter.world.off('collisionstart', this.onContactUpdate, this);
+    this.matter.world.off('collisionactive', this.onContactUpdate, this);
+    this.matter.world.off('collisionend', this.onContactEnd, this);
+    this.playerBodies.clear();
+    this.platformBodies.clear();
+    this.groundContacts.clear();
+    this.lastGroundedAt.clear();
+    this.dropThroughUntil.clear();
+
     logInfo('PhysicsSystem: Destroyed');
   }
 }
@@ -0,0 +1,163 @@
+import { REPLAY } from '../constants/gameBalance.js';
+import { INPUT_SNAPSHOT_BUTTONS } from '../constants/controls.js';
+import { REPLAY_FORMAT, REPLAY_VERSION } from '../utils/replayFile.js';
+import { packInput, unpackInput } from '../utils/inputPacking.js';
+import { logInfo, logDebug } from '../utils/debug.js';
+
+/**
+ * ReplaySystem - Records a match and plays it back
+ *
+ * A match is decided by its setup (characters, arena, rules, RNG seed) and,
+ * step by step, each player's input snapshot. That's all a recording keeps:
+ * gameplay runs in fixed steps, so the timing is implied by the frame index.
+ * Playback hands the frames back one at a time and GameScene runs each
+ * through the same simulation step the live match used.
+ *
+ * Frames are stored compactly as
+ * [p1Buttons, p1AxisX, p1AxisY, p2Buttons, p2AxisX, p2AxisY]
+ * with the buttons packed as bits in INPUT_SNAPSHOT_BUTTONS order.
+ *
+ * Playback speed scales the time fed to GameScene's step accumulator: at
+ * 0.25x a step runs every fourth 60 Hz render, at 4x four run each render.
+ */
+export default class ReplaySystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Object|null} replay - Replay to play back, or null to record the match
+   */
+  constructor(scene, replay = null) {
+    this.scene = scene;
+    this.replay = replay;
+
+    // Recorded frames (the replay's own when playing back)
+    this.frames = replay ? replay.frames : [];
+
+    // Playback state
+    this.frameIndex = 0;
+    this.speed = REPLAY.defaultSpeed;
+    this.isPaused = false;
+    this.pendingSteps = 0; // Single frames requested while paused
+
+    logInfo(`ReplaySystem: Initialized (${replay ? `playing ${this.frames.length} frames` : 'recording'})`);
+  }
+
+  // ==================== RECORDING ====================
+
+  /**
+   * Records one gameplay step
+   * @param {Object[]} snapshots - Input snapshot per player, player 1 first
+   */
+  recordFrame(snapshots) {
+    this.frames.push(snapshots.flatMap((snapshot) => packInput(snapshot, INPUT_SNAPSHOT_BUTTONS)));
+  }
+
+  /**
+   * Drops the frames recorded after the first frameCount
+   * Online rollback rewinds the match and records those steps again
+   * @param {number} frameCount - Frames to keep
+   */
+  rewind(frameCount) {
+    this.frames.length = Math.min(this.frames.length, frameCount);
+  }
+
+  /**
+   * Packages the recorded frames with the match setup
+   * @param {Object} setup - { seed, mode, player1Character, player2Character, arena, rules }
+   * @returns {Object} Replay (plain JSON data)
+   */
+  createReplay(setup) {
+    return {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: setup.seed,
+      mode: setup.mode,
+      player1Character: setup.player1Character.id,
+      player2Character: setup.player2Character.id,
+      arena: setup.arena.id,
+      rules: { ...setup.rules },
+      frames: this.frames,
+    };
+  }
+
+  // ==================== PLAYBACK ====================
+
+  /**
+   * Takes the single frames stepped while paused
+   * @returns {number}
+   */
+  takePendingSteps() {
+    const steps = this.pendingSteps;
+    this.pendingSteps = 0;
+    return steps;
+  }
+
+  /**
+   * Takes the next recorded frame
+   * @returns {Object[]|null} Input snapshot per player, or null at the end
+   */
+  nextFrame() {
+    const frame = this.frames[this.frameIndex];
+    if (!frame) return null;
+
+    this.frameIndex++;
+
+    return [
+      unpackInput(frame.slice(0, 3), INPUT_SNAPSHOT_BUTTONS),
+      unpackInput(frame.slice(3, 6), INPUT_SNAPSHOT_BUTTONS),
+    ];
+  }
+
+  /**
+   * Checks whether every recorded frame has been played
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.frameIndex >= this.frames.length;
+  }
+
+  /**
+   * Pauses or resumes playback
+   */
+  togglePause() {
+    this.isPaused = !this.isPaused;
+    this.pendingSteps = 0;
+    logDebug(`ReplaySystem: ${this.isPaused ? 'Paused' : 'Resumed'} at frame ${this.frameIndex}`);
+  }
+
+  /**
+   * Advances a single frame (while paused)
+   */
+  stepFrame() {
+    if (this.isPaused) {
+      this.pendingSteps++;
+    }
+  }
+
+  /**
+   * Moves to the next slower or faster playback speed
+   * @param {number} direction - -1 slower, 1 faster
+   */
+  changeSpeed(direction) {
+    const speeds = REPLAY.speeds;
+    const index = Math.max(0, Math.min(speeds.length - 1, speeds.indexOf(this.speed) + direction));
+    this.speed = speeds[index];
+    logDebug(`ReplaySystem: Speed ${this.speed}x`);
+  }
+
+  /**
+   * Gets playback progress for the HUD
+   * @returns {{frame: number, total: number}}
+   */
+  getProgress() {
+    return { frame: this.frameIndex, total: this.frames.length };
+  }
+
+  /**
+   * Releases the recorded frames
+   */
+  destroy() {
+    this.frames = [];
+    logInfo('ReplaySystem: Destroyed');
+  }
+}
@@ -0,0 +1,242 @@
+import { MATCH } from '../constants/gameBalance.js';
+import { logInfo, logDebug } from '../utils/debug.js';
+
+/**
+ * RoundSystem - Best-of-N round management
+ * Tracks the round timer, round wins, and decides when the match is over
+ *
+ * Stock matches (options.stocks > 0) are a single round: each KO costs the
+ * KO'd player a stock, and the round (and match) ends when one runs out.
+ *
+ * The system only owns match bookkeeping. Presentation (announcements,
+ * HUD pips, KO sequence) stays in GameScene so the rules can be reused
+ * by other scenes or modes without dragging UI code along.
+ */
+export default class RoundSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   * @param {Object} options - Optional overrides { roundTime, roundsToWin, stocks }
+   */
+  constructor(scene, options = {}) {
+    this.scene = scene;
+
+    // Match rules (fall back to balance constants)
+    this.roundTime = options.roundTime ?? MATCH.roundTime; // Seconds (0 = infinite)
+    this.stocks = options.stocks ?? 0; // Lives per player (0 = round-based match)
+    this.roundsToWin = this.stocks > 0 ? 1 : options.roundsToWin ?? MATCH.roundsToWin;
+
+    // Round state
+    this.currentRound = 0;
+    this.timeRemaining = this.roundTime * 1000; // Milliseconds
+    this.isRoundActive = false;
+
+    // Round wins per player number
+    this.roundWins = new Map([[1, 0], [2, 0]]);
+
+    // History of finished rounds { round, winner, reason }
+    this.roundHistory = [];
+
+    // Stocks left per player number (stock matches only)
+    this.stocksLeft = new Map([[1, this.stocks], [2, this.stocks]]);
+
+    // Set once a player reaches roundsToWin
+    this.matchWinner = null;
+
+    const format = this.isStockMatch() ? `${this.stocks} stocks` : `best of ${this.roundsToWin * 2 - 1}`;
+    logInfo(`RoundSystem: Initialized (${format}, ${this.roundTime || '∞'}s rounds)`);
+  }
+
+  /**
+   * Starts the next round and resets the timer
+   * @returns {number} The new round number
+   */
+  startRound() {
+    this.currentRound++;
+    this.timeRemaining = this.roundTime * 1000;
+    this.isRoundActive = true;
+
+    logInfo(`RoundSystem: Round ${this.currentRound} started`);
+    return this.currentRound;
+  }
+
+  /**
+   * Checks whether this is a stock match
+   * @returns {boolean}
+   */
+  isStockMatch() {
+    return this.stocks > 0;
+  }
+
+  /**
+   * Takes a stock from a KO'd player
+   * The caller ends the round when this returns 0
+   * @param {number} playerNumber - Player who was KO'd
+   * @returns {number} Stocks the player has left
+   */
+  loseStock(playerNumber) {
+    const left = Math.max(0, this.getStocksLeft(playerNumber) - 1);
+    this.stocksLeft.set(playerNumber, left);
+
+    logInfo(`RoundSystem: Player ${playerNumber} lost a stock (${left} left)`);
+    return left;
+  }
+
+  /**
+   * Gets the number of stocks a player has left
+   * @param {number} playerNumber
+   * @returns {number}
+   */
+  getStocksLeft(playerNumber) {
+    return this.stocksLeft.get(playerNumber) || 0;
+  }
+
+  /**
+   * Checks whether the round timer is enabled
+   * @returns {boolean}
+   */
+  hasTimer() {
+    return this.roundTime > 0;
+  }
+
+  /**
+   * Advances the round timer
+   * @param {number} delta - Delta time in ms
+   * @returns {boolean} True on the frame the timer runs out
+   */
+  update(delta) {
+    if (!this.isRoundActive || !this.hasTimer()) return false;
+
+    this.timeRemaining = Math.max(0, this.timeRemaining - delta);
+    return this.timeRemaining <= 0;
+  }
+
+  /**
+   * Gets the remaining round time in whole seconds (for the HUD)
+   * @returns {number}
+   */
+  getSecondsRemaining() {
+    return Math.ceil(this.timeRemaining / 1000);
+  }
+
+  /**
+   * Determines the winner of a timed-out round by remaining health percentage
+   * (after stocks left, in a stock match)
+   * Percentages are used so high-health characters are not favored
+   * @param {Player[]} players - Both players
+   * @returns {number|null} Winning player number, or null on a draw
+   */
+  resolveTimeOut(players) {
+    const [p1, p2] = players;
+
+    const p1Stocks = this.getStocksLeft(1);
+    const p2Stocks = this.getStocksLeft(2);
+    if (p1Stocks !== p2Stocks) {
+      return p1Stocks > p2Stocks ? 1 : 2;
+    }
+
+    const p1Percent = p1.health / p1.getStats().maxHealth;
+    const p2Percent = p2.health / p2.getStats().maxHealth;
+
+    logDebug(`RoundSystem: Time out - P1 ${(p1Percent * 100).toFixed(1)}% vs P2 ${(p2Percent * 100).toFixed(1)}%`);
+
+    if (Math.abs(p1Percent - p2Percent) < 0.001) {
+      return null;
+    }
+    return p1Percent > p2Percent ? 1 : 2;
+  }
+
+  /**
+   * Ends the current round and awards it to the winner
+   * A draw (winner = null) awards no round win
+   * @param {number|null} winner - Winning player number or null for a draw
+   * @param {string} reason - Why the round ended ('ko', 'ringout', 'timeout'; 'forfeit' comes from forfeit())
+   * @returns {number|null} Match winner if the match is now decided
+   */
+  endRound(winner, reason) {
+    if (!this.isRoundActive) return this.matchWinner;
+    this.isRoundActive = false;
+
+    if (winner !== null) {
+      this.roundWins.set(winner, this.roundWins.get(winner) + 1);
+
+      if (this.roundWins.get(winner) >= this.roundsToWin) {
+        this.matchWinner = winner;
+      }
+    }
+
+    this.roundHistory.push({ round: this.currentRound, winner, reason });
+
+    logInfo(`RoundSystem: Round ${this.currentRound} → ${winner ? `Player ${winner}` : 'Draw'} (${reason}) [${this.roundWins.get(1)}-${this.roundWins.get(2)}]`);
+
+    return this.matchWinner;
+  }
+
+  /**
+   * Ends the match at once in the other player's favor (opponent left online)
+   * @param {number} playerNumber - Player who forfeits
+   * @returns {number} Match winner
+   */
+  forfeit(playerNumber) {
+    const winner = playerNumber === 1 ? 2 : 1;
+    this.isRoundActive = false;
+    this.matchWinner = winner;
+    this.roundHistory.push({ round: this.currentRound, winner, reason: 'forfeit' });
+
+    logInfo(`RoundSystem: Player ${playerNumber} forfeits → Player ${winner} wins`);
+    return winner;
+  }
+
+  /**
+   * Gets the number of rounds a player has won
+   * @param {number} playerNumber
+   * @returns {number}
+   */
+  getRoundWins(playerNumber) {
+    return this.roundWins.get(playerNumber) || 0;
+  }
+
+  /**
+   * Checks whether a player has won the match
+   * @returns {boolean}
+   */
+  isMatchOver() {
+    return this.matchWinner !== null;
+  }
+
+  /**
+   * Copies the round state (online rollback)
+   * @returns {Object} State for restoreState()
+   */
+  saveState() {
+    return {
+      currentRound: this.currentRound,
+      timeRemaining: this.timeRemaining,
+      isRoundActive: this.isRoundActive,
+      roundWins: new Map(this.roundWins),
+      roundHistory: [...this.roundHistory],
+      stocksLeft: new Map(this.stocksLeft),
+      matchWinner: this.matchWinner,
+    };
+  }
+
+  /**
+   * Puts back round state copied by saveState()
+   * @param {Object} state
+   */
+  restoreState(state) {
+    Object.assign(this, state, {
+      roundWins: new Map(state.roundWins),
+      roundHistory: [...state.roundHistory],
+      stocksLeft: new Map(state.stocksLeft),
+    });
+  }
+
+  /**
+   * Cleans up the round system
+   */
+  destroy() {
+    this.isRoundActive = false;
+    this.roundHistory = [];
+    logInfo('RoundSystem: Destroyed');
+  }
+}
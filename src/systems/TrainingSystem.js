@@ -0,0 +1,279 @@
+import { PLAYER_STATES, KI_SYSTEM, TRAINING, MELEE } from '../constants/gameBalance.js';
+import { COMBAT_PHYSICS } from '../constants/physics.js';
+import DummyController from '../controllers/DummyController.js';
+import { logInfo } from '../utils/debug.js';
+
+/**
+ * TrainingSystem - Practice toggles, dummy behavior and hit readouts
+ *
+ * Player 1 trains against a dummy (player 2) driven by a DummyController.
+ * Toggles:
+ * - Infinite health: both fighters are refilled once a combo ends
+ * - Infinite stamina: player 1 never runs out (the dummy always has infinite stamina)
+ * - Max Ki: player 1's Ki gauge stays full
+ * - Instant Ki reset: any Ki player 1 spends is given straight back
+ *
+ * Damage, combo and frame data are read from 'hitLanded' events.
+ */
+export default class TrainingSystem {
+  /**
+   * @param {Phaser.Scene} scene - The game scene
+   */
+  constructor(scene) {
+    this.scene = scene;
+
+    this.player = null;
+    this.dummy = null;
+    this.dummyController = null;
+
+    // Practice toggles
+    this.toggles = {
+      infiniteHealth: true,
+      infiniteStamina: false,
+      maxKi: false,
+      instantKiReset: false,
+    };
+
+    // Ki level to restore when instant Ki reset is on
+    this.savedKi = 0;
+
+    // Hit readouts
+    this.lastHit = null; // { damage, source, frameData }
+    this.combo = { hits: 0, damage: 0, target: null, active: false };
+
+    this.scene.events.on('hitLanded', this.onHitLanded, this);
+
+    logInfo('TrainingSystem: Initialized');
+  }
+
+  /**
+   * Sets the training player and dummy, and creates the dummy controller
+   * @param {Player} player - Player 1 (human)
+   * @param {Player} dummy - Player 2 (dummy)
+   * @param {Object} dummySpawn - Dummy spawn point { x, y }
+   * @returns {DummyController} Controller to register with the InputSystem
+   */
+  setPlayers(player, dummy, dummySpawn) {
+    this.player = player;
+    this.dummy = dummy;
+    this.dummyController = new DummyController(dummy, dummySpawn.y);
+    this.savedKi = player.ki;
+    return this.dummyController;
+  }
+
+  /**
+   * Gets the current dummy mode
+   * @returns {string}
+   */
+  getDummyMode() {
+    return this.dummyController ? this.dummyController.mode : TRAINING.dummyModes[0];
+  }
+
+  /**
+   * Switches the dummy to the next behavior
+   * @returns {string} The new dummy mode
+   */
+  cycleDummyMode() {
+    const modes = TRAINING.dummyModes;
+    const next = modes[(modes.indexOf(this.getDummyMode()) + 1) % modes.length];
+
+    this.dummyController.setMode(next);
+    logInfo(`TrainingSystem: Dummy mode → ${next}`);
+    return next;
+  }
+
+  /**
+   * Flips a practice toggle
+   * @param {string} name - Key of this.toggles
+   * @returns {boolean} The new value
+   */
+  toggle(name) {
+    this.toggles[name] = !this.toggles[name];
+
+    // Start instant Ki reset from the current gauge level
+    if (name === 'instantKiReset' && this.player) {
+      this.savedKi = this.player.ki;
+    }
+
+    logInfo(`TrainingSystem: ${name} ${this.toggles[name] ? 'ON' : 'OFF'}`);
+    return this.toggles[name];
+  }
+
+  /**
+   * Records a landed hit for the damage, combo and frame data readouts
+   * A hit on a target that is still in hitstun extends the current combo
+   * @param {Object} hit - Hit info { attacker, target, damage, source, meleeHit }
+   */
+  onHitLanded(hit) {
+    const attacker = this.getPlayer(hit.attacker);
+    const target = this.getPlayer(hit.target);
+    if (!attacker || !target) return;
+
+    const continuesCombo =
+      this.combo.active &&
+      this.combo.target === hit.target &&
+      target.getState() === PLAYER_STATES.STUNNED;
+
+    if (!continuesCombo) {
+      this.combo = { hits: 0, damage: 0, target: hit.target, active: true };
+    }
+    this.combo.hits++;
+    this.combo.damage += hit.damage;
+
+    this.lastHit = {
+      damage: hit.damage,
+      source: hit.source,
+      frameData: this.getFrameData(attacker, hit),
+    };
+  }
+
+  /**
+   * Calculates frame data for the attacker's last hit (60fps frames)
+   * Advantage = target hitstun minus the attacker's remaining active and recovery frames
+   * @param {Player} attacker
+   * @param {Object} hit - Hit info from the 'hitLanded' event
+   * @returns {Object} { startup, active, recovery, hitstun, advantage } (active is null for projectiles)
+   */
+  getFrameData(attacker, hit) {
+    const toFrames = (ms) => Math.round(ms / TRAINING.frameDuration);
+    const hitstun = toFrames(COMBAT_PHYSICS.hitstunDuration);
+
+    if (hit.source === 'melee') {
+      const move = MELEE.hits[hit.meleeHit];
+      const startup = toFrames(move.startup);
+      const active = toFrames(move.active);
+      const recovery = toFrames(move.recovery);
+      return { startup, active, recovery, hitstun, advantage: hitstun - (active + recovery) };
+    }
+
+    if (hit.source === 'beam') {
+      const move = attacker.getCharacter().signatureMove;
+      const startup = toFrames(move.chargeTime);
+      const active = toFrames(move.duration);
+      const recovery = toFrames(move.recovery);
+      return { startup, active, recovery, hitstun, advantage: hitstun - (active + recovery) };
+    }
+
+    const startup = 1; // Projectiles spawn on the frame the button is pressed
+    const recovery = toFrames(attacker.getStats().attackCooldown);
+
+    return { startup, active: null, recovery, hitstun, advantage: hitstun - recovery };
+  }
+
+  /**
+   * Gets a player entity by number
+   * @param {number} playerNumber
+   * @returns {Player|null}
+   */
+  getPlayer(playerNumber) {
+    if (this.player && this.player.playerNumber === playerNumber) return this.player;
+    if (this.dummy && this.dummy.playerNumber === playerNumber) return this.dummy;
+    return null;
+  }
+
+  /**
+   * Applies the practice toggles
+   * Should be called once per frame after players update
+   */
+  update() {
+    if (!this.player || !this.dummy) return;
+
+    // A combo ends once the target recovers from hitstun
+    if (this.combo.active) {
+      const target = this.getPlayer(this.combo.target);
+      if (!target || target.getState() !== PLAYER_STATES.STUNNED) {
+        this.combo.active = false;
+      }
+    }
+
+    if (this.toggles.infiniteHealth && !this.combo.active) {
+      [this.player, this.dummy].forEach((fighter) => {
+        if (fighter.getState() !== PLAYER_STATES.DEAD) {
+          fighter.health = fighter.getStats().maxHealth;
+        }
+      });
+    }
+
+    // Dummy always has stamina so FLY mode never drops out of the air
+    this.dummy.stamina = this.dummy.getStats().maxStamina;
+
+    if (this.toggles.infiniteStamina) {
+      this.player.stamina = this.player.getStats().maxStamina;
+    }
+
+    if (this.toggles.maxKi) {
+      this.player.ki = KI_SYSTEM.maxKi;
+      this.player.updateTransformationState();
+    } else if (this.toggles.instantKiReset) {
+      if (this.player.ki < this.savedKi) {
+        this.player.ki = this.savedKi;
+        this.player.updateTransformationState();
+      }
+      this.savedKi = this.player.ki;
+    }
+  }
+
+  /**
+   * Resets both fighters to their spawn points and clears the readouts
+   * @param {Object} spawnPoints - { player1: { x, y }, player2: { x, y } }
+   */
+  resetPositions(spawnPoints) {
+    this.player.reset(spawnPoints.player1.x, spawnPoints.player1.y);
+    this.dummy.reset(spawnPoints.player2.x, spawnPoints.player2.y);
+
+    this.savedKi = this.player.ki;
+    this.lastHit = null;
+    this.combo = { hits: 0, damage: 0, target: null, active: false };
+
+    logInfo('TrainingSystem: Positions reset');
+  }
+
+  /**
+   * Builds the training readout for the debug overlay
+   * @returns {string[]} Lines of text
+   */
+  getDisplayLines() {
+    const onOff = (value) => (value ? 'ON' : 'OFF');
+    const lines = [
+      'TRAINING  [R] Reset',
+      `[1] Dummy: ${this.getDummyMode()}`,
+      `[2] Infinite Health: ${onOff(this.toggles.infiniteHealth)}`,
+      `[3] Infinite Stamina: ${onOff(this.toggles.infiniteStamina)}`,
+      `[4] Max Ki: ${onOff(this.toggles.maxKi)}`,
+      `[5] Instant Ki Reset: ${onOff(this.toggles.instantKiReset)}`,
+      '--- Damage ---',
+    ];
+
+    if (!this.lastHit) {
+      lines.push('Last Hit: -', 'Combo: -', '--- Frame Data ---', '-');
+      return lines;
+    }
+
+    const { frameData } = this.lastHit;
+    const advantage = frameData.advantage >= 0 ? `+${frameData.advantage}` : `${frameData.advantage}`;
+
+    lines.push(
+      `Last Hit: ${this.lastHit.damage.toFixed(1)} (${this.lastHit.source})`,
+      `Combo: ${this.combo.hits} hit${this.combo.hits === 1 ? '' : 's'} / ${this.combo.damage.toFixed(1)} dmg`,
+      '--- Frame Data ---',
+      frameData.active === null
+        ? `Startup: ${frameData.startup}f | Recovery: ${frameData.recovery}f`
+        : `Startup: ${frameData.startup}f | Active: ${frameData.active}f | Recovery: ${frameData.recovery}f`,
+      `Hitstun: ${frameData.hitstun}f | Advantage: ${advantage}f`
+    );
+
+    return lines;
+  }
+
+  /**
+   * Cleans up event listeners
+   */
+  destroy() {
+    this.scene.events.off('hitLanded', this.onHitLanded, this);
+    this.player = null;
+    this.dummy = null;
+    this.dummyController = null;
+
+    logInfo('TrainingSystem: Destroyed');
+  }
+}
@@ -0,0 +1,349 @@
+import { SOUNDS, LOOPS, MUSIC_TRACKS } from '../constants/audio.js';
+import { logInfo, logDebug, logWarn } from './debug.js';
+
+/**
+ * Audio utilities
+ * Synthesizes the sounds in constants/audio.js with Web Audio. Everything is
+ * routed through Phaser's sound manager output, so the master volume setting
+ * (game.sound.volume) applies on top of the music and SFX volumes here.
+ *
+ * Without Web Audio (or before init) every call is a silent no-op, so
+ * gameplay code can play sounds without checking.
+ */
+
+const MUSIC_LOOKAHEAD = 0.15; // Seconds of music scheduled ahead
+const MUSIC_TICK = 50; // Milliseconds between scheduler runs
+
+/**
+ * Procedural sound and music playback
+ */
+class AudioManager {
+  constructor() {
+    this.context = null;
+    this.sfxBus = null;
+    this.musicBus = null;
+    this.noiseBuffer = null;
+
+    // Bus volumes (0-1), kept so they can be set before init
+    this.volumes = { music: 1, sfx: 1 };
+
+    this.loops = new Map(); // Loop key -> { stop }
+
+    // One-shots are held back while set (online rollback re-runs steps that already played theirs)
+    this.isSuppressed = false;
+
+    // Music sequencer state
+    this.musicTrack = null;
+    this.musicStep = 0;
+    this.nextStepTime = 0;
+    this.musicTimer = null;
+  }
+
+  /**
+   * Hooks into the game's Web Audio context
+   * @param {Phaser.Game} game
+   */
+  init(game) {
+    const sound = game.sound;
+    if (!sound || !sound.context) {
+      logWarn('Audio: Web Audio unavailable - running silent');
+      return;
+    }
+
+    this.context = sound.context;
+
+    this.sfxBus = this.context.createGain();
+    this.sfxBus.connect(sound.destination);
+    this.musicBus = this.context.createGain();
+    this.musicBus.connect(sound.destination);
+    this.applyVolumes();
+
+    this.noiseBuffer = this.createNoiseBuffer();
+
+    logInfo('Audio: Initialized');
+  }
+
+  /**
+   * Checks whether sound can play right now
+   * (the context stays suspended until the first user input)
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.context !== null && this.context.state === 'running';
+  }
+
+  /**
+   * Sets the music and SFX volumes
+   * @param {number} music - 0-1
+   * @param {number} sfx - 0-1
+   */
+  setVolumes(music, sfx) {
+    this.volumes = { music, sfx };
+    this.applyVolumes();
+  }
+
+  /**
+   * Pushes stored volumes to the buses
+   */
+  applyVolumes() {
+    if (!this.context) return;
+    this.sfxBus.gain.setValueAtTime(this.volumes.sfx, this.context.currentTime);
+    this.musicBus.gain.setValueAtTime(this.volumes.music, this.context.currentTime);
+  }
+
+  /**
+   * Creates one second of white noise for noise layers
+   * @returns {AudioBuffer}
+   */
+  createNoiseBuffer() {
+    const length = this.context.sampleRate;
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+  }
+
+  // ==================== SOUND EFFECTS ====================
+
+  /**
+   * Holds back or lets through one-shot sound effects
+   * @param {boolean} suppressed
+   */
+  setSuppressed(suppressed) {
+    this.isSuppressed = suppressed;
+  }
+
+  /**
+   * Plays a one-shot sound effect
+   * @param {string} name - Key of SOUNDS
+   */
+  play(name) {
+    if (!this.isReady() || this.isSuppressed) return;
+
+    const layers = SOUNDS[name];
+    if (!layers) {
+      logWarn(`Audio: Unknown sound "${name}"`);
+      return;
+    }
+
+    const now = this.context.currentTime;
+    layers.forEach((layer) => this.playLayer(layer, now + (layer.delay || 0)));
+  }
+
+  /**
+   * Plays one layer of a sound effect
+   * @param {Object} layer - Layer definition from SOUNDS
+   * @param {number} startTime - Context time to start at
+   */
+  playLayer(layer, startTime) {
+    const endTime = startTime + layer.duration;
+
+    // Fast attack, exponential decay
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.0001, startTime);
+    envelope.gain.exponentialRampToValueAtTime(layer.volume, startTime + 0.005);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, endTime);
+    envelope.connect(this.sfxBus);
+
+    let source;
+    if (layer.type === 'noise') {
+      source = this.context.createBufferSource();
+      source.buffer = this.noiseBuffer;
+      source.loop = true;
+
+      const filter = this.context.createBiquadFilter();
+      filter.type = layer.filter;
+      filter.frequency.setValueAtTime(layer.from, startTime);
+      filter.frequency.exponentialRampToValueAtTime(layer.to, endTime);
+      source.connect(filter);
+      filter.connect(envelope);
+    } else {
+      source = this.context.createOscillator();
+      source.type = layer.wave;
+      source.frequency.setValueAtTime(layer.from, startTime);
+      source.frequency.exponentialRampToValueAtTime(layer.to, endTime);
+      source.connect(envelope);
+    }
+
+    source.start(startTime);
+    source.stop(endTime + 0.05);
+    source.onended = () => envelope.disconnect();
+  }
+
+  // ==================== LOOPS ====================
+
+  /**
+   * Starts or stops a looping sound to match a flag
+   * Safe to call every frame - only acts when the flag changes
+   * @param {string} key - Unique key for this loop instance (e.g. 'charge-1')
+   * @param {string} name - Key of LOOPS
+   * @param {boolean} active - Whether the loop should be playing
+   */
+  setLoop(key, name, active) {
+    if (active && !this.loops.has(key)) {
+      this.startLoop(key, name);
+    } else if (!active && this.loops.has(key)) {
+      this.stopLoop(key);
+    }
+  }
+
+  /**
+   * Starts a looping sound
+   * @param {string} key - Unique key for this loop instance
+   * @param {string} name - Key of LOOPS
+   */
+  startLoop(key, name) {
+    if (!this.isReady() || this.loops.has(key)) return;
+
+    const loop = LOOPS[name];
+    const now = this.context.currentTime;
+
+    const output = this.context.createGain();
+    output.gain.setValueAtTime(0.0001, now);
+    output.gain.exponentialRampToValueAtTime(loop.volume, now + 0.15);
+    output.connect(this.sfxBus);
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = loop.filterFrequency;
+
+    // Wobble: LFO into a gain stage between the filter and the output
+    const wobble = this.context.createGain();
+    wobble.gain.value = 1 - loop.lfoDepth / 2;
+    const lfo = this.context.createOscillator();
+    const lfoAmount = this.context.createGain();
+    lfo.frequency.value = loop.lfoRate;
+    lfoAmount.gain.value = loop.lfoDepth / 2;
+    lfo.connect(lfoAmount);
+    lfoAmount.connect(wobble.gain);
+    filter.connect(wobble);
+    wobble.connect(output);
+
+    const oscillators = loop.frequencies.map((frequency) => {
+      const oscillator = this.context.createOscillator();
+      oscillator.type = loop.wave;
+      oscillator.frequency.value = frequency;
+      oscillator.connect(filter);
+      oscillator.start(now);
+      return oscillator;
+    });
+    lfo.start(now);
+
+    const stop = () => {
+      const stopTime = this.context.currentTime;
+      output.gain.cancelScheduledValues(stopTime);
+      output.gain.setValueAtTime(output.gain.value, stopTime);
+      output.gain.exponentialRampToValueAtTime(0.0001, stopTime + 0.12);
+      [...oscillators, lfo].forEach((oscillator) => oscillator.stop(stopTime + 0.15));
+      lfo.onended = () => output.disconnect();
+    };
+
+    this.loops.set(key, { stop });
+    logDebug(`Audio: Loop "${name}" started (${key})`);
+  }
+
+  /**
+   * Fades out and stops a looping sound
+   * @param {string} key - Loop instance key
+   */
+  stopLoop(key) {
+    const loop = this.loops.get(key);
+    if (!loop) return;
+
+    loop.stop();
+    this.loops.delete(key);
+  }
+
+  /**
+   * Stops every looping sound (scene shutdown)
+   */
+  stopAllLoops() {
+    [...this.loops.keys()].forEach((key) => this.stopLoop(key));
+  }
+
+  // ==================== MUSIC ====================
+
+  /**
+   * Starts a music track (keeps playing if it's already the current track)
+   * @param {string} name - Key of MUSIC_TRACKS
+   */
+  playMusic(name) {
+    if (!this.context || this.musicTrack === MUSIC_TRACKS[name]) return;
+
+    this.stopMusic();
+    this.musicTrack = MUSIC_TRACKS[name];
+    this.musicStep = 0;
+    this.nextStepTime = 0;
+    this.musicTimer = setInterval(() => this.scheduleMusic(), MUSIC_TICK);
+
+    logInfo(`Audio: Music "${name}" started`);
+  }
+
+  /**
+   * Stops the current music track
+   */
+  stopMusic() {
+    if (this.musicTimer) {
+      clearInterval(this.musicTimer);
+      this.musicTimer = null;
+    }
+    this.musicTrack = null;
+  }
+
+  /**
+   * Schedules the music steps that fall inside the lookahead window
+   */
+  scheduleMusic() {
+    if (!this.musicTrack || !this.isReady()) return;
+
+    const now = this.context.currentTime;
+    const stepDuration = 60 / this.musicTrack.tempo / 4; // 16th notes
+
+    // Start (or resync after the context was suspended) slightly ahead of now
+    if (this.nextStepTime < now) {
+      this.nextStepTime = now + 0.05;
+    }
+
+    while (this.nextStepTime < now + MUSIC_LOOKAHEAD) {
+      this.musicTrack.voices.forEach((voice) => {
+        const note = voice.notes[this.musicStep % voice.notes.length];
+        if (note !== null) {
+          this.playNote(voice, note, this.nextStepTime, stepDuration);
+        }
+      });
+
+      this.musicStep++;
+      this.nextStepTime += stepDuration;
+    }
+  }
+
+  /**
+   * Plays a single music note
+   * @param {Object} voice - Voice definition from MUSIC_TRACKS
+   * @param {number} note - MIDI note number
+   * @param {number} startTime - Context time to start at
+   * @param {number} duration - Seconds
+   */
+  playNote(voice, note, startTime, duration) {
+    const endTime = startTime + duration * 0.9;
+
+    const envelope = this.context.createGain();
+    envelope.gain.setValueAtTime(0.0001, startTime);
+    envelope.gain.exponentialRampToValueAtTime(voice.volume, startTime + 0.01);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, endTime);
+    envelope.connect(this.musicBus);
+
+    const oscillator = this.context.createOscillator();
+    oscillator.type = voice.wave;
+    oscillator.frequency.value = 440 * Math.pow(2, (note - 69) / 12);
+    oscillator.connect(envelope);
+    oscillator.start(startTime);
+    oscillator.stop(endTime + 0.02);
+    oscillator.onended = () => envelope.disconnect();
+  }
+}
+
+// Export singleton instance
+export const audio = new AudioManager();
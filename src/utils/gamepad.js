@@ -0,0 +1,136 @@
+import { GAMEPAD_MENU_CONTROLS } from '../constants/controls.js';
+import { logInfo } from './debug.js';
+
+/**
+ * Gamepad utilities
+ * Tracks which pad belongs to which player. Phaser's gamepad plugin lives
+ * per scene, but the assignments have to survive scene changes, so they are
+ * kept here and every scene that reads pads attaches itself on create.
+ */
+
+/**
+ * Gamepad assignment management
+ */
+class GamepadManager {
+  constructor() {
+    this.assignments = new Map(); // Player number -> pad index
+    this.playerNumbers = [1, 2];
+  }
+
+  /**
+   * Hooks a scene's gamepad plugin
+   * Assigns pads that are already connected and handles hot-plugging while
+   * the scene runs (the plugin drops its listeners on scene shutdown)
+   * @param {Phaser.Scene} scene - Scene to attach to
+   */
+  attach(scene) {
+    const plugin = scene.input.gamepad;
+    if (!plugin) return;
+
+    plugin.getAll().forEach((pad) => this.onConnected(pad));
+    plugin.on('connected', this.onConnected, this);
+    plugin.on('disconnected', this.onDisconnected, this);
+  }
+
+  /**
+   * Gives a newly connected pad to the first player without one
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  onConnected(pad) {
+    if (this.getPlayerForPad(pad.index) !== null) return;
+
+    const freePlayer = this.playerNumbers.find((playerNumber) => !this.assignments.has(playerNumber));
+    if (freePlayer === undefined) return;
+
+    this.assignments.set(freePlayer, pad.index);
+    logInfo(`Gamepad: Pad ${pad.index} (${pad.id}) connected - assigned to Player ${freePlayer}`);
+  }
+
+  /**
+   * Frees the player slot of a disconnected pad
+   * @param {Phaser.Input.Gamepad.Gamepad} pad
+   */
+  onDisconnected(pad) {
+    const playerNumber = this.getPlayerForPad(pad.index);
+    if (playerNumber === null) return;
+
+    this.assignments.delete(playerNumber);
+    logInfo(`Gamepad: Pad ${pad.index} disconnected - Player ${playerNumber} back on keyboard`);
+  }
+
+  /**
+   * Assigns a pad to a player
+   * If the player already had a pad, it moves to the pad's previous owner
+   * @param {number} padIndex - Pad index
+   * @param {number} playerNumber - 1 or 2
+   */
+  assign(padIndex, playerNumber) {
+    const previousOwner = this.getPlayerForPad(padIndex);
+    const displacedPad = this.assignments.get(playerNumber);
+
+    if (previousOwner !== null) {
+      this.assignments.delete(previousOwner);
+    }
+    if (displacedPad !== undefined && previousOwner !== null) {
+      this.assignments.set(previousOwner, displacedPad);
+    }
+    this.assignments.set(playerNumber, padIndex);
+
+    logInfo(`Gamepad: Pad ${padIndex} assigned to Player ${playerNumber}`);
+  }
+
+  /**
+   * Moves a pad to the other player (swapping pads if both have one)
+   * @param {number} padIndex - Pad index
+   */
+  swap(padIndex) {
+    const owner = this.getPlayerForPad(padIndex);
+    this.assign(padIndex, owner === 1 ? 2 : 1);
+  }
+
+  /**
+   * Gets the player a pad is assigned to
+   * @param {number} padIndex
+   * @returns {number|null} Player number or null if unassigned
+   */
+  getPlayerForPad(padIndex) {
+    for (const [playerNumber, index] of this.assignments) {
+      if (index === padIndex) return playerNumber;
+    }
+    return null;
+  }
+
+  /**
+   * Gets a player's connected pad
+   * @param {Phaser.Scene} scene - Scene whose gamepad plugin to read
+   * @param {number} playerNumber - 1 or 2
+   * @returns {Phaser.Input.Gamepad.Gamepad|null}
+   */
+  getPad(scene, playerNumber) {
+    const plugin = scene.input.gamepad;
+    if (!plugin || !this.assignments.has(playerNumber)) return null;
+
+    const pad = plugin.getPad(this.assignments.get(playerNumber));
+    return pad && pad.connected ? pad : null;
+  }
+
+  /**
+   * Calls back with menu actions pressed on any pad
+   * @param {Phaser.Scene} scene - Scene to listen in
+   * @param {Function} callback - (action, playerNumber|null, pad) with action from GAMEPAD_MENU_CONTROLS
+   */
+  onMenuInput(scene, callback) {
+    const plugin = scene.input.gamepad;
+    if (!plugin) return;
+
+    plugin.on('down', (pad, button) => {
+      const action = GAMEPAD_MENU_CONTROLS[button.index];
+      if (action) {
+        callback(action, this.getPlayerForPad(pad.index), pad);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+export const gamepads = new GamepadManager();
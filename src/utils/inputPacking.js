@@ -0,0 +1,31 @@
+/**
+ * Input packing helpers
+ * Replays and online play store input compactly as [buttons, axisX, axisY],
+ * with the buttons packed as bits in the order of the given list.
+ */
+
+/**
+ * Packs an input state
+ * @param {Object} state - Input with the listed buttons plus axisX / axisY
+ * @param {string[]} buttons - Button names, in bit order
+ * @returns {number[]} [buttons, axisX, axisY]
+ */
+export function packInput(state, buttons) {
+  const bits = buttons.reduce((packed, button, index) => (state[button] ? packed | (1 << index) : packed), 0);
+  return [bits, state.axisX, state.axisY];
+}
+
+/**
+ * Unpacks an input state packed by packInput
+ * @param {number[]} packed - [buttons, axisX, axisY]
+ * @param {string[]} buttons - Button names, in bit order
+ * @returns {Object} Input with the listed buttons plus axisX / axisY
+ */
+export function unpackInput(packed, buttons) {
+  const [bits, axisX, axisY] = packed;
+  const state = { axisX, axisY };
+  buttons.forEach((button, index) => {
+    state[button] = (bits & (1 << index)) !== 0;
+  });
+  return state;
+}
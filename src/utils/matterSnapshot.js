@@ -0,0 +1,234 @@
+import Phaser from 'phaser';
+
+const Matter = Phaser.Physics.Matter.Matter;
+const { Body, Composite, Collision, Detector, Pairs } = Matter;
+
+/**
+ * Matter version this snapshot was written against (the one bundled with
+ * Phaser 3.90.0, which package.json pins exactly for this reason). Restoring
+ * leans on how that version carries state from one step to the next, so any
+ * other version stops the game here: re-check the notes below, then update
+ * this constant along with the pin.
+ */
+export const MATTER_VERSION = '0.20.0';
+
+if (Matter.version !== MATTER_VERSION) {
+  throw new Error(`matterSnapshot: written for Matter ${MATTER_VERSION}, but Phaser bundles ${Matter.version} - check the snapshot before upgrading`);
+}
+
+/**
+ * Matter world snapshots for online rollback
+ *
+ * The one place that knows what Matter carries from one step to the next.
+ * Body state goes back through Body's own setters; Body.set() assigns the
+ * values that have no dedicated setter (positionPrev, anglePrev, force,
+ * torque, the solver impulses and the step's deltaTime), which are what
+ * the next step integrates from.
+ *
+ * The setters move a body's vertices by the difference from where it is
+ * now, which rounds differently from the steps that put them there, and
+ * the resimulated steps then drift off the opponent's. So once the setters
+ * have run, vertex and axis coordinates are copied back exactly into the
+ * body's own vertex objects (the ones collisions point at).
+ *
+ * Collision pairs are cleared with Pairs.clear() and rebuilt with
+ * Pairs.update() from the saved collisions. Two things have no API and are
+ * copied onto the rebuilt pairs directly: each contact's impulses (Matter
+ * warm-starts the solver from last step's) and isSensor (PhysicsSystem
+ * flips it for one-way platforms).
+ *
+ * Left alone on purpose: body ids (bodies created while resimulating just
+ * get fresh ones, which keeps them in creation order) and the engine's
+ * collision start / end lists (refilled by the next step).
+ */
+
+/**
+ * Body values a step leaves behind, put back with Body.set()
+ */
+const BODY_VALUES = [
+  'anglePrev', 'torque', 'deltaTime', 'totalContacts',
+  'friction', 'frictionStatic', 'frictionAir', 'restitution', // Player changes these in flight
+];
+const BODY_VECTORS = ['positionPrev', 'force', 'positionImpulse', 'constraintImpulse'];
+
+/**
+ * Copies a point's coordinates
+ * @param {{x: number, y: number}} point
+ * @returns {{x: number, y: number}}
+ */
+function copyPoint(point) {
+  return { x: point.x, y: point.y };
+}
+
+/**
+ * Copies coordinates into an existing point (Matter keeps references to them)
+ * @param {{x: number, y: number}} target
+ * @param {{x: number, y: number}} source
+ */
+function setPoint(target, source) {
+  target.x = source.x;
+  target.y = source.y;
+}
+
+/**
+ * Copies everything about a body a step can change
+ * @param {MatterJS.BodyType} body
+ * @returns {Object}
+ */
+function saveBody(body) {
+  const saved = {
+    body,
+    isStatic: body.isStatic,
+    position: copyPoint(body.position),
+    angle: body.angle,
+    velocity: copyPoint(body.velocity),
+    angularVelocity: body.angularVelocity,
+    parts: body.parts.map((part) => ({
+      vertices: part.vertices.map(copyPoint),
+      axes: part.axes.map(copyPoint),
+    })),
+  };
+  BODY_VALUES.forEach((field) => {
+    saved[field] = body[field];
+  });
+  BODY_VECTORS.forEach((field) => {
+    saved[field] = { ...body[field] };
+  });
+  return saved;
+}
+
+/**
+ * Puts a body back through Body's setters
+ * Velocity goes first so setPosition() sizes the bounds with it; the exact
+ * positionPrev / anglePrev then replace the ones the velocity setters derive
+ * (the next step works velocity out from those).
+ * @param {Object} saved - From saveBody()
+ */
+function restoreBody(saved) {
+  const { body } = saved;
+
+  if (body.isStatic !== saved.isStatic) {
+    Body.setStatic(body, saved.isStatic);
+  }
+  Body.setVelocity(body, saved.velocity);
+  Body.setAngularVelocity(body, saved.angularVelocity);
+  if (body.angle !== saved.angle) {
+    Body.setAngle(body, saved.angle);
+  }
+  Body.setPosition(body, saved.position);
+
+  const values = {};
+  BODY_VALUES.forEach((field) => {
+    values[field] = saved[field];
+  });
+  BODY_VECTORS.forEach((field) => {
+    values[field] = { ...saved[field] };
+  });
+  Body.set(body, values);
+
+  saved.parts.forEach((savedPart, index) => {
+    const part = body.parts[index];
+    savedPart.vertices.forEach((vertex, i) => setPoint(part.vertices[i], vertex));
+    savedPart.axes.forEach((axis, i) => setPoint(part.axes[i], axis));
+  });
+}
+
+/**
+ * Copies a collision pair: the collision it was built from, plus what the
+ * solver and PhysicsSystem left on it
+ * @param {Object} pair - Matter pair
+ * @returns {Object}
+ */
+function savePair(pair) {
+  const { collision } = pair;
+
+  return {
+    bodyA: collision.bodyA,
+    bodyB: collision.bodyB,
+    depth: collision.depth,
+    normal: copyPoint(collision.normal),
+    tangent: copyPoint(collision.tangent),
+    penetration: copyPoint(collision.penetration),
+    supports: [...collision.supports],
+    supportCount: collision.supportCount,
+    isSensor: pair.isSensor,
+    impulses: pair.contacts.map((contact) => [contact.normalImpulse, contact.tangentImpulse]),
+  };
+}
+
+/**
+ * Builds the collision Pairs.update() turns back into a saved pair
+ * @param {Object} saved - From savePair()
+ * @returns {Object} Matter collision
+ */
+function createCollision(saved) {
+  const collision = Collision.create(saved.bodyA, saved.bodyB);
+
+  collision.collided = true;
+  collision.depth = saved.depth;
+  collision.normal = copyPoint(saved.normal);
+  collision.tangent = copyPoint(saved.tangent);
+  collision.penetration = copyPoint(saved.penetration);
+  collision.supports = [...saved.supports];
+  collision.supportCount = saved.supportCount;
+  return collision;
+}
+
+/**
+ * Copies a Matter world
+ * @param {Phaser.Physics.Matter.World} world
+ * @returns {Object} Snapshot for restoreWorld()
+ */
+export function saveWorld(world) {
+  const { engine, localWorld } = world;
+
+  return {
+    enabled: world.enabled,
+    timestamp: engine.timing.timestamp,
+    timeScale: engine.timing.timeScale,
+    // Last step's pairs carry the timestamp it started at
+    pairsUpdatedAt: engine.timing.timestamp - engine.timing.lastDelta,
+    isModified: localWorld.isModified,
+    // Composite order is the order bodies integrate in; the detector's is
+    // the order it finds collisions in (it sorts in place, keeping ties)
+    worldBodies: [...localWorld.bodies],
+    detectorBodies: [...engine.detector.bodies],
+    bodies: Composite.allBodies(localWorld).map(saveBody),
+    pairs: engine.pairs.list.map(savePair),
+  };
+}
+
+/**
+ * Puts a Matter world back as saveWorld() copied it
+ * Bodies removed since go back in, bodies added since are dropped.
+ * @param {Phaser.Physics.Matter.World} world
+ * @param {Object} snapshot - From saveWorld()
+ */
+export function restoreWorld(world, snapshot) {
+  const { engine, localWorld } = world;
+
+  world.enabled = snapshot.enabled;
+  engine.timing.timestamp = snapshot.timestamp;
+  engine.timing.timeScale = snapshot.timeScale;
+
+  Composite.remove(localWorld, [...localWorld.bodies]);
+  Composite.add(localWorld, snapshot.worldBodies);
+  Composite.setModified(localWorld, snapshot.isModified, true, false);
+  Detector.setBodies(engine.detector, snapshot.detectorBodies);
+
+  snapshot.bodies.forEach(restoreBody);
+
+  // The next step drops pairs stamped before it starts, unless they collide again
+  const pairs = engine.pairs;
+  Pairs.clear(pairs);
+  Pairs.update(pairs, snapshot.pairs.map(createCollision), snapshot.pairsUpdatedAt);
+
+  snapshot.pairs.forEach((saved, index) => {
+    const pair = pairs.list[index];
+    pair.isSensor = saved.isSensor;
+    saved.impulses.forEach(([normalImpulse, tangentImpulse], contactIndex) => {
+      pair.contacts[contactIndex].normalImpulse = normalImpulse;
+      pair.contacts[contactIndex].tangentImpulse = tangentImpulse;
+    });
+  });
+}
@@ -0,0 +1,73 @@
+/**
+ * Seeded random numbers
+ * Anything random that happens during a match (CPU decisions, debris,
+ * background scatter) draws from here instead of Math.random, so a replay
+ * started from the same seed plays out the same way.
+ *
+ * Uses mulberry32: a tiny 32-bit generator that's plenty for a game.
+ */
+class SeededRandom {
+  constructor() {
+    this.seed = 0;
+    this.state = 0;
+    this.reseed();
+  }
+
+  /**
+   * Starts a new sequence from a fresh, unpredictable seed
+   * @returns {number} The new seed
+   */
+  reseed() {
+    return this.setSeed(Math.floor(Math.random() * 0x100000000));
+  }
+
+  /**
+   * Restarts the sequence from a known seed
+   * @param {number} seed - 32-bit unsigned integer
+   * @returns {number} The seed
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+    return this.seed;
+  }
+
+  /**
+   * Gets the seed the current sequence started from
+   * @returns {number}
+   */
+  getSeed() {
+    return this.seed;
+  }
+
+  /**
+   * Gets the position in the sequence (online rollback saves it with the match state)
+   * @returns {number}
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Returns to a position saved with getState()
+   * @param {number} state
+   */
+  setState(state) {
+    this.state = state;
+  }
+
+  /**
+   * Gets the next number in the sequence
+   * @returns {number} Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+}
+
+// Export singleton instance
+export const random = new SeededRandom();
@@ -0,0 +1,98 @@
+import { getCharacterById } from '../characters/index.js';
+import { getArenaById } from '../arenas/index.js';
+import { logInfo, logWarn } from './debug.js';
+
+/**
+ * Replay file helpers
+ * Replays are saved as JSON downloads and loaded back through the browser's
+ * file picker. Like the storage helpers, nothing here throws: a file that
+ * can't be read or isn't a usable replay loads as null.
+ */
+
+export const REPLAY_FORMAT = 'dbz-arena-replay';
+export const REPLAY_VERSION = 2; // 2: one frame per fixed step, no per-frame timing
+
+// Entries per recorded frame: buttons / axisX / axisY per player
+const FRAME_LENGTH = 6;
+
+/**
+ * Checks that parsed JSON is a replay this version can play
+ * @param {*} data - Parsed file contents
+ * @returns {boolean}
+ */
+export function isValidReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) return false;
+
+  if (data.version !== REPLAY_VERSION) {
+    logWarn(`Replay: Unsupported version ${data.version}`);
+    return false;
+  }
+
+  return (
+    Number.isInteger(data.seed) &&
+    typeof data.mode === 'string' &&
+    Boolean(getCharacterById(data.player1Character)) &&
+    Boolean(getCharacterById(data.player2Character)) &&
+    Boolean(getArenaById(data.arena)) &&
+    typeof data.rules === 'object' &&
+    Array.isArray(data.frames) &&
+    data.frames.every((frame) => Array.isArray(frame) && frame.length === FRAME_LENGTH)
+  );
+}
+
+/**
+ * Downloads a replay as a JSON file
+ * @param {Object} replay - Replay from ReplaySystem.createReplay()
+ */
+export function saveReplayFile(replay) {
+  const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `dbz-arena-replay-${replay.recordedAt.replace(/[:.]/g, '-')}.json`;
+  link.click();
+
+  // Give the download a moment to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  logInfo(`Replay: Saved ${link.download} (${replay.frames.length} frames)`);
+}
+
+/**
+ * Opens the file picker and reads the chosen replay
+ * @returns {Promise<Object|null>} The replay, or null if cancelled or invalid
+ */
+export function loadReplayFile() {
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+
+    input.addEventListener('cancel', () => resolve(null));
+    input.addEventListener('change', async () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const data = JSON.parse(await file.text());
+        if (!isValidReplay(data)) {
+          logWarn(`Replay: ${file.name} is not a usable replay`);
+          resolve(null);
+          return;
+        }
+
+        logInfo(`Replay: Loaded ${file.name} (${data.frames.length} frames)`);
+        resolve(data);
+      } catch (error) {
+        logWarn(`Replay: Could not read ${file.name}`, error);
+        resolve(null);
+      }
+    });
+
+    input.click();
+  });
+}
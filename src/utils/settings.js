@@ -0,0 +1,115 @@
+import { SETTINGS_OPTIONS } from '../constants/settings.js';
+import { loadData, saveData, removeData } from './storage.js';
+import { debug, logInfo, logWarn } from './debug.js';
+import { audio } from './audio.js';
+
+/**
+ * Settings utilities
+ * Holds the player's options for the whole session. Systems read values
+ * with settings.get(); settings that affect global state (volumes, log
+ * level) are pushed out by apply() whenever they change.
+ */
+
+const SETTINGS_STORAGE_KEY = 'settings';
+
+/**
+ * Settings state management
+ */
+class SettingsManager {
+  constructor() {
+    this.values = {};
+    this.game = null;
+    this.resetValues();
+  }
+
+  /**
+   * Sets every option back to its default (without saving)
+   */
+  resetValues() {
+    SETTINGS_OPTIONS.forEach((option) => {
+      this.values[option.key] = option.default;
+    });
+  }
+
+  /**
+   * Loads saved settings and applies them (called once at boot)
+   * Saved values that aren't in an option's value list are ignored
+   * @param {Phaser.Game} game - Game whose sound manager follows the volume
+   */
+  load(game) {
+    this.game = game;
+
+    const saved = loadData(SETTINGS_STORAGE_KEY) || {};
+    SETTINGS_OPTIONS.forEach(({ key, values }) => {
+      if (typeof saved !== 'object' || !(key in saved)) return;
+
+      if (values.includes(saved[key])) {
+        this.values[key] = saved[key];
+      } else {
+        logWarn(`Settings: Ignoring saved ${key} (${saved[key]})`);
+      }
+    });
+
+    this.apply();
+    logInfo('Settings: Loaded');
+  }
+
+  /**
+   * Gets a setting's current value
+   * @param {string} key - Key from SETTINGS_OPTIONS
+   * @returns {*}
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Changes a setting, applies and saves it
+   * @param {string} key - Key from SETTINGS_OPTIONS
+   * @param {*} value - One of the option's values
+   */
+  set(key, value) {
+    this.values[key] = value;
+    this.apply();
+    saveData(SETTINGS_STORAGE_KEY, this.values);
+    logInfo(`Settings: ${key} = ${value}`);
+  }
+
+  /**
+   * Steps a setting to its previous / next value (wrapping)
+   * @param {string} key - Key from SETTINGS_OPTIONS
+   * @param {number} direction - -1 previous, 1 next
+   */
+  cycle(key, direction) {
+    const { values } = SETTINGS_OPTIONS.find((option) => option.key === key);
+    const index = values.indexOf(this.values[key]);
+    const nextIndex = (index + direction + values.length) % values.length;
+    this.set(key, values[nextIndex]);
+  }
+
+  /**
+   * Restores all defaults and clears the saved settings
+   */
+  reset() {
+    this.resetValues();
+    this.apply();
+    removeData(SETTINGS_STORAGE_KEY);
+    logInfo('Settings: Reset to defaults');
+  }
+
+  /**
+   * Pushes settings that live outside the game scenes to where they apply
+   * (Scenes read the rest with get() when they build their systems)
+   */
+  apply() {
+    debug.logLevel = this.values.logLevel;
+
+    if (this.game && this.game.sound) {
+      this.game.sound.volume = this.values.masterVolume / 100;
+    }
+    audio.setVolumes(this.values.musicVolume / 100, this.values.sfxVolume / 100);
+  }
+}
+
+// Export singleton instance
+export const settings = new SettingsManager();
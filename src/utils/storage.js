@@ -0,0 +1,75 @@
+import { logWarn } from './debug.js';
+
+/**
+ * Persistent storage helpers
+ * Thin JSON wrapper over localStorage. Storage can be missing or blocked
+ * (private browsing, disabled cookies) and saved data can be corrupt, so
+ * nothing here throws - callers always get their fallback instead.
+ */
+
+const KEY_PREFIX = 'dbz-arena:';
+
+/**
+ * Gets localStorage if the browser allows it
+ * @returns {Storage|null}
+ */
+function getStorage() {
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads a saved value
+ * @param {string} key - Storage key (prefixed internally)
+ * @param {*} fallback - Returned when nothing valid is saved
+ * @returns {*} Parsed value or fallback
+ */
+export function loadData(key, fallback = null) {
+  const storage = getStorage();
+  if (!storage) return fallback;
+
+  try {
+    const raw = storage.getItem(KEY_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    logWarn(`Storage: Could not read "${key}"`, error);
+    return fallback;
+  }
+}
+
+/**
+ * Saves a value as JSON
+ * @param {string} key - Storage key (prefixed internally)
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} Whether the value was saved
+ */
+export function saveData(key, value) {
+  const storage = getStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(KEY_PREFIX + key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    logWarn(`Storage: Could not save "${key}"`, error);
+    return false;
+  }
+}
+
+/**
+ * Removes a saved value
+ * @param {string} key - Storage key (prefixed internally)
+ */
+export function removeData(key) {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.removeItem(KEY_PREFIX + key);
+  } catch (error) {
+    logWarn(`Storage: Could not remove "${key}"`, error);
+  }
+}
@@ -0,0 +1,109 @@
+import { WORLD } from '../constants/physics.js';
+
+/**
+ * Fixed timestep helpers
+ * Gameplay advances in fixed steps of WORLD.stepDelta, whatever the display's
+ * refresh rate. Timers that decide gameplay count steps rather than wall-clock
+ * time, and rendering draws bodies part of the way between their last two
+ * step positions.
+ */
+
+/**
+ * Converts a duration to a number of gameplay steps
+ * Rounds up, so a timer never runs shorter than its duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {number} Steps
+ */
+export function msToFrames(ms) {
+  return Math.ceil(ms / WORLD.stepDelta - 1e-9);
+}
+
+/**
+ * Shifts graphics drawn at a body's current step position back toward its
+ * previous one, so it renders where it was partway through the step
+ * @param {Phaser.GameObjects.Graphics} graphics - Graphics drawn in world coordinates
+ * @param {{x: number, y: number}} previous - Position at the start of the last step
+ * @param {{x: number, y: number}} current - Position after the last step
+ * @param {number} alpha - How far into the next step the render falls (0-1)
+ */
+export function interpolateGraphics(graphics, previous, current, alpha) {
+  graphics.setPosition(
+    (previous.x - current.x) * (1 - alpha),
+    (previous.y - current.y) * (1 - alpha)
+  );
+}
+
+/**
+ * Timers that count gameplay steps
+ * Each timer is plain data - a handler method name, its arguments and the
+ * steps left - and only counts down when update() runs as part of a step.
+ * That also lets online rollback copy pending timers with saveState() and
+ * put them back with restoreState(). Arguments should be plain values
+ * (player numbers rather than players) for the same reason.
+ */
+export class StepTimers {
+  /**
+   * @param {Object} handlers - Object whose methods the timers call, by name
+   */
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.timers = [];
+  }
+
+  /**
+   * Calls a handler method after a delay
+   * @param {number} ms - Delay in milliseconds (rounded up to whole steps)
+   * @param {string} action - Handler method name
+   * @param {...*} args - Arguments for the method
+   */
+  add(ms, action, ...args) {
+    this.timers.push({ action, args, stepsLeft: msToFrames(ms) });
+  }
+
+  /**
+   * Counts one step down and calls the handlers now due, oldest first
+   * Timers added by those calls start counting on the next step
+   */
+  update() {
+    const due = [];
+    this.timers.forEach((timer) => {
+      timer.stepsLeft--;
+      if (timer.stepsLeft <= 0) due.push(timer);
+    });
+    if (due.length === 0) return;
+
+    this.timers = this.timers.filter((timer) => timer.stepsLeft > 0);
+    due.forEach(({ action, args }) => this.handlers[action](...args));
+  }
+
+  /**
+   * Drops every pending timer
+   */
+  clear() {
+    this.timers = [];
+  }
+
+  /**
+   * Drops the pending timers for one handler method
+   * @param {string} action - Handler method name
+   */
+  cancel(action) {
+    this.timers = this.timers.filter((timer) => timer.action !== action);
+  }
+
+  /**
+   * Copies the pending timers for online rollback
+   * @returns {Object[]}
+   */
+  saveState() {
+    return this.timers.map((timer) => ({ ...timer, args: [...timer.args] }));
+  }
+
+  /**
+   * Puts back timers copied by saveState()
+   * @param {Object[]} state
+   */
+  restoreState(state) {
+    this.timers = state.map((timer) => ({ ...timer, args: [...timer.args] }));
+  }
+}